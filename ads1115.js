@@ -0,0 +1,341 @@
+/**
+ * Convertidor Analógico-Digital ADS1115 (I2C)
+ * Lectura de canales simples (AINx contra GND) para sondas analógicas de pH y EC
+ * Ing. Daril Díaz - 2024
+ *
+ * El acceso al bus I2C está detrás de una interfaz mínima para poder probar
+ * las conversiones sin hardware:
+ *   writeRegister(address, register, value) - escribe 16 bits (big-endian)
+ *   readRegister(address, register)         - devuelve 16 bits sin signo
+ *   close()                                 - libera el bus (opcional)
+ * Ambos métodos pueden ser síncronos o devolver una Promise.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_ADDRESS = 0x48;
+const I2C_DEVICE = '/dev/i2c-1';
+
+const REGISTER = {
+  CONVERSION: 0x00,
+  CONFIG: 0x01
+};
+
+// Bits del registro de configuración
+const CONFIG_OS_SINGLE = 0x8000;      // Iniciar conversión / conversión terminada
+const CONFIG_MUX_SINGLE_0 = 0x4;      // AIN0 contra GND (AIN1..3 = 0x5..0x7)
+const CONFIG_MODE_SINGLE = 0x0100;    // Modo de disparo único
+const CONFIG_COMP_DISABLE = 0x0003;   // Comparador deshabilitado
+
+// Rango de entrada (±V) y su valor de PGA
+const GAINS = {
+  6.144: 0,
+  4.096: 1,
+  2.048: 2,
+  1.024: 3,
+  0.512: 4,
+  0.256: 5
+};
+
+// Muestras por segundo y su valor de DR
+const DATA_RATES = {
+  8: 0,
+  16: 1,
+  32: 2,
+  64: 3,
+  128: 4,
+  250: 5,
+  475: 6,
+  860: 7
+};
+
+/**
+ * Error de configuración o comunicación con el ADC
+ */
+class ADS1115Error extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ADS1115Error';
+    this.code = code;
+  }
+}
+
+function validateChannel(channel) {
+  if (!Number.isInteger(channel) || channel < 0 || channel > 3) {
+    throw new ADS1115Error(`Canal del ADS1115 inválido: ${channel}`, 'INVALID_CHANNEL');
+  }
+}
+
+function validateGain(gain) {
+  if (GAINS[gain] === undefined) {
+    throw new ADS1115Error(`Rango del ADS1115 inválido: ±${gain}V`, 'INVALID_GAIN');
+  }
+}
+
+/**
+ * Valor del registro de configuración para una conversión única
+ */
+function buildConfig(channel, gain = 4.096, dataRate = 128) {
+  validateChannel(channel);
+  validateGain(gain);
+  if (DATA_RATES[dataRate] === undefined) {
+    throw new ADS1115Error(`Velocidad del ADS1115 inválida: ${dataRate} SPS`, 'INVALID_DATA_RATE');
+  }
+
+  return CONFIG_OS_SINGLE |
+    ((CONFIG_MUX_SINGLE_0 + channel) << 12) |
+    (GAINS[gain] << 9) |
+    CONFIG_MODE_SINGLE |
+    (DATA_RATES[dataRate] << 5) |
+    CONFIG_COMP_DISABLE;
+}
+
+/**
+ * Convertir el valor del registro de conversión (complemento a dos) a voltios
+ */
+function rawToVoltage(raw, gain = 4.096) {
+  const signed = raw & 0x8000 ? raw - 0x10000 : raw;
+  return signed * gain / 0x8000;
+}
+
+/**
+ * Convertir voltios al valor que entregaría el registro de conversión
+ */
+function voltageToRaw(voltage, gain = 4.096) {
+  const counts = Math.round(voltage / gain * 0x8000);
+  const clamped = Math.max(-0x8000, Math.min(0x7fff, counts));
+  return clamped < 0 ? clamped + 0x10000 : clamped;
+}
+
+/**
+ * Bus I2C real mediante rpio (controlador BCM2835)
+ */
+class RpioI2CBus {
+  constructor(rpio = require('rpio')) {
+    this.rpio = rpio;
+    this.started = false;
+  }
+
+  begin(address) {
+    if (!this.started) {
+      this.rpio.i2cBegin();
+      this.rpio.i2cSetBaudRate(100000);
+      this.started = true;
+    }
+    this.rpio.i2cSetSlaveAddress(address);
+  }
+
+  writeRegister(address, register, value) {
+    this.begin(address);
+    const status = this.rpio.i2cWrite(Buffer.from([register, (value >> 8) & 0xff, value & 0xff]));
+    if (status) {
+      throw new ADS1115Error(`Error de escritura I2C en 0x${address.toString(16)} (código ${status})`, 'I2C');
+    }
+  }
+
+  readRegister(address, register) {
+    this.begin(address);
+    const buffer = Buffer.alloc(2);
+    const status = this.rpio.i2cWrite(Buffer.from([register])) || this.rpio.i2cRead(buffer, 2);
+    if (status) {
+      throw new ADS1115Error(`Error de lectura I2C en 0x${address.toString(16)} (código ${status})`, 'I2C');
+    }
+    return buffer.readUInt16BE(0);
+  }
+
+  close() {
+    if (this.started) {
+      this.rpio.i2cEnd();
+      this.started = false;
+    }
+  }
+}
+
+/**
+ * Bus I2C simulado que se comporta como uno o varios ADS1115
+ * voltages: { canal: voltios | () => voltios } (se aplica a cualquier dirección)
+ */
+class SimulatedI2CBus {
+  constructor(voltages = {}) {
+    this.voltages = voltages;
+    this.devices = new Map();
+  }
+
+  device(address) {
+    if (!this.devices.has(address)) {
+      this.devices.set(address, { config: 0x8583, conversion: 0 });
+    }
+    return this.devices.get(address);
+  }
+
+  /**
+   * Voltaje presente en un canal
+   */
+  channelVoltage(channel) {
+    const source = this.voltages[channel];
+    if (typeof source === 'function') {
+      return source();
+    }
+    return source === undefined ? 0 : source;
+  }
+
+  writeRegister(address, register, value) {
+    const device = this.device(address);
+
+    if (register !== REGISTER.CONFIG) {
+      return;
+    }
+
+    device.config = value & 0x7fff;
+
+    if (value & CONFIG_OS_SINGLE) {
+      const channel = ((value >> 12) & 0x7) - CONFIG_MUX_SINGLE_0;
+      const gain = Number(Object.keys(GAINS).find(key => GAINS[key] === ((value >> 9) & 0x7)));
+      device.conversion = voltageToRaw(this.channelVoltage(channel), gain || 6.144);
+      device.config |= CONFIG_OS_SINGLE;
+    }
+  }
+
+  readRegister(address, register) {
+    const device = this.device(address);
+    return register === REGISTER.CONVERSION ? device.conversion : device.config;
+  }
+
+  close() {}
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ADC compartidos por bus y dirección (varias sondas pueden usar el mismo chip)
+const sharedAdcs = new WeakMap();
+
+class ADS1115 {
+  /**
+   * bus: implementación de la interfaz I2C
+   * options.address: dirección I2C (0x48-0x4B según el pin ADDR)
+   * options.gain: rango por defecto en voltios (±)
+   * options.dataRate: muestras por segundo
+   * options.sleep: espera entre la orden de conversión y la lectura (ms) => Promise
+   */
+  constructor(bus, options = {}) {
+    this.bus = bus;
+    this.address = options.address === undefined ? DEFAULT_ADDRESS : options.address;
+    this.gain = options.gain || 4.096;
+    this.dataRate = options.dataRate || 128;
+    this.sleep = options.sleep || delay;
+    this.maxPolls = 10;
+    this.queue = Promise.resolve();
+
+    validateGain(this.gain);
+  }
+
+  /**
+   * ADC compartido para un bus y dirección; las conversiones se serializan
+   */
+  static shared(bus, address = DEFAULT_ADDRESS) {
+    if (!sharedAdcs.has(bus)) {
+      sharedAdcs.set(bus, new Map());
+    }
+
+    const adcs = sharedAdcs.get(bus);
+    if (!adcs.has(address)) {
+      adcs.set(address, new ADS1115(bus, { address }));
+    }
+    return adcs.get(address);
+  }
+
+  /**
+   * Ejecutar una operación cuando terminen las anteriores
+   * (el registro de conversión es único por chip)
+   */
+  exclusive(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Leer el voltaje de un canal (conversión única)
+   */
+  readVoltage(channel, gain = this.gain) {
+    const config = buildConfig(channel, gain, this.dataRate);
+
+    return this.exclusive(async () => {
+      await this.bus.writeRegister(this.address, REGISTER.CONFIG, config);
+
+      // Tiempo de una conversión más un margen
+      const conversionMs = Math.ceil(1000 / this.dataRate) + 1;
+      let polls = 0;
+
+      do {
+        await this.sleep(conversionMs);
+        const status = await this.bus.readRegister(this.address, REGISTER.CONFIG);
+        if (status & CONFIG_OS_SINGLE) {
+          const raw = await this.bus.readRegister(this.address, REGISTER.CONVERSION);
+          return rawToVoltage(raw, gain);
+        }
+      } while (++polls < this.maxPolls);
+
+      throw new ADS1115Error(`El ADS1115 0x${this.address.toString(16)} no completó la conversión`, 'TIMEOUT');
+    });
+  }
+
+  /**
+   * Promedio de varias conversiones para reducir el ruido de la sonda
+   */
+  async readAverage(channel, samples = 5, gain = this.gain) {
+    const count = Math.max(parseInt(samples) || 1, 1);
+    let total = 0;
+
+    for (let i = 0; i < count; i++) {
+      total += await this.readVoltage(channel, gain);
+    }
+
+    return total / count;
+  }
+}
+
+let defaultBus = null;
+
+/**
+ * Bus I2C del sistema: rpio en Raspberry Pi con I2C habilitado, simulado en otro caso
+ */
+function getDefaultBus() {
+  if (defaultBus) {
+    return defaultBus;
+  }
+
+  let isRaspberryPi = false;
+  try {
+    isRaspberryPi = /Raspberry Pi|BCM2708|BCM2835/.test(fs.readFileSync('/proc/cpuinfo', 'utf8'));
+  } catch (error) {
+    isRaspberryPi = false;
+  }
+
+  if (isRaspberryPi && fs.existsSync(I2C_DEVICE)) {
+    defaultBus = new RpioI2CBus();
+  } else {
+    console.log(`⚠️  Bus I2C no disponible (${I2C_DEVICE}). Usando modo simulación para ADS1115`);
+    // ~1.6V con variación lenta: pH cercano a 6.4 y EC cercana a 1.6 mS/cm sin calibrar
+    const simulated = () => 1.6 + Math.sin(Date.now() / 180000) * 0.05 + (Math.random() - 0.5) * 0.004;
+    defaultBus = new SimulatedI2CBus({ 0: simulated, 1: simulated, 2: simulated, 3: simulated });
+    defaultBus.simulated = true;
+  }
+
+  return defaultBus;
+}
+
+module.exports = ADS1115;
+module.exports.ADS1115Error = ADS1115Error;
+module.exports.RpioI2CBus = RpioI2CBus;
+module.exports.SimulatedI2CBus = SimulatedI2CBus;
+module.exports.REGISTER = REGISTER;
+module.exports.GAINS = GAINS;
+module.exports.DATA_RATES = DATA_RATES;
+module.exports.DEFAULT_ADDRESS = DEFAULT_ADDRESS;
+module.exports.buildConfig = buildConfig;
+module.exports.rawToVoltage = rawToVoltage;
+module.exports.voltageToRaw = voltageToRaw;
+module.exports.getDefaultBus = getDefaultBus;
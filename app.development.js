@@ -20,6 +20,7 @@ const bodyParser = require('body-parser');
 const Database = require('./database');
 const GPIOController = require('./gpio_controller');
 const Scheduler = require('./scheduler');
+const { OUTPUT_TYPES, METADATA_FIELDS } = require('./relays');
 
 // Usar configuración de desarrollo
 const config = require('./config.development');
@@ -94,6 +95,12 @@ app.set('views', path.join(__dirname, 'views'));
 // Servir archivos estáticos
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Sin usuarios en desarrollo: las vistas muestran todas las acciones (en app.js lo define AuthManager)
+app.use((req, res, next) => {
+  res.locals.hasRole = () => true;
+  next();
+});
+
 // Inicializar módulos del sistema
 let database, gpioController, scheduler;
 
@@ -104,14 +111,18 @@ async function initializeSystem() {
     
     // Inicializar base de datos
     database = new Database();
+    await database.ready;
     console.log('✅ Base de datos inicializada');
     
-    // Inicializar controlador GPIO
-    gpioController = new GPIOController();
+    // Inicializar controlador GPIO (comparte la base de datos)
+    gpioController = new GPIOController(database);
     console.log('✅ Controlador GPIO inicializado');
+    gpioController.on('safety_shutoff', event => io.emit('safety_shutoff', event));
+    gpioController.on('timed_run', () => io.emit('timed_runs', gpioController.getTimedRuns()));
+    gpioController.sequences.on('progress', run => io.emit('sequence_progress', run));
     
-    // Inicializar programador
-    scheduler = new Scheduler();
+    // Inicializar programador (su verificador lee los sensores del mismo controlador)
+    scheduler = new Scheduler(database, gpioController);
     console.log('✅ Programador de horarios inicializado');
     
     console.log('🚀 Sistema inicializado correctamente (MODO DESARROLLO)');
@@ -132,10 +143,17 @@ app.get('/', async (req, res) => {
     const schedulerStatus = scheduler.getStatus();
     
     // Obtener datos recientes de sensores
-    const recentReadings = await database.getRecentSensorReadings(10);
+    const recentReadings = await database.getRecentReadings({}, 10);
     
     res.render('index', {
       title: 'Sistema de Hidroponía Automatizado (DESARROLLO)',
+      sensors: gpioController.sensors.list(),
+      relays: gpioController.getAllReleStates(),
+      interlocks: gpioController.getInterlocks(),
+      limits: gpioController.getLimits(),
+      photoperiods: scheduler.getPhotoperiodStatus(),
+      outputTypes: OUTPUT_TYPES,
+      metadataFields: METADATA_FIELDS,
       systemInfo,
       schedulerStatus,
       recentReadings
@@ -225,10 +243,11 @@ app.post('/api/rele/control', async (req, res) => {
 });
 
 // API para obtener datos de sensores
-app.get('/api/sensors/current', async (req, res) => {
+// Últimas lecturas del verificador del programador, sin volver a leer el hardware
+app.get('/api/sensors/current', (req, res) => {
   try {
-    const sensorData = gpioController.readDHT11();
-    res.json({ success: true, data: sensorData });
+    const sensors = gpioController.getSensorReadings();
+    res.json({ success: true, data: gpioController.getAmbientSnapshot(sensors), sensors });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -339,13 +358,11 @@ app.use((error, req, res, next) => {
 io.on('connection', (socket) => {
   console.log('Cliente conectado:', socket.id);
   
-  // Enviar datos de sensores en tiempo real
-  const sensorInterval = setInterval(async () => {
+  // Enviar en tiempo real las últimas lecturas del verificador del programador
+  const sensorInterval = setInterval(() => {
     try {
-      const sensorData = gpioController.readDHT11();
-      if (sensorData) {
-        socket.emit('sensor_data', sensorData);
-      }
+      const sensors = gpioController.getSensorReadings();
+      socket.emit('sensor_data', { ...gpioController.getAmbientSnapshot(sensors), sensors });
     } catch (error) {
       console.error('Error enviando datos de sensores:', error);
     }
@@ -18,6 +18,41 @@ const config = require('./config');
 const Database = require('./database');
 const GPIOController = require('./gpio_controller');
 const Scheduler = require('./scheduler');
+const AuthManager = require('./auth');
+const AuditLog = require('./audit');
+const SensorRegistry = require('./sensor_registry');
+const DS18B20Sensor = require('./ds18b20_sensor');
+const WaterQualityProbe = require('./water_quality');
+const { RelayError, parseReleId, OUTPUT_TYPES, METADATA_FIELDS } = require('./relays');
+const SequenceManager = require('./sequences');
+const {
+  SCHEDULE_TYPES,
+  SCHEDULE_ANCHORS,
+  normalizeSchedule,
+  normalizeScheduleGroups,
+  solarLocation,
+  solarRuns,
+  describeStart
+} = require('./schedules');
+const { solarTable } = require('./solar');
+const { PhotoperiodError, normalizeProgram, programStatus } = require('./photoperiods');
+const {
+  ConditionError,
+  conditionType,
+  normalizeCondition,
+  normalizeConditionGroups
+} = require('./conditions');
+const {
+  RuleError,
+  RULE_ACTIONS,
+  RULE_NODES,
+  RULE_OPERATORS,
+  normalizeRule,
+  collectNodes,
+  describeRule
+} = require('./rules');
+const { PidError, PID_DIRECTIONS, normalizeLoop } = require('./pid');
+const { SimulationError, LOOKBACK_MINUTES, normalizeRange, ReadingHistory, simulate } = require('./simulation');
 
 // Crear aplicación Express
 const app = express();
@@ -56,7 +91,10 @@ app.set('views', path.join(__dirname, 'views'));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Inicializar módulos del sistema
-let database, gpioController, scheduler;
+let database, gpioController, scheduler, authManager, auditLog;
+
+// Cargar usuario de la sesión (o del token de API en /api/*) en cada petición
+app.use((req, res, next) => authManager.authenticate(req, res, next));
 
 // Función de inicialización del sistema
 async function initializeSystem() {
@@ -67,14 +105,35 @@ async function initializeSystem() {
     database = new Database();
     console.log('✅ Base de datos inicializada');
     
-    // Inicializar controlador GPIO
-    gpioController = new GPIOController();
+    // Inicializar autenticación
+    authManager = new AuthManager(database);
+    await authManager.init();
+    console.log('✅ Autenticación inicializada');
+    
+    // Inicializar auditoría
+    auditLog = new AuditLog(database);
+    
+    // Inicializar controlador GPIO (comparte la base de datos)
+    gpioController = new GPIOController(database);
     console.log('✅ Controlador GPIO inicializado');
     
-    // Inicializar programador
-    scheduler = new Scheduler();
+    // Avisar a todos los clientes de los apagados automáticos por límites de seguridad
+    gpioController.on('safety_shutoff', event => io.emit('safety_shutoff', event));
+    
+    // Cuentas regresivas: lista de activaciones temporales en cada cambio
+    gpioController.on('timed_run', () => io.emit('timed_runs', gpioController.getTimedRuns()));
+    
+    // Avance de las secuencias en ejecución
+    gpioController.sequences.on('progress', run => io.emit('sequence_progress', run));
+    
+    // Inicializar programador (comparte el controlador para que el estado de relés sea único)
+    scheduler = new Scheduler(database, gpioController);
     console.log('✅ Programador de horarios inicializado');
     
+    // Gráficas en vivo de los lazos PID y fin de sus autoajustes
+    scheduler.pid.on('sample', sample => io.emit('pid_sample', sample));
+    scheduler.pid.on('autotune', event => io.emit('pid_autotune', event));
+    
     console.log('🚀 Sistema inicializado correctamente');
     
     // Guardar log de inicio
@@ -86,13 +145,274 @@ async function initializeSystem() {
   }
 }
 
+// Obtener datos del cliente para registrar sesiones
+function getClientInfo(req) {
+  return {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+// Validar destino de redirección tras el login (solo rutas locales)
+function safeRedirectPath(next) {
+  if (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//')) {
+    return next;
+  }
+  return '/';
+}
+
+// Rutas públicas de autenticación
+app.get('/login', (req, res) => {
+  if (req.user) {
+    return res.redirect('/');
+  }
+
+  res.render('login', {
+    title: 'Iniciar Sesión - Sistema de Hidroponía',
+    error: null,
+    username: '',
+    next: safeRedirectPath(req.query.next)
+  });
+});
+
+app.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+  const next = safeRedirectPath(req.body.next);
+
+  try {
+    const { token, mfaRequired } = await authManager.login(username, password, getClientInfo(req));
+    authManager.setSessionCookie(res, token);
+
+    if (mfaRequired) {
+      return res.redirect(`/login/2fa?next=${encodeURIComponent(next)}`);
+    }
+    res.redirect(next);
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error iniciando sesión:', error);
+    }
+
+    res.status(error.status || 500).render('login', {
+      title: 'Iniciar Sesión - Sistema de Hidroponía',
+      error: error instanceof AuthManager.AuthError ? error.message : 'Error interno del servidor',
+      username: username || '',
+      next
+    });
+  }
+});
+
+// Segundo paso del login para usuarios con 2FA
+app.get('/login/2fa', async (req, res) => {
+  try {
+    const challenge = await authManager.getPendingChallenge(authManager.getSessionToken(req));
+    if (!challenge) {
+      return res.redirect('/login');
+    }
+
+    res.render('login_2fa', {
+      title: 'Verificación en Dos Pasos - Sistema de Hidroponía',
+      error: null,
+      next: safeRedirectPath(req.query.next)
+    });
+  } catch (error) {
+    console.error('Error cargando verificación 2FA:', error);
+    res.status(500).render('error', { error: error.message });
+  }
+});
+
+app.post('/login/2fa', async (req, res) => {
+  const next = safeRedirectPath(req.body.next);
+
+  try {
+    const { token } = await authManager.completeTwoFactor(
+      authManager.getSessionToken(req),
+      req.body.code,
+      getClientInfo(req)
+    );
+    authManager.setSessionCookie(res, token);
+    res.redirect(next);
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error verificando 2FA:', error);
+    }
+
+    const message = error instanceof AuthManager.AuthError ? error.message : 'Error interno del servidor';
+    const challenge = await authManager.getPendingChallenge(authManager.getSessionToken(req)).catch(() => null);
+
+    // Si el desafío ya no es válido se vuelve a pedir la contraseña
+    if (!challenge) {
+      authManager.clearSessionCookie(res);
+      return res.status(error.status || 500).render('login', {
+        title: 'Iniciar Sesión - Sistema de Hidroponía',
+        error: message,
+        username: '',
+        next
+      });
+    }
+
+    res.status(error.status || 500).render('login_2fa', {
+      title: 'Verificación en Dos Pasos - Sistema de Hidroponía',
+      error: message,
+      next
+    });
+  }
+});
+
+app.post('/logout', async (req, res) => {
+  try {
+    await authManager.logout(authManager.getSessionToken(req));
+    if (req.userSession) {
+      disconnectSockets(socket => socket.userSession && socket.userSession.id === req.userSession.id);
+    }
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+  }
+
+  authManager.clearSessionCookie(res);
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({ success: true });
+  }
+  res.redirect('/login');
+});
+
+// Exigir sesión en todas las rutas siguientes
+app.use((req, res, next) => authManager.requireAuth(req, res, next));
+
+// Alcance que debe tener un token de API para cada ruta
+// (las rutas no listadas, como la gestión de cuenta y de tokens, solo aceptan sesión web)
+const API_TOKEN_SCOPES = [
+  ['GET', '/api/sensors', 'sensors:read'],
+  ['GET', '/api/sensors/ds18b20/probes', 'sensors:read'],
+  ['GET', '/api/sensors/current', 'sensors:read'],
+  ['GET', '/api/sensors/history', 'sensors:read'],
+  ['GET', /^\/api\/sensors\/[^/]+\/calibration$/, 'sensors:read'],
+  ['GET', '/api/rele/status', 'sensors:read'],
+  ['GET', '/api/outputs', 'sensors:read'],
+  ['GET', '/api/interlocks', 'sensors:read'],
+  ['GET', '/api/rele/limits', 'sensors:read'],
+  ['GET', '/api/rele/timed', 'sensors:read'],
+  ['GET', /^\/api\/rele\/timed\/[^/]+$/, 'sensors:read'],
+  ['GET', /^\/api\/rele\/[^/]+\/explain$/, 'sensors:read'],
+  ['GET', '/api/system/status', 'sensors:read'],
+  ['GET', '/api/sequences/runs', 'sensors:read'],
+  ['GET', /^\/api\/sequences\/runs\/[^/]+$/, 'sensors:read'],
+  ['POST', '/api/rele/control', 'relays:control'],
+  ['POST', '/api/rele/toggle', 'relays:control'],
+  ['POST', '/api/rele/timed', 'relays:control'],
+  ['PATCH', /^\/api\/rele\/timed\/[^/]+$/, 'relays:control'],
+  ['DELETE', /^\/api\/rele\/timed\/[^/]+$/, 'relays:control'],
+  ['POST', /^\/api\/sequences\/[^/]+\/run$/, 'relays:control'],
+  ['POST', /^\/api\/sequences\/runs\/[^/]+\/(pause|resume|abort)$/, 'relays:control'],
+  ['GET', '/api/logs', 'system:read'],
+  ['GET', '/api/scheduler/schedules', 'system:read'],
+  ['GET', '/api/scheduler/conditions', 'system:read'],
+  ['GET', '/api/scheduler/status', 'system:read'],
+  ['GET', '/api/scheduler/solar', 'system:read'],
+  ['GET', '/api/photoperiods', 'system:read'],
+  ['GET', /^\/api\/photoperiods\/[^/]+$/, 'system:read'],
+  ['GET', '/api/rules', 'system:read'],
+  ['GET', /^\/api\/rules\/[^/]+$/, 'system:read'],
+  ['POST', '/api/simulation', 'system:read'],
+  ['GET', '/api/pid', 'system:read'],
+  ['GET', /^\/api\/pid\/[^/]+$/, 'system:read'],
+  ['GET', '/api/audit', 'system:read'],
+  ['GET', '/api/sequences', 'system:read'],
+  ['GET', /^\/api\/sequences\/[^/]+$/, 'system:read'],
+  ['POST', '/api/schedule', 'system:admin'],
+  ['POST', '/api/condition', 'system:admin'],
+  ['POST', '/api/backup', 'system:admin'],
+  ['POST', '/api/system/control', 'system:admin'],
+  ['POST', '/api/scheduler/schedules', 'system:admin'],
+  ['POST', '/api/scheduler/conditions', 'system:admin'],
+  ['POST', '/api/scheduler/start', 'system:admin'],
+  ['POST', '/api/scheduler/stop', 'system:admin'],
+  ['POST', '/api/sensors', 'system:admin'],
+  ['PUT', /^\/api\/outputs\/[^/]+$/, 'system:admin'],
+  ['DELETE', /^\/api\/outputs\/[^/]+$/, 'system:admin'],
+  ['DELETE', /^\/api\/sensors\/[^/]+$/, 'system:admin'],
+  ['POST', '/api/sequences', 'system:admin'],
+  ['PUT', /^\/api\/sequences\/[^/]+$/, 'system:admin'],
+  ['DELETE', /^\/api\/sequences\/[^/]+$/, 'system:admin'],
+  ['POST', '/api/photoperiods', 'system:admin'],
+  ['PUT', /^\/api\/photoperiods\/[^/]+$/, 'system:admin'],
+  ['DELETE', /^\/api\/photoperiods\/[^/]+$/, 'system:admin'],
+  ['POST', '/api/rules', 'system:admin'],
+  ['PUT', /^\/api\/rules\/[^/]+$/, 'system:admin'],
+  ['DELETE', /^\/api\/rules\/[^/]+$/, 'system:admin'],
+  ['POST', '/api/pid', 'system:admin'],
+  ['PUT', /^\/api\/pid\/[^/]+$/, 'system:admin'],
+  ['DELETE', /^\/api\/pid\/[^/]+$/, 'system:admin'],
+  ['POST', /^\/api\/pid\/[^/]+\/autotune$/, 'system:admin'],
+  ['DELETE', /^\/api\/pid\/[^/]+\/autotune$/, 'system:admin'],
+  ['POST', /^\/api\/sensors\/[^/]+\/calibration\/(start|point|finish|cancel|reset)$/, 'system:admin']
+];
+
+app.use((req, res, next) => authManager.requireTokenScope(API_TOKEN_SCOPES)(req, res, next));
+
+// Exigir un rol mínimo para una ruta
+function requireRole(role) {
+  return (req, res, next) => authManager.requireRole(role)(req, res, next);
+}
+
+// Rol mínimo requerido por cada acción de /api/system/control
+const SYSTEM_ACTION_ROLES = {
+  restart_scheduler: 'admin',
+  create_backup: 'admin',
+  test_gpio: 'operator'
+};
+
 // Rutas de la aplicación
 app.get('/', (req, res) => {
-    res.render('index', { title: 'Dashboard - Sistema de Hidroponía' });
+    res.render('index', {
+      title: 'Dashboard - Sistema de Hidroponía',
+      sensors: gpioController.sensors.list(),
+      relays: gpioController.getAllReleStates(),
+      interlocks: gpioController.getInterlocks(),
+      limits: gpioController.getLimits(),
+      photoperiods: scheduler.getPhotoperiodStatus(),
+      outputTypes: OUTPUT_TYPES,
+      metadataFields: METADATA_FIELDS
+    });
 });
 
-app.get('/scheduler', (req, res) => {
-    res.render('scheduler', { title: 'Programador - Sistema de Hidroponía' });
+app.get('/scheduler', async (req, res) => {
+  try {
+    res.render('scheduler', {
+      title: 'Programador - Sistema de Hidroponía',
+      sensors: gpioController.sensors.list(),
+      relays: gpioController.getRelays(),
+      sequences: await database.getSequences(),
+      outputTypes: OUTPUT_TYPES,
+      scheduleTypes: SCHEDULE_TYPES,
+      scheduleAnchors: SCHEDULE_ANCHORS,
+      ruleActions: RULE_ACTIONS,
+      ruleNodes: RULE_NODES,
+      ruleOperators: RULE_OPERATORS
+    });
+  } catch (error) {
+    console.error('Error renderizando programador:', error);
+    res.status(500).render('error', { error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/sequences', (req, res) => {
+    res.render('sequences', {
+      title: 'Secuencias - Sistema de Hidroponía',
+      relays: gpioController.getRelays(),
+      outputTypes: OUTPUT_TYPES,
+      stepTypes: SequenceManager.STEP_TYPES
+    });
+});
+
+app.get('/pid', (req, res) => {
+    res.render('pid', {
+      title: 'Control PID - Sistema de Hidroponía',
+      sensors: gpioController.sensors.list(),
+      relays: gpioController.getRelays(),
+      outputTypes: OUTPUT_TYPES,
+      directions: PID_DIRECTIONS
+    });
 });
 
 app.get('/profile', (req, res) => {
@@ -100,7 +420,24 @@ app.get('/profile', (req, res) => {
 });
 
 app.get('/security', (req, res) => {
-    res.render('security', { title: 'Seguridad - Sistema de Hidroponía' });
+    res.render('security', {
+      title: 'Seguridad - Sistema de Hidroponía',
+      apiScopes: AuthManager.API_SCOPES
+    });
+});
+
+app.get('/audit', requireRole('admin'), (req, res) => {
+    res.render('audit', {
+      title: 'Auditoría - Sistema de Hidroponía',
+      auditSources: AuditLog.AUDIT_SOURCES
+    });
+});
+
+app.get('/calibration', requireRole('admin'), (req, res) => {
+    res.render('calibration', {
+      title: 'Calibración de Sondas - Sistema de Hidroponía',
+      probes: gpioController.sensors.list().filter(sensor => sensor.type === 'ph' || sensor.type === 'ec')
+    });
 });
 
 app.get('/programacion', async (req, res) => {
@@ -131,7 +468,7 @@ app.get('/condiciones', async (req, res) => {
 
 app.get('/monitoreo', async (req, res) => {
   try {
-    const recentReadings = await database.getRecentSensorReadings(100);
+    const recentReadings = await database.getRecentReadings({}, 100);
     const systemLogs = await database.getSystemLogs(50);
     const releStates = gpioController.getAllReleStates();
     
@@ -163,8 +500,16 @@ app.get('/configuracion', async (req, res) => {
   }
 });
 
+// Respuesta de error de las APIs de relés (los ids inválidos son errores del cliente)
+function sendRelayError(res, error, message) {
+  if (!(error instanceof RelayError)) {
+    console.error(message, error);
+  }
+  res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
 // API para control de relés
-app.post('/api/rele/control', async (req, res) => {
+app.post('/api/rele/control', requireRole('operator'), async (req, res) => {
   try {
     const { releId, state, reason } = req.body;
     
@@ -172,22 +517,21 @@ app.post('/api/rele/control', async (req, res) => {
       return res.status(400).json({ error: 'Parámetros inválidos' });
     }
     
-    const success = gpioController.controlRele(releId, state, reason);
+    const success = gpioController.controlRele(releId, state, reason, AuditLog.fromRequest(req));
     
     if (success) {
-      res.json({ success: true, message: `Relé ${releId} ${state ? 'activado' : 'desactivado'}` });
+      res.json({ success: true, message: `${gpioController.getReleName(releId)} ${state ? 'activado' : 'desactivado'}` });
     } else {
       res.status(500).json({ error: 'Error controlando relé' });
     }
     
   } catch (error) {
-    console.error('Error en API de control de relé:', error);
-    res.status(500).json({ error: error.message });
+    sendRelayError(res, error, 'Error en API de control de relé:');
   }
 });
 
 // API para alternar relé
-app.post('/api/rele/toggle', async (req, res) => {
+app.post('/api/rele/toggle', requireRole('operator'), async (req, res) => {
   try {
     const { releId } = req.body;
     
@@ -195,7 +539,7 @@ app.post('/api/rele/toggle', async (req, res) => {
       return res.status(400).json({ error: 'ID de relé requerido' });
     }
     
-    const success = gpioController.toggleRele(releId);
+    const success = gpioController.toggleRele(releId, 'Alternancia manual', AuditLog.fromRequest(req));
     
     if (success) {
       const newState = gpioController.getReleState(releId);
@@ -205,13 +549,12 @@ app.post('/api/rele/toggle', async (req, res) => {
     }
     
   } catch (error) {
-    console.error('Error en API de alternancia de relé:', error);
-    res.status(500).json({ error: error.message });
+    sendRelayError(res, error, 'Error en API de alternancia de relé:');
   }
 });
 
 // API para activación temporal
-app.post('/api/rele/timed', async (req, res) => {
+app.post('/api/rele/timed', requireRole('operator'), async (req, res) => {
   try {
     const { releId, duration, reason } = req.body;
     
@@ -219,13 +562,57 @@ app.post('/api/rele/timed', async (req, res) => {
       return res.status(400).json({ error: 'Parámetros inválidos' });
     }
     
-    gpioController.activateReleTimed(releId, duration, reason);
+    const run = gpioController.activateReleTimed(releId, duration, reason, AuditLog.fromRequest(req));
     
-    res.json({ success: true, message: `Relé ${releId} activado por ${duration} segundos` });
+    res.json({ success: true, message: `${gpioController.getReleName(releId)} activado por ${duration} segundos`, run });
     
   } catch (error) {
-    console.error('Error en API de activación temporal:', error);
-    res.status(500).json({ error: error.message });
+    sendRelayError(res, error, 'Error en API de activación temporal:');
+  }
+});
+
+// Activaciones temporales en curso con el tiempo restante
+app.get('/api/rele/timed', (req, res) => {
+  res.json({ success: true, runs: gpioController.getTimedRuns() });
+});
+
+app.get('/api/rele/timed/:id', (req, res) => {
+  try {
+    res.json({ success: true, run: gpioController.getTimedRun(req.params.id) });
+  } catch (error) {
+    sendRelayError(res, error, 'Error obteniendo activación temporal:');
+  }
+});
+
+// Extender una activación temporal ({ seconds })
+app.patch('/api/rele/timed/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const before = gpioController.getTimedRun(req.params.id);
+    const run = gpioController.extendTimedRun(req.params.id, req.body.seconds, AuditLog.fromRequest(req));
+    await auditLog.record(AuditLog.fromRequest(req), 'rele.timed.extend', {
+      target: `rele:${run.releId}`,
+      before: { endsAt: before.endsAt },
+      after: { endsAt: run.endsAt },
+      details: run.reason
+    });
+    res.json({ success: true, run });
+  } catch (error) {
+    sendRelayError(res, error, 'Error extendiendo activación temporal:');
+  }
+});
+
+// Cancelar una activación temporal (apaga la salida)
+app.delete('/api/rele/timed/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const run = gpioController.cancelTimedRun(req.params.id, AuditLog.fromRequest(req));
+    await auditLog.record(AuditLog.fromRequest(req), 'rele.timed.cancel', {
+      target: `rele:${run.releId}`,
+      before: { endsAt: run.endsAt, remaining: run.remaining },
+      details: run.reason
+    });
+    res.json({ success: true, run });
+  } catch (error) {
+    sendRelayError(res, error, 'Error cancelando activación temporal:');
   }
 });
 
@@ -240,15 +627,317 @@ app.get('/api/rele/status', (req, res) => {
   }
 });
 
+// API de salidas: nombre, tipo de dispositivo y datos propios de cada relé
+app.get('/api/outputs', (req, res) => {
+  res.json({
+    success: true,
+    outputs: gpioController.getRelays(),
+    types: OUTPUT_TYPES,
+    metadataFields: METADATA_FIELDS
+  });
+});
+
+app.put('/api/outputs/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const releId = parseReleId(req.params.id, gpioController.relays);
+    const before = gpioController.getRelays()[releId - 1];
+    const output = await gpioController.saveOutput(releId, req.body, req.user ? req.user.username : null);
+    await auditLog.record(AuditLog.fromRequest(req), 'output.update', {
+      target: `rele:${releId}`,
+      before: { name: before.name, type: before.type, metadata: before.metadata },
+      after: { name: output.name, type: output.type, metadata: output.metadata }
+    });
+    res.json({ success: true, output });
+  } catch (error) {
+    sendRelayError(res, error, 'Error guardando salida:');
+  }
+});
+
+app.delete('/api/outputs/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const releId = parseReleId(req.params.id, gpioController.relays);
+    const before = gpioController.getRelays()[releId - 1];
+    const output = await gpioController.resetOutput(releId);
+    await auditLog.record(AuditLog.fromRequest(req), 'output.reset', {
+      target: `rele:${releId}`,
+      before: { name: before.name, type: before.type, metadata: before.metadata },
+      after: { name: output.name, type: output.type, metadata: output.metadata }
+    });
+    res.json({ success: true, output });
+  } catch (error) {
+    sendRelayError(res, error, 'Error restableciendo salida:');
+  }
+});
+
+// Enclavamientos configurados entre relés
+app.get('/api/interlocks', (req, res) => {
+  res.json({ success: true, interlocks: gpioController.getInterlocks() });
+});
+
+// Límites de seguridad por relé con el tiempo encendido de hoy
+app.get('/api/rele/limits', (req, res) => {
+  res.json({ success: true, limits: gpioController.getLimits() });
+});
+
+// ¿Por qué está encendido este relé? Causa del último cambio, lecturas de ese momento,
+// otras fuentes que lo piden encendido y los últimos cambios (?limit=, hasta 100)
+app.get('/api/rele/:id/explain', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    res.json({ success: true, explanation: await scheduler.explainRele(req.params.id, limit) });
+  } catch (error) {
+    sendRelayError(res, error, 'Error explicando el estado del relé:');
+  }
+});
+
+// Secuencias de relés con nombre (recetas)
+app.get('/api/sequences', async (req, res) => {
+  try {
+    res.json({ success: true, sequences: await gpioController.sequences.list() });
+  } catch (error) {
+    sendRelayError(res, error, 'Error obteniendo secuencias:');
+  }
+});
+
+// Ejecuciones en curso y recientes
+app.get('/api/sequences/runs', (req, res) => {
+  res.json({ success: true, runs: gpioController.sequences.getRuns() });
+});
+
+app.get('/api/sequences/runs/:runId', (req, res) => {
+  try {
+    res.json({ success: true, run: gpioController.sequences.getRun(req.params.runId) });
+  } catch (error) {
+    sendRelayError(res, error, 'Error obteniendo ejecución de secuencia:');
+  }
+});
+
+app.get('/api/sequences/:id', async (req, res) => {
+  try {
+    res.json({ success: true, sequence: await gpioController.sequences.get(req.params.id) });
+  } catch (error) {
+    sendRelayError(res, error, 'Error obteniendo secuencia:');
+  }
+});
+
+app.post('/api/sequences', requireRole('admin'), async (req, res) => {
+  try {
+    const sequence = await gpioController.sequences.save(null, req.body, req.user ? req.user.username : null);
+    await auditLog.record(AuditLog.fromRequest(req), 'sequence.create', {
+      target: `sequence:${sequence.id}`,
+      after: { name: sequence.name, description: sequence.description, steps: sequence.steps }
+    });
+    res.json({ success: true, sequence });
+  } catch (error) {
+    sendRelayError(res, error, 'Error creando secuencia:');
+  }
+});
+
+app.put('/api/sequences/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const before = await gpioController.sequences.get(req.params.id);
+    const sequence = await gpioController.sequences.save(req.params.id, req.body, req.user ? req.user.username : null);
+    await auditLog.record(AuditLog.fromRequest(req), 'sequence.update', {
+      target: `sequence:${sequence.id}`,
+      before: { name: before.name, description: before.description, steps: before.steps },
+      after: { name: sequence.name, description: sequence.description, steps: sequence.steps }
+    });
+    res.json({ success: true, sequence });
+  } catch (error) {
+    sendRelayError(res, error, 'Error guardando secuencia:');
+  }
+});
+
+app.delete('/api/sequences/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const sequence = await gpioController.sequences.delete(req.params.id);
+    await auditLog.record(AuditLog.fromRequest(req), 'sequence.delete', {
+      target: `sequence:${sequence.id}`,
+      before: { name: sequence.name, description: sequence.description, steps: sequence.steps }
+    });
+    res.json({ success: true, message: 'Secuencia eliminada' });
+  } catch (error) {
+    sendRelayError(res, error, 'Error eliminando secuencia:');
+  }
+});
+
+// Ejecutar una secuencia guardada
+app.post('/api/sequences/:id/run', requireRole('operator'), async (req, res) => {
+  try {
+    const run = await gpioController.sequences.start(req.params.id, AuditLog.fromRequest(req));
+    await auditLog.record(AuditLog.fromRequest(req), 'sequence.run', {
+      target: `sequence:${run.sequenceId}`,
+      details: run.name
+    });
+    res.json({ success: true, run });
+  } catch (error) {
+    sendRelayError(res, error, 'Error ejecutando secuencia:');
+  }
+});
+
+// Pausar, reanudar o abortar una ejecución (abortar apaga las salidas que encendió)
+app.post('/api/sequences/runs/:runId/:action(pause|resume|abort)', requireRole('operator'), async (req, res) => {
+  try {
+    const { action } = req.params;
+    const run = gpioController.sequences[action](req.params.runId, AuditLog.fromRequest(req));
+    await auditLog.record(AuditLog.fromRequest(req), `sequence.${action}`, {
+      target: `sequence:${run.sequenceId}`,
+      details: `${run.name} (paso ${run.step}/${run.totalSteps})`
+    });
+    res.json({ success: true, run });
+  } catch (error) {
+    sendRelayError(res, error, 'Error controlando ejecución de secuencia:');
+  }
+});
+
+// API de sensores registrados
+app.get('/api/sensors', async (req, res) => {
+  try {
+    const stored = await database.getSensorDefinitions();
+    res.json({
+      success: true,
+      sensors: gpioController.sensors.list(),
+      disabled: stored.filter(definition => !definition.enabled),
+      drivers: SensorRegistry.getDrivers()
+    });
+  } catch (error) {
+    console.error('Error obteniendo sensores:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sondas DS18B20 detectadas en el bus 1-Wire y el sensor al que están asignadas
+app.get('/api/sensors/ds18b20/probes', (req, res) => {
+  try {
+    const assigned = gpioController.sensors.list().filter(sensor => sensor.type === 'ds18b20');
+    const probes = DS18B20Sensor.discoverProbes(config.sensors.w1DevicesPath).map(address => {
+      const sensor = assigned.find(s => s.definition.address === address);
+      return { address, sensorId: sensor ? sensor.id : null, name: sensor ? sensor.name : null };
+    });
+    res.json({ success: true, probes });
+  } catch (error) {
+    console.error('Error buscando sondas DS18B20:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/sensors', requireRole('admin'), async (req, res) => {
+  try {
+    const before = gpioController.sensors.describe(String(req.body.id || '').toLowerCase());
+    const sensor = await gpioController.saveSensor(req.body);
+    await auditLog.record(AuditLog.fromRequest(req), 'sensor.save', {
+      target: `sensor:${sensor.id}`,
+      before: before ? before.definition : null,
+      after: sensor.definition || sensor
+    });
+    res.json({ success: true, sensor });
+  } catch (error) {
+    if (!(error instanceof SensorRegistry.SensorError)) {
+      console.error('Error guardando sensor:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/sensors/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const before = gpioController.sensors.describe(req.params.id);
+    await gpioController.deleteSensor(req.params.id);
+    await auditLog.record(AuditLog.fromRequest(req), 'sensor.delete', {
+      target: `sensor:${req.params.id}`,
+      before: before ? before.definition : null
+    });
+    res.json({ success: true, message: 'Sensor eliminado' });
+  } catch (error) {
+    if (!(error instanceof SensorRegistry.SensorError)) {
+      console.error('Error eliminando sensor:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Calibración guiada de sondas de pH y EC
+function sendCalibrationError(res, error, message) {
+  if (!(error instanceof WaterQualityProbe.CalibrationError)) {
+    console.error(message, error);
+  }
+  res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
+app.get('/api/sensors/:id/calibration', async (req, res) => {
+  try {
+    const status = await gpioController.calibration.getStatus(req.params.id);
+    const history = await database.getCalibrationHistory(req.params.id);
+    res.json({ success: true, ...status, history });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Error obteniendo calibración:');
+  }
+});
+
+app.post('/api/sensors/:id/calibration/start', requireRole('admin'), (req, res) => {
+  try {
+    const session = gpioController.calibration.start(req.params.id, req.user ? req.user.username : null);
+    res.json({ success: true, session });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Error iniciando calibración:');
+  }
+});
+
+app.post('/api/sensors/:id/calibration/point', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await gpioController.calibration.capturePoint(req.params.id, req.body.reference);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Error capturando punto de calibración:');
+  }
+});
+
+app.post('/api/sensors/:id/calibration/finish', requireRole('admin'), async (req, res) => {
+  try {
+    const before = await database.getLatestCalibration(req.params.id);
+    const calibration = await gpioController.calibration.finish(req.params.id, req.user ? req.user.username : null);
+    await auditLog.record(AuditLog.fromRequest(req), 'sensor.calibrate', {
+      target: `sensor:${req.params.id}`,
+      before: before ? before.coefficients : null,
+      after: calibration.coefficients
+    });
+    res.json({ success: true, calibration });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Error guardando calibración:');
+  }
+});
+
+app.post('/api/sensors/:id/calibration/cancel', requireRole('admin'), (req, res) => {
+  const cancelled = gpioController.calibration.cancel(req.params.id);
+  res.json({ success: true, cancelled });
+});
+
+app.post('/api/sensors/:id/calibration/reset', requireRole('admin'), async (req, res) => {
+  try {
+    const before = await database.getLatestCalibration(req.params.id);
+    await gpioController.calibration.reset(req.params.id, req.user ? req.user.username : null);
+    await auditLog.record(AuditLog.fromRequest(req), 'sensor.calibration_reset', {
+      target: `sensor:${req.params.id}`,
+      before: before ? before.coefficients : null
+    });
+    res.json({ success: true, message: 'Calibración restablecida a valores nominales' });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Error restableciendo calibración:');
+  }
+});
+
 // API para obtener datos de sensores
-app.get('/api/sensors/current', async (req, res) => {
+// data conserva el formato original (temperatura y humedad ambiente)
+// Son las últimas lecturas del verificador del programador; no se vuelve a leer el hardware
+app.get('/api/sensors/current', (req, res) => {
   try {
-    const sensorData = gpioController.readDHT11();
+    const sensors = gpioController.getSensorReadings();
+    const data = gpioController.getAmbientSnapshot(sensors);
     
-    if (sensorData) {
-      res.json({ success: true, data: sensorData });
+    if (sensors.some(sensor => !sensor.error && sensor.values)) {
+      res.json({ success: true, data, sensors });
     } else {
-      res.status(500).json({ error: 'Error leyendo sensor' });
+      res.status(500).json({ error: 'Error leyendo sensores', sensors });
     }
     
   } catch (error) {
@@ -257,15 +946,17 @@ app.get('/api/sensors/current', async (req, res) => {
   }
 });
 
+// Historial de lecturas, filtrable por sensor y métrica
 app.get('/api/sensors/history', async (req, res) => {
   try {
-    const { limit = 100, startDate, endDate } = req.query;
+    const { limit = 100, startDate, endDate, sensor, metric } = req.query;
+    const filters = { sensorId: sensor, metric, startDate, endDate };
     
     let readings;
     if (startDate && endDate) {
-      readings = await database.getSensorReadingsByDateRange(startDate, endDate);
+      readings = await database.getReadingsByDateRange(filters);
     } else {
-      readings = await database.getRecentSensorReadings(parseInt(limit));
+      readings = await database.getRecentReadings(filters, parseInt(limit) || 100);
     }
     
     res.json({ success: true, readings });
@@ -277,46 +968,71 @@ app.get('/api/sensors/history', async (req, res) => {
 });
 
 // API para programación de horarios
-app.post('/api/schedule', async (req, res) => {
+app.post('/api/schedule', requireRole('admin'), async (req, res) => {
   try {
-    const schedule = req.body;
-    
-    if (!schedule.rele_id || !schedule.start_time || !schedule.end_time) {
-      return res.status(400).json({ error: 'Parámetros incompletos' });
+    // { releId, time, duration (minutos) u endTime, days, enabled, sequenceId }
+    const releId = parseReleId(req.body.releId, gpioController.relays);
+    const schedule = { releId, ...normalizeSchedule(req.body) };
+    if (schedule.anchor !== 'clock') {
+      solarLocation(config.scheduling);
     }
+    await validateSequenceRefs({ [releId]: [schedule] });
     
     const scheduleId = await database.saveSchedule(schedule);
+    await auditLog.record(AuditLog.fromRequest(req), 'schedule.create', {
+      target: `schedule:${scheduleId}`,
+      after: schedule
+    });
     
-    // Recargar programador
-    await scheduler.restart();
+    // Recargar horarios
+    await scheduler.reloadSchedules();
     
     res.json({ success: true, scheduleId });
     
   } catch (error) {
-    console.error('Error guardando horario:', error);
-    res.status(500).json({ error: error.message });
+    sendRelayError(res, error, 'Error guardando horario:');
   }
 });
 
 // API para condiciones de activación
-app.post('/api/condition', async (req, res) => {
+// Validar la condición de un relé:
+// { releId, type (tempMax, humidityMin...) o metric y operator (> o <), value, offValue,
+//   duration, dwellMinutes, cooldownMinutes, sensorId, enabled, sequenceId }
+function parseConditionBody(body) {
+  const releId = parseReleId(body.releId, gpioController.relays);
+  const { metric, operator } = body;
+  const type = body.type || (metric && ['>', '<'].includes(operator) ? conditionType(metric, operator) : undefined);
+  const condition = normalizeCondition(type, body);
+  validateConditionSensors({ [releId]: { [type]: condition } });
+  return { releId, type, condition };
+}
+
+app.post('/api/condition', requireRole('admin'), async (req, res) => {
   try {
-    const condition = req.body;
-    
-    if (!condition.rele_id || !condition.condition_type || !condition.threshold_value) {
-      return res.status(400).json({ error: 'Parámetros incompletos' });
-    }
-    
-    const conditionId = await database.saveCondition(condition);
+    const { releId, type, condition } = parseConditionBody(req.body);
+    await validateSequenceRefs({ [releId]: [condition] });
+
+    // Una condición por relé y tipo: si ya existe, se reemplaza
+    const releCount = gpioController.relays.length;
+    const conditions = await database.getConditions(releCount);
+    const before = conditions[releId][type] || null;
+    conditions[releId][type] = condition;
+    await database.saveConditions(conditions);
+
+    const saved = (await database.getConditions(releCount))[releId][type];
+    await auditLog.record(AuditLog.fromRequest(req), before ? 'condition.update' : 'condition.create', {
+      target: `condition:${saved.id}`,
+      before,
+      after: { releId, ...condition }
+    });
     
-    // Recargar programador
-    await scheduler.restart();
+    // Recargar condiciones
+    await scheduler.reloadConditions();
     
-    res.json({ success: true, conditionId });
+    res.json({ success: true, conditionId: saved.id });
     
   } catch (error) {
-    console.error('Error guardando condición:', error);
-    res.status(500).json({ error: error.message });
+    sendRelayError(res, error, 'Error guardando condición:');
   }
 });
 
@@ -332,10 +1048,23 @@ app.get('/api/logs', async (req, res) => {
   }
 });
 
+// API de auditoría (quién cambió qué)
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const { actor, source, action, target, from, to, limit, offset } = req.query;
+    const result = await auditLog.query({ actor, source, action, target, from, to, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error obteniendo auditoría:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // API para respaldo manual
-app.post('/api/backup', async (req, res) => {
+app.post('/api/backup', requireRole('admin'), async (req, res) => {
   try {
     const backupPath = await database.createBackup();
+    await auditLog.record(AuditLog.fromRequest(req), 'backup.create', { after: { backupPath } });
     res.json({ success: true, backupPath });
   } catch (error) {
     console.error('Error creando respaldo:', error);
@@ -367,19 +1096,25 @@ app.post('/api/system/control', async (req, res) => {
   try {
     const { action } = req.body;
     
+    if (SYSTEM_ACTION_ROLES[action] && !authManager.hasRole(req.user, SYSTEM_ACTION_ROLES[action])) {
+      return res.status(403).json({ error: `Permiso denegado: se requiere rol ${SYSTEM_ACTION_ROLES[action]}` });
+    }
+    
     switch (action) {
       case 'restart_scheduler':
         await scheduler.restart();
+        await auditLog.record(AuditLog.fromRequest(req), 'scheduler.restart');
         res.json({ success: true, message: 'Programador reiniciado' });
         break;
         
       case 'create_backup':
         const backupPath = await database.createBackup();
+        await auditLog.record(AuditLog.fromRequest(req), 'backup.create', { after: { backupPath } });
         res.json({ success: true, backupPath });
         break;
         
       case 'test_gpio':
-        const testResults = gpioController.testGPIOConnections();
+        const testResults = await gpioController.testGPIOConnections();
         res.json({ success: true, testResults });
         break;
         
@@ -393,10 +1128,306 @@ app.post('/api/system/control', async (req, res) => {
   }
 });
 
-// APIs del Programador
+// APIs de cuenta de usuario
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+app.put('/api/profile', async (req, res) => {
+  try {
+    const profile = {
+      first_name: req.body.first_name || null,
+      last_name: req.body.last_name || null,
+      email: req.body.email || null,
+      phone: req.body.phone || null,
+      bio: req.body.bio || null,
+      timezone: req.body.timezone || null,
+      language: req.body.language || 'es'
+    };
+
+    await database.updateUserProfile(req.user.id, profile);
+    res.json({ success: true, user: { ...req.user, ...profile } });
+  } catch (error) {
+    console.error('Error actualizando perfil:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await authManager.changePassword(req.user.id, currentPassword, newPassword);
+    await auditLog.record(AuditLog.fromRequest(req), 'user.password', { target: `user:${req.user.id}` });
+    res.json({ success: true, message: 'Contraseña actualizada correctamente' });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error cambiando contraseña:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/auth/2fa', async (req, res) => {
+  try {
+    const status = await authManager.getTwoFactorStatus(req.user.id);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error obteniendo estado de 2FA:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/setup', async (req, res) => {
+  try {
+    const setup = await authManager.setupTwoFactor(req.user.id);
+    res.json({ success: true, ...setup });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error configurando 2FA:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/enable', async (req, res) => {
+  try {
+    const recoveryCodes = await authManager.enableTwoFactor(req.user.id, req.body.code);
+    await auditLog.record(AuditLog.fromRequest(req), 'user.2fa', {
+      target: `user:${req.user.id}`,
+      before: { enabled: false },
+      after: { enabled: true }
+    });
+    res.json({ success: true, message: 'Autenticación en dos pasos activada', recoveryCodes });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error activando 2FA:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/disable', async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    await authManager.disableTwoFactor(req.user.id, password, code);
+    await auditLog.record(AuditLog.fromRequest(req), 'user.2fa', {
+      target: `user:${req.user.id}`,
+      before: { enabled: true },
+      after: { enabled: false }
+    });
+    res.json({ success: true, message: 'Autenticación en dos pasos desactivada' });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error desactivando 2FA:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', async (req, res) => {
+  try {
+    const recoveryCodes = await authManager.regenerateRecoveryCodes(req.user.id, req.body.code);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error regenerando códigos de recuperación:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/auth/sessions', async (req, res) => {
+  try {
+    const sessions = await authManager.getSessions(req.user.id, req.userSession.id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Error obteniendo sesiones:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', async (req, res) => {
+  try {
+    await authManager.revokeSession(req.user.id, parseInt(req.params.id));
+    disconnectSockets(socket => socket.userSession && socket.userSession.id === parseInt(req.params.id));
+    res.json({ success: true, message: 'Sesión terminada' });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error terminando sesión:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// APIs de tokens para clientes sin sesión interactiva (scripts y otros controladores)
+app.get('/api/tokens', async (req, res) => {
+  try {
+    const tokens = await authManager.getApiTokens(req.user.id);
+    res.json({ success: true, tokens });
+  } catch (error) {
+    console.error('Error obteniendo tokens de API:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/tokens', async (req, res) => {
+  try {
+    const { label, scopes } = req.body;
+    const apiToken = await authManager.createApiToken(req.user.id, label, scopes);
+    await auditLog.record(AuditLog.fromRequest(req), 'token.create', {
+      target: `token:${apiToken.id}`,
+      after: { label: apiToken.label, scopes: apiToken.scopes }
+    });
+    res.json({ success: true, message: 'Token creado. Cópielo ahora, no se volverá a mostrar', ...apiToken });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error creando token de API:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  try {
+    await authManager.revokeApiToken(req.user.id, parseInt(req.params.id));
+    disconnectSockets(socket => socket.apiToken && socket.apiToken.id === parseInt(req.params.id));
+    await auditLog.record(AuditLog.fromRequest(req), 'token.revoke', { target: `token:${req.params.id}` });
+    res.json({ success: true, message: 'Token revocado' });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error revocando token de API:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// APIs de gestión de usuarios (solo administradores)
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await authManager.getUsers();
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('Error obteniendo usuarios:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role, first_name, last_name, email } = req.body;
+    const userId = await authManager.createUser({
+      username,
+      password,
+      role,
+      firstName: first_name,
+      lastName: last_name,
+      email
+    });
+    await auditLog.record(AuditLog.fromRequest(req), 'user.create', {
+      target: `user:${userId}`,
+      after: { username, role: role || 'viewer' }
+    });
+    res.json({ success: true, userId });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error creando usuario:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/users/:id/role', requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const previous = await database.getUserById(userId);
+
+    await authManager.updateUserRole(userId, req.body.role);
+    await auditLog.record(AuditLog.fromRequest(req), 'user.role', {
+      target: `user:${userId}`,
+      before: { role: previous.role },
+      after: { role: req.body.role },
+      details: previous.username
+    });
+    res.json({ success: true, message: 'Rol actualizado' });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error actualizando rol:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (userId === req.user.id) {
+      return res.status(400).json({ success: false, error: 'No puede eliminar su propio usuario' });
+    }
+
+    const previous = await database.getUserById(userId);
+
+    await authManager.deleteUser(userId);
+    disconnectSockets(socket => socket.user.id === userId);
+    await auditLog.record(AuditLog.fromRequest(req), 'user.delete', {
+      target: `user:${userId}`,
+      before: { username: previous.username, role: previous.role }
+    });
+    res.json({ success: true, message: 'Usuario eliminado' });
+  } catch (error) {
+    if (!(error instanceof AuthManager.AuthError)) {
+      console.error('Error eliminando usuario:', error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// APIs del Programador
+
+/**
+ * Verificar que un objeto agrupado por relé solo use relés configurados
+ */
+function validateReleGroups(grouped) {
+    if (!grouped || typeof grouped !== 'object' || Array.isArray(grouped)) {
+        throw new RelayError('Se esperaba un objeto agrupado por relé');
+    }
+    Object.keys(grouped).forEach(releId => parseReleId(releId, gpioController.relays));
+    return grouped;
+}
+
+/**
+ * Verificar que existan las secuencias que disparan los horarios o condiciones agrupados por relé
+ */
+async function validateSequenceRefs(grouped) {
+    const ids = new Set(Object.values(grouped)
+        .flatMap(group => Array.isArray(group) ? group : [group])
+        .map(entry => entry && entry.sequenceId)
+        .filter(Boolean));
+
+    for (const id of ids) {
+        if (!await database.getSequence(Number(id))) {
+            throw new SequenceManager.SequenceError(`Secuencia no encontrada: ${id}`);
+        }
+    }
+    return grouped;
+}
+
+/**
+ * Verificar que existan los sensores elegidos por las condiciones agrupadas por relé y tipo
+ */
+function validateConditionSensors(grouped) {
+    Object.values(grouped).forEach(group => Object.values(group).forEach(condition => {
+        if (condition.sensorId && !gpioController.sensors.has(condition.sensorId)) {
+            throw new ConditionError(`Sensor no registrado: ${condition.sensorId}`);
+        }
+    }));
+    return grouped;
+}
+
 app.get('/api/scheduler/schedules', async (req, res) => {
     try {
-        const schedules = await database.getSchedules();
+        const schedules = await database.getSchedules(gpioController.relays.length);
         res.json({ success: true, schedules: schedules });
     } catch (error) {
         console.error('Error obteniendo horarios:', error);
@@ -404,20 +1435,30 @@ app.get('/api/scheduler/schedules', async (req, res) => {
     }
 });
 
-app.post('/api/scheduler/schedules', async (req, res) => {
+app.post('/api/scheduler/schedules', requireRole('admin'), async (req, res) => {
     try {
-        const { schedules } = req.body;
+        validateReleGroups(req.body.schedules);
+        const schedules = await validateSequenceRefs(normalizeScheduleGroups(req.body.schedules, gpioController.relays, config.scheduling));
+        const releCount = gpioController.relays.length;
+        const previous = await database.getSchedules(releCount);
         await database.saveSchedules(schedules);
+        await auditLog.record(AuditLog.fromRequest(req), 'schedules.update', {
+            before: previous,
+            after: await database.getSchedules(releCount)
+        });
+        await scheduler.reloadSchedules();
         res.json({ success: true, message: 'Horarios guardados correctamente' });
     } catch (error) {
-        console.error('Error guardando horarios:', error);
-        res.status(500).json({ success: false, error: error.message });
+        if (!(error instanceof RelayError)) {
+            console.error('Error guardando horarios:', error);
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
 app.get('/api/scheduler/conditions', async (req, res) => {
     try {
-        const conditions = await database.getConditions();
+        const conditions = await database.getConditions(gpioController.relays.length);
         res.json({ success: true, conditions: conditions });
     } catch (error) {
         console.error('Error obteniendo condiciones:', error);
@@ -425,20 +1466,31 @@ app.get('/api/scheduler/conditions', async (req, res) => {
     }
 });
 
-app.post('/api/scheduler/conditions', async (req, res) => {
+app.post('/api/scheduler/conditions', requireRole('admin'), async (req, res) => {
     try {
-        const { conditions } = req.body;
+        const conditions = validateConditionSensors(normalizeConditionGroups(req.body.conditions, gpioController.relays));
+        await validateSequenceRefs(Object.fromEntries(Object.entries(conditions).map(([releId, group]) => [releId, Object.values(group)])));
+        const releCount = gpioController.relays.length;
+        const previous = await database.getConditions(releCount);
         await database.saveConditions(conditions);
+        await auditLog.record(AuditLog.fromRequest(req), 'conditions.update', {
+            before: previous,
+            after: await database.getConditions(releCount)
+        });
+        await scheduler.reloadConditions();
         res.json({ success: true, message: 'Condiciones guardadas correctamente' });
     } catch (error) {
-        console.error('Error guardando condiciones:', error);
-        res.status(500).json({ success: false, error: error.message });
+        if (!(error instanceof RelayError)) {
+            console.error('Error guardando condiciones:', error);
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/scheduler/start', async (req, res) => {
+app.post('/api/scheduler/start', requireRole('admin'), async (req, res) => {
     try {
         await scheduler.startScheduledTasks();
+        await auditLog.record(AuditLog.fromRequest(req), 'scheduler.start');
         res.json({ success: true, message: 'Programador iniciado' });
     } catch (error) {
         console.error('Error iniciando programador:', error);
@@ -446,9 +1498,10 @@ app.post('/api/scheduler/start', async (req, res) => {
     }
 });
 
-app.post('/api/scheduler/stop', async (req, res) => {
+app.post('/api/scheduler/stop', requireRole('admin'), async (req, res) => {
     try {
         await scheduler.stopScheduledTasks();
+        await auditLog.record(AuditLog.fromRequest(req), 'scheduler.stop');
         res.json({ success: true, message: 'Programador detenido' });
     } catch (error) {
         console.error('Error deteniendo programador:', error);
@@ -456,6 +1509,424 @@ app.post('/api/scheduler/stop', async (req, res) => {
     }
 });
 
+// Amanecer, mediodía solar y atardecer de la próxima semana, con los inicios de los horarios relativos al sol
+app.get('/api/scheduler/solar', async (req, res) => {
+    try {
+        const location = solarLocation(config.scheduling);
+        const schedules = await database.getSchedules(gpioController.relays.length);
+        const solarSchedules = Object.entries(schedules).flatMap(([releId, list]) => list
+            .filter(schedule => schedule.anchor !== 'clock')
+            .map(schedule => ({
+                id: schedule.id,
+                releId: Number(releId),
+                start: describeStart(schedule),
+                duration: schedule.duration,
+                enabled: schedule.enabled,
+                runs: solarRuns(schedule, location).map(({ date, time }) => ({ date, time }))
+            })));
+        res.json({ success: true, location, days: solarTable(location), schedules: solarSchedules });
+    } catch (error) {
+        if (!(error instanceof RelayError)) {
+            console.error('Error calculando horarios solares:', error);
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Programas de fotoperiodo por etapa de cultivo
+async function getPhotoperiodOr404(id) {
+    const program = await database.getPhotoperiod(Number(id));
+    if (!program) {
+        throw new PhotoperiodError(`Programa de fotoperiodo ${id} no encontrado`, 404);
+    }
+    return program;
+}
+
+async function storePhotoperiod(program) {
+    try {
+        return await database.savePhotoperiod(program);
+    } catch (error) {
+        if (String(error.message).includes('UNIQUE')) {
+            throw new PhotoperiodError(`Ya existe un programa de fotoperiodo llamado ${program.name}`, 409);
+        }
+        throw error;
+    }
+}
+
+// Campos de un programa que se guardan en la auditoría
+function auditedPhotoperiod({ name, releId, startDate, lightsOn, stages, enabled }) {
+    return { name, releId, startDate, lightsOn, stages, enabled };
+}
+
+app.get('/api/photoperiods', async (req, res) => {
+    try {
+        const programs = await database.getPhotoperiods();
+        res.json({
+            success: true,
+            photoperiods: programs.map(program => ({
+                ...program,
+                progress: programStatus(program, new Date(), config.scheduling.timezone)
+            }))
+        });
+    } catch (error) {
+        sendRelayError(res, error, 'Error obteniendo fotoperiodos:');
+    }
+});
+
+app.get('/api/photoperiods/:id', async (req, res) => {
+    try {
+        const program = await getPhotoperiodOr404(req.params.id);
+        res.json({
+            success: true,
+            photoperiod: { ...program, progress: programStatus(program, new Date(), config.scheduling.timezone) }
+        });
+    } catch (error) {
+        sendRelayError(res, error, 'Error obteniendo fotoperiodo:');
+    }
+});
+
+app.post('/api/photoperiods', requireRole('admin'), async (req, res) => {
+    try {
+        const program = normalizeProgram(req.body, gpioController.relays);
+        const id = await storePhotoperiod({ ...program, updatedBy: req.user ? req.user.username : null });
+        await auditLog.record(AuditLog.fromRequest(req), 'photoperiod.create', {
+            target: `photoperiod:${id}`,
+            after: program
+        });
+        await scheduler.reloadPhotoperiods();
+        res.json({ success: true, photoperiod: await database.getPhotoperiod(id) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error creando fotoperiodo:');
+    }
+});
+
+app.put('/api/photoperiods/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const before = await getPhotoperiodOr404(req.params.id);
+        const program = normalizeProgram(req.body, gpioController.relays);
+        await storePhotoperiod({ ...program, id: before.id, updatedBy: req.user ? req.user.username : null });
+        await auditLog.record(AuditLog.fromRequest(req), 'photoperiod.update', {
+            target: `photoperiod:${before.id}`,
+            before: auditedPhotoperiod(before),
+            after: program
+        });
+        await scheduler.reloadPhotoperiods();
+        res.json({ success: true, photoperiod: await database.getPhotoperiod(before.id) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error guardando fotoperiodo:');
+    }
+});
+
+app.delete('/api/photoperiods/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const program = await getPhotoperiodOr404(req.params.id);
+        await database.deletePhotoperiod(program.id);
+        await auditLog.record(AuditLog.fromRequest(req), 'photoperiod.delete', {
+            target: `photoperiod:${program.id}`,
+            before: auditedPhotoperiod(program)
+        });
+        await scheduler.reloadPhotoperiods();
+        res.json({ success: true, message: 'Programa de fotoperiodo eliminado' });
+    } catch (error) {
+        sendRelayError(res, error, 'Error eliminando fotoperiodo:');
+    }
+});
+
+// Reglas compuestas (expresiones Y / O sobre sensores, hora, días y otros relés)
+async function getRuleOr404(id) {
+    const rule = await database.getRule(Number(id));
+    if (!rule) {
+        throw new RuleError(`Regla ${id} no encontrada`, 404);
+    }
+    return rule;
+}
+
+// Validar una regla y los sensores que menciona
+function parseRule(body) {
+    const rule = normalizeRule(body, gpioController.relays);
+    [rule.when, rule.until].forEach(node => {
+        collectNodes(node, 'sensor').concat(collectNodes(node, 'rate')).forEach(({ sensorId }) => {
+            if (sensorId && !gpioController.sensors.has(sensorId)) {
+                throw new RuleError(`Sensor no registrado: ${sensorId}`);
+            }
+        });
+    });
+    return rule;
+}
+
+async function storeRule(rule) {
+    try {
+        return await database.saveRule(rule);
+    } catch (error) {
+        if (String(error.message).includes('UNIQUE')) {
+            throw new RuleError(`Ya existe una regla llamada ${rule.name}`, 409);
+        }
+        throw error;
+    }
+}
+
+// Campos de una regla que se guardan en la auditoría
+function auditedRule({ name, releId, action, when, until, duration, dwellMinutes, cooldownMinutes, enabled }) {
+    return { name, releId, action, when, until, duration, dwellMinutes, cooldownMinutes, enabled };
+}
+
+app.get('/api/rules', async (req, res) => {
+    try {
+        const rules = await database.getRules();
+        res.json({
+            success: true,
+            rules: rules.map(rule => ({ ...rule, description: describeRule(rule, gpioController.relays) }))
+        });
+    } catch (error) {
+        sendRelayError(res, error, 'Error obteniendo reglas:');
+    }
+});
+
+app.get('/api/rules/:id', async (req, res) => {
+    try {
+        const rule = await getRuleOr404(req.params.id);
+        res.json({ success: true, rule: { ...rule, description: describeRule(rule, gpioController.relays) } });
+    } catch (error) {
+        sendRelayError(res, error, 'Error obteniendo regla:');
+    }
+});
+
+app.post('/api/rules', requireRole('admin'), async (req, res) => {
+    try {
+        const rule = parseRule(req.body);
+        const id = await storeRule({ ...rule, updatedBy: req.user ? req.user.username : null });
+        await auditLog.record(AuditLog.fromRequest(req), 'rule.create', {
+            target: `rule:${id}`,
+            after: rule
+        });
+        await scheduler.reloadRules();
+        res.json({ success: true, rule: await database.getRule(id) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error creando regla:');
+    }
+});
+
+app.put('/api/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const before = await getRuleOr404(req.params.id);
+        const rule = parseRule(req.body);
+        await storeRule({ ...rule, id: before.id, updatedBy: req.user ? req.user.username : null });
+        await auditLog.record(AuditLog.fromRequest(req), 'rule.update', {
+            target: `rule:${before.id}`,
+            before: auditedRule(before),
+            after: rule
+        });
+        await scheduler.reloadRules();
+        res.json({ success: true, rule: await database.getRule(before.id) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error guardando regla:');
+    }
+});
+
+app.delete('/api/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const rule = await getRuleOr404(req.params.id);
+        await database.deleteRule(rule.id);
+        await auditLog.record(AuditLog.fromRequest(req), 'rule.delete', {
+            target: `rule:${rule.id}`,
+            before: auditedRule(rule)
+        });
+        await scheduler.reloadRules();
+        res.json({ success: true, message: 'Regla eliminada' });
+    } catch (error) {
+        sendRelayError(res, error, 'Error eliminando regla:');
+    }
+});
+
+// Simulación de condiciones y reglas con las lecturas guardadas (no toca los relés)
+// Las condiciones y reglas en borrador reemplazan a la guardada del mismo relé y tipo o del mismo id
+function simulationSources({ includeSaved = true, conditions = [], rules = [] }) {
+    if (!Array.isArray(conditions) || !Array.isArray(rules)) {
+        throw new SimulationError('conditions y rules deben ser listas');
+    }
+
+    const draftConditions = conditions.map(body => {
+        const { releId, type, condition } = parseConditionBody(body);
+        return { ...condition, id: null, releId, type };
+    });
+    const draftRules = rules.map(body => ({ ...parseRule(body), id: Number(body.id) || null }));
+
+    const saved = includeSaved === false ? { conditions: [], rules: [] } : {
+        conditions: [...scheduler.activeConditions.values()].map(entry => entry.condition)
+            .filter(condition => condition.operator)
+            .filter(condition => !draftConditions.some(draft => draft.releId === condition.releId && draft.type === condition.type)),
+        rules: [...scheduler.activeRules.values()].map(entry => entry.rule)
+            .filter(rule => !draftRules.some(draft => draft.id === rule.id))
+    };
+
+    const sources = { conditions: saved.conditions.concat(draftConditions), rules: saved.rules.concat(draftRules) };
+    if (!sources.conditions.length && !sources.rules.length) {
+        throw new SimulationError('No hay condiciones ni reglas que simular');
+    }
+    return sources;
+}
+
+app.post('/api/simulation', async (req, res) => {
+    try {
+        const range = normalizeRange(req.body);
+        const { conditions, rules } = simulationSources(req.body);
+        const toTimestamp = time => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+        const rows = await database.getReadingsByDateRange({
+            startDate: toTimestamp(range.start.getTime() - LOOKBACK_MINUTES * 60000),
+            endDate: toTimestamp(range.end)
+        });
+
+        const simulation = simulate({
+            relays: gpioController.relays,
+            interlocks: gpioController.interlocks,
+            conditions,
+            rules,
+            history: new ReadingHistory(rows, gpioController.sensors.list().map(sensor => sensor.id)),
+            range,
+            timeZone: config.scheduling.timezone
+        });
+        res.json({ success: true, simulation });
+    } catch (error) {
+        sendRelayError(res, error, 'Error simulando condiciones y reglas:');
+    }
+});
+
+// Lazos PID de salidas de clima (tiempo proporcional con ventana configurable)
+async function getPidLoopOr404(id) {
+    const loop = await database.getPidLoop(Number(id));
+    if (!loop) {
+        throw new PidError(`Lazo PID ${id} no encontrado`, 404);
+    }
+    return loop;
+}
+
+// Validar un lazo y el sensor que lee
+function parsePidLoop(body) {
+    const loop = normalizeLoop(body, gpioController.relays);
+    if (loop.sensorId && !gpioController.sensors.has(loop.sensorId)) {
+        throw new PidError(`Sensor no registrado: ${loop.sensorId}`);
+    }
+    return loop;
+}
+
+async function storePidLoop(loop) {
+    try {
+        return await database.savePidLoop(loop);
+    } catch (error) {
+        if (String(error.message).includes('pid_loops.releId')) {
+            throw new PidError(`${gpioController.getReleName(loop.releId)} ya tiene un lazo PID`, 409);
+        }
+        if (String(error.message).includes('UNIQUE')) {
+            throw new PidError(`Ya existe un lazo PID llamado ${loop.name}`, 409);
+        }
+        throw error;
+    }
+}
+
+// Campos de un lazo que se guardan en la auditoría
+function auditedPidLoop({ name, releId, sensorId, metric, direction, setpoint, kp, ki, kd, outputMin, outputMax, cycleSeconds, minPulseSeconds, enabled }) {
+    return { name, releId, sensorId, metric, direction, setpoint, kp, ki, kd, outputMin, outputMax, cycleSeconds, minPulseSeconds, enabled };
+}
+
+// Lazo guardado con su estado en ejecución (null si está deshabilitado)
+function describePidLoop(loop) {
+    const running = scheduler.pid.status().find(entry => entry.id === loop.id);
+    return { ...loop, last: running ? running.last : null, autotune: running ? running.autotune : null, running: Boolean(running) };
+}
+
+app.get('/api/pid', async (req, res) => {
+    try {
+        const loops = await database.getPidLoops();
+        res.json({ success: true, loops: loops.map(describePidLoop) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error obteniendo lazos PID:');
+    }
+});
+
+app.get('/api/pid/:id', async (req, res) => {
+    try {
+        const loop = await getPidLoopOr404(req.params.id);
+        res.json({ success: true, loop: describePidLoop(loop), history: scheduler.pid.history(loop.id) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error obteniendo lazo PID:');
+    }
+});
+
+app.post('/api/pid', requireRole('admin'), async (req, res) => {
+    try {
+        const loop = parsePidLoop(req.body);
+        const id = await storePidLoop({ ...loop, updatedBy: req.user ? req.user.username : null });
+        await auditLog.record(AuditLog.fromRequest(req), 'pid.create', {
+            target: `pid:${id}`,
+            after: loop
+        });
+        await scheduler.pid.reload();
+        res.json({ success: true, loop: describePidLoop(await database.getPidLoop(id)) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error creando lazo PID:');
+    }
+});
+
+app.put('/api/pid/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const before = await getPidLoopOr404(req.params.id);
+        const loop = parsePidLoop(req.body);
+        await storePidLoop({ ...loop, id: before.id, updatedBy: req.user ? req.user.username : null });
+        await auditLog.record(AuditLog.fromRequest(req), 'pid.update', {
+            target: `pid:${before.id}`,
+            before: auditedPidLoop(before),
+            after: loop
+        });
+        await scheduler.pid.reload();
+        res.json({ success: true, loop: describePidLoop(await database.getPidLoop(before.id)) });
+    } catch (error) {
+        sendRelayError(res, error, 'Error guardando lazo PID:');
+    }
+});
+
+app.delete('/api/pid/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const loop = await getPidLoopOr404(req.params.id);
+        await database.deletePidLoop(loop.id);
+        await auditLog.record(AuditLog.fromRequest(req), 'pid.delete', {
+            target: `pid:${loop.id}`,
+            before: auditedPidLoop(loop)
+        });
+        await scheduler.pid.reload();
+        res.json({ success: true, message: 'Lazo PID eliminado' });
+    } catch (error) {
+        sendRelayError(res, error, 'Error eliminando lazo PID:');
+    }
+});
+
+app.post('/api/pid/:id/autotune', requireRole('admin'), async (req, res) => {
+    try {
+        const loop = await getPidLoopOr404(req.params.id);
+        const hysteresis = req.body.hysteresis === undefined ? 0.5 : req.body.hysteresis;
+        const status = scheduler.pid.startAutotune(loop.id, hysteresis);
+        await auditLog.record(AuditLog.fromRequest(req), 'pid.autotune.start', {
+            target: `pid:${loop.id}`,
+            details: `Banda ±${Number(hysteresis)}`
+        });
+        res.json({ success: true, loop: status });
+    } catch (error) {
+        sendRelayError(res, error, 'Error iniciando autoajuste:');
+    }
+});
+
+app.delete('/api/pid/:id/autotune', requireRole('admin'), async (req, res) => {
+    try {
+        const loop = await getPidLoopOr404(req.params.id);
+        const status = scheduler.pid.cancelAutotune(loop.id);
+        await auditLog.record(AuditLog.fromRequest(req), 'pid.autotune.cancel', {
+            target: `pid:${loop.id}`
+        });
+        res.json({ success: true, loop: status });
+    } catch (error) {
+        sendRelayError(res, error, 'Error cancelando autoajuste:');
+    }
+});
+
 app.get('/api/scheduler/status', async (req, res) => {
     try {
         const status = scheduler.getStatus();
@@ -477,27 +1948,42 @@ app.use((error, req, res, next) => {
   res.status(500).render('error', { error: 'Error interno del servidor' });
 });
 
-// Configurar Socket.IO
+// Configurar Socket.IO (solo clientes con sesión o token de API válido)
+io.use((socket, next) => authManager.authenticateSocket(socket, next));
+
+// Desconectar los sockets abiertos con una sesión, un token o un usuario que dejó de ser válido
+function disconnectSockets(matches) {
+  io.sockets.sockets.forEach(socket => {
+    if (matches(socket)) {
+      socket.disconnect(true);
+    }
+  });
+}
+
 io.on('connection', (socket) => {
-  console.log('Cliente conectado:', socket.id);
+  const via = socket.apiToken ? `, token "${socket.apiToken.label}"` : '';
+  console.log(`Cliente conectado: ${socket.id} (${socket.user.username}${via})`);
   
-  // Enviar datos de sensores en tiempo real
-  const sensorInterval = setInterval(async () => {
+  // Enviar en tiempo real las últimas lecturas del verificador del programador
+  const sensorInterval = setInterval(() => {
     try {
-      const sensorData = gpioController.readDHT11();
-      if (sensorData) {
-        socket.emit('sensor_data', sensorData);
-      }
+      const sensors = gpioController.getSensorReadings();
+      socket.emit('sensor_data', { ...gpioController.getAmbientSnapshot(sensors), sensors });
     } catch (error) {
       console.error('Error enviando datos de sensores:', error);
     }
   }, config.sensors.dht11Interval);
   
+  // Activaciones temporales en curso al conectarse (luego se envían en cada cambio)
+  socket.emit('timed_runs', gpioController.getTimedRuns());
+  socket.emit('sequence_runs', gpioController.sequences.getRuns());
+  
   // Enviar estado de relés en tiempo real
   const releInterval = setInterval(() => {
     try {
       const releStates = gpioController.getAllReleStates();
       socket.emit('rele_states', releStates);
+      socket.emit('timed_runs', gpioController.getTimedRuns());
     } catch (error) {
       console.error('Error enviando estado de relés:', error);
     }
@@ -513,8 +1999,33 @@ io.on('connection', (socket) => {
   // Manejar control de relés desde el cliente
   socket.on('control_rele', async (data) => {
     try {
-      const { releId, state, reason } = data;
-      const success = gpioController.controlRele(releId, state, reason);
+      // La sesión o el token pudo cerrarse, expirar o revocarse después de conectar
+      if (!await authManager.revalidateSocket(socket)) {
+        socket.emit('rele_control_result', { success: false, error: 'Sesión expirada o revocada' });
+        return socket.disconnect(true);
+      }
+
+      if (!authManager.hasRole(socket.user, 'operator')) {
+        return socket.emit('rele_control_result', {
+          success: false,
+          error: 'Permiso denegado: se requiere rol operator'
+        });
+      }
+
+      if (!authManager.hasScope(socket.apiToken, 'relays:control')) {
+        return socket.emit('rele_control_result', {
+          success: false,
+          error: 'Permiso denegado: el token requiere el alcance relays:control'
+        });
+      }
+
+      const { releId, state, reason } = data || {};
+
+      if (!releId || typeof state !== 'boolean') {
+        return socket.emit('rele_control_result', { success: false, releId, error: 'Parámetros inválidos' });
+      }
+
+      const success = gpioController.controlRele(releId, state, reason, AuditLog.fromSocket(socket));
       
       if (success) {
         socket.emit('rele_control_result', { success: true, releId, state });
@@ -522,7 +2033,7 @@ io.on('connection', (socket) => {
         socket.emit('rele_control_result', { success: false, releId, error: 'Error controlando relé' });
       }
     } catch (error) {
-      socket.emit('rele_control_result', { success: false, error: error.message });
+      socket.emit('rele_control_result', { success: false, releId: data && data.releId, error: error.message });
     }
   });
 });
@@ -531,8 +2042,9 @@ io.on('connection', (socket) => {
 function cleanup() {
   console.log('\n🔄 Cerrando sistema...');
   
+  // gpioController.cleanup() apaga todo sin cambiar el último estado que se recupera
   if (scheduler) {
-    scheduler.stop();
+    scheduler.stop({ release: false });
   }
   
   if (gpioController) {
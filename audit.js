@@ -0,0 +1,133 @@
+/**
+ * Registro de Auditoría
+ * Quién cambió qué: comandos de relés, horarios, condiciones, configuración y respaldos
+ * Ing. Daril Díaz - 2024
+ */
+
+// Orígenes posibles de una acción auditada
+const AUDIT_SOURCES = ['web', 'api_token', 'socket', 'scheduler', 'condition', 'rule', 'pid', 'safety', 'system'];
+
+// Contextos para acciones automáticas (sin usuario)
+const SYSTEM_CONTEXT = { actor: 'Sistema', source: 'system' };
+const SCHEDULER_CONTEXT = { actor: 'Programador', source: 'scheduler' };
+const CONDITION_CONTEXT = { actor: 'Condiciones', source: 'condition' };
+const RULE_CONTEXT = { actor: 'Reglas', source: 'rule' };
+const PID_CONTEXT = { actor: 'Control PID', source: 'pid' };
+const SAFETY_CONTEXT = { actor: 'Límites de seguridad', source: 'safety' };
+
+class AuditLog {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Obtener contexto de auditoría de una petición HTTP
+   */
+  static fromRequest(req) {
+    return {
+      actor: req.user ? req.user.username : 'anónimo',
+      userId: req.user ? req.user.id : null,
+      source: req.apiToken ? 'api_token' : 'web',
+      ip: req.ip,
+      via: req.apiToken ? req.apiToken.label : null
+    };
+  }
+
+  /**
+   * Obtener contexto de auditoría de un cliente Socket.IO
+   */
+  static fromSocket(socket) {
+    return {
+      actor: socket.user ? socket.user.username : 'anónimo',
+      userId: socket.user ? socket.user.id : null,
+      source: 'socket',
+      ip: socket.handshake.address,
+      via: socket.apiToken ? socket.apiToken.label : null
+    };
+  }
+
+  /**
+   * Registrar una acción
+   * Los errores se registran en consola sin interrumpir la operación auditada
+   */
+  async record(context = SYSTEM_CONTEXT, action, { target = null, before, after, details = null } = {}) {
+    const entry = {
+      actor: context.actor || SYSTEM_CONTEXT.actor,
+      userId: context.userId || null,
+      source: AUDIT_SOURCES.includes(context.source) ? context.source : 'system',
+      action,
+      target,
+      beforeValue: before === undefined ? null : JSON.stringify(before),
+      afterValue: after === undefined ? null : JSON.stringify(after),
+      ipAddress: context.ip || null,
+      details: [details, context.via ? `token: ${context.via}` : null].filter(Boolean).join(' | ') || null
+    };
+
+    try {
+      return await this.database.saveAuditEntry(entry);
+    } catch (error) {
+      console.error(`Error registrando auditoría (${action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Consultar registros con filtros (actor, source, action, target, from, to, limit, offset)
+   */
+  async query(filters = {}) {
+    const normalized = {
+      actor: filters.actor || null,
+      source: filters.source || null,
+      action: filters.action || null,
+      target: filters.target || null,
+      from: this.toDbTimestamp(filters.from),
+      to: this.toDbTimestamp(filters.to),
+      limit: Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000),
+      offset: Math.max(parseInt(filters.offset) || 0, 0)
+    };
+
+    const result = await this.database.getAuditEntries(normalized);
+
+    return {
+      total: result.total,
+      entries: result.rows.map(row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        actor: row.actor,
+        userId: row.user_id,
+        source: row.source,
+        action: row.action,
+        target: row.target,
+        before: row.before_value === null ? null : JSON.parse(row.before_value),
+        after: row.after_value === null ? null : JSON.parse(row.after_value),
+        ipAddress: row.ip_address,
+        details: row.details
+      }))
+    };
+  }
+
+  /**
+   * Convertir fecha a formato de SQLite (UTC, como CURRENT_TIMESTAMP)
+   */
+  toDbTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+}
+
+module.exports = AuditLog;
+module.exports.AUDIT_SOURCES = AUDIT_SOURCES;
+module.exports.SYSTEM_CONTEXT = SYSTEM_CONTEXT;
+module.exports.SCHEDULER_CONTEXT = SCHEDULER_CONTEXT;
+module.exports.CONDITION_CONTEXT = CONDITION_CONTEXT;
+module.exports.RULE_CONTEXT = RULE_CONTEXT;
+module.exports.PID_CONTEXT = PID_CONTEXT;
+module.exports.SAFETY_CONTEXT = SAFETY_CONTEXT;
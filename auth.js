@@ -0,0 +1,973 @@
+/**
+ * Módulo de Autenticación
+ * Cuentas de usuario, sesiones, bloqueo por intentos fallidos, 2FA (TOTP) y tokens de API
+ * Ing. Daril Díaz - 2024
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const config = require('./config');
+const totp = require('./totp');
+
+// Parámetros de scrypt para el hash de contraseñas
+const SCRYPT_KEYLEN = 64;
+const SALT_BYTES = 16;
+
+// Frecuencia mínima para actualizar la última actividad de una sesión (ms)
+const SESSION_TOUCH_INTERVAL = 60000;
+
+// Roles ordenados de menor a mayor privilegio
+// viewer: solo monitoreo, operator: control de relés, admin: programación y configuración
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Alcances de los tokens de API y rol mínimo que necesita el dueño del token
+const API_SCOPES = {
+  'sensors:read': { role: 'viewer', description: 'Lectura de sensores y estado de relés y sistema' },
+  'system:read': { role: 'viewer', description: 'Lectura de logs, horarios, condiciones y programador' },
+  'relays:control': { role: 'operator', description: 'Control de relés' },
+  'system:admin': { role: 'admin', description: 'Horarios, condiciones, respaldos y programador' }
+};
+
+// Prefijo de los tokens de API (permite distinguirlos y detectarlos si se filtran)
+const API_TOKEN_PREFIX = 'hid_';
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+class AuthManager {
+  constructor(database) {
+    this.database = database;
+    this.cookieName = config.security.sessionCookieName;
+  }
+
+  /**
+   * Inicializar autenticación (crea el administrador si no hay usuarios)
+   */
+  async init() {
+    await this.database.ready;
+    await this.ensureDefaultAdmin();
+  }
+
+  /**
+   * Crear usuario administrador por defecto en el primer arranque
+   */
+  async ensureDefaultAdmin() {
+    const total = await this.database.countUsers();
+    if (total > 0) {
+      return;
+    }
+
+    const username = config.security.defaultAdmin;
+    const password = process.env.HIDRO_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+    await this.createUser({ username, password, firstName: 'Administrador', role: 'admin' });
+
+    console.log(`🔑 Usuario administrador creado: ${username}`);
+    if (!process.env.HIDRO_ADMIN_PASSWORD) {
+      console.log(`🔑 Contraseña inicial: ${password} (cámbiela desde /security)`);
+    }
+
+    await this.database.saveSystemLog('info', `Usuario administrador "${username}" creado`, 'AuthManager');
+  }
+
+  /**
+   * Crear usuario con contraseña hasheada
+   */
+  async createUser({ username, password, firstName, lastName, email, role = 'viewer' }) {
+    if (!username || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+      throw new AuthError('Nombre de usuario inválido (3-32 caracteres: letras, números, . _ -)', 400);
+    }
+
+    this.validateRole(role);
+    this.validatePassword(password);
+
+    if (await this.database.getUserByUsername(username)) {
+      throw new AuthError(`El usuario "${username}" ya existe`, 409);
+    }
+
+    const passwordHash = await this.hashPassword(password);
+    return this.database.createUser({ username, passwordHash, firstName, lastName, email, role });
+  }
+
+  /**
+   * Validar que el rol exista
+   */
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Rol inválido. Debe ser uno de: ${ROLES.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Verificar si un usuario tiene al menos el rol indicado
+   */
+  hasRole(user, role) {
+    if (!user) {
+      return false;
+    }
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Obtener lista de usuarios sin datos sensibles
+   */
+  async getUsers() {
+    const users = await this.database.getUsers();
+    return users.map(user => this.publicUser(user));
+  }
+
+  /**
+   * Cambiar rol de un usuario (sin dejar el sistema sin administradores)
+   */
+  async updateUserRole(userId, role) {
+    this.validateRole(role);
+
+    const user = await this.database.getUserById(userId);
+    if (!user) {
+      throw new AuthError('Usuario no encontrado', 404);
+    }
+
+    if (user.role === 'admin' && role !== 'admin') {
+      await this.ensureAnotherAdmin(user.id);
+    }
+
+    await this.database.updateUserRole(userId, role);
+    await this.database.saveSystemLog('info', `Rol de "${user.username}" cambiado a ${role}`, 'AuthManager');
+  }
+
+  /**
+   * Eliminar usuario (sin dejar el sistema sin administradores)
+   */
+  async deleteUser(userId) {
+    const user = await this.database.getUserById(userId);
+    if (!user) {
+      throw new AuthError('Usuario no encontrado', 404);
+    }
+
+    if (user.role === 'admin') {
+      await this.ensureAnotherAdmin(user.id);
+    }
+
+    await this.database.deleteUser(userId);
+    await this.database.saveSystemLog('info', `Usuario "${user.username}" eliminado`, 'AuthManager');
+  }
+
+  /**
+   * Verificar que exista otro administrador además del indicado
+   */
+  async ensureAnotherAdmin(userId) {
+    const users = await this.database.getUsers();
+    const otherAdmins = users.filter(user => user.role === 'admin' && user.id !== userId);
+
+    if (otherAdmins.length === 0) {
+      throw new AuthError('Debe existir al menos un administrador', 400);
+    }
+  }
+
+  /**
+   * Validar requisitos mínimos de contraseña
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < config.security.minPasswordLength) {
+      throw new AuthError(
+        `La contraseña debe tener al menos ${config.security.minPasswordLength} caracteres`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Generar hash de contraseña (scrypt con sal aleatoria)
+   */
+  hashPassword(password) {
+    return new Promise((resolve, reject) => {
+      const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+      crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Verificar contraseña contra un hash almacenado
+   */
+  verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+      const [scheme, salt, hash] = (storedHash || '').split('$');
+      if (scheme !== 'scrypt' || !salt || !hash) {
+        resolve(false);
+        return;
+      }
+
+      crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+        if (err) {
+          reject(err);
+        } else {
+          const expected = Buffer.from(hash, 'hex');
+          resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        }
+      });
+    });
+  }
+
+  /**
+   * Obtener hash SHA-256 de un token de sesión
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Iniciar sesión con usuario y contraseña
+   */
+  async login(username, password, client = {}) {
+    const user = await this.database.getUserByUsername(username || '');
+    const now = Date.now();
+
+    if (!user) {
+      throw new AuthError('Usuario o contraseña incorrectos');
+    }
+
+    if (user.locked_until > now) {
+      const minutes = Math.ceil((user.locked_until - now) / 60000);
+      throw new AuthError(`Cuenta bloqueada temporalmente. Intente de nuevo en ${minutes} minuto(s)`, 423);
+    }
+
+    const valid = await this.verifyPassword(password || '', user.password_hash);
+
+    if (!valid) {
+      await this.registerFailedAttempt(user, client);
+      throw new AuthError('Usuario o contraseña incorrectos');
+    }
+
+    // Con 2FA activo la sesión queda pendiente hasta verificar el código
+    if (user.totp_enabled) {
+      const token = await this.createSession(user, client, { mfaPending: true });
+      return { token, user: this.publicUser(user), mfaRequired: true };
+    }
+
+    await this.database.recordSuccessfulLogin(user.id);
+    const token = await this.createSession(user, client);
+
+    await this.database.saveSystemLog('info',
+      `Inicio de sesión de "${user.username}" desde ${client.ip || 'IP desconocida'}`,
+      'AuthManager'
+    );
+
+    return { token, user: this.publicUser(user), mfaRequired: false };
+  }
+
+  /**
+   * Registrar intento fallido y bloquear la cuenta al superar el límite
+   */
+  async registerFailedAttempt(user, client = {}) {
+    const failedAttempts = (user.failed_attempts || 0) + 1;
+
+    if (failedAttempts >= config.security.maxLoginAttempts) {
+      await this.database.updateLoginFailures(user.id, 0, Date.now() + config.security.lockoutDuration);
+      await this.database.saveSystemLog('warn',
+        `Cuenta "${user.username}" bloqueada tras ${failedAttempts} intentos fallidos desde ${client.ip || 'IP desconocida'}`,
+        'AuthManager'
+      );
+      throw new AuthError('Demasiados intentos fallidos. Cuenta bloqueada temporalmente', 423);
+    }
+
+    await this.database.updateLoginFailures(user.id, failedAttempts);
+  }
+
+  /**
+   * Obtener el desafío 2FA pendiente asociado a un token
+   */
+  async getPendingChallenge(token) {
+    if (!token) {
+      return null;
+    }
+
+    const session = await this.database.getSessionByTokenHash(this.hashToken(token));
+    if (!session || !session.mfa_pending) {
+      return null;
+    }
+
+    if (Date.now() - session.last_activity > config.security.twoFactorChallengeTimeout) {
+      await this.database.revokeSession(session.id, session.user_id);
+      return null;
+    }
+
+    const user = await this.database.getUserById(session.user_id);
+    if (!user || !user.totp_enabled) {
+      return null;
+    }
+
+    return { user, session };
+  }
+
+  /**
+   * Completar el segundo paso del login con un código TOTP o de recuperación
+   */
+  async completeTwoFactor(token, code, client = {}) {
+    const challenge = await this.getPendingChallenge(token);
+    if (!challenge) {
+      throw new AuthError('La verificación expiró. Inicie sesión nuevamente');
+    }
+
+    const { user, session } = challenge;
+
+    if (user.locked_until > Date.now()) {
+      await this.database.revokeSession(session.id, user.id);
+      throw new AuthError('Cuenta bloqueada temporalmente', 423);
+    }
+
+    const method = await this.verifySecondFactor(user, code);
+
+    if (!method) {
+      try {
+        await this.registerFailedAttempt(user, client);
+      } catch (error) {
+        await this.database.revokeSession(session.id, user.id);
+        throw error;
+      }
+      throw new AuthError('Código de verificación incorrecto');
+    }
+
+    // Reemplazar la sesión pendiente por una sesión completa
+    await this.database.revokeSession(session.id, user.id);
+    await this.database.recordSuccessfulLogin(user.id);
+    const newToken = await this.createSession(user, client);
+
+    await this.database.saveSystemLog('info',
+      `Inicio de sesión de "${user.username}" con 2FA (${method === 'recovery' ? 'código de recuperación' : 'TOTP'}) desde ${client.ip || 'IP desconocida'}`,
+      'AuthManager'
+    );
+
+    return { token: newToken, user: this.publicUser(user), method };
+  }
+
+  /**
+   * Verificar código TOTP o de recuperación de un usuario con 2FA activo
+   * Devuelve 'totp', 'recovery' o null
+   */
+  async verifySecondFactor(user, code) {
+    const normalized = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = totp.verifyTOTP(user.totp_secret, normalized);
+
+      // Rechazar códigos ya usados (mismo paso de tiempo o anterior)
+      if (step === null || step <= (user.totp_last_step || 0)) {
+        return null;
+      }
+
+      await this.database.updateTotpLastStep(user.id, step);
+      return 'totp';
+    }
+
+    if (!normalized) {
+      return null;
+    }
+
+    const codeHash = Buffer.from(this.hashToken(normalized));
+    const codes = await this.database.getUnusedRecoveryCodes(user.id);
+    const match = codes.find(row => crypto.timingSafeEqual(Buffer.from(row.code_hash), codeHash));
+
+    if (match && await this.database.markRecoveryCodeUsed(match.id)) {
+      await this.database.saveSystemLog('warn',
+        `Código de recuperación usado por "${user.username}" (${codes.length - 1} restantes)`,
+        'AuthManager'
+      );
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Obtener estado de 2FA de un usuario
+   */
+  async getTwoFactorStatus(userId) {
+    const user = await this.getExistingUser(userId);
+    const codes = user.totp_enabled ? await this.database.getUnusedRecoveryCodes(userId) : [];
+
+    return {
+      enabled: !!user.totp_enabled,
+      recoveryCodesRemaining: codes.length
+    };
+  }
+
+  /**
+   * Iniciar la configuración de 2FA generando un secreto y su código QR
+   */
+  async setupTwoFactor(userId) {
+    const user = await this.getExistingUser(userId);
+    if (user.totp_enabled) {
+      throw new AuthError('La autenticación en dos pasos ya está activada', 400);
+    }
+
+    const secret = totp.generateSecret();
+    const uri = totp.buildOtpauthUri(secret, user.username, config.security.twoFactorIssuer);
+
+    await this.database.setPendingTotpSecret(userId, secret);
+
+    // El QR se genera localmente para no enviar el secreto a servicios externos
+    const qrCode = await QRCode.toDataURL(uri);
+
+    return { secret, uri, qrCode };
+  }
+
+  /**
+   * Activar 2FA verificando el primer código de la aplicación
+   */
+  async enableTwoFactor(userId, code) {
+    const user = await this.getExistingUser(userId);
+    if (user.totp_enabled) {
+      throw new AuthError('La autenticación en dos pasos ya está activada', 400);
+    }
+    if (!user.totp_pending_secret) {
+      throw new AuthError('Primero debe generar el código QR de configuración', 400);
+    }
+
+    const step = totp.verifyTOTP(user.totp_pending_secret, code);
+    if (step === null) {
+      throw new AuthError('Código de verificación incorrecto', 400);
+    }
+
+    await this.database.enableTotp(userId, step);
+    const recoveryCodes = await this.createRecoveryCodes(userId);
+
+    await this.database.saveSystemLog('info', `2FA activada para "${user.username}"`, 'AuthManager');
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Desactivar 2FA verificando contraseña y código
+   */
+  async disableTwoFactor(userId, password, code) {
+    const user = await this.getExistingUser(userId);
+    if (!user.totp_enabled) {
+      throw new AuthError('La autenticación en dos pasos no está activada', 400);
+    }
+
+    const valid = await this.verifyPassword(password || '', user.password_hash);
+    if (!valid) {
+      throw new AuthError('La contraseña actual es incorrecta', 400);
+    }
+
+    if (!(await this.verifySecondFactor(user, code))) {
+      throw new AuthError('Código de verificación incorrecto', 400);
+    }
+
+    await this.database.disableTotp(userId);
+    await this.database.saveSystemLog('warn', `2FA desactivada para "${user.username}"`, 'AuthManager');
+  }
+
+  /**
+   * Regenerar códigos de recuperación (invalida los anteriores)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.getExistingUser(userId);
+    if (!user.totp_enabled) {
+      throw new AuthError('La autenticación en dos pasos no está activada', 400);
+    }
+
+    if ((await this.verifySecondFactor(user, code)) !== 'totp') {
+      throw new AuthError('Código de verificación incorrecto', 400);
+    }
+
+    const recoveryCodes = await this.createRecoveryCodes(userId);
+    await this.database.saveSystemLog('info', `Códigos de recuperación regenerados para "${user.username}"`, 'AuthManager');
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Generar códigos de recuperación y guardar solo su hash
+   */
+  async createRecoveryCodes(userId) {
+    const codes = [];
+    for (let i = 0; i < config.security.recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    await this.database.replaceRecoveryCodes(
+      userId,
+      codes.map(code => this.hashToken(code.replace('-', '')))
+    );
+
+    return codes;
+  }
+
+  /**
+   * Obtener usuario o lanzar error si no existe
+   */
+  async getExistingUser(userId) {
+    const user = await this.database.getUserById(userId);
+    if (!user) {
+      throw new AuthError('Usuario no encontrado', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Crear sesión persistente y devolver el token en claro
+   */
+  async createSession(user, client = {}, options = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await this.database.createSession({
+      userId: user.id,
+      tokenHash: this.hashToken(token),
+      ipAddress: client.ip || null,
+      userAgent: client.userAgent || null,
+      lastActivity: Date.now(),
+      mfaPending: options.mfaPending || false
+    });
+
+    return token;
+  }
+
+  /**
+   * Cerrar sesión
+   */
+  async logout(token) {
+    if (!token) {
+      return;
+    }
+
+    const session = await this.database.getSessionByTokenHash(this.hashToken(token));
+    if (session) {
+      await this.database.revokeSession(session.id, session.user_id);
+    }
+  }
+
+  /**
+   * Validar token de sesión respetando el tiempo de inactividad configurado
+   */
+  async validateSession(token) {
+    if (!token) {
+      return null;
+    }
+
+    const session = await this.database.getSessionByTokenHash(this.hashToken(token));
+    if (!session || session.mfa_pending) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (now - session.last_activity > config.security.sessionTimeout) {
+      await this.database.revokeSession(session.id, session.user_id);
+      return null;
+    }
+
+    const user = await this.database.getUserById(session.user_id);
+    if (!user) {
+      return null;
+    }
+
+    if (now - session.last_activity > SESSION_TOUCH_INTERVAL) {
+      await this.database.touchSession(session.id, now);
+    }
+
+    return { user: this.publicUser(user), session };
+  }
+
+  /**
+   * Cambiar contraseña verificando la actual
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = await this.database.getUserById(userId);
+    if (!user) {
+      throw new AuthError('Usuario no encontrado', 404);
+    }
+
+    const valid = await this.verifyPassword(currentPassword || '', user.password_hash);
+    if (!valid) {
+      throw new AuthError('La contraseña actual es incorrecta', 400);
+    }
+
+    this.validatePassword(newPassword);
+
+    const passwordHash = await this.hashPassword(newPassword);
+    await this.database.updateUserPassword(userId, passwordHash);
+    await this.database.saveSystemLog('info', `Contraseña actualizada para "${user.username}"`, 'AuthManager');
+  }
+
+  /**
+   * Obtener historial de sesiones marcando la sesión actual
+   */
+  async getSessions(userId, currentSessionId = null) {
+    const sessions = await this.database.getUserSessions(userId);
+    const now = Date.now();
+
+    return sessions.map(session => ({
+      id: session.id,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      lastActivity: new Date(session.last_activity).toISOString(),
+      createdAt: session.created_at,
+      active: !session.revoked && now - session.last_activity <= config.security.sessionTimeout,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Terminar una sesión del usuario
+   */
+  async revokeSession(userId, sessionId) {
+    const changes = await this.database.revokeSession(sessionId, userId);
+    if (!changes) {
+      throw new AuthError('Sesión no encontrada', 404);
+    }
+  }
+
+  /**
+   * Crear token de API con alcances limitados al rol del usuario
+   * Devuelve el token en claro (solo se muestra una vez)
+   */
+  async createApiToken(userId, label, scopes) {
+    const user = await this.getExistingUser(userId);
+    const cleanLabel = typeof label === 'string' ? label.trim() : '';
+
+    if (!cleanLabel || cleanLabel.length > 64) {
+      throw new AuthError('La etiqueta del token es obligatoria (máximo 64 caracteres)', 400);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AuthError('Debe seleccionar al menos un alcance', 400);
+    }
+
+    const uniqueScopes = [...new Set(scopes)];
+    for (const scope of uniqueScopes) {
+      if (!API_SCOPES[scope]) {
+        throw new AuthError(`Alcance inválido: ${scope}. Debe ser uno de: ${Object.keys(API_SCOPES).join(', ')}`, 400);
+      }
+      if (!this.hasRole(user, API_SCOPES[scope].role)) {
+        throw new AuthError(`El alcance ${scope} requiere rol ${API_SCOPES[scope].role}`, 403);
+      }
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const id = await this.database.createApiToken({
+      userId,
+      label: cleanLabel,
+      tokenHash: this.hashToken(token),
+      tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 8),
+      scopes: uniqueScopes
+    });
+
+    await this.database.saveSystemLog('info',
+      `Token de API "${cleanLabel}" creado para "${user.username}" (${uniqueScopes.join(', ')})`,
+      'AuthManager'
+    );
+
+    return { id, token, label: cleanLabel, scopes: uniqueScopes };
+  }
+
+  /**
+   * Listar tokens de API activos de un usuario (sin el token en claro)
+   */
+  async getApiTokens(userId) {
+    const tokens = await this.database.getUserApiTokens(userId);
+
+    return tokens.map(token => ({
+      id: token.id,
+      label: token.label,
+      prefix: token.token_prefix,
+      scopes: token.scopes.split(','),
+      lastUsed: token.last_used ? new Date(token.last_used).toISOString() : null,
+      lastIp: token.last_ip,
+      createdAt: token.created_at
+    }));
+  }
+
+  /**
+   * Revocar token de API del usuario
+   */
+  async revokeApiToken(userId, tokenId) {
+    const changes = await this.database.revokeApiToken(tokenId, userId);
+    if (!changes) {
+      throw new AuthError('Token no encontrado', 404);
+    }
+    await this.database.saveSystemLog('info', `Token de API ${tokenId} revocado`, 'AuthManager');
+  }
+
+  /**
+   * Validar token de API y registrar su último uso
+   */
+  async validateApiToken(token, client = {}) {
+    if (!token || !token.startsWith(API_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const apiToken = await this.database.getApiTokenByHash(this.hashToken(token));
+    if (!apiToken) {
+      return null;
+    }
+
+    const user = await this.database.getUserById(apiToken.user_id);
+    if (!user) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!apiToken.last_used || now - apiToken.last_used > SESSION_TOUCH_INTERVAL ||
+        apiToken.last_ip !== (client.ip || null)) {
+      await this.database.touchApiToken(apiToken.id, now, client.ip || null);
+    }
+
+    return {
+      user: this.publicUser(user),
+      apiToken: { id: apiToken.id, label: apiToken.label, scopes: apiToken.scopes.split(',') }
+    };
+  }
+
+  /**
+   * Verificar si un token de API tiene un alcance (las sesiones web no tienen límite de alcance)
+   */
+  hasScope(apiToken, scope) {
+    return !apiToken || apiToken.scopes.includes(scope);
+  }
+
+  /**
+   * Obtener token de una cabecera Authorization: Bearer
+   */
+  getBearerToken(header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Eliminar campos sensibles del usuario
+   */
+  publicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      email: user.email,
+      phone: user.phone,
+      bio: user.bio,
+      timezone: user.timezone,
+      language: user.language,
+      role: user.role,
+      totp_enabled: !!user.totp_enabled,
+      last_login: user.last_login,
+      password_changed_at: user.password_changed_at,
+      created_at: user.created_at
+    };
+  }
+
+  /**
+   * Leer cookies de una cabecera HTTP
+   */
+  parseCookies(header) {
+    const cookies = {};
+    if (!header) {
+      return cookies;
+    }
+
+    header.split(';').forEach(part => {
+      const index = part.indexOf('=');
+      if (index > 0) {
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+          cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+          cookies[name] = value;
+        }
+      }
+    });
+
+    return cookies;
+  }
+
+  /**
+   * Obtener token de sesión desde la cookie de la petición
+   */
+  getSessionToken(req) {
+    return this.parseCookies(req.headers.cookie)[this.cookieName] || null;
+  }
+
+  /**
+   * Establecer cookie de sesión
+   */
+  setSessionCookie(res, token) {
+    res.cookie(this.cookieName, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: config.security.sessionTimeout
+    });
+  }
+
+  /**
+   * Eliminar cookie de sesión
+   */
+  clearSessionCookie(res) {
+    res.clearCookie(this.cookieName);
+  }
+
+  /**
+   * Middleware: cargar usuario de la sesión si existe
+   */
+  async authenticate(req, res, next) {
+    // Las vistas consultan el rol del usuario de la petición, con o sin sesión
+    res.locals.hasRole = (role) => this.hasRole(req.user, role);
+
+    try {
+      // Clientes sin sesión interactiva: token de API solo en rutas /api/*
+      const bearer = this.getBearerToken(req.headers.authorization);
+      if (bearer && req.path.startsWith('/api/')) {
+        const tokenResult = await this.validateApiToken(bearer, { ip: req.ip });
+
+        if (tokenResult) {
+          req.user = tokenResult.user;
+          req.apiToken = tokenResult.apiToken;
+          res.locals.user = tokenResult.user;
+        }
+
+        return next();
+      }
+
+      const result = await this.validateSession(this.getSessionToken(req));
+
+      if (result) {
+        req.user = result.user;
+        req.userSession = result.session;
+        res.locals.user = result.user;
+
+        // Renovar cookie para que expire por inactividad y no desde el login
+        this.setSessionCookie(res, this.getSessionToken(req));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Middleware: exigir sesión válida
+   */
+  requireAuth(req, res, next) {
+    if (req.user) {
+      return next();
+    }
+
+    if (req.path.startsWith('/api/')) {
+      return res.status(401).json({ success: false, error: 'Autenticación requerida' });
+    }
+
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  /**
+   * Middleware: exigir un rol mínimo
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (this.hasRole(req.user, role)) {
+        return next();
+      }
+
+      const message = `Permiso denegado: se requiere rol ${role}`;
+
+      if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ success: false, error: message });
+      }
+
+      res.status(403).render('error', { error: message });
+    };
+  }
+
+  /**
+   * Middleware: limitar las rutas accesibles con token de API según su alcance
+   * rules: [método, ruta exacta o RegExp, alcance]; las rutas no listadas no aceptan tokens
+   */
+  requireTokenScope(rules) {
+    return (req, res, next) => {
+      if (!req.apiToken) {
+        return next();
+      }
+
+      const rule = rules.find(([method, pattern]) =>
+        method === req.method &&
+        (pattern instanceof RegExp ? pattern.test(req.path) : pattern === req.path)
+      );
+
+      if (!rule) {
+        return res.status(403).json({ success: false, error: 'Esta ruta no admite tokens de API' });
+      }
+
+      if (!this.hasScope(req.apiToken, rule[2])) {
+        return res.status(403).json({
+          success: false,
+          error: `Permiso denegado: el token requiere el alcance ${rule[2]}`
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Middleware de Socket.IO: exigir sesión o token de API válido en el handshake
+   */
+  async authenticateSocket(socket, next) {
+    try {
+      if (await this.revalidateSocket(socket)) {
+        return next();
+      }
+
+      const { headers, auth = {} } = socket.handshake;
+      const bearer = auth.token || this.getBearerToken(headers.authorization);
+      next(new Error(bearer ? 'Token de API inválido' : 'Autenticación requerida'));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Volver a validar las credenciales del handshake de un socket y actualizar su usuario
+   * (rol incluido); false si la sesión expiró o se cerró, o si el token fue revocado
+   */
+  async revalidateSocket(socket) {
+    const { headers, auth = {} } = socket.handshake;
+    const bearer = auth.token || this.getBearerToken(headers.authorization);
+
+    if (bearer) {
+      const tokenResult = await this.validateApiToken(bearer, { ip: socket.handshake.address });
+      if (!tokenResult) {
+        return false;
+      }
+
+      socket.user = tokenResult.user;
+      socket.apiToken = tokenResult.apiToken;
+      return true;
+    }
+
+    const result = await this.validateSession(this.parseCookies(headers.cookie)[this.cookieName]);
+    if (!result) {
+      return false;
+    }
+
+    socket.user = result.user;
+    socket.userSession = result.session;
+    return true;
+  }
+}
+
+module.exports = AuthManager;
+module.exports.AuthError = AuthError;
+module.exports.ROLES = ROLES;
+module.exports.API_SCOPES = API_SCOPES;
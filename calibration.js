@@ -0,0 +1,219 @@
+/**
+ * Calibración Guiada de Sondas de pH y EC
+ * Sesiones paso a paso: se sumerge la sonda en cada buffer o solución de referencia,
+ * se captura el voltaje estable y al finalizar se ajustan y guardan los coeficientes
+ * Ing. Daril Díaz - 2024
+ */
+
+const {
+  CalibrationError,
+  PH_BUFFERS,
+  EC_REFERENCES,
+  fitCalibration
+} = require('./water_quality');
+
+// Conversiones promediadas al capturar un punto (más que en una lectura normal)
+const CAPTURE_SAMPLES = 20;
+
+// Pasos sugeridos por tipo de sonda
+const CALIBRATION_STEPS = {
+  ph: {
+    minPoints: 2,
+    steps: PH_BUFFERS.map(value => ({
+      reference: value,
+      label: `Buffer pH ${value.toFixed(2)}`,
+      instructions: 'Enjuague la sonda con agua destilada, séquela y sumérjala en el buffer. Espere a que el voltaje se estabilice.'
+    }))
+  },
+  ec: {
+    minPoints: 1,
+    steps: EC_REFERENCES.map(value => ({
+      reference: value,
+      label: `Solución ${Math.round(value * 1000)} µS/cm`,
+      instructions: 'Enjuague la sonda, sumérjala en la solución de referencia y agítela suavemente. Espere a que el voltaje se estabilice.'
+    }))
+  }
+};
+
+class CalibrationManager {
+  /**
+   * database: instancia de Database (tabla calibrations)
+   * sensors: SensorRegistry con las sondas a calibrar
+   */
+  constructor(database, sensors) {
+    this.database = database;
+    this.sensors = sensors;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Sonda calibrable registrada con ese id
+   */
+  getProbe(sensorId) {
+    const probe = this.sensors.getInstance(sensorId);
+
+    if (!probe) {
+      throw new CalibrationError(`Sensor no registrado: ${sensorId}`, 404);
+    }
+    if (typeof probe.setCalibration !== 'function' || !CALIBRATION_STEPS[probe.kind]) {
+      throw new CalibrationError(`El sensor ${sensorId} no admite calibración`);
+    }
+
+    return probe;
+  }
+
+  /**
+   * Aplicar a una sonda la última calibración guardada
+   * Devuelve true si había una calibración guardada
+   */
+  async applyStored(sensorId) {
+    const probe = this.sensors.getInstance(sensorId);
+    if (!probe || typeof probe.setCalibration !== 'function') {
+      return false;
+    }
+
+    const stored = await this.database.getLatestCalibration(sensorId);
+    const usable = stored && stored.kind === probe.kind && stored.coefficients;
+    probe.setCalibration(usable ? stored.coefficients : null);
+    return Boolean(usable);
+  }
+
+  /**
+   * Estado de calibración de una sonda: coeficientes, sesión en curso y voltaje actual
+   */
+  async getStatus(sensorId, { readVoltage = true } = {}) {
+    const probe = this.getProbe(sensorId);
+    let voltage = null;
+    let error = null;
+
+    if (readVoltage) {
+      try {
+        voltage = Math.round(await probe.readVoltage() * 10000) / 10000;
+      } catch (readError) {
+        error = readError.message;
+      }
+    }
+
+    return {
+      sensorId,
+      kind: probe.kind,
+      calibrated: probe.calibrated,
+      calibration: await this.database.getLatestCalibration(sensorId),
+      session: this.sessions.get(sensorId) || null,
+      voltage,
+      temperature: probe.getTemperature(),
+      error
+    };
+  }
+
+  /**
+   * Iniciar una sesión de calibración (reemplaza una sesión anterior sin terminar)
+   */
+  start(sensorId, actor = null) {
+    const probe = this.getProbe(sensorId);
+    const guide = CALIBRATION_STEPS[probe.kind];
+
+    const session = {
+      sensorId,
+      kind: probe.kind,
+      steps: guide.steps,
+      minPoints: guide.minPoints,
+      points: [],
+      startedBy: actor,
+      startedAt: new Date().toISOString()
+    };
+
+    this.sessions.set(sensorId, session);
+    return session;
+  }
+
+  getSession(sensorId) {
+    const session = this.sessions.get(sensorId);
+    if (!session) {
+      throw new CalibrationError(`No hay una calibración en curso para ${sensorId}`, 409);
+    }
+    return session;
+  }
+
+  /**
+   * Capturar el voltaje de la sonda en una solución de referencia
+   * Repetir la captura de la misma referencia reemplaza el punto anterior
+   */
+  async capturePoint(sensorId, reference) {
+    const session = this.getSession(sensorId);
+    const probe = this.getProbe(sensorId);
+    const value = Number(reference);
+
+    if (!Number.isFinite(value) || value < 0 || (session.kind === 'ph' && value > 14)) {
+      throw new CalibrationError('Valor de referencia inválido');
+    }
+
+    const voltage = await probe.readVoltage(CAPTURE_SAMPLES);
+    const point = {
+      value,
+      voltage: Math.round(voltage * 10000) / 10000,
+      temperature: probe.getTemperature(),
+      capturedAt: new Date().toISOString()
+    };
+
+    session.points = session.points.filter(existing => existing.value !== value).concat(point);
+    return { point, session };
+  }
+
+  /**
+   * Ajustar los coeficientes, guardarlos y aplicarlos a la sonda
+   */
+  async finish(sensorId, actor = null) {
+    const session = this.getSession(sensorId);
+    const probe = this.getProbe(sensorId);
+
+    if (session.points.length < session.minPoints) {
+      throw new CalibrationError(`Se necesitan al menos ${session.minPoints} puntos para calibrar`);
+    }
+
+    const coefficients = fitCalibration(session.kind, session.points);
+
+    const id = await this.database.saveCalibration({
+      sensorId,
+      kind: session.kind,
+      coefficients,
+      points: session.points,
+      createdBy: actor
+    });
+
+    probe.setCalibration(coefficients);
+    this.sessions.delete(sensorId);
+
+    return { id, sensorId, kind: session.kind, coefficients, points: session.points };
+  }
+
+  /**
+   * Descartar la sesión en curso sin modificar la calibración
+   */
+  cancel(sensorId) {
+    return this.sessions.delete(sensorId);
+  }
+
+  /**
+   * Volver a los coeficientes nominales (la historia queda en la base de datos)
+   */
+  async reset(sensorId, actor = null) {
+    const probe = this.getProbe(sensorId);
+
+    await this.database.saveCalibration({
+      sensorId,
+      kind: probe.kind,
+      coefficients: null,
+      points: [],
+      createdBy: actor
+    });
+
+    probe.setCalibration(null);
+    this.sessions.delete(sensorId);
+    return true;
+  }
+}
+
+module.exports = CalibrationManager;
+module.exports.CALIBRATION_STEPS = CALIBRATION_STEPS;
+module.exports.CAPTURE_SAMPLES = CAPTURE_SAMPLES;
@@ -0,0 +1,271 @@
+/**
+ * Modelo de Condiciones de Activación
+ * Umbral de encendido y de apagado (histéresis), tiempo que la lectura debe sostenerse
+ * antes de actuar y espera mínima entre disparos. Cada condición lleva su propio estado,
+ * así que una lectura repetida no vuelve a disparar la acción
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError, parseReleId } = require('./relays');
+
+const MAX_MINUTES = 24 * 60;
+
+// Sufijo del tipo de condición y operador que lo dispara
+const CONDITION_LIMITS = {
+  Max: { operator: '>', label: 'Máximo' },
+  Min: { operator: '<', label: 'Mínimo' }
+};
+
+// Campos del relé compartidos por sus condiciones en el formato anterior ({ tempMax: 28, tempTime: 30 })
+const SHARED_FIELDS = ['sequenceId', 'tempTime', 'humidityTime'];
+
+// Métricas con nombre abreviado en el tipo (tempMax, tempMin)
+const METRIC_ALIASES = { temp: 'temperature' };
+
+const TYPE_PATTERN = /^([a-zA-Z][a-zA-Z0-9_]*?)(Max|Min)$/;
+
+/**
+ * Condición mal definida
+ */
+class ConditionError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'ConditionError';
+  }
+}
+
+/**
+ * Métrica y operador de un tipo de condición: tempMax -> temperature >, phMin -> ph <
+ * Devuelve null si el tipo no termina en Max o Min
+ */
+function parseConditionType(type) {
+  const match = TYPE_PATTERN.exec(String(type || ''));
+  if (!match) {
+    return null;
+  }
+  return { metric: METRIC_ALIASES[match[1]] || match[1], operator: CONDITION_LIMITS[match[2]].operator };
+}
+
+/**
+ * Tipo de condición de una métrica y operador (inverso de parseConditionType)
+ */
+function conditionType(metric, operator) {
+  const prefix = Object.keys(METRIC_ALIASES).find(alias => METRIC_ALIASES[alias] === metric) || metric;
+  return `${prefix}${operator === '>' ? 'Max' : 'Min'}`;
+}
+
+/**
+ * Métrica que vigila una condición
+ * Las condiciones anteriores al registro de sensores solo indican el tipo (tempMax, humidity...)
+ */
+function conditionMetric(condition) {
+  if (condition.metric) {
+    return condition.metric;
+  }
+
+  const type = String(condition.condition_type || condition.type || '');
+  if (type.startsWith('temp')) {
+    return 'temperature';
+  }
+  if (type.startsWith('humidity')) {
+    return 'humidity';
+  }
+  return type;
+}
+
+function parseThreshold(value, label) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    throw new ConditionError(`${label} inválido: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Minutos enteros entre 0 y un día (0 = sin espera o sin límite)
+ */
+function parseOptionalMinutes(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MINUTES) {
+    throw new ConditionError(`${label} fuera de rango: ${value} (entre 0 y ${MAX_MINUTES} minutos)`);
+  }
+  return minutes;
+}
+
+/**
+ * Validar una condición de un tipo (tempMax, humidityMin, phMax...)
+ * definition: el umbral de encendido o { value, offValue, duration, dwellMinutes, cooldownMinutes, sensorId, enabled, sequenceId }
+ * defaults: valores del relé en el formato anterior (duración y secuencia compartidas)
+ */
+function normalizeCondition(type, definition, label = 'Condición', defaults = {}) {
+  const parsed = parseConditionType(type);
+  if (!parsed) {
+    throw new ConditionError(`${label}: tipo de condición desconocido ${type} (use <métrica>Max o <métrica>Min, p. ej. tempMax)`);
+  }
+
+  const entry = definition !== null && typeof definition === 'object' ? definition : { value: definition };
+  const value = parseThreshold(entry.value, `${label}: umbral`);
+  const offValue = entry.offValue === undefined || entry.offValue === null || entry.offValue === ''
+    ? value
+    : parseThreshold(entry.offValue, `${label}: umbral de apagado`);
+
+  // El apagado queda del lado opuesto al disparo: por debajo de un máximo, por encima de un mínimo
+  if (parsed.operator === '>' ? offValue > value : offValue < value) {
+    throw new ConditionError(
+      `${label}: el umbral de apagado (${offValue}) debe ser ${parsed.operator === '>' ? 'menor' : 'mayor'} o igual al de encendido (${value})`
+    );
+  }
+
+  const sequenceId = entry.sequenceId !== undefined ? entry.sequenceId : defaults.sequenceId;
+  if (sequenceId !== undefined && sequenceId !== null && sequenceId !== '' &&
+      (!Number.isInteger(Number(sequenceId)) || Number(sequenceId) < 1)) {
+    throw new ConditionError(`${label}: secuencia inválida ${sequenceId}`);
+  }
+
+  return {
+    type,
+    metric: parsed.metric,
+    operator: parsed.operator,
+    sensorId: entry.sensorId ? String(entry.sensorId) : null,
+    value,
+    offValue,
+    duration: parseOptionalMinutes(entry.duration !== undefined ? entry.duration : defaults.duration, `${label}: duración`),
+    dwellMinutes: parseOptionalMinutes(entry.dwellMinutes, `${label}: tiempo de confirmación`),
+    cooldownMinutes: parseOptionalMinutes(entry.cooldownMinutes, `${label}: espera entre disparos`),
+    enabled: entry.enabled !== false && entry.enabled !== 0,
+    sequenceId: sequenceId ? Number(sequenceId) : null
+  };
+}
+
+/**
+ * Validar las condiciones de un relé por tipo: { tempMax: {...}, humidityMin: 40 }
+ * Acepta el formato anterior, con tempTime, humidityTime y sequenceId compartidos por el relé
+ */
+function normalizeConditionGroup(group, name = 'el relé') {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    throw new ConditionError(`Las condiciones de ${name} deben ser un objeto por tipo`);
+  }
+
+  const normalized = {};
+  Object.keys(group).filter(type => !SHARED_FIELDS.includes(type)).forEach(type => {
+    const defaults = {
+      sequenceId: group.sequenceId,
+      duration: type.startsWith('temp') ? group.tempTime : type.startsWith('humidity') ? group.humidityTime : undefined
+    };
+    normalized[type] = normalizeCondition(type, group[type], `${type} de ${name}`, defaults);
+  });
+  return normalized;
+}
+
+/**
+ * Validar condiciones agrupadas por relé y tipo: { releId: { tempMax: {...}, humidityMin: 40 } }
+ */
+function normalizeConditionGroups(grouped, relays) {
+  if (!grouped || typeof grouped !== 'object' || Array.isArray(grouped)) {
+    throw new ConditionError('Se esperaba un objeto agrupado por relé');
+  }
+
+  const normalized = {};
+  Object.keys(grouped).forEach(key => {
+    const releId = parseReleId(key, relays);
+    normalized[releId] = normalizeConditionGroup(grouped[key] || {}, relays[releId - 1].name);
+  });
+  return normalized;
+}
+
+/**
+ * La lectura cruza el umbral de encendido
+ */
+function conditionTriggered(condition, value) {
+  return condition.operator === '<' ? value < condition.value : value > condition.value;
+}
+
+/**
+ * La lectura volvió al umbral de apagado (sin histéresis, el mismo de encendido)
+ */
+function conditionReleased(condition, value) {
+  const offValue = condition.offValue === undefined || condition.offValue === null ? condition.value : condition.offValue;
+  return condition.operator === '<' ? value >= offValue : value <= offValue;
+}
+
+/**
+ * Estado inicial de una condición: inactiva, sin cruce pendiente ni disparos previos
+ */
+function initialConditionState() {
+  return { active: false, pendingSince: null, lastTriggered: null };
+}
+
+/**
+ * Avanzar un disparador con histéresis según si se cumple el encendido o el apagado
+ * timing: { duration, dwellMinutes, cooldownMinutes } en minutos
+ * Devuelve { state, event }, con event:
+ *   trigger - el encendido se sostuvo el tiempo de confirmación y pasó la espera entre disparos
+ *   release - el apagado se sostuvo el tiempo de confirmación
+ *   expire  - terminó la duración de un disparo con duración fija; puede volver a dispararse
+ *   null    - sin cambios
+ */
+function advanceTrigger(state, timing, triggered, released, now = Date.now()) {
+  const dwell = (timing.dwellMinutes || 0) * 60 * 1000;
+  const cooldown = (timing.cooldownMinutes || 0) * 60 * 1000;
+  const duration = (timing.duration || 0) * 60 * 1000;
+
+  if (state.active && duration > 0 && now - state.lastTriggered >= duration) {
+    return { state: { ...initialConditionState(), lastTriggered: state.lastTriggered }, event: 'expire' };
+  }
+
+  const crossing = state.active ? released : triggered;
+  if (!crossing) {
+    return { state: { ...state, pendingSince: null }, event: null };
+  }
+
+  const pendingSince = state.pendingSince === null ? now : state.pendingSince;
+  if (now - pendingSince < dwell) {
+    return { state: { ...state, pendingSince }, event: null };
+  }
+
+  if (state.active) {
+    return { state: { ...initialConditionState(), lastTriggered: state.lastTriggered }, event: 'release' };
+  }
+
+  if (state.lastTriggered !== null && now - state.lastTriggered < cooldown) {
+    return { state: { ...state, pendingSince }, event: null };
+  }
+
+  return { state: { active: true, pendingSince: null, lastTriggered: now }, event: 'trigger' };
+}
+
+/**
+ * Avanzar el estado de una condición con una lectura (ver advanceTrigger)
+ */
+function advanceCondition(state, condition, value, now = Date.now()) {
+  return advanceTrigger(state, condition, conditionTriggered(condition, value), conditionReleased(condition, value), now);
+}
+
+/**
+ * Condición legible: "temperature > 28 (hasta 26)"
+ */
+function describeCondition(condition) {
+  const offValue = condition.offValue === undefined || condition.offValue === null ? condition.value : condition.offValue;
+  const deadband = offValue !== condition.value ? ` (hasta ${offValue})` : '';
+  return `${conditionMetric(condition)} ${condition.operator} ${condition.value}${deadband}`;
+}
+
+module.exports = {
+  ConditionError,
+  CONDITION_LIMITS,
+  parseConditionType,
+  conditionType,
+  conditionMetric,
+  normalizeCondition,
+  normalizeConditionGroup,
+  normalizeConditionGroups,
+  conditionTriggered,
+  conditionReleased,
+  initialConditionState,
+  advanceTrigger,
+  advanceCondition,
+  describeCondition
+};
@@ -12,28 +12,76 @@ module.exports = {
 
   // Configuración GPIO
   gpio: {
-    // Pines para los 4 relés (GPIO numbering)
-    relePins: [2, 3, 4, 18], // GPIO2, GPIO3, GPIO4, GPIO18
+    // Relés instalados, en orden (el id del relé es su posición: 1, 2, ...)
+    // Cada relé: 'pin' (GPIO numbering), 'name' y opcionalmente 'activeLow' e 'initialState'
+    // 'type' indica el dispositivo conectado (valve, pump, fan, light, heater, generic) y
+    // 'metadata' sus datos: flowRate (L/min) en válvulas y bombas, wattage (W) en equipos eléctricos
+    //   { pin: 23, name: 'Bomba principal', type: 'pump', metadata: { flowRate: 12, wattage: 40 } }
+    // Los datos guardados desde la API (/api/outputs) reemplazan a estos por relé
+    // Para placas de 8 o 16 canales basta con agregar más entradas
+    relays: [
+      { pin: 2, name: 'Válvula 1', type: 'valve' },  // GPIO2
+      { pin: 3, name: 'Válvula 2', type: 'valve' },  // GPIO3
+      { pin: 4, name: 'Válvula 3', type: 'valve' },  // GPIO4
+      { pin: 18, name: 'Válvula 4', type: 'valve' }  // GPIO18
+    ],
     
-    // Pin para sensor DHT11
+    // Enclavamientos entre relés (ids de relé); se aplican a todo comando: web, API,
+    // Socket.IO, secuencias, horarios y condiciones. Apagar nunca se bloquea.
+    //   { type: 'exclusive', name: 'Llenado/Vaciado', relays: [1, 2] }      nunca juntos
+    //   { type: 'requires', relay: 3, requires: 4 }                        3 solo con 4 encendido
+    //   { type: 'maxActive', name: 'Presión de bomba', outputType: 'valve', max: 2 }
+    //   { type: 'maxActive', relays: [1, 2, 3], max: 1 }
+    interlocks: [],
+    
+    // Límites de seguridad (segundos) para todos los relés; cada relé puede reemplazarlos con 'limits'
+    //   maxOnTime: tiempo máximo encendido seguido (se apaga sola al cumplirse)
+    //   minOffTime: tiempo mínimo apagado entre activaciones (protección de bombas y compresores)
+    //   maxDailyRuntime: tiempo máximo encendido acumulado por día
+    //   { pin: 23, name: 'Bomba principal', type: 'pump', limits: { maxOnTime: 1800, minOffTime: 300 } }
+    // Se aplican a todo comando, igual que los enclavamientos
+    releLimits: {},
+    
+    // Pin para sensor DHT11 (usado por los sensores DHT que no definen 'pin')
     dht11Pin: 17, // GPIO17
     
-    // Configuración de relés (activos en bajo)
+    // Polaridad por defecto de los relés (activos en bajo)
     releActiveLow: true,
     
-    // Estado inicial de relés (false = apagado)
-    releInitialState: false
+    // Estado inicial por defecto de los relés (false = apagado)
+    releInitialState: false,
+    
+    // Qué hacer con cada relé al reiniciar el sistema o volver la energía (cada relé acepta 'restorePolicy'):
+    //   'off'     estado inicial (releInitialState); se descartan las activaciones temporales pendientes
+    //   'restore' último estado guardado
+    //   'resume'  reanudar la activación temporal o el horario interrumpido hasta su fin previsto
+    releRestorePolicy: 'off'
   },
 
   // Configuración de sensores
   sensors: {
-    // Intervalo de lectura DHT11 (en milisegundos)
+    // Sensores instalados (ver sensor_registry.js para los tipos disponibles)
+    // Los sensores guardados en la base de datos reemplazan a estos por id
+    // Los DHT11/DHT22 aceptan 'retries': intentos por lectura ante errores de checksum
+    // Las sondas DS18B20 usan 'address' (28-xxxxxxxxxxxx); sin dirección se usa la primera detectada
+    // Las sondas de pH y EC (ADS1115) usan 'channel' (0-3), 'address' (0x48-0x4B) y
+    // 'temperatureSensor' (id de la sonda DS18B20 para compensar), por ejemplo:
+    //   { id: 'ph', type: 'ph', name: 'pH Tanque', channel: 0, temperatureSensor: 'agua' }
+    //   { id: 'ec', type: 'ec', name: 'EC Tanque', channel: 1, temperatureSensor: 'agua' }
+    devices: [
+      { id: 'dht11', type: 'dht11', name: 'Ambiente' }
+    ],
+
+    // Directorio de dispositivos del bus 1-Wire (sondas DS18B20)
+    w1DevicesPath: '/sys/bus/w1/devices',
+
+    // Intervalo de lectura de sensores (en milisegundos)
     dht11Interval: 60000, // 1 minuto
     
     // Intervalo de verificación de condiciones (en milisegundos)
     conditionCheckInterval: 60000, // 1 minuto
     
-    // Umbrales por defecto para alertas
+    // Umbrales por defecto para alertas, por métrica
     thresholds: {
       temperature: {
         min: 18, // °C
@@ -42,6 +90,18 @@ module.exports = {
       humidity: {
         min: 40, // %
         max: 80  // %
+      },
+      water_temperature: {
+        min: 18, // °C
+        max: 24  // °C
+      },
+      ph: {
+        min: 5.5,
+        max: 6.5
+      },
+      ec: {
+        min: 1.0, // mS/cm
+        max: 2.5  // mS/cm
       }
     }
   },
@@ -67,7 +127,11 @@ module.exports = {
     checkInterval: 30000, // 30 segundos
     
     // Zona horaria
-    timezone: 'America/Santo_Domingo'
+    timezone: 'America/Santo_Domingo',
+
+    // Ubicación para los horarios relativos al amanecer y atardecer (grados decimales)
+    latitude: 18.4861,
+    longitude: -69.9312
   },
 
   // Configuración de seguridad
@@ -79,7 +143,22 @@ module.exports = {
     maxLoginAttempts: 5,
     
     // Bloqueo temporal (en milisegundos)
-    lockoutDuration: 900000 // 15 minutos
+    lockoutDuration: 900000, // 15 minutos
+
+    // Nombre de la cookie de sesión
+    sessionCookieName: 'hidro_sid',
+
+    // Longitud mínima de contraseña
+    minPasswordLength: 8,
+
+    // Autenticación en dos pasos (TOTP)
+    twoFactorIssuer: 'AutoHidro',
+    twoFactorChallengeTimeout: 300000, // 5 minutos para ingresar el código
+    recoveryCodeCount: 10,
+
+    // Usuario administrador creado en el primer arranque
+    // (la contraseña se toma de HIDRO_ADMIN_PASSWORD o se genera aleatoriamente)
+    defaultAdmin: process.env.HIDRO_ADMIN_USER || 'admin'
   },
 
   // Configuración de notificaciones
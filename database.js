@@ -8,11 +8,23 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const config = require('./config');
+const { normalizeRelays } = require('./relays');
+const { describeWindow } = require('./schedules');
+const { parseConditionType, conditionMetric, normalizeConditionGroup } = require('./conditions');
+
+// Id del sensor al que se asignan las lecturas de la tabla original sensor_readings
+const LEGACY_SENSOR_ID = 'dht11';
 
 class Database {
-  constructor() {
-    this.dbPath = config.database.path;
+  constructor(dbPath = config.database.path) {
+    this.dbPath = dbPath;
     this.db = null;
+
+    // Promesa resuelta cuando las tablas están creadas
+    this.ready = new Promise((resolve) => {
+      this.resolveReady = resolve;
+    });
+
     this.init();
   }
 
@@ -46,7 +58,7 @@ class Database {
    */
   createTables() {
     const tables = [
-      // Tabla de lecturas de sensores
+      // Tabla original de lecturas del DHT11 (se migra a readings)
       `CREATE TABLE IF NOT EXISTS sensor_readings (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         temperature REAL NOT NULL,
@@ -54,6 +66,126 @@ class Database {
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      // Tabla de lecturas por sensor y métrica
+      `CREATE TABLE IF NOT EXISTS readings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sensor_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        value REAL NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE INDEX IF NOT EXISTS idx_readings_sensor_metric
+        ON readings (sensor_id, metric, timestamp)`,
+
+      // Tabla de sensores configurados desde la interfaz (reemplazan a config.js por id)
+      `CREATE TABLE IF NOT EXISTS sensors (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        options TEXT,
+        enabled INTEGER DEFAULT 1,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Historial de calibraciones de sondas (la última vigente por sensor)
+      `CREATE TABLE IF NOT EXISTS calibrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sensor_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        coefficients TEXT,
+        points TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Nombre, tipo y datos de las salidas (reemplazan a config.js por relé)
+      `CREATE TABLE IF NOT EXISTS outputs (
+        releId INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        metadata TEXT,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Tabla de desactivaciones temporales pendientes (una por relé, sobreviven a un reinicio)
+      `CREATE TABLE IF NOT EXISTS timed_runs (
+        releId INTEGER PRIMARY KEY,
+        id TEXT,
+        reason TEXT,
+        duration INTEGER NOT NULL,
+        started_at INTEGER,
+        ends_at INTEGER NOT NULL,
+        actor TEXT,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Secuencias de relés con nombre (pasos en JSON)
+      `CREATE TABLE IF NOT EXISTS sequences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        steps TEXT NOT NULL,
+        updated_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Programas de fotoperiodo por etapa de cultivo (etapas en JSON)
+      `CREATE TABLE IF NOT EXISTS photoperiods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        releId INTEGER NOT NULL,
+        startDate TEXT NOT NULL,
+        lightsOn TEXT NOT NULL,
+        stages TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        updated_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Reglas compuestas (expresiones de encendido y apagado en JSON)
+      `CREATE TABLE IF NOT EXISTS rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        releId INTEGER NOT NULL,
+        action TEXT NOT NULL DEFAULT 'on',
+        expression TEXT NOT NULL,
+        release_expression TEXT,
+        duration INTEGER DEFAULT 0,
+        dwellMinutes INTEGER DEFAULT 0,
+        cooldownMinutes INTEGER DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        updated_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Lazos PID de salidas de clima (uno por relé)
+      `CREATE TABLE IF NOT EXISTS pid_loops (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        releId INTEGER UNIQUE NOT NULL,
+        sensorId TEXT,
+        metric TEXT NOT NULL,
+        direction TEXT NOT NULL DEFAULT 'raise',
+        setpoint REAL NOT NULL,
+        kp REAL DEFAULT 0,
+        ki REAL DEFAULT 0,
+        kd REAL DEFAULT 0,
+        outputMin REAL DEFAULT 0,
+        outputMax REAL DEFAULT 100,
+        cycleSeconds INTEGER DEFAULT 60,
+        minPulseSeconds REAL DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        updated_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
       // Tabla de horarios programados
       `CREATE TABLE IF NOT EXISTS schedules (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -62,6 +194,12 @@ class Database {
         duration INTEGER NOT NULL,
         days TEXT NOT NULL,
         enabled INTEGER DEFAULT 1,
+        sequenceId INTEGER,
+        type TEXT DEFAULT 'fixed',
+        onMinutes INTEGER,
+        offMinutes INTEGER,
+        anchor TEXT DEFAULT 'clock',
+        offsetMinutes INTEGER DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
@@ -70,9 +208,15 @@ class Database {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         releId INTEGER NOT NULL,
         condition_type TEXT NOT NULL,
+        sensor_id TEXT,
+        metric TEXT,
         value REAL NOT NULL,
+        offValue REAL,
         duration INTEGER DEFAULT 15,
+        dwellMinutes INTEGER DEFAULT 0,
+        cooldownMinutes INTEGER DEFAULT 0,
         enabled INTEGER DEFAULT 1,
+        sequenceId INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
@@ -100,19 +244,167 @@ class Database {
         value TEXT NOT NULL,
         description TEXT,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Tabla de usuarios
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        first_name TEXT,
+        last_name TEXT,
+        email TEXT,
+        phone TEXT,
+        bio TEXT,
+        timezone TEXT,
+        language TEXT DEFAULT 'es',
+        role TEXT NOT NULL DEFAULT 'viewer',
+        totp_secret TEXT,
+        totp_pending_secret TEXT,
+        totp_enabled INTEGER DEFAULT 0,
+        totp_last_step INTEGER DEFAULT 0,
+        failed_attempts INTEGER DEFAULT 0,
+        locked_until INTEGER DEFAULT 0,
+        last_login DATETIME,
+        password_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Tabla de sesiones de usuario
+      `CREATE TABLE IF NOT EXISTS user_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        ip_address TEXT,
+        user_agent TEXT,
+        last_activity INTEGER NOT NULL,
+        revoked INTEGER DEFAULT 0,
+        mfa_pending INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Tabla de códigos de recuperación de 2FA
+      `CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Tabla de tokens de API para clientes sin sesión interactiva
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        last_used INTEGER,
+        last_ip TEXT,
+        revoked INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Tabla de auditoría (quién cambió qué, desde dónde)
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        actor TEXT NOT NULL,
+        user_id INTEGER,
+        source TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target TEXT,
+        before_value TEXT,
+        after_value TEXT,
+        ip_address TEXT,
+        details TEXT
       )`
     ];
 
-    tables.forEach(table => {
-      this.db.run(table, (err) => {
-        if (err) {
-          console.error('Error creando tabla:', err.message);
-        }
+    // Columnas agregadas después de la creación original de cada tabla
+    const addedColumns = [
+      ['users', 'role', "TEXT NOT NULL DEFAULT 'viewer'"],
+      ['users', 'totp_secret', 'TEXT'],
+      ['users', 'totp_pending_secret', 'TEXT'],
+      ['users', 'totp_enabled', 'INTEGER DEFAULT 0'],
+      ['users', 'totp_last_step', 'INTEGER DEFAULT 0'],
+      ['user_sessions', 'mfa_pending', 'INTEGER DEFAULT 0'],
+      ['conditions', 'sensor_id', 'TEXT'],
+      ['conditions', 'metric', 'TEXT'],
+      ['timed_runs', 'id', 'TEXT'],
+      ['timed_runs', 'started_at', 'INTEGER'],
+      ['schedules', 'sequenceId', 'INTEGER'],
+      ['schedules', 'type', "TEXT DEFAULT 'fixed'"],
+      ['schedules', 'onMinutes', 'INTEGER'],
+      ['schedules', 'offMinutes', 'INTEGER'],
+      ['schedules', 'anchor', "TEXT DEFAULT 'clock'"],
+      ['schedules', 'offsetMinutes', 'INTEGER DEFAULT 0'],
+      ['conditions', 'sequenceId', 'INTEGER'],
+      ['conditions', 'offValue', 'REAL'],
+      ['conditions', 'dwellMinutes', 'INTEGER DEFAULT 0'],
+      ['conditions', 'cooldownMinutes', 'INTEGER DEFAULT 0'],
+      ['rele_states', 'cause', 'TEXT'],
+      ['rele_states', 'cause_id', 'INTEGER'],
+      ['rele_states', 'cause_name', 'TEXT'],
+      ['rele_states', 'actor', 'TEXT'],
+      ['rele_states', 'readings', 'TEXT']
+    ];
+
+    // Serializar para que las tablas existan antes de insertar datos
+    this.db.serialize(() => {
+      tables.forEach(table => {
+        this.db.run(table, (err) => {
+          if (err) {
+            console.error('Error creando tabla:', err.message);
+          }
+        });
       });
-    });
 
-    // Insertar configuraciones por defecto
-    this.insertDefaultConfig();
+      // Migrar bases de datos existentes
+      addedColumns.forEach(([table, column, definition]) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+          if (err && !err.message.includes('duplicate column')) {
+            console.error(`Error agregando columna ${table}.${column}:`, err.message);
+          }
+        });
+      });
+
+      // Las cuentas anteriores a los roles quedan como viewer: sin ningún administrador se
+      // promueve al administrador por defecto o, si no existe, al usuario más antiguo
+      this.db.run(
+        `UPDATE users SET role = 'admin'
+         WHERE id = (SELECT id FROM users ORDER BY username = ? DESC, id LIMIT 1)
+         AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')`,
+        [config.security.defaultAdmin],
+        (err) => {
+          if (err) {
+            console.error('Error asignando el administrador:', err.message);
+          }
+        }
+      );
+
+      // Copiar lecturas del DHT11 a la tabla genérica (solo la primera vez)
+      this.db.run(
+        `INSERT INTO readings (sensor_id, metric, value, timestamp)
+         SELECT ?, 'temperature', temperature, timestamp FROM sensor_readings
+         WHERE NOT EXISTS (SELECT 1 FROM readings)
+         UNION ALL
+         SELECT ?, 'humidity', humidity, timestamp FROM sensor_readings
+         WHERE NOT EXISTS (SELECT 1 FROM readings)`,
+        [LEGACY_SENSOR_ID, LEGACY_SENSOR_ID],
+        (err) => {
+          if (err) {
+            console.error('Error migrando lecturas de sensores:', err.message);
+          }
+        }
+      );
+
+      // Insertar configuraciones por defecto
+      this.insertDefaultConfig();
+
+      this.db.run('SELECT 1', () => this.resolveReady());
+    });
   }
 
   /**
@@ -137,51 +429,67 @@ class Database {
   }
 
   /**
-   * Guardar lectura de sensor
+   * Guardar lecturas de un sensor ({ metrica: valor })
    */
-  saveSensorReading(temperature, humidity) {
+  saveReadings(sensorId, values) {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        'INSERT INTO sensor_readings (temperature, humidity) VALUES (?, ?)',
-        [temperature, humidity],
-        function(err) {
+      this.db.serialize(() => {
+        const stmt = this.db.prepare(
+          'INSERT INTO readings (sensor_id, metric, value) VALUES (?, ?, ?)'
+        );
+
+        Object.entries(values).forEach(([metric, value]) => {
+          stmt.run([sensorId, metric, value]);
+        });
+
+        stmt.finalize((err) => {
           if (err) {
             reject(err);
           } else {
-            resolve(this.lastID);
+            resolve(true);
           }
-        }
-      );
+        });
+      });
     });
   }
 
   /**
-   * Obtener últimas lecturas de sensores
+   * Construir filtro de lecturas por sensor, métrica y rango de fechas
    */
-  getRecentSensorReadings(limit = 100) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT * FROM sensor_readings ORDER BY timestamp DESC LIMIT ?',
-        [limit],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+  buildReadingsFilter(filters) {
+    const where = [];
+    const params = [];
+
+    if (filters.sensorId) {
+      where.push('sensor_id = ?');
+      params.push(filters.sensorId);
+    }
+    if (filters.metric) {
+      where.push('metric = ?');
+      params.push(filters.metric);
+    }
+    if (filters.startDate && filters.endDate) {
+      where.push('timestamp BETWEEN ? AND ?');
+      params.push(filters.startDate, filters.endDate);
+    }
+
+    return {
+      clause: where.length ? `WHERE ${where.join(' AND ')}` : '',
+      params
+    };
   }
 
   /**
-   * Obtener lecturas de sensores por rango de fechas
+   * Obtener últimas lecturas (filtros: sensorId, metric)
    */
-  getSensorReadingsByDateRange(startDate, endDate) {
+  getRecentReadings(filters = {}, limit = 100) {
+    const { clause, params } = this.buildReadingsFilter(filters);
+
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT * FROM sensor_readings WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp ASC',
-        [startDate, endDate],
+        `SELECT sensor_id, metric, value, timestamp FROM readings ${clause}
+         ORDER BY timestamp DESC, id DESC LIMIT ?`,
+        [...params, limit],
         (err, rows) => {
           if (err) {
             reject(err);
@@ -194,19 +502,22 @@ class Database {
   }
 
   /**
-   * Guardar horario programado
+   * Última lectura de una métrica en o antes de un instante, sin ir más atrás de maxAgeMinutes
+   * (null si el sensor no registró lecturas en ese intervalo)
    */
-  saveSchedule(schedule) {
+  getReadingAt(sensorId, metric, date, maxAgeMinutes) {
+    const toTimestamp = value => value.toISOString().replace('T', ' ').slice(0, 19);
+
     return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT INTO schedules (releId, time, duration, days, enabled) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [schedule.releId, schedule.time, schedule.duration, schedule.days, schedule.enabled],
-        function(err) {
+      this.db.get(
+        `SELECT value FROM readings WHERE sensor_id = ? AND metric = ? AND timestamp BETWEEN ? AND ?
+         ORDER BY timestamp DESC, id DESC LIMIT 1`,
+        [sensorId, metric, toTimestamp(new Date(date.getTime() - maxAgeMinutes * 60000)), toTimestamp(date)],
+        (err, row) => {
           if (err) {
             reject(err);
           } else {
-            resolve(this.lastID);
+            resolve(row ? row.value : null);
           }
         }
       );
@@ -214,12 +525,16 @@ class Database {
   }
 
   /**
-   * Obtener horarios activos
+   * Obtener lecturas por rango de fechas (filtros: sensorId, metric, startDate, endDate)
    */
-  getActiveSchedules() {
+  getReadingsByDateRange(filters = {}) {
+    const { clause, params } = this.buildReadingsFilter(filters);
+
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT * FROM schedules WHERE enabled = 1 ORDER BY days, time',
+        `SELECT sensor_id, metric, value, timestamp FROM readings ${clause}
+         ORDER BY timestamp ASC, id ASC`,
+        params,
         (err, rows) => {
           if (err) {
             reject(err);
@@ -232,38 +547,43 @@ class Database {
   }
 
   /**
-   * Guardar condición de activación
+   * Obtener sensores configurados en la base de datos
    */
-  saveCondition(condition) {
+  getSensorDefinitions() {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT INTO conditions (releId, condition_type, value, duration, enabled) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [condition.releId, condition.condition_type, condition.value,
-         condition.duration, condition.enabled],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(this.lastID);
-          }
+      this.db.all('SELECT * FROM sensors ORDER BY id', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
         }
-      );
+
+        resolve(rows.map(row => ({
+          ...JSON.parse(row.options || '{}'),
+          id: row.id,
+          type: row.type,
+          name: row.name,
+          enabled: row.enabled === 1
+        })));
+      });
     });
   }
 
   /**
-   * Obtener condiciones activas
+   * Guardar (crear o reemplazar) la definición de un sensor
    */
-  getActiveConditions() {
+  saveSensorDefinition(definition) {
+    const { id, type, name, enabled, ...options } = definition;
+
     return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT * FROM conditions WHERE enabled = 1',
-        (err, rows) => {
+      this.db.run(
+        `INSERT OR REPLACE INTO sensors (id, type, name, options, enabled, updated_at)
+         VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [id, type, name, JSON.stringify(options), enabled ? 1 : 0],
+        (err) => {
           if (err) {
             reject(err);
           } else {
-            resolve(rows);
+            resolve(true);
           }
         }
       );
@@ -271,56 +591,57 @@ class Database {
   }
 
   /**
-   * Guardar estado de relé
+   * Eliminar la definición de un sensor
    */
-  saveReleState(releId, state, reason = null) {
+  deleteSensorDefinition(id) {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        'INSERT INTO rele_states (releId, state, reason) VALUES (?, ?, ?)',
-        [releId, state, reason],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(this.lastID);
-          }
+      this.db.run('DELETE FROM sensors WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
         }
-      );
+      });
     });
   }
 
   /**
-   * Obtener último estado de un relé
+   * Obtener las salidas configuradas en la base de datos
    */
-  getLastReleState(releId) {
+  getOutputs() {
     return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM rele_states WHERE releId = ? ORDER BY timestamp DESC LIMIT 1',
-        [releId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row);
-          }
+      this.db.all('SELECT * FROM outputs ORDER BY releId', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
         }
-      );
+
+        resolve(rows.map(row => ({
+          releId: row.releId,
+          name: row.name,
+          type: row.type,
+          metadata: JSON.parse(row.metadata || '{}'),
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at
+        })));
+      });
     });
   }
 
   /**
-   * Guardar log del sistema
+   * Guardar (crear o reemplazar) el nombre, tipo y datos de una salida
    */
-  saveSystemLog(level, message, source = null) {
+  saveOutput(output) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        'INSERT INTO system_logs (level, message, source) VALUES (?, ?, ?)',
-        [level, message, source],
-        function(err) {
+        `INSERT OR REPLACE INTO outputs (releId, name, type, metadata, updated_by, updated_at)
+         VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [output.releId, output.name, output.type, JSON.stringify(output.metadata || {}), output.updatedBy || null],
+        (err) => {
           if (err) {
             reject(err);
           } else {
-            resolve(this.lastID);
+            resolve(true);
           }
         }
       );
@@ -328,63 +649,61 @@ class Database {
   }
 
   /**
-   * Obtener logs del sistema
+   * Eliminar los datos guardados de una salida (vuelve a los de config.js)
    */
-  getSystemLogs(limit = 100, level = null) {
+  deleteOutput(releId) {
     return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM system_logs';
-      let params = [];
-
-      if (level) {
-        query += ' WHERE level = ?';
-        params.push(level);
-      }
-
-      query += ' ORDER BY timestamp DESC LIMIT ?';
-      params.push(limit);
-
-      this.db.all(query, params, (err, rows) => {
+      this.db.run('DELETE FROM outputs WHERE releId = ?', [releId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(rows);
+          resolve(this.changes > 0);
         }
       });
     });
   }
 
   /**
-   * Actualizar configuración del sistema
+   * Obtener las desactivaciones temporales pendientes
    */
-  updateSystemConfig(key, value) {
+  getTimedRuns() {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        'UPDATE system_config SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
-        [value, key],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(this.changes);
-          }
+      this.db.all('SELECT * FROM timed_runs ORDER BY releId', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
         }
-      );
+
+        resolve(rows.map(row => ({
+          id: row.id,
+          releId: row.releId,
+          reason: row.reason,
+          duration: row.duration,
+          startedAt: row.started_at || row.ends_at - row.duration * 1000,
+          endsAt: row.ends_at,
+          actor: row.actor,
+          source: row.source,
+          createdAt: row.created_at
+        })));
+      });
     });
   }
 
   /**
-   * Obtener configuración del sistema
+   * Guardar (crear o reemplazar) la desactivación temporal pendiente de un relé
+   * startedAt y endsAt en milisegundos desde epoch
    */
-  getSystemConfig(key) {
+  saveTimedRun(run) {
     return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM system_config WHERE key = ?',
-        [key],
-        (err, row) => {
+      this.db.run(
+        `INSERT OR REPLACE INTO timed_runs (releId, id, reason, duration, started_at, ends_at, actor, source, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [run.releId, run.id || null, run.reason || null, run.duration, run.startedAt || null, run.endsAt, run.actor || null, run.source || null],
+        (err) => {
           if (err) {
             reject(err);
           } else {
-            resolve(row);
+            resolve(true);
           }
         }
       );
@@ -392,199 +711,1763 @@ class Database {
   }
 
   /**
-   * Crear respaldo de la base de datos
+   * Eliminar la desactivación temporal pendiente de un relé
    */
-  createBackup() {
+  deleteTimedRun(releId) {
     return new Promise((resolve, reject) => {
-      const backupDir = config.database.backupPath;
-      if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-      }
+      this.db.run('DELETE FROM timed_runs WHERE releId = ?', [releId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(backupDir, `backup_${timestamp}.db`);
+  /**
+   * Convertir una fila de sequences
+   */
+  parseSequence(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      steps: JSON.parse(row.steps || '[]'),
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
 
-      this.db.backup(backupPath, (err) => {
+  /**
+   * Obtener las secuencias de relés guardadas
+   */
+  getSequences() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM sequences ORDER BY name', (err, rows) => {
         if (err) {
           reject(err);
         } else {
-          // Limpiar respaldos antiguos
-          this.cleanOldBackups();
-          resolve(backupPath);
+          resolve(rows.map(row => this.parseSequence(row)));
         }
       });
     });
   }
 
   /**
-   * Limpiar respaldos antiguos
+   * Obtener una secuencia por id (null si no existe)
    */
-  cleanOldBackups() {
-    const backupDir = config.database.backupPath;
-    if (!fs.existsSync(backupDir)) return;
-
-    const files = fs.readdirSync(backupDir)
-      .filter(file => file.endsWith('.db'))
-      .map(file => ({
-        name: file,
-        path: path.join(backupDir, file),
-        time: fs.statSync(path.join(backupDir, file)).mtime.getTime()
-      }))
-      .sort((a, b) => b.time - a.time);
-
-    // Mantener solo los últimos respaldos según configuración
-    if (files.length > config.database.maxBackups) {
-      files.slice(config.database.maxBackups).forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-        } catch (error) {
-          console.error('Error eliminando respaldo:', error);
+  getSequence(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM sequences WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this.parseSequence(row) : null);
         }
       });
-    }
+    });
   }
 
-  // Métodos para el Programador
-  async getSchedules() {
-      try {
-          const schedules = await this.db.all(`
-              SELECT releId, time, duration, days, enabled, created_at 
-              FROM schedules 
-              ORDER BY releId, time
-          `);
-          
-          // Agrupar por relé
-          const groupedSchedules = { 1: [], 2: [], 3: [], 4: [] };
-          schedules.forEach(schedule => {
-              if (groupedSchedules[schedule.releId]) {
-                  groupedSchedules[schedule.releId].push({
-                      time: schedule.time,
-                      duration: schedule.duration,
-                      days: JSON.parse(schedule.days || '[]'),
-                      enabled: schedule.enabled === 1
-                  });
-              }
-          });
-          
-          return groupedSchedules;
-      } catch (error) {
-          console.error('Error obteniendo horarios:', error);
-          return { 1: [], 2: [], 3: [], 4: [] };
+  /**
+   * Crear una secuencia (sin id) o reemplazar la existente
+   * Devuelve el id de la secuencia
+   */
+  saveSequence(sequence) {
+    return new Promise((resolve, reject) => {
+      const params = [sequence.name, sequence.description || null, JSON.stringify(sequence.steps), sequence.updatedBy || null];
+
+      if (sequence.id) {
+        this.db.run(
+          `UPDATE sequences SET name = ?, description = ?, steps = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...params, sequence.id],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(sequence.id);
+            }
+          }
+        );
+        return;
       }
+
+      this.db.run(
+        'INSERT INTO sequences (name, description, steps, updated_by) VALUES (?, ?, ?, ?)',
+        params,
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
   }
 
-  async saveSchedules(schedules) {
-      try {
-          // Limpiar horarios existentes
-          await this.db.run('DELETE FROM schedules');
-          
-          // Insertar nuevos horarios
-          for (let releId = 1; releId <= 4; releId++) {
-              if (schedules[releId] && Array.isArray(schedules[releId])) {
-                  for (const schedule of schedules[releId]) {
-                      await this.db.run(`
-                          INSERT INTO schedules (releId, time, duration, days, enabled, created_at)
-                          VALUES (?, ?, ?, ?, ?, datetime('now'))
-                      `, [
-                          releId,
-                          schedule.time,
-                          schedule.duration,
-                          JSON.stringify(schedule.days || []),
-                          schedule.enabled ? 1 : 0
-                      ]);
-                  }
-              }
-          }
-          
-          return true;
-      } catch (error) {
-          console.error('Error guardando horarios:', error);
-          throw error;
+  /**
+   * Eliminar una secuencia
+   */
+  deleteSequence(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM sequences WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Horarios y condiciones que disparan una secuencia
+   */
+  countSequenceUses(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT (SELECT COUNT(*) FROM schedules WHERE sequenceId = ?) AS schedules,
+                (SELECT COUNT(*) FROM conditions WHERE sequenceId = ?) AS conditions`,
+        [id, id],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ schedules: row.schedules, conditions: row.conditions });
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Convertir una fila de photoperiods
+   */
+  parsePhotoperiod(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      releId: row.releId,
+      startDate: row.startDate,
+      lightsOn: row.lightsOn,
+      stages: JSON.parse(row.stages || '[]'),
+      enabled: row.enabled === 1,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Obtener los programas de fotoperiodo guardados
+   */
+  getPhotoperiods() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM photoperiods ORDER BY name', (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parsePhotoperiod(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Obtener un programa de fotoperiodo por id (null si no existe)
+   */
+  getPhotoperiod(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM photoperiods WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this.parsePhotoperiod(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Crear un programa de fotoperiodo (sin id) o reemplazar el existente
+   * Devuelve el id del programa
+   */
+  savePhotoperiod(program) {
+    return new Promise((resolve, reject) => {
+      const params = [
+        program.name,
+        program.releId,
+        program.startDate,
+        program.lightsOn,
+        JSON.stringify(program.stages),
+        program.enabled === false ? 0 : 1,
+        program.updatedBy || null
+      ];
+
+      if (program.id) {
+        this.db.run(
+          `UPDATE photoperiods SET name = ?, releId = ?, startDate = ?, lightsOn = ?, stages = ?, enabled = ?,
+           updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...params, program.id],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(program.id);
+            }
+          }
+        );
+        return;
       }
+
+      this.db.run(
+        'INSERT INTO photoperiods (name, releId, startDate, lightsOn, stages, enabled, updated_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        params,
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
   }
 
-  async getConditions() {
-      try {
-          const conditions = await this.db.all(`
-              SELECT releId, condition_type, value, duration, enabled
-              FROM conditions 
-              ORDER BY releId, condition_type
-          `);
-          
-          // Agrupar por relé
-          const groupedConditions = { 1: {}, 2: {}, 3: {}, 4: {} };
-          conditions.forEach(condition => {
-              if (groupedConditions[condition.releId]) {
-                  groupedConditions[condition.releId][condition.condition_type] = {
-                      value: condition.value,
-                      duration: condition.duration,
-                      enabled: condition.enabled === 1
-                  };
-              }
-          });
-          
-          return groupedConditions;
-      } catch (error) {
-          console.error('Error obteniendo condiciones:', error);
-          return { 1: {}, 2: {}, 3: {}, 4: {} };
+  /**
+   * Eliminar un programa de fotoperiodo
+   */
+  deletePhotoperiod(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM photoperiods WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Convertir una fila de rules
+   */
+  parseRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      releId: row.releId,
+      action: row.action,
+      when: JSON.parse(row.expression),
+      until: row.release_expression ? JSON.parse(row.release_expression) : null,
+      duration: row.duration || 0,
+      dwellMinutes: row.dwellMinutes || 0,
+      cooldownMinutes: row.cooldownMinutes || 0,
+      enabled: row.enabled === 1,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Obtener las reglas compuestas guardadas
+   */
+  getRules() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM rules ORDER BY name', (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseRule(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Obtener una regla por id (null si no existe)
+   */
+  getRule(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM rules WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this.parseRule(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Crear una regla (sin id) o reemplazar la existente
+   * Devuelve el id de la regla
+   */
+  saveRule(rule) {
+    return new Promise((resolve, reject) => {
+      const params = [
+        rule.name,
+        rule.releId,
+        rule.action,
+        JSON.stringify(rule.when),
+        rule.until ? JSON.stringify(rule.until) : null,
+        rule.duration || 0,
+        rule.dwellMinutes || 0,
+        rule.cooldownMinutes || 0,
+        rule.enabled === false ? 0 : 1,
+        rule.updatedBy || null
+      ];
+
+      if (rule.id) {
+        this.db.run(
+          `UPDATE rules SET name = ?, releId = ?, action = ?, expression = ?, release_expression = ?, duration = ?,
+           dwellMinutes = ?, cooldownMinutes = ?, enabled = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...params, rule.id],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(rule.id);
+            }
+          }
+        );
+        return;
       }
+
+      this.db.run(
+        `INSERT INTO rules (name, releId, action, expression, release_expression, duration, dwellMinutes, cooldownMinutes, enabled, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params,
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
   }
 
-  async saveConditions(conditions) {
-      try {
-          // Limpiar condiciones existentes
-          await this.db.run('DELETE FROM conditions');
-          
-          // Insertar nuevas condiciones
-          for (let releId = 1; releId <= 4; releId++) {
-              if (conditions[releId]) {
-                  const releConditions = conditions[releId];
-                  
-                  // Relé 1 - Temperatura máxima
-                  if (releConditions.tempMax !== undefined) {
-                      await this.db.run(`
-                          INSERT INTO conditions (releId, condition_type, value, duration, enabled, created_at)
-                          VALUES (?, 'tempMax', ?, ?, 1, datetime('now'))
-                      `, [releId, releConditions.tempMax, releConditions.tempTime || 30]);
-                  }
-                  
-                  // Relé 2 - Humedad mínima
-                  if (releConditions.humidityMin !== undefined) {
-                      await this.db.run(`
-                          INSERT INTO conditions (releId, condition_type, value, duration, enabled, created_at)
-                          VALUES (?, 'humidityMin', ?, ?, 1, datetime('now'))
-                      `, [releId, releConditions.humidityMin, releConditions.humidityTime || 15]);
-                  }
-                  
-                  // Relé 3 - Temperatura y humedad máxima
-                  if (releConditions.tempMax !== undefined) {
-                      await this.db.run(`
-                          INSERT INTO conditions (releId, condition_type, value, duration, enabled, created_at)
-                          VALUES (?, 'tempMax', ?, 15, 1, datetime('now'))
-                      `, [releId, releConditions.tempMax]);
-                  }
-                  if (releConditions.humidityMax !== undefined) {
-                      await this.db.run(`
-                          INSERT INTO conditions (releId, condition_type, value, duration, enabled, created_at)
-                          VALUES (?, 'humidityMax', ?, 15, 1, datetime('now'))
-                      `, [releId, releConditions.humidityMax]);
-                  }
-                  
-                  // Relé 4 - Temperatura mínima
-                  if (releConditions.tempMin !== undefined) {
-                      await this.db.run(`
-                          INSERT INTO conditions (releId, condition_type, value, duration, enabled, created_at)
-                          VALUES (?, 'tempMin', ?, ?, 1, datetime('now'))
-                      `, [releId, releConditions.tempMin, releConditions.tempTime || 30]);
-                  }
-              }
-          }
-          
-          return true;
-      } catch (error) {
-          console.error('Error guardando condiciones:', error);
-          throw error;
+  /**
+   * Eliminar una regla
+   */
+  deleteRule(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM rules WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Convertir una fila de pid_loops
+   */
+  parsePidLoop(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      releId: row.releId,
+      sensorId: row.sensorId,
+      metric: row.metric,
+      direction: row.direction,
+      setpoint: row.setpoint,
+      kp: row.kp,
+      ki: row.ki,
+      kd: row.kd,
+      outputMin: row.outputMin,
+      outputMax: row.outputMax,
+      cycleSeconds: row.cycleSeconds,
+      minPulseSeconds: row.minPulseSeconds,
+      enabled: row.enabled === 1,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Obtener los lazos PID guardados
+   */
+  getPidLoops() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM pid_loops ORDER BY name', (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parsePidLoop(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Obtener un lazo PID por id (null si no existe)
+   */
+  getPidLoop(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM pid_loops WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this.parsePidLoop(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Crear un lazo PID (sin id) o reemplazar el existente
+   * Devuelve el id del lazo
+   */
+  savePidLoop(loop) {
+    return new Promise((resolve, reject) => {
+      const params = [
+        loop.name,
+        loop.releId,
+        loop.sensorId || null,
+        loop.metric,
+        loop.direction,
+        loop.setpoint,
+        loop.kp,
+        loop.ki,
+        loop.kd,
+        loop.outputMin,
+        loop.outputMax,
+        loop.cycleSeconds,
+        loop.minPulseSeconds || 0,
+        loop.enabled === false ? 0 : 1,
+        loop.updatedBy || null
+      ];
+
+      if (loop.id) {
+        this.db.run(
+          `UPDATE pid_loops SET name = ?, releId = ?, sensorId = ?, metric = ?, direction = ?, setpoint = ?, kp = ?, ki = ?, kd = ?,
+           outputMin = ?, outputMax = ?, cycleSeconds = ?, minPulseSeconds = ?, enabled = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...params, loop.id],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(loop.id);
+            }
+          }
+        );
+        return;
       }
+
+      this.db.run(
+        `INSERT INTO pid_loops (name, releId, sensorId, metric, direction, setpoint, kp, ki, kd, outputMin, outputMax,
+         cycleSeconds, minPulseSeconds, enabled, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params,
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Eliminar un lazo PID
+   */
+  deletePidLoop(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM pid_loops WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Guardar una calibración de sonda
+   * coefficients null registra el regreso a los valores nominales
+   */
+  saveCalibration(calibration) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO calibrations (sensor_id, kind, coefficients, points, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [calibration.sensorId, calibration.kind,
+         calibration.coefficients ? JSON.stringify(calibration.coefficients) : null,
+         JSON.stringify(calibration.points || []), calibration.createdBy || null],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Convertir una fila de calibrations
+   */
+  parseCalibration(row) {
+    return {
+      id: row.id,
+      sensorId: row.sensor_id,
+      kind: row.kind,
+      coefficients: row.coefficients ? JSON.parse(row.coefficients) : null,
+      points: JSON.parse(row.points || '[]'),
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Obtener la calibración vigente de una sonda
+   */
+  getLatestCalibration(sensorId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM calibrations WHERE sensor_id = ? ORDER BY id DESC LIMIT 1',
+        [sensorId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? this.parseCalibration(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener el historial de calibraciones de una sonda
+   */
+  getCalibrationHistory(sensorId, limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM calibrations WHERE sensor_id = ? ORDER BY id DESC LIMIT ?',
+        [sensorId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.parseCalibration(row)));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Convertir una fila de horario (duración en minutos, días en JSON)
+   * Los horarios relativos al sol no tienen hora de inicio fija
+   */
+  parseSchedule(row) {
+    return {
+      id: row.id,
+      releId: row.releId,
+      type: row.type || 'fixed',
+      anchor: row.anchor || 'clock',
+      time: row.time || null,
+      offsetMinutes: row.offsetMinutes || 0,
+      duration: row.duration,
+      ...describeWindow(row),
+      days: JSON.parse(row.days || '[]'),
+      enabled: row.enabled === 1,
+      sequenceId: row.sequenceId || null,
+      onMinutes: row.onMinutes || null,
+      offMinutes: row.offMinutes || null
+    };
+  }
+
+  /**
+   * Guardar horario programado
+   */
+  saveSchedule(schedule) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO schedules (releId, type, anchor, time, offsetMinutes, duration, days, enabled, sequenceId, onMinutes, offMinutes) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          schedule.releId,
+          schedule.type || 'fixed',
+          schedule.anchor || 'clock',
+          schedule.time || '',
+          schedule.offsetMinutes || 0,
+          schedule.duration,
+          JSON.stringify(schedule.days || []),
+          schedule.enabled === false ? 0 : 1,
+          schedule.sequenceId || null,
+          schedule.onMinutes || null,
+          schedule.offMinutes || null
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener horarios activos
+   */
+  getActiveSchedules() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM schedules WHERE enabled = 1 ORDER BY releId, time',
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.parseSchedule(row)));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Convertir una fila de conditions al modelo de condición
+   * Sin umbral de apagado (filas anteriores) se usa el de encendido; un tipo sin Max ni Min no tiene operador
+   */
+  parseCondition(row) {
+    const parsed = parseConditionType(row.condition_type);
+    return {
+      id: row.id,
+      releId: row.releId,
+      type: row.condition_type,
+      metric: conditionMetric(row),
+      operator: parsed ? parsed.operator : null,
+      sensorId: row.sensor_id || null,
+      value: row.value,
+      offValue: row.offValue === null || row.offValue === undefined ? row.value : row.offValue,
+      duration: row.duration || 0,
+      dwellMinutes: row.dwellMinutes || 0,
+      cooldownMinutes: row.cooldownMinutes || 0,
+      enabled: row.enabled === 1,
+      sequenceId: row.sequenceId || null
+    };
+  }
+
+  /**
+   * Guardar condición de activación (ya normalizada, con releId)
+   */
+  saveCondition(condition) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO conditions (releId, condition_type, sensor_id, metric, value, offValue, duration,
+                                 dwellMinutes, cooldownMinutes, enabled, sequenceId)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [condition.releId, condition.type, condition.sensorId || null, condition.metric, condition.value,
+         condition.offValue, condition.duration, condition.dwellMinutes, condition.cooldownMinutes,
+         condition.enabled === false ? 0 : 1, condition.sequenceId || null],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener condiciones activas
+   */
+  getActiveConditions() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM conditions WHERE enabled = 1 ORDER BY releId, condition_type',
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.parseCondition(row)));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Guardar estado de relé
+   * cause: { type, id, name, actor } de relay_causes.js; readings: lecturas de los sensores en ese momento
+   */
+  saveReleState(releId, state, reason = null, cause = null, readings = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO rele_states (releId, state, reason, cause, cause_id, cause_name, actor, readings)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          releId,
+          state,
+          reason,
+          cause ? cause.type : null,
+          cause ? cause.id : null,
+          cause ? cause.name : null,
+          cause ? cause.actor : null,
+          readings ? JSON.stringify(readings) : null
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener último estado de un relé
+   */
+  getLastReleState(releId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM rele_states WHERE releId = ? ORDER BY timestamp DESC LIMIT 1',
+        [releId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Convertir una fila de rele_states (los cambios anteriores a registrar causas tienen cause null)
+   */
+  parseReleState(row) {
+    return {
+      id: row.id,
+      releId: row.releId,
+      state: Boolean(row.state),
+      reason: row.reason,
+      cause: row.cause ? { type: row.cause, id: row.cause_id, name: row.cause_name, actor: row.actor } : null,
+      readings: row.readings ? JSON.parse(row.readings) : {},
+      timestamp: row.timestamp
+    };
+  }
+
+  /**
+   * Últimos cambios de estado de un relé, del más reciente al más antiguo
+   * Los comandos repetidos (encender un relé ya encendido) no guardan fila; las guardadas
+   * por versiones anteriores tampoco cuentan como cambio
+   */
+  getReleHistory(releId, limit = 10) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM (
+           SELECT *, LAG(state) OVER (ORDER BY id) AS previous_state FROM rele_states WHERE releId = ?
+         ) WHERE previous_state IS NULL OR previous_state != state
+         ORDER BY id DESC LIMIT ?`,
+        [releId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.parseReleState(row)));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Último estado guardado de cada relé (antes de inicializar, para recuperarlo tras un reinicio)
+   * excludeReason omite los cambios con esa razón (apagado al cerrar el sistema)
+   */
+  getLastReleStates(excludeReason = null) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT r.releId, r.state, r.reason, r.timestamp FROM rele_states r
+         JOIN (
+           SELECT releId, MAX(id) AS id FROM rele_states
+           WHERE reason IS NULL OR reason IS NOT ?
+           GROUP BY releId
+         ) last ON r.id = last.id
+         ORDER BY r.releId`,
+        [excludeReason],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Cambios de estado de todos los relés desde una fecha, en orden cronológico
+   * (tiempo encendido del día para los límites de seguridad)
+   */
+  getReleStatesSince(since) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT releId, state, reason, timestamp FROM rele_states WHERE timestamp >= ? ORDER BY timestamp ASC, id ASC',
+        [since.toISOString().replace('T', ' ').slice(0, 19)],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Guardar log del sistema
+   */
+  saveSystemLog(level, message, source = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO system_logs (level, message, source) VALUES (?, ?, ?)',
+        [level, message, source],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener logs del sistema
+   */
+  getSystemLogs(limit = 100, level = null) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM system_logs';
+      let params = [];
+
+      if (level) {
+        query += ' WHERE level = ?';
+        params.push(level);
+      }
+
+      query += ' ORDER BY timestamp DESC LIMIT ?';
+      params.push(limit);
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Actualizar configuración del sistema
+   */
+  updateSystemConfig(key, value) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE system_config SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+        [value, key],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener configuración del sistema
+   */
+  getSystemConfig(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM system_config WHERE key = ?',
+        [key],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Crear respaldo de la base de datos
+   */
+  createBackup() {
+    return new Promise((resolve, reject) => {
+      const backupDir = config.database.backupPath;
+      if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = path.join(backupDir, `backup_${timestamp}.db`);
+
+      this.db.backup(backupPath, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          // Limpiar respaldos antiguos
+          this.cleanOldBackups();
+          resolve(backupPath);
+        }
+      });
+    });
+  }
+
+  /**
+   * Limpiar respaldos antiguos
+   */
+  cleanOldBackups() {
+    const backupDir = config.database.backupPath;
+    if (!fs.existsSync(backupDir)) return;
+
+    const files = fs.readdirSync(backupDir)
+      .filter(file => file.endsWith('.db'))
+      .map(file => ({
+        name: file,
+        path: path.join(backupDir, file),
+        time: fs.statSync(path.join(backupDir, file)).mtime.getTime()
+      }))
+      .sort((a, b) => b.time - a.time);
+
+    // Mantener solo los últimos respaldos según configuración
+    if (files.length > config.database.maxBackups) {
+      files.slice(config.database.maxBackups).forEach(file => {
+        try {
+          fs.unlinkSync(file.path);
+        } catch (error) {
+          console.error('Error eliminando respaldo:', error);
+        }
+      });
+    }
+  }
+
+  // Métodos para el Programador
+
+  /**
+   * Agrupar filas por relé con las claves 1..releCount (se descartan relés fuera de rango)
+   */
+  groupByRele(rows, releCount, empty, add) {
+    const grouped = {};
+    for (let releId = 1; releId <= releCount; releId++) {
+      grouped[releId] = empty();
+    }
+
+    rows.forEach(row => {
+      if (grouped[row.releId]) {
+        add(grouped[row.releId], row);
+      }
+    });
+
+    return grouped;
+  }
+
+  /**
+   * Ids de relé (enteros positivos) presentes en un objeto agrupado por relé
+   */
+  groupedReleIds(grouped) {
+    return Object.keys(grouped || {})
+      .map(Number)
+      .filter(releId => Number.isInteger(releId) && releId > 0)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Obtener horarios agrupados por relé
+   */
+  getSchedules(releCount = normalizeRelays(config.gpio).length) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, releId, type, anchor, time, offsetMinutes, duration, days, enabled, sequenceId, onMinutes, offMinutes, created_at 
+         FROM schedules ORDER BY releId, time`,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          // Agrupar por relé
+          resolve(this.groupByRele(rows, releCount, () => [], (list, row) => {
+            const { releId, ...schedule } = this.parseSchedule(row);
+            list.push(schedule);
+          }));
+        }
+      );
+    });
+  }
+
+  /**
+   * Reemplazar todos los horarios
+   */
+  saveSchedules(schedules) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        // Limpiar horarios existentes
+        this.db.run('DELETE FROM schedules');
+
+        // Insertar nuevos horarios
+        const stmt = this.db.prepare(
+          `INSERT INTO schedules (releId, type, anchor, time, offsetMinutes, duration, days, enabled, sequenceId, onMinutes, offMinutes, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+        );
+
+        for (const releId of this.groupedReleIds(schedules)) {
+          if (Array.isArray(schedules[releId])) {
+            for (const schedule of schedules[releId]) {
+              stmt.run([
+                releId,
+                schedule.type || 'fixed',
+                schedule.anchor || 'clock',
+                schedule.time || '',
+                schedule.offsetMinutes || 0,
+                schedule.duration,
+                JSON.stringify(schedule.days || []),
+                schedule.enabled ? 1 : 0,
+                schedule.sequenceId || null,
+                schedule.onMinutes || null,
+                schedule.offMinutes || null
+              ]);
+            }
+          }
+        }
+
+        stmt.finalize((err) => {
+          if (err) {
+            console.error('Error guardando horarios:', err);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Obtener condiciones agrupadas por relé y tipo
+   */
+  getConditions(releCount = normalizeRelays(config.gpio).length) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM conditions ORDER BY releId, condition_type',
+        (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          // Agrupar por relé
+          resolve(this.groupByRele(rows, releCount, () => ({}), (group, row) => {
+            const { releId, type, ...condition } = this.parseCondition(row);
+            group[type] = condition;
+          }));
+        }
+      );
+    });
+  }
+
+  /**
+   * Reemplazar todas las condiciones
+   * Acepta el formato anterior ({ tempMax: 28, tempTime: 30, sequenceId }) y el de getConditions()
+   */
+  saveConditions(conditions) {
+    return new Promise((resolve, reject) => {
+      let groups;
+      try {
+        groups = this.groupedReleIds(conditions).map(releId => [releId, normalizeConditionGroup(conditions[releId] || {}, `el relé ${releId}`)]);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      this.db.serialize(() => {
+        // Limpiar condiciones existentes
+        this.db.run('DELETE FROM conditions');
+
+        const stmt = this.db.prepare(
+          `INSERT INTO conditions (releId, condition_type, sensor_id, metric, value, offValue, duration,
+                                   dwellMinutes, cooldownMinutes, enabled, sequenceId, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+        );
+
+        // Insertar nuevas condiciones
+        groups.forEach(([releId, group]) => {
+          Object.values(group).forEach(condition => {
+            stmt.run([releId, condition.type, condition.sensorId, condition.metric, condition.value, condition.offValue,
+              condition.duration, condition.dwellMinutes, condition.cooldownMinutes, condition.enabled ? 1 : 0,
+              condition.sequenceId]);
+          });
+        });
+
+        stmt.finalize((err) => {
+          if (err) {
+            console.error('Error guardando condiciones:', err);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Contar usuarios registrados
+   */
+  countUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT COUNT(*) AS total FROM users', (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.total);
+        }
+      });
+    });
+  }
+
+  /**
+   * Crear usuario
+   */
+  createUser(user) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO users (username, password_hash, first_name, last_name, email, role) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [user.username, user.passwordHash, user.firstName || null,
+         user.lastName || null, user.email || null, user.role || 'viewer'],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener todos los usuarios
+   */
+  getUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM users ORDER BY username',
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Actualizar rol de un usuario
+   */
+  updateUserRole(userId, role) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE users SET role = ? WHERE id = ?',
+        [role, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Eliminar usuario y revocar sus sesiones
+   */
+  deleteUser(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('UPDATE user_sessions SET revoked = 1 WHERE user_id = ?', [userId]);
+        this.db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        this.db.run('UPDATE api_tokens SET revoked = 1 WHERE user_id = ?', [userId]);
+        this.db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Obtener usuario por nombre de usuario
+   */
+  getUserByUsername(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM users WHERE username = ?',
+        [username],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener usuario por ID
+   */
+  getUserById(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM users WHERE id = ?',
+        [userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Actualizar datos de perfil de un usuario
+   */
+  updateUserProfile(userId, profile) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET first_name = ?, last_name = ?, email = ?, phone = ?, 
+         bio = ?, timezone = ?, language = ? WHERE id = ?`,
+        [profile.first_name, profile.last_name, profile.email, profile.phone,
+         profile.bio, profile.timezone, profile.language, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Actualizar contraseña de un usuario
+   */
+  updateUserPassword(userId, passwordHash) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE users SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [passwordHash, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registrar intento fallido de inicio de sesión
+   */
+  updateLoginFailures(userId, failedAttempts, lockedUntil = 0) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE users SET failed_attempts = ?, locked_until = ? WHERE id = ?',
+        [failedAttempts, lockedUntil, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registrar inicio de sesión exitoso
+   */
+  recordSuccessfulLogin(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET failed_attempts = 0, locked_until = 0, 
+         last_login = CURRENT_TIMESTAMP WHERE id = ?`,
+        [userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Crear sesión de usuario
+   */
+  createSession(session) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, last_activity, mfa_pending) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [session.userId, session.tokenHash, session.ipAddress,
+         session.userAgent, session.lastActivity, session.mfaPending ? 1 : 0],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener sesión activa por hash de token
+   */
+  getSessionByTokenHash(tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM user_sessions WHERE token_hash = ? AND revoked = 0',
+        [tokenHash],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Actualizar última actividad de una sesión
+   */
+  touchSession(sessionId, lastActivity) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE user_sessions SET last_activity = ? WHERE id = ?',
+        [lastActivity, sessionId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Revocar sesión de un usuario
+   */
+  revokeSession(sessionId, userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE user_sessions SET revoked = 1 WHERE id = ? AND user_id = ?',
+        [sessionId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener historial de sesiones de un usuario
+   */
+  getUserSessions(userId, limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, ip_address, user_agent, last_activity, revoked, created_at 
+         FROM user_sessions WHERE user_id = ? AND mfa_pending = 0 ORDER BY last_activity DESC LIMIT ?`,
+        [userId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Guardar secreto TOTP pendiente de confirmación
+   */
+  setPendingTotpSecret(userId, secret) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE users SET totp_pending_secret = ? WHERE id = ?',
+        [secret, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Activar 2FA confirmando el secreto pendiente
+   */
+  enableTotp(userId, lastStep) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, 
+         totp_enabled = 1, totp_last_step = ? WHERE id = ? AND totp_pending_secret IS NOT NULL`,
+        [lastStep, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Desactivar 2FA y eliminar códigos de recuperación
+   */
+  disableTotp(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        this.db.run(
+          `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, 
+           totp_enabled = 0, totp_last_step = 0 WHERE id = ?`,
+          [userId],
+          function(err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(this.changes);
+            }
+          }
+        );
+      });
+    });
+  }
+
+  /**
+   * Registrar último paso TOTP usado (evita reutilizar códigos)
+   */
+  updateTotpLastStep(userId, step) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE users SET totp_last_step = ? WHERE id = ?',
+        [step, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Reemplazar códigos de recuperación de un usuario
+   */
+  replaceRecoveryCodes(userId, codeHashes) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+
+        const stmt = this.db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+        codeHashes.forEach(codeHash => stmt.run([userId, codeHash]));
+        stmt.finalize((err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(codeHashes.length);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Obtener códigos de recuperación sin usar
+   */
+  getUnusedRecoveryCodes(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT id, code_hash FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Marcar código de recuperación como usado
+   */
+  markRecoveryCodeUsed(codeId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [codeId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Crear token de API
+   */
+  createApiToken(token) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO api_tokens (user_id, label, token_hash, token_prefix, scopes) 
+         VALUES (?, ?, ?, ?, ?)`,
+        [token.userId, token.label, token.tokenHash, token.tokenPrefix, token.scopes.join(',')],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener token de API activo por hash
+   */
+  getApiTokenByHash(tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM api_tokens WHERE token_hash = ? AND revoked = 0',
+        [tokenHash],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtener tokens de API activos de un usuario
+   */
+  getUserApiTokens(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, label, token_prefix, scopes, last_used, last_ip, created_at 
+         FROM api_tokens WHERE user_id = ? AND revoked = 0 ORDER BY created_at DESC, id DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registrar último uso de un token de API
+   */
+  touchApiToken(tokenId, lastUsed, ipAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE api_tokens SET last_used = ?, last_ip = ? WHERE id = ?',
+        [lastUsed, ipAddress, tokenId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Revocar token de API de un usuario
+   */
+  revokeApiToken(tokenId, userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE api_tokens SET revoked = 1 WHERE id = ? AND user_id = ? AND revoked = 0',
+        [tokenId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Guardar registro de auditoría
+   */
+  saveAuditEntry(entry) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO audit_log (actor, user_id, source, action, target, before_value, after_value, ip_address, details) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [entry.actor, entry.userId, entry.source, entry.action, entry.target,
+         entry.beforeValue, entry.afterValue, entry.ipAddress, entry.details],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Consultar registros de auditoría con filtros y total para paginación
+   */
+  getAuditEntries(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (filters.actor) {
+        conditions.push('actor = ?');
+        params.push(filters.actor);
+      }
+      if (filters.source) {
+        conditions.push('source = ?');
+        params.push(filters.source);
+      }
+      if (filters.action) {
+        // Permite filtrar por prefijo, ej: "rele." o "schedules."
+        conditions.push('action LIKE ?');
+        params.push(`${filters.action}%`);
+      }
+      if (filters.target) {
+        conditions.push('target = ?');
+        params.push(filters.target);
+      }
+      if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(filters.from);
+      }
+      if (filters.to) {
+        conditions.push('timestamp <= ?');
+        params.push(filters.to);
+      }
+
+      const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      this.db.get(`SELECT COUNT(*) AS total FROM audit_log${where}`, params, (err, countRow) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        this.db.all(
+          `SELECT * FROM audit_log${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`,
+          [...params, filters.limit || 100, filters.offset || 0],
+          (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve({ total: countRow.total, rows });
+            }
+          }
+        );
+      });
+    });
   }
 
   /**
@@ -1,19 +1,33 @@
 /**
- * Módulo Alternativo para Sensor DHT11
+ * Módulo Alternativo para Sensor DHT11 / DHT22
  * Compatible con Node.js 18+ y Raspberry Pi
  * Ing. Daril Díaz - 2024
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { DHTError, RpioPinIO, getSensorType, decodeReading } = require('./dht_protocol');
+
+// Errores transitorios de comunicación que justifican repetir la lectura
+const RETRYABLE_ERRORS = ['NO_RESPONSE', 'INCOMPLETE_FRAME', 'CHECKSUM'];
 
 class DHT11Sensor {
-  constructor(gpioPin) {
+  /**
+   * options.type: 'DHT11' o 'DHT22'
+   * options.retries: intentos por lectura
+   * options.pinIO: E/S de pines (ver dht_protocol.js); por defecto rpio
+   */
+  constructor(gpioPin, options = {}) {
     this.gpioPin = gpioPin;
+    this.sensorType = getSensorType(options.type);
+    this.retries = Math.max(parseInt(options.retries) || 3, 1);
+    this.pinIO = options.pinIO || null;
     this.isInitialized = false;
     this.lastReading = null;
     this.lastReadTime = 0;
+    this.lastError = null;
+    this.errorCount = 0;
+    this.lastAttempts = 0;
     this.minReadInterval = 2000; // 2 segundos mínimo entre lecturas
     
     this.init();
@@ -24,6 +38,13 @@ class DHT11Sensor {
    */
   init() {
     try {
+      // Con E/S de pines inyectada no se detecta el hardware
+      if (this.pinIO) {
+        this.setupGPIO();
+        this.isInitialized = true;
+        return;
+      }
+
       // Verificar si estamos en Raspberry Pi
       if (!this.isRaspberryPi()) {
         console.log('⚠️  No se detectó Raspberry Pi. Usando modo simulación para DHT11');
@@ -43,7 +64,7 @@ class DHT11Sensor {
       // Configurar pin GPIO
       this.setupGPIO();
       this.isInitialized = true;
-      console.log(`✅ Sensor DHT11 inicializado en GPIO${this.gpioPin}`);
+      console.log(`✅ Sensor ${this.sensorType.name} inicializado en GPIO${this.gpioPin}`);
       
     } catch (error) {
       console.error('❌ Error inicializando sensor DHT11:', error.message);
@@ -82,13 +103,12 @@ class DHT11Sensor {
    */
   setupGPIO() {
     try {
-      // Configurar pin como salida inicialmente
-      execSync(`echo ${this.gpioPin} > /sys/class/gpio/export`, { stdio: 'ignore' });
-      execSync(`echo out > /sys/class/gpio/gpio${this.gpioPin}/direction`, { stdio: 'ignore' });
-      execSync(`echo 1 > /sys/class/gpio/gpio${this.gpioPin}/value`, { stdio: 'ignore' });
-      
-      // Cambiar a entrada para lectura
-      execSync(`echo in > /sys/class/gpio/gpio${this.gpioPin}/direction`, { stdio: 'ignore' });
+      if (!this.pinIO) {
+        this.pinIO = new RpioPinIO();
+      }
+
+      // Pin como entrada con pull-up: la línea queda en alto en reposo
+      this.pinIO.open(this.gpioPin);
       
     } catch (error) {
       throw new Error(`Error configurando GPIO${this.gpioPin}: ${error.message}`);
@@ -125,42 +145,60 @@ class DHT11Sensor {
       if (this.isValidReading(temperature, humidity)) {
         this.lastReading = { temperature, humidity };
         this.lastReadTime = now;
+        this.lastError = null;
         return this.lastReading;
       } else {
-        throw new Error('Lectura inválida del sensor DHT11');
+        throw new DHTError(`Lectura inválida del sensor ${this.sensorType.name}`, 'OUT_OF_RANGE');
       }
 
     } catch (error) {
-      console.error('❌ Error leyendo sensor DHT11:', error.message);
-      
-      // Retornar última lectura válida si existe
-      if (this.lastReading) {
-        return this.lastReading;
-      }
-      
-      // Retornar valores por defecto
-      return { temperature: 25.0, humidity: 60.0 };
+      // No se devuelven valores inventados: el llamador decide qué hacer
+      this.errorCount++;
+      this.lastError = {
+        code: error.code || 'UNKNOWN',
+        message: error.message,
+        time: Date.now()
+      };
+      console.error(`❌ Error leyendo sensor ${this.sensorType.name}:`, error.message);
+      throw error;
     }
   }
 
   /**
    * Leer datos reales del GPIO
+   * Repite la lectura ante errores transitorios respetando el intervalo mínimo del sensor
    */
   readFromGPIO() {
-    try {
-      // Protocolo DHT11 simplificado
-      // Nota: Esta es una implementación básica
-      // Para producción, se recomienda usar bibliotecas más robustas
-      
-      // Simular lectura exitosa
-      const temperature = 20 + Math.random() * 10; // 20-30°C
-      const humidity = 50 + Math.random() * 20;    // 50-70%
-      
-      return { temperature, humidity };
-      
-    } catch (error) {
-      throw new Error(`Error leyendo GPIO: ${error.message}`);
+    let lastError = null;
+    let attempt = 0;
+
+    while (attempt < this.retries) {
+      attempt++;
+      if (attempt > 1) {
+        this.pinIO.sleep(this.sensorType.minReadInterval);
+      }
+
+      try {
+        this.pinIO.sendStartSignal(this.gpioPin, this.sensorType.startSignalMs);
+        const pulses = this.pinIO.capturePulses(this.gpioPin);
+        const reading = decodeReading(pulses, this.sensorType.name);
+
+        this.lastAttempts = attempt;
+        return reading;
+
+      } catch (error) {
+        lastError = error;
+        if (!RETRYABLE_ERRORS.includes(error.code)) {
+          break;
+        }
+      }
     }
+
+    this.lastAttempts = attempt;
+    throw new DHTError(
+      `Error leyendo GPIO${this.gpioPin} tras ${attempt} intento(s): ${lastError.message}`,
+      lastError.code || 'UNKNOWN'
+    );
   }
 
   /**
@@ -216,10 +254,15 @@ class DHT11Sensor {
   getInfo() {
     return {
       gpioPin: this.gpioPin,
+      type: this.sensorType.name,
+      retries: this.retries,
       isInitialized: this.isInitialized,
       simulationMode: this.simulationMode || false,
       lastReadTime: this.lastReadTime,
-      minReadInterval: this.minReadInterval
+      minReadInterval: this.minReadInterval,
+      lastError: this.lastError,
+      lastAttempts: this.lastAttempts,
+      errorCount: this.errorCount
     };
   }
 
@@ -228,9 +271,9 @@ class DHT11Sensor {
    */
   cleanup() {
     try {
-      if (!this.simulationMode && this.isRaspberryPi()) {
-        // Desactivar pin GPIO
-        execSync(`echo ${this.gpioPin} > /sys/class/gpio/unexport`, { stdio: 'ignore' });
+      if (!this.simulationMode && this.pinIO) {
+        // Liberar pin GPIO
+        this.pinIO.close(this.gpioPin);
       }
       console.log('✅ Sensor DHT11 limpiado');
     } catch (error) {
@@ -0,0 +1,230 @@
+/**
+ * Protocolo de Un Solo Hilo para Sensores DHT11 / DHT22
+ * Decodificación de tramas de 40 bits a partir de pulsos medidos
+ * Ing. Daril Díaz - 2024
+ *
+ * Secuencia del protocolo:
+ *   1. El host mantiene la línea en bajo (señal de inicio) y luego la libera
+ *   2. El sensor responde ~80µs en bajo y ~80µs en alto
+ *   3. Se transmiten 40 bits: ~50µs en bajo seguidos de un pulso en alto
+ *      de ~26-28µs (bit 0) o ~70µs (bit 1)
+ *   4. Trama: humedad (2 bytes), temperatura (2 bytes), checksum (1 byte)
+ *
+ * La captura de pulsos se delega en un objeto de E/S de pines (pinIO) con la
+ * interfaz open(pin), sendStartSignal(pin, ms), capturePulses(pin, options),
+ * sleep(ms) y close(pin); así la decodificación se prueba sin hardware.
+ */
+
+const FRAME_BITS = 40;
+
+// Umbral para distinguir un bit 1 de un bit 0 (duración del pulso en alto)
+const BIT_THRESHOLD_US = 50;
+
+// Duración mínima de los pulsos de respuesta del sensor (~80µs cada uno)
+const RESPONSE_MIN_US = 60;
+
+// Parámetros de cada modelo de sensor
+const SENSOR_TYPES = {
+  DHT11: {
+    startSignalMs: 18, // mínimo 18ms en bajo
+    minReadInterval: 1000
+  },
+  DHT22: {
+    startSignalMs: 1, // mínimo 1ms en bajo
+    minReadInterval: 2000
+  }
+};
+
+/**
+ * Error de comunicación con el sensor
+ * code: NO_RESPONSE, INCOMPLETE_FRAME, CHECKSUM, OUT_OF_RANGE, UNSUPPORTED_TYPE
+ */
+class DHTError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DHTError';
+    this.code = code;
+  }
+}
+
+/**
+ * Obtener parámetros de un modelo de sensor
+ */
+function getSensorType(type) {
+  const key = String(type || 'DHT11').toUpperCase();
+  if (!SENSOR_TYPES[key]) {
+    throw new DHTError(`Tipo de sensor no soportado: ${type}`, 'UNSUPPORTED_TYPE');
+  }
+  return { name: key, ...SENSOR_TYPES[key] };
+}
+
+/**
+ * Decodificar pulsos capturados en los 5 bytes de la trama
+ * pulses: [{ level: 0|1, duration: µs }, ...] en orden de llegada
+ */
+function decodePulses(pulses) {
+  // Buscar la respuesta del sensor: bajo ~80µs seguido de alto ~80µs
+  let index = -1;
+  for (let i = 0; i < pulses.length - 1; i++) {
+    if (pulses[i].level === 0 && pulses[i].duration >= RESPONSE_MIN_US &&
+        pulses[i + 1].level === 1 && pulses[i + 1].duration >= RESPONSE_MIN_US) {
+      index = i + 2;
+      break;
+    }
+  }
+
+  if (index === -1) {
+    throw new DHTError('El sensor no respondió a la señal de inicio', 'NO_RESPONSE');
+  }
+
+  // Cada bit es un pulso en bajo seguido de un pulso en alto
+  const bits = [];
+  for (let i = index; i < pulses.length - 1 && bits.length < FRAME_BITS; i++) {
+    if (pulses[i].level === 0 && pulses[i + 1].level === 1) {
+      bits.push(pulses[i + 1].duration > BIT_THRESHOLD_US ? 1 : 0);
+      i++;
+    }
+  }
+
+  if (bits.length < FRAME_BITS) {
+    throw new DHTError(`Trama incompleta: ${bits.length} de ${FRAME_BITS} bits`, 'INCOMPLETE_FRAME');
+  }
+
+  const bytes = [];
+  for (let b = 0; b < 5; b++) {
+    bytes.push(bits.slice(b * 8, b * 8 + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  return bytes;
+}
+
+/**
+ * Verificar checksum: suma de los 4 primeros bytes (8 bits menos significativos)
+ */
+function verifyChecksum(bytes) {
+  return ((bytes[0] + bytes[1] + bytes[2] + bytes[3]) & 0xff) === bytes[4];
+}
+
+/**
+ * Convertir los bytes de la trama en temperatura y humedad según el modelo
+ */
+function parseFrame(bytes, type = 'DHT11') {
+  const sensorType = getSensorType(type);
+  let humidity;
+  let temperature;
+
+  if (sensorType.name === 'DHT22') {
+    // Valores de 16 bits en décimas; bit 15 de la temperatura es el signo
+    humidity = ((bytes[0] << 8) | bytes[1]) / 10;
+    temperature = (((bytes[2] & 0x7f) << 8) | bytes[3]) / 10;
+    if (bytes[2] & 0x80) {
+      temperature = -temperature;
+    }
+  } else {
+    // Parte entera y decimal; bit 7 del decimal de temperatura es el signo
+    humidity = bytes[0] + bytes[1] / 10;
+    temperature = bytes[2] + (bytes[3] & 0x0f) / 10;
+    if (bytes[3] & 0x80) {
+      temperature = -temperature;
+    }
+  }
+
+  return {
+    temperature: Math.round(temperature * 10) / 10,
+    humidity: Math.round(humidity * 10) / 10
+  };
+}
+
+/**
+ * Decodificar una captura completa: pulsos → bytes → checksum → valores
+ */
+function decodeReading(pulses, type = 'DHT11') {
+  const bytes = decodePulses(pulses);
+
+  if (!verifyChecksum(bytes)) {
+    const expected = (bytes[0] + bytes[1] + bytes[2] + bytes[3]) & 0xff;
+    throw new DHTError(`Checksum inválido (recibido ${bytes[4]}, esperado ${expected})`, 'CHECKSUM');
+  }
+
+  const reading = parseFrame(bytes, type);
+
+  if (reading.humidity > 100) {
+    throw new DHTError(`Humedad fuera de rango: ${reading.humidity}%`, 'OUT_OF_RANGE');
+  }
+
+  return reading;
+}
+
+/**
+ * E/S de pines sobre rpio (Raspberry Pi)
+ * Usa la numeración con la que se inicializó rpio (GPIOController usa 'gpio')
+ */
+class RpioPinIO {
+  constructor(rpio = require('rpio')) {
+    this.rpio = rpio;
+  }
+
+  open(pin) {
+    this.rpio.open(pin, this.rpio.INPUT, this.rpio.PULL_UP);
+  }
+
+  /**
+   * Mantener la línea en bajo y liberarla para que responda el sensor
+   */
+  sendStartSignal(pin, lowMs) {
+    this.rpio.mode(pin, this.rpio.OUTPUT, this.rpio.LOW);
+    this.rpio.msleep(lowMs);
+    this.rpio.mode(pin, this.rpio.INPUT, this.rpio.PULL_UP);
+  }
+
+  /**
+   * Medir la duración de cada nivel hasta que la línea quede inactiva
+   * idleUs: tiempo sin cambios que marca el fin de la trama
+   * maxUs: duración máxima de la captura
+   */
+  capturePulses(pin, { idleUs = 200, maxUs = 10000 } = {}) {
+    const pulses = [];
+    const start = process.hrtime.bigint();
+    const idleNs = BigInt(idleUs * 1000);
+    const maxNs = BigInt(maxUs * 1000);
+
+    let level = this.rpio.read(pin);
+    let edge = start;
+
+    while (true) {
+      const now = process.hrtime.bigint();
+      const current = this.rpio.read(pin);
+
+      if (current !== level) {
+        pulses.push({ level, duration: Number(now - edge) / 1000 });
+        level = current;
+        edge = now;
+      } else if (now - edge > idleNs || now - start > maxNs) {
+        break;
+      }
+    }
+
+    return pulses;
+  }
+
+  sleep(ms) {
+    this.rpio.msleep(ms);
+  }
+
+  close(pin) {
+    this.rpio.close(pin);
+  }
+}
+
+module.exports = {
+  SENSOR_TYPES,
+  FRAME_BITS,
+  BIT_THRESHOLD_US,
+  DHTError,
+  RpioPinIO,
+  getSensorType,
+  decodePulses,
+  verifyChecksum,
+  parseFrame,
+  decodeReading
+};
@@ -0,0 +1,190 @@
+/**
+ * Sensor de Temperatura del Agua DS18B20
+ * Lectura mediante la interfaz 1-Wire de sysfs (módulos w1-gpio y w1-therm)
+ * Ing. Daril Díaz - 2024
+ *
+ * Cada sonda aparece como /sys/bus/w1/devices/<dirección>/w1_slave con el formato:
+ *   72 01 4b 46 7f ff 0e 10 57 : crc=57 YES
+ *   72 01 4b 46 7f ff 0e 10 57 t=23125
+ * La primera línea indica si el CRC es válido y la segunda la temperatura en milésimas de °C.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEVICES_PATH = '/sys/bus/w1/devices';
+
+// Familias 1-Wire de sensores de temperatura compatibles con w1-therm
+// 28: DS18B20, 10: DS18S20, 22: DS1822, 3b: MAX31850, 42: DS28EA00
+const PROBE_PATTERN = /^(28|10|22|3b|42)-[0-9a-f]{12}$/;
+
+// Valor que entrega el sensor tras un reinicio de alimentación sin conversión válida
+const POWER_ON_RESET_VALUE = 85000;
+
+/**
+ * Error de lectura de una sonda
+ * code: NOT_FOUND, CRC, FORMAT, POWER_ON_RESET, NO_PROBES
+ */
+class DS18B20Error extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DS18B20Error';
+    this.code = code;
+  }
+}
+
+/**
+ * Interpretar el contenido de un archivo w1_slave
+ * Devuelve la temperatura en °C
+ */
+function parseW1Slave(content) {
+  const lines = String(content || '').trim().split('\n');
+
+  if (lines.length < 2 || !/crc=[0-9a-f]{2}/i.test(lines[0])) {
+    throw new DS18B20Error('Formato de w1_slave no reconocido', 'FORMAT');
+  }
+
+  if (!/\bYES\s*$/.test(lines[0])) {
+    throw new DS18B20Error('CRC inválido en la lectura de la sonda', 'CRC');
+  }
+
+  const match = lines[1].match(/t=(-?\d+)/);
+  if (!match) {
+    throw new DS18B20Error('La lectura no contiene el valor t=', 'FORMAT');
+  }
+
+  const raw = parseInt(match[1], 10);
+  if (raw === POWER_ON_RESET_VALUE) {
+    throw new DS18B20Error('La sonda devolvió el valor de reinicio (85°C)', 'POWER_ON_RESET');
+  }
+
+  return Math.round(raw / 100) / 10;
+}
+
+/**
+ * Buscar sondas conectadas al bus 1-Wire
+ */
+function discoverProbes(devicesPath = DEFAULT_DEVICES_PATH) {
+  try {
+    return fs.readdirSync(devicesPath)
+      .filter(entry => PROBE_PATTERN.test(entry))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Leer la temperatura de una sonda
+ * La lectura del kernel tarda ~750ms por conversión, por eso es asíncrona
+ */
+async function readProbe(address, devicesPath = DEFAULT_DEVICES_PATH) {
+  const file = path.join(devicesPath, address, 'w1_slave');
+
+  let content;
+  try {
+    content = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    throw new DS18B20Error(`Sonda ${address} no encontrada`, 'NOT_FOUND');
+  }
+
+  return parseW1Slave(content);
+}
+
+class DS18B20Sensor {
+  /**
+   * address: dirección de la sonda (28-xxxxxxxxxxxx); si se omite se usa la primera encontrada
+   * options.devicesPath: directorio de dispositivos 1-Wire
+   */
+  constructor(address = null, options = {}) {
+    this.address = address;
+    this.devicesPath = options.devicesPath || DEFAULT_DEVICES_PATH;
+    this.simulationMode = false;
+    this.lastReading = null;
+    this.lastError = null;
+
+    this.init();
+  }
+
+  /**
+   * Inicializar el sensor
+   */
+  init() {
+    // Sin bus 1-Wire (equipo de desarrollo) se simulan las lecturas
+    if (!fs.existsSync(this.devicesPath)) {
+      console.log(`⚠️  Bus 1-Wire no disponible (${this.devicesPath}). Usando modo simulación para DS18B20`);
+      this.simulationMode = true;
+      return;
+    }
+
+    const probes = discoverProbes(this.devicesPath);
+    if (this.address && !probes.includes(this.address)) {
+      console.log(`⚠️  Sonda DS18B20 ${this.address} no detectada en el bus 1-Wire`);
+    }
+  }
+
+  /**
+   * Dirección de la sonda a leer
+   */
+  resolveAddress() {
+    if (this.address) {
+      return this.address;
+    }
+
+    const [first] = discoverProbes(this.devicesPath);
+    if (!first) {
+      throw new DS18B20Error('No se encontraron sondas DS18B20 en el bus 1-Wire', 'NO_PROBES');
+    }
+    return first;
+  }
+
+  /**
+   * Leer temperatura del agua
+   */
+  async read() {
+    try {
+      const temperature = this.simulationMode ?
+        this.simulateTemperature() :
+        await readProbe(this.resolveAddress(), this.devicesPath);
+
+      this.lastReading = { water_temperature: temperature };
+      this.lastError = null;
+      return this.lastReading;
+
+    } catch (error) {
+      this.lastError = { code: error.code || 'UNKNOWN', message: error.message, time: Date.now() };
+      throw error;
+    }
+  }
+
+  /**
+   * Simular temperatura de solución nutritiva para desarrollo
+   */
+  simulateTemperature() {
+    const baseTemp = 20; // Temperatura ideal de la solución
+    const variation = Math.sin(Date.now() / 120000) * 1.5; // Variación lenta
+    const random = (Math.random() - 0.5) * 0.4;
+
+    return Math.round((baseTemp + variation + random) * 10) / 10;
+  }
+
+  /**
+   * Obtener información del sensor
+   */
+  getInfo() {
+    return {
+      address: this.address,
+      devicesPath: this.devicesPath,
+      simulationMode: this.simulationMode,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = DS18B20Sensor;
+module.exports.DS18B20Error = DS18B20Error;
+module.exports.DEFAULT_DEVICES_PATH = DEFAULT_DEVICES_PATH;
+module.exports.PROBE_PATTERN = PROBE_PATTERN;
+module.exports.parseW1Slave = parseW1Slave;
+module.exports.discoverProbes = discoverProbes;
+module.exports.readProbe = readProbe;
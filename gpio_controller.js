@@ -1,19 +1,76 @@
 /**
  * Controlador GPIO para Sistema de Hidroponía
- * Control de 4 relés y sensor DHT11
+ * Control de los relés definidos en config.js y sensores registrados
  * Ing. Daril Díaz - 2024
  */
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const rpio = require('rpio');
-const DHT11Sensor = require('./dht11_sensor');
+const SensorRegistry = require('./sensor_registry');
+const CalibrationManager = require('./calibration');
+const SequenceManager = require('./sequences');
 const config = require('./config');
 const Database = require('./database');
+const AuditLog = require('./audit');
+const { RelayError, normalizeRelays, normalizeOutput, parseReleId, describeRun } = require('./relays');
+const { InterlockError, normalizeInterlocks, findViolation, dependentsOf, describeInterlock } = require('./interlocks');
+const { SafetyLimitError, normalizeRelayLimits, describeLimits, formatDuration, dayKey, runtimeFromHistory } = require('./relay_limits');
+const { withCause, causeOf } = require('./relay_causes');
 
-class GPIOController {
-  constructor() {
-    this.database = new Database();
-    this.releStates = [false, false, false, false]; // Estado inicial de los 4 relés
-    this.dht11 = null;
+// Razón de los apagados al cerrar el sistema; no cuentan como último estado al recuperar
+const SHUTDOWN_REASON = 'Limpieza del sistema';
+
+// Máximo de una activación temporal (también al extenderla)
+const MAX_TIMED_SECONDS = 24 * 60 * 60;
+
+/**
+ * Validar una duración en segundos para activaciones temporales
+ */
+function parseTimedSeconds(value, label) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_TIMED_SECONDS) {
+    throw new RelayError(`${label} inválida: debe ser entre 1 y ${MAX_TIMED_SECONDS} segundos`);
+  }
+  return seconds;
+}
+
+/**
+ * Redondear a 2 decimales los valores de la descripción de un sensor
+ */
+function roundValues(sensor) {
+  if (sensor.values) {
+    Object.keys(sensor.values).forEach(metric => {
+      sensor.values[metric] = parseFloat(sensor.values[metric].toFixed(2));
+    });
+  }
+  return sensor;
+}
+
+/**
+ * Eventos emitidos:
+ *   safety_shutoff - salida apagada automáticamente por un límite de seguridad
+ *   timed_run      - activación temporal iniciada, extendida, terminada, cancelada o reemplazada
+ */
+class GPIOController extends EventEmitter {
+  constructor(database = new Database()) {
+    super();
+    this.database = database;
+    this.audit = new AuditLog(this.database);
+    this.configRelays = normalizeRelays(config.gpio);
+    this.relays = this.configRelays.map(relay => ({ ...relay }));
+    this.releStates = this.relays.map(relay => relay.initialState);
+    this.activeSince = this.relays.map(() => null); // Inicio de la activación en curso (consumo estimado)
+    this.interlocks = normalizeInterlocks(config.gpio.interlocks, this.relays);
+    this.limits = normalizeRelayLimits(config.gpio, this.relays);
+    this.runtime = this.relays.map(() => ({ day: dayKey(), seconds: 0 })); // Tiempo encendido del día (activaciones terminadas)
+    this.lastOffAt = this.relays.map(() => null);
+    this.limitTimers = this.relays.map(() => null);
+    this.timedRuns = this.relays.map(() => null); // Activación temporal en curso { reason, context, endsAt, timer }
+    this.shuttingDown = false;
+    this.sensors = new SensorRegistry();
+    this.calibration = new CalibrationManager(this.database, this.sensors);
+    this.sequences = new SequenceManager(this.database, this);
     this.isInitialized = false;
     this.init();
   }
@@ -48,9 +105,15 @@ class GPIOController {
       if (!this.simulationMode) {
         this.setupRelePins();
       }
-      
-      // Configurar sensor DHT11
-      this.setupDHT11();
+
+      // Nombres, tipos y datos de las salidas guardados en la base de datos
+      this.setupOutputs();
+
+      // Estado anterior al reinicio según la política de cada relé y tiempo encendido del día
+      this.setupRecovery();
+
+      // Configurar sensores
+      this.setupSensors();
       
       this.isInitialized = true;
       console.log(`GPIO inicializado en modo ${this.simulationMode ? 'simulación' : 'hardware'}`);
@@ -73,29 +136,250 @@ class GPIOController {
    * Configurar pines de relés
    */
   setupRelePins() {
-    config.gpio.relePins.forEach((pin, index) => {
+    this.relays.forEach((relay, index) => {
       try {
         // Configurar pin como salida
-        rpio.open(pin, rpio.OUTPUT);
+        rpio.open(relay.pin, rpio.OUTPUT);
         
         // Establecer estado inicial
-        const initialState = config.gpio.releActiveLow ? 
-          (config.gpio.releInitialState ? rpio.LOW : rpio.HIGH) :
-          (config.gpio.releInitialState ? rpio.HIGH : rpio.LOW);
-        
-        rpio.write(pin, initialState);
-        
-        // Guardar estado inicial en base de datos
-        this.database.saveReleState(index + 1, config.gpio.releInitialState, 'Inicialización del sistema');
+        rpio.write(relay.pin, this.pinLevel(relay, relay.initialState));
+        this.releStates[index] = relay.initialState;
         
-        console.log(`Relé ${index + 1} configurado en GPIO${pin}`);
+        console.log(`Relé ${relay.id} (${relay.name}) configurado en GPIO${relay.pin}`);
         
       } catch (error) {
-        console.error(`Error configurando relé ${index + 1} en GPIO${pin}:`, error);
+        console.error(`Error configurando relé ${relay.id} en GPIO${relay.pin}:`, error);
       }
     });
   }
 
+  /**
+   * Nivel del pin para un estado lógico según la polaridad del relé
+   */
+  pinLevel(relay, state) {
+    if (relay.activeLow) {
+      return state ? rpio.LOW : rpio.HIGH;
+    }
+    return state ? rpio.HIGH : rpio.LOW;
+  }
+
+  /**
+   * Relés configurados (id, pin, nombre, tipo, datos, polaridad y estado inicial)
+   */
+  getRelays() {
+    return this.relays.map(relay => ({ ...relay, metadata: { ...relay.metadata } }));
+  }
+
+  /**
+   * Nombre de la salida de un relé para logs y razones
+   */
+  getReleName(releId) {
+    const relay = this.relays[Number(releId) - 1];
+    return relay ? relay.name : `Relé ${releId}`;
+  }
+
+  /**
+   * Aplicar sobre config.js las salidas guardadas en la base de datos
+   */
+  setupOutputs() {
+    this.outputsReady = Promise.resolve(this.database.ready)
+      .then(() => this.database.getOutputs())
+      .then(outputs => outputs.forEach(output => {
+        const index = output.releId - 1;
+        if (!this.relays[index]) {
+          return;
+        }
+
+        try {
+          Object.assign(this.relays[index], normalizeOutput(output));
+        } catch (error) {
+          console.error(`Salida guardada inválida para el relé ${output.releId}:`, error.message);
+        }
+      }))
+      .catch(error => {
+        console.error('Error cargando salidas de la base de datos:', error);
+      });
+  }
+
+  /**
+   * Recuperar el estado de los relés tras un reinicio o un corte de energía
+   * El último estado y las activaciones temporales pendientes se leen antes de guardar
+   * el estado inicial; luego se carga el tiempo encendido del día (límites de seguridad)
+   * y se aplica la política de cada relé
+   */
+  setupRecovery() {
+    const previous = Promise.all([this.database.ready, this.outputsReady])
+      .then(() => Promise.all([this.database.getLastReleStates(SHUTDOWN_REASON), this.database.getTimedRuns()]));
+
+    const initialized = previous.then(() => this.saveInitialStates());
+
+    this.runtimeReady = initialized
+      .then(() => this.loadRuntime())
+      .catch(error => {
+        console.error('Error cargando el tiempo encendido de los relés:', error);
+      });
+
+    this.recoveryReady = Promise.all([previous, this.runtimeReady])
+      .then(([[lastStates, timedRuns]]) => this.recoverReleStates(lastStates, timedRuns))
+      .catch(error => {
+        console.error('Error recuperando el estado de los relés:', error);
+        this.database.saveSystemLog('error', `Error recuperando el estado de los relés: ${error.message}`, 'GPIOController');
+      });
+  }
+
+  /**
+   * Guardar en rele_states el estado con que arrancó cada relé
+   */
+  saveInitialStates() {
+    const reason = this.simulationMode ? 'Inicialización en modo simulación' : 'Inicialización del sistema';
+    const cause = causeOf(AuditLog.SYSTEM_CONTEXT);
+    return Promise.all(this.relays.map((relay, index) => this.database.saveReleState(relay.id, this.releStates[index], reason, cause)));
+  }
+
+  /**
+   * Aplicar la política de reinicio de cada relé:
+   *   off     - queda en su estado inicial y se descarta la activación temporal pendiente
+   *   restore - vuelve al último estado (una activación temporal vencida queda apagada)
+   *   resume  - reanuda la activación temporal interrumpida hasta su fin previsto
+   * Las salidas recuperadas pasan por enclavamientos y límites como cualquier comando
+   */
+  recoverReleStates(lastStates, timedRuns) {
+    const now = Date.now();
+    const pending = [];
+
+    this.relays.forEach(relay => {
+      const last = lastStates.find(row => row.releId === relay.id);
+      const run = timedRuns.find(row => row.releId === relay.id);
+      const wasOn = Boolean(last && last.state);
+      const resumable = run && wasOn && run.endsAt > now && relay.restorePolicy !== 'off';
+
+      if (run && !resumable) {
+        this.database.deleteTimedRun(relay.id);
+      }
+
+      if (resumable) {
+        pending.push({ relay, run });
+      } else if (relay.restorePolicy === 'restore' && wasOn && !run) {
+        pending.push({ relay, run: null });
+      }
+    });
+
+    // Primero las salidas que otras requieren encendidas (enclavamiento requires)
+    const required = new Set(this.interlocks.filter(rule => rule.type === 'requires').flatMap(rule => rule.requires));
+    pending.sort((a, b) => Number(required.has(b.relay.id)) - Number(required.has(a.relay.id)));
+
+    pending.forEach(item => {
+      try {
+        this.recoverRele(item.relay, item.run, now);
+      } catch (error) {
+        if (!(error instanceof RelayError)) {
+          throw error;
+        }
+
+        console.warn(`No se pudo recuperar ${item.relay.name}: ${error.message}`);
+        this.database.saveSystemLog('warn', `No se pudo recuperar ${item.relay.name} tras el reinicio: ${error.message}`, 'GPIOController');
+        if (item.run) {
+          this.database.deleteTimedRun(item.relay.id);
+        }
+      }
+    });
+  }
+
+  /**
+   * Encender una salida recuperada y, si venía de una activación temporal, reprogramar su fin
+   */
+  recoverRele(relay, run, now) {
+    if (!run) {
+      this.controlRele(relay.id, true, 'Recuperación tras reinicio: último estado encendido',
+        withCause(AuditLog.SYSTEM_CONTEXT, 'recovery', null, 'último estado encendido'));
+      return;
+    }
+
+    const remaining = (run.endsAt - now) / 1000;
+    const context = { actor: run.actor || AuditLog.SYSTEM_CONTEXT.actor, source: run.source || AuditLog.SYSTEM_CONTEXT.source };
+
+    this.controlRele(relay.id, true, `Recuperación tras reinicio: ${run.reason} (quedan ${formatDuration(remaining)})`,
+      withCause(AuditLog.SYSTEM_CONTEXT, 'recovery', null, run.reason));
+    this.startTimedRun(relay.id, {
+      id: run.id,
+      duration: run.duration,
+      reason: run.reason,
+      context,
+      startedAt: run.startedAt,
+      endsAt: run.endsAt
+    });
+  }
+
+  /**
+   * Cargar del historial de rele_states el tiempo encendido de hoy y el último apagado de cada relé
+   */
+  loadRuntime() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    return this.database.getReleStatesSince(startOfDay)
+      .then(rows => Object.entries(runtimeFromHistory(rows)).forEach(([releId, entry]) => {
+        const index = Number(releId) - 1;
+        if (!this.relays[index]) {
+          return;
+        }
+
+        this.runtime[index] = { day: dayKey(), seconds: entry.seconds };
+        if (entry.lastOffAt && entry.lastOffAt > (this.lastOffAt[index] || 0)) {
+          this.lastOffAt[index] = entry.lastOffAt;
+        }
+      }));
+  }
+
+  /**
+   * Cambiar nombre, tipo y datos de una salida y guardarlos en la base de datos
+   */
+  async saveOutput(releId, changes, updatedBy = null) {
+    const index = parseReleId(releId, this.relays) - 1;
+    const current = this.relays[index];
+    const output = normalizeOutput({
+      name: changes.name === undefined ? current.name : changes.name,
+      type: changes.type === undefined ? current.type : changes.type,
+      metadata: changes.metadata === undefined && (changes.type === undefined || changes.type === current.type)
+        ? current.metadata
+        : changes.metadata
+    });
+
+    await this.database.saveOutput({ releId: index + 1, ...output, updatedBy });
+    Object.assign(this.relays[index], output);
+    return this.getRelays()[index];
+  }
+
+  /**
+   * Volver al nombre, tipo y datos definidos en config.js
+   */
+  async resetOutput(releId) {
+    const index = parseReleId(releId, this.relays) - 1;
+    const { name, type, metadata } = this.configRelays[index];
+
+    await this.database.deleteOutput(index + 1);
+    Object.assign(this.relays[index], { name, type, metadata: { ...metadata } });
+    return this.getRelays()[index];
+  }
+
+  /**
+   * Texto de un cambio de estado ("Bomba principal ON", "Bomba principal OFF (5 min, ~60 L)")
+   * Registra el inicio de cada activación para estimar lo consumido al apagar
+   */
+  describeChange(index, previousState, state) {
+    const relay = this.relays[index];
+    let text = `${relay.name} ${state ? 'ON' : 'OFF'}`;
+
+    if (state && !previousState) {
+      this.activeSince[index] = Date.now();
+    } else if (!state && this.activeSince[index]) {
+      text += ` (${describeRun(relay, (Date.now() - this.activeSince[index]) / 1000)})`;
+      this.activeSince[index] = null;
+    }
+
+    return text;
+  }
+
   /**
    * Configurar modo simulación
    */
@@ -104,225 +388,719 @@ class GPIOController {
     this.simulationMode = true;
     
     // Inicializar estados de relés en simulación
-    this.releStates = [false, false, false, false];
-    
-    // Guardar estados iniciales en base de datos
-    for (let i = 0; i < 4; i++) {
-      this.database.saveReleState(i + 1, false, 'Inicialización en modo simulación');
-    }
+    this.releStates = this.relays.map(() => false);
     
     console.log('Modo simulación configurado correctamente');
   }
 
   /**
-   * Configurar sensor DHT11
+   * Configurar sensores de config.js y luego los guardados en la base de datos
    */
-  setupDHT11() {
+  setupSensors() {
+    (config.sensors.devices || []).forEach(definition => this.registerSensor(definition));
+
+    this.sensorsReady = Promise.resolve(this.database.ready)
+      .then(() => this.database.getSensorDefinitions())
+      .then(definitions => definitions.forEach(definition => this.registerSensor(definition)))
+      .catch(error => {
+        console.error('Error cargando sensores de la base de datos:', error);
+      });
+  }
+
+  /**
+   * Registrar (o quitar, si está deshabilitado) un sensor
+   */
+  registerSensor(definition) {
     try {
-      this.dht11 = new DHT11Sensor(config.gpio.dht11Pin);
-      console.log(`Sensor DHT11 configurado en GPIO${config.gpio.dht11Pin}`);
+      if (definition.enabled === false) {
+        this.sensors.remove(definition.id);
+        return null;
+      }
+
+      const sensor = this.sensors.add(definition);
+      console.log(`Sensor ${sensor.id} (${sensor.type}) configurado`);
+      this.applyCalibration(sensor.id);
+      return sensor;
     } catch (error) {
-      console.error('Error configurando sensor DHT11:', error);
-      this.database.saveSystemLog('error', `Error configurando DHT11: ${error.message}`, 'GPIOController');
+      console.error(`Error configurando sensor ${definition.id}:`, error);
+      this.database.saveSystemLog('error', `Error configurando sensor ${definition.id}: ${error.message}`, 'GPIOController');
+      return null;
     }
   }
 
   /**
-   * Leer sensor DHT11
+   * Crear o modificar un sensor y guardarlo en la base de datos
    */
-  readDHT11() {
-    if (!this.dht11) {
-      throw new Error('Sensor DHT11 no inicializado');
-    }
+  async saveSensor(definition) {
+    const normalized = SensorRegistry.normalizeDefinition(definition);
 
-    try {
-      const readout = this.dht11.read();
-      
-      if (!readout || readout.temperature === null || readout.humidity === null) {
-        throw new Error('Lectura inválida del sensor DHT11');
-      }
+    await this.database.saveSensorDefinition(normalized);
 
-      const temperature = parseFloat(readout.temperature.toFixed(1));
-      const humidity = parseFloat(readout.humidity.toFixed(1));
+    if (!normalized.enabled) {
+      this.sensors.remove(normalized.id);
+      return { ...normalized, metrics: [], values: null };
+    }
 
-      // Guardar lectura en base de datos
-      this.database.saveSensorReading(temperature, humidity);
-      
-      // Guardar log si hay valores fuera de rango
-      this.checkThresholds(temperature, humidity);
+    const sensor = this.sensors.add(normalized);
+    await this.applyCalibration(sensor.id);
+    return sensor;
+  }
 
-      return { temperature, humidity };
-      
-    } catch (error) {
-      console.error('Error leyendo sensor DHT11:', error);
-      this.database.saveSystemLog('error', `Error leyendo DHT11: ${error.message}`, 'GPIOController');
-      return null;
+  /**
+   * Aplicar la calibración guardada a una sonda recién registrada (pH, EC)
+   */
+  applyCalibration(sensorId) {
+    const instance = this.sensors.getInstance(sensorId);
+    if (!instance || typeof instance.setCalibration !== 'function') {
+      return Promise.resolve(false);
     }
+
+    return Promise.resolve(this.database.ready)
+      .then(() => this.calibration.applyStored(sensorId))
+      .catch(error => {
+        console.error(`Error aplicando calibración del sensor ${sensorId}:`, error);
+        return false;
+      });
   }
 
   /**
-   * Verificar umbrales de temperatura y humedad
+   * Eliminar un sensor guardado en la base de datos
+   * Si config.js define un sensor con el mismo id, vuelve a quedar activo
    */
-  checkThresholds(temperature, humidity) {
-    const thresholds = config.sensors.thresholds;
-    
-    if (temperature < thresholds.temperature.min || temperature > thresholds.temperature.max) {
-      this.database.saveSystemLog('warn', 
-        `Temperatura fuera de rango: ${temperature}°C (rango: ${thresholds.temperature.min}-${thresholds.temperature.max}°C)`, 
-        'GPIOController'
+  async deleteSensor(id) {
+    const fromConfig = (config.sensors.devices || []).find(device => device.id === id);
+    const deleted = await this.database.deleteSensorDefinition(id);
+
+    if (!deleted) {
+      throw new SensorRegistry.SensorError(
+        fromConfig ? `El sensor ${id} está definido en config.js; deshabilítelo en lugar de eliminarlo` : `Sensor no encontrado: ${id}`,
+        fromConfig ? 409 : 404
       );
     }
-    
-    if (humidity < thresholds.humidity.min || humidity > thresholds.humidity.max) {
-      this.database.saveSystemLog('warn', 
-        `Humedad fuera de rango: ${humidity}% (rango: ${thresholds.humidity.min}-${thresholds.humidity.max}%)`, 
-        'GPIOController'
-      );
+
+    this.sensors.remove(id);
+    if (fromConfig) {
+      this.registerSensor(fromConfig);
     }
+
+    return true;
   }
 
   /**
-   * Controlar relé específico
+   * Leer todos los sensores, guardar las lecturas y verificar umbrales
+   * Devuelve la descripción de cada sensor con sus últimos valores o error
+   * Solo lo llama el verificador del programador; la interfaz usa getSensorReadings()
    */
-  controlRele(releId, state, reason = 'Control manual') {
-    if (releId < 1 || releId > 4) {
-      throw new Error('ID de relé inválido. Debe ser entre 1 y 4');
+  async readSensors() {
+    const results = await this.sensors.readAll();
+
+    for (const sensor of results) {
+      if (sensor.error) {
+        this.database.saveSystemLog('error', `Error leyendo sensor ${sensor.id}: ${sensor.error}`, 'GPIOController');
+        continue;
+      }
+
+      roundValues(sensor);
+
+      try {
+        await this.database.saveReadings(sensor.id, sensor.values);
+      } catch (error) {
+        console.error(`Error guardando lecturas del sensor ${sensor.id}:`, error);
+      }
+
+      this.checkThresholds(sensor);
     }
 
+    return results;
+  }
+
+  /**
+   * Últimas lecturas de cada sensor sin volver a leerlos ni guardarlas
+   * (misma forma que readSensors(); values es null hasta la primera lectura)
+   */
+  getSensorReadings() {
+    return this.sensors.list().map(roundValues);
+  }
+
+  /**
+   * Valores de temperatura y humedad ambiente (formato original del DHT11)
+   */
+  getAmbientSnapshot(results) {
+    const snapshot = {};
+
+    ['temperature', 'humidity'].forEach(metric => {
+      const sensor = results.find(s => !s.error && s.values && s.values[metric] !== undefined);
+      if (sensor) {
+        snapshot[metric] = sensor.values[metric];
+        snapshot.timestamp = sensor.timestamp;
+      }
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Verificar umbrales configurados para las métricas de un sensor
+   */
+  checkThresholds(sensor) {
+    const thresholds = config.sensors.thresholds;
+
+    sensor.metrics.forEach(({ metric, label, unit }) => {
+      const range = thresholds[metric];
+      const value = sensor.values[metric];
+
+      if (!range || value === undefined) {
+        return;
+      }
+
+      if (value < range.min || value > range.max) {
+        this.database.saveSystemLog('warn', 
+          `${label} fuera de rango en ${sensor.name}: ${value}${unit} (rango: ${range.min}-${range.max}${unit})`, 
+          'GPIOController'
+        );
+      }
+    });
+  }
+
+  /**
+   * Controlar relé específico
+   * context identifica quién origina el comando para la auditoría (ver audit.js); su causa
+   * (ver relay_causes.js) se guarda con el cambio junto con las últimas lecturas de los sensores
+   */
+  controlRele(releId, state, reason = 'Control manual', context = AuditLog.SYSTEM_CONTEXT) {
+    releId = parseReleId(releId, this.relays);
+
     const pinIndex = releId - 1;
+    const previousState = this.releStates[pinIndex];
+
+    if (state && !previousState) {
+      this.enforceInterlocks(releId, reason, context);
+      this.enforceLimits(releId, reason, context);
+    }
+
+    if (!state) {
+      // Cualquier apagado termina la activación temporal en curso
+      this.clearTimedRun(pinIndex);
+    }
     
     try {
       if (this.simulationMode) {
         // Modo simulación - solo actualizar estado interno
         this.releStates[pinIndex] = state;
         
-        // Guardar estado en base de datos
-        this.database.saveReleState(releId, state, reason);
+        // Guardar el cambio de estado con su causa (la auditoría registra cada comando)
+        if (previousState !== state) {
+          this.database.saveReleState(releId, state, reason, causeOf(context), this.sensors.snapshot());
+        }
         
         // Guardar log del sistema
-        const action = state ? 'activado' : 'desactivado';
+        this.trackRuntime(pinIndex, previousState, state);
+        const change = this.describeChange(pinIndex, previousState, state);
         this.database.saveSystemLog('info', 
-          `Relé ${releId} ${action} (SIMULACIÓN) - Razón: ${reason}`, 
+          `${change} (SIMULACIÓN) - Razón: ${reason}`, 
           'GPIOController'
         );
 
-        console.log(`Relé ${releId} ${action} (SIMULACIÓN)`);
+        console.log(`${change} (SIMULACIÓN)`);
+        this.auditReleChange(releId, previousState, state, reason, context);
+        this.releaseDependents(releId, state, context);
         return true;
         
       } else {
-        // Modo hardware - controlar pin físico
-        const pin = config.gpio.relePins[pinIndex];
-        
-        // Determinar estado del pin según configuración
-        let pinState;
-        if (config.gpio.releActiveLow) {
-          pinState = state ? rpio.LOW : rpio.HIGH;
-        } else {
-          pinState = state ? rpio.HIGH : rpio.LOW;
-        }
+        // Modo hardware - controlar pin físico según la polaridad del relé
+        const relay = this.relays[pinIndex];
+        const pin = relay.pin;
 
         // Escribir estado en el pin
-        rpio.write(pin, pinState);
+        rpio.write(pin, this.pinLevel(relay, state));
         
         // Actualizar estado interno
         this.releStates[pinIndex] = state;
         
-        // Guardar estado en base de datos
-        this.database.saveReleState(releId, state, reason);
+        // Guardar el cambio de estado con su causa (la auditoría registra cada comando)
+        if (previousState !== state) {
+          this.database.saveReleState(releId, state, reason, causeOf(context), this.sensors.snapshot());
+        }
         
         // Guardar log del sistema
-        const action = state ? 'activado' : 'desactivado';
+        this.trackRuntime(pinIndex, previousState, state);
+        const change = this.describeChange(pinIndex, previousState, state);
         this.database.saveSystemLog('info', 
-          `Relé ${releId} ${action} - Razón: ${reason}`, 
+          `${change} - Razón: ${reason}`, 
           'GPIOController'
         );
 
-        console.log(`Relé ${releId} ${action} en GPIO${pin}`);
+        console.log(`${change} en GPIO${pin}`);
+        this.auditReleChange(releId, previousState, state, reason, context);
+        this.releaseDependents(releId, state, context);
         return true;
       }
       
     } catch (error) {
-      console.error(`Error controlando relé ${releId}:`, error);
+      console.error(`Error controlando ${this.getReleName(releId)} (relé ${releId}):`, error);
       this.database.saveSystemLog('error', 
-        `Error controlando relé ${releId}: ${error.message}`, 
+        `Error controlando ${this.getReleName(releId)} (relé ${releId}): ${error.message}`, 
         'GPIOController'
       );
       return false;
     }
   }
 
+  /**
+   * Rechazar el encendido si viola un enclavamiento (el rechazo queda en logs y auditoría)
+   */
+  enforceInterlocks(releId, reason, context) {
+    const violation = findViolation(this.interlocks, releId, this.releStates, this.relays);
+    if (!violation) {
+      return;
+    }
+
+    this.rejectCommand(releId, reason, context, new InterlockError(violation.message, violation.rule));
+  }
+
+  /**
+   * Rechazar el encendido si la salida no cumplió su tiempo mínimo apagada o agotó su tiempo diario
+   */
+  enforceLimits(releId, reason, context) {
+    const index = releId - 1;
+    const limits = this.limits[index];
+    const name = this.getReleName(releId);
+
+    if (limits.minOffTime && this.lastOffAt[index]) {
+      const waiting = limits.minOffTime - (Date.now() - this.lastOffAt[index]) / 1000;
+      if (waiting > 0) {
+        this.rejectCommand(releId, reason, context, new SafetyLimitError(
+          `Límite de seguridad: ${name} debe permanecer apagada ${formatDuration(Math.ceil(waiting))} más (mínimo ${formatDuration(limits.minOffTime)} entre activaciones)`,
+          'minOffTime'
+        ));
+      }
+    }
+
+    if (limits.maxDailyRuntime && this.getRuntimeToday(releId) >= limits.maxDailyRuntime) {
+      this.rejectCommand(releId, reason, context, new SafetyLimitError(
+        `Límite de seguridad: ${name} ya estuvo encendida su máximo diario de ${formatDuration(limits.maxDailyRuntime)}`,
+        'maxDailyRuntime'
+      ));
+    }
+  }
+
+  /**
+   * Registrar en logs y auditoría un encendido rechazado y lanzar el error
+   */
+  rejectCommand(releId, reason, context, error) {
+    console.warn(`Comando rechazado: ${error.message}`);
+    this.database.saveSystemLog('warn',
+      `Comando rechazado: ${this.getReleName(releId)} ON - ${error.message} (Razón: ${reason})`,
+      'GPIOController'
+    );
+    this.audit.record(context, 'rele.rejected', {
+      target: `rele:${releId}`,
+      before: { state: false },
+      after: { state: false },
+      details: `${error.message} - ${reason}`
+    });
+
+    throw error;
+  }
+
+  /**
+   * Sumar al día el tiempo de cada activación terminada y vigilar los límites de la activación en curso
+   * Se llama antes de describeChange, que reinicia activeSince
+   */
+  trackRuntime(index, previousState, state) {
+    if (state && !previousState) {
+      this.armLimitTimer(index);
+      return;
+    }
+    if (state || !previousState) {
+      return;
+    }
+
+    clearTimeout(this.limitTimers[index]);
+    this.limitTimers[index] = null;
+
+    const today = dayKey();
+    if (this.runtime[index].day !== today) {
+      this.runtime[index] = { day: today, seconds: 0 };
+    }
+    if (this.activeSince[index]) {
+      this.runtime[index].seconds += (Date.now() - this.activeSince[index]) / 1000;
+    }
+    this.lastOffAt[index] = Date.now();
+  }
+
+  /**
+   * Programar el apagado automático al cumplirse el máximo continuo o el resto del máximo diario
+   */
+  armLimitTimer(index) {
+    const limits = this.limits[index];
+    const candidates = [];
+
+    if (limits.maxOnTime) {
+      candidates.push({ limit: 'maxOnTime', seconds: limits.maxOnTime });
+    }
+    if (limits.maxDailyRuntime) {
+      candidates.push({ limit: 'maxDailyRuntime', seconds: limits.maxDailyRuntime - this.getRuntimeToday(index + 1) });
+    }
+    if (!candidates.length) {
+      return;
+    }
+
+    const next = candidates.reduce((first, candidate) => candidate.seconds < first.seconds ? candidate : first);
+
+    clearTimeout(this.limitTimers[index]);
+    this.limitTimers[index] = setTimeout(() => {
+      this.limitTimers[index] = null;
+      this.safetyShutoff(index + 1, next.limit);
+    }, Math.max(0, next.seconds) * 1000);
+  }
+
+  /**
+   * Apagar una salida que alcanzó un límite de seguridad (log, auditoría y evento safety_shutoff)
+   */
+  safetyShutoff(releId, limit) {
+    const index = releId - 1;
+    if (!this.releStates[index]) {
+      return;
+    }
+
+    const limits = this.limits[index];
+    const name = this.getReleName(releId);
+    const message = limit === 'maxOnTime'
+      ? `Límite de seguridad: ${name} apagada tras ${formatDuration(limits.maxOnTime)} encendida (máximo continuo)`
+      : `Límite de seguridad: ${name} apagada al completar su máximo diario de ${formatDuration(limits.maxDailyRuntime)}`;
+
+    console.warn(message);
+    this.database.saveSystemLog('warn', message, 'GPIOController');
+    this.controlRele(releId, false, message,
+      withCause(AuditLog.SAFETY_CONTEXT, 'safety', null, limit === 'maxOnTime' ? 'máximo continuo' : 'máximo diario'));
+
+    this.emit('safety_shutoff', {
+      releId,
+      name,
+      limit,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Segundos encendida hoy, incluida la activación en curso
+   */
+  getRuntimeToday(releId) {
+    const index = parseReleId(releId, this.relays) - 1;
+    const entry = this.runtime[index];
+    let seconds = entry.day === dayKey() ? entry.seconds : 0;
+
+    if (this.releStates[index] && this.activeSince[index]) {
+      seconds += (Date.now() - this.activeSince[index]) / 1000;
+    }
+
+    return seconds;
+  }
+
+  /**
+   * Límites de seguridad de cada salida con el tiempo encendido de hoy
+   */
+  getLimits() {
+    return this.relays.map((relay, index) => {
+      const limits = this.limits[index];
+      const runtimeToday = this.getRuntimeToday(relay.id);
+      const offRemaining = limits.minOffTime && this.lastOffAt[index] && !this.releStates[index]
+        ? Math.max(0, Math.ceil(limits.minOffTime - (Date.now() - this.lastOffAt[index]) / 1000))
+        : 0;
+
+      return {
+        releId: relay.id,
+        name: relay.name,
+        limits: { ...limits },
+        description: describeLimits(limits),
+        runtimeToday: Math.round(runtimeToday),
+        remainingToday: limits.maxDailyRuntime ? Math.max(0, Math.round(limits.maxDailyRuntime - runtimeToday)) : null,
+        offRemaining
+      };
+    });
+  }
+
+  /**
+   * Apagar las salidas que requieren (regla requires) a una salida que se apagó
+   */
+  releaseDependents(releId, state, context) {
+    if (state) {
+      return;
+    }
+
+    dependentsOf(this.interlocks, releId)
+      .filter(dependent => this.releStates[dependent - 1])
+      .forEach(dependent => {
+        this.controlRele(dependent, false, `Enclavamiento: ${this.getReleName(releId)} apagado`,
+          withCause(context, 'interlock', releId, `${this.getReleName(releId)} apagado`));
+      });
+  }
+
+  /**
+   * Enclavamientos configurados con su descripción
+   */
+  getInterlocks() {
+    return this.interlocks.map(rule => ({ ...rule, description: describeInterlock(rule, this.relays) }));
+  }
+
+  /**
+   * Registrar comando de relé en la auditoría
+   */
+  auditReleChange(releId, previousState, state, reason, context) {
+    this.audit.record(context, 'rele.control', {
+      target: `rele:${releId}`,
+      before: { state: previousState },
+      after: { state },
+      details: reason
+    });
+  }
+
   /**
    * Obtener estado actual de un relé
    */
   getReleState(releId) {
-    if (releId < 1 || releId > 4) {
-      throw new Error('ID de relé inválido. Debe ser entre 1 y 4');
-    }
-    
-    return this.releStates[releId - 1];
+    return this.releStates[parseReleId(releId, this.relays) - 1];
   }
 
   /**
    * Obtener estado de todos los relés
    */
   getAllReleStates() {
-    return this.releStates.map((state, index) => ({
-      releId: index + 1,
-      state: state,
-      gpioPin: config.gpio.relePins[index]
+    return this.relays.map((relay, index) => ({
+      releId: relay.id,
+      name: relay.name,
+      type: relay.type,
+      metadata: { ...relay.metadata },
+      state: this.releStates[index],
+      gpioPin: relay.pin,
+      activeLow: relay.activeLow
     }));
   }
 
   /**
    * Activar relé por tiempo específico
    */
-  activateReleTimed(releId, duration, reason = 'Activación temporal') {
-    if (releId < 1 || releId > 4) {
-      throw new Error('ID de relé inválido. Debe ser entre 1 y 4');
-    }
+  activateReleTimed(releId, duration, reason = 'Activación temporal', context = AuditLog.SYSTEM_CONTEXT) {
+    releId = parseReleId(releId, this.relays);
+    duration = parseTimedSeconds(duration, 'Duración');
 
     // Activar relé
-    this.controlRele(releId, true, reason);
+    this.controlRele(releId, true, reason, context);
     
-    // Programar desactivación automática
-    setTimeout(() => {
-      this.controlRele(releId, false, `${reason} - Desactivación automática`);
-    }, duration * 1000); // Convertir segundos a milisegundos
+    // Programar desactivación automática (guardada para reanudarla tras un reinicio)
+    // Una nueva activación temporal del mismo relé reemplaza a la anterior
+    const run = this.startTimedRun(releId, { duration, reason, context });
 
-    console.log(`Relé ${releId} activado por ${duration} segundos`);
+    console.log(`${this.getReleName(releId)} activado por ${duration} segundos`);
+    return this.describeTimedRun(run);
   }
 
   /**
-   * Activar todos los relés
+   * Programar y guardar la desactivación automática de una activación temporal
+   * id, startedAt y endsAt permiten reanudar una activación recuperada hasta su fin previsto
+   */
+  startTimedRun(releId, { id = null, duration, reason, context, startedAt = Date.now(), endsAt = startedAt + duration * 1000 }) {
+    const index = releId - 1;
+    this.clearTimedRun(index, 'replace');
+
+    const run = {
+      id: id || crypto.randomBytes(6).toString('hex'),
+      releId,
+      duration,
+      reason,
+      context,
+      startedAt,
+      endsAt
+    };
+
+    this.timedRuns[index] = run;
+    this.scheduleTimedRun(run);
+    this.saveTimedRun(run);
+    this.emit('timed_run', { action: 'start', run: this.describeTimedRun(run) });
+    return run;
+  }
+
+  /**
+   * Programar el apagado al cumplirse endsAt (al iniciar o extender una activación)
    */
-  activateAllRele(reason = 'Activación masiva') {
-    for (let i = 1; i <= 4; i++) {
-      this.controlRele(i, true, reason);
+  scheduleTimedRun(run) {
+    clearTimeout(run.timer);
+    run.timer = setTimeout(() => {
+      if (this.timedRuns[run.releId - 1] !== run) {
+        return;
+      }
+
+      this.timedRuns[run.releId - 1] = null;
+      this.deleteTimedRun(run.releId);
+      this.emit('timed_run', { action: 'finish', run: this.describeTimedRun(run) });
+      this.controlRele(run.releId, false, `${run.reason} - Desactivación automática`, run.context);
+    }, Math.max(0, run.endsAt - Date.now()));
+  }
+
+  /**
+   * Guardar una activación temporal para reanudarla tras un reinicio
+   */
+  saveTimedRun(run) {
+    this.database.saveTimedRun({
+      id: run.id,
+      releId: run.releId,
+      reason: run.reason,
+      duration: Math.round(run.duration),
+      startedAt: run.startedAt,
+      endsAt: run.endsAt,
+      actor: run.context.actor,
+      source: run.context.source
+    }).catch(error => {
+      console.error(`Error guardando activación temporal del relé ${run.releId}:`, error);
+    });
+  }
+
+  /**
+   * Eliminar la activación temporal guardada de un relé
+   */
+  deleteTimedRun(releId) {
+    this.database.deleteTimedRun(releId).catch(error => {
+      console.error(`Error eliminando activación temporal del relé ${releId}:`, error);
+    });
+  }
+
+  /**
+   * Cancelar la desactivación automática pendiente de un relé
+   * action indica el motivo en el evento timed_run: cancel (apagado) o replace (nueva activación)
+   * Al cerrar el sistema se conserva el registro para reanudarla en el próximo arranque
+   */
+  clearTimedRun(index, action = 'cancel') {
+    const run = this.timedRuns[index];
+    if (!run) {
+      return;
+    }
+
+    clearTimeout(run.timer);
+    this.timedRuns[index] = null;
+
+    if (!this.shuttingDown) {
+      this.deleteTimedRun(index + 1);
+      this.emit('timed_run', { action, run: this.describeTimedRun(run) });
     }
   }
 
   /**
-   * Desactivar todos los relés
+   * Datos públicos de una activación temporal con el tiempo restante en segundos
+   */
+  describeTimedRun(run) {
+    return {
+      id: run.id,
+      releId: run.releId,
+      name: this.getReleName(run.releId),
+      reason: run.reason,
+      duration: Math.round(run.duration),
+      startedAt: new Date(run.startedAt).toISOString(),
+      endsAt: new Date(run.endsAt).toISOString(),
+      remaining: Math.max(0, Math.ceil((run.endsAt - Date.now()) / 1000)),
+      actor: run.context.actor,
+      source: run.context.source
+    };
+  }
+
+  /**
+   * Activaciones temporales en curso
+   */
+  getTimedRuns() {
+    return this.timedRuns.filter(Boolean).map(run => this.describeTimedRun(run));
+  }
+
+  /**
+   * Activación temporal en curso por id (404 si ya terminó o no existe)
+   */
+  findTimedRun(id) {
+    const run = this.timedRuns.find(candidate => candidate && candidate.id === id);
+    if (!run) {
+      throw new RelayError(`Activación temporal no encontrada: ${id}`, 404);
+    }
+    return run;
+  }
+
+  /**
+   * Activación temporal en curso por id, con el tiempo restante
+   */
+  getTimedRun(id) {
+    return this.describeTimedRun(this.findTimedRun(id));
+  }
+
+  /**
+   * Terminar antes de tiempo una activación temporal (apaga la salida)
+   */
+  cancelTimedRun(id, context = AuditLog.SYSTEM_CONTEXT) {
+    const run = this.findTimedRun(id);
+    const described = this.describeTimedRun(run);
+
+    this.controlRele(run.releId, false, `${run.reason} - Cancelada`, context);
+    return described;
+  }
+
+  /**
+   * Extender una activación temporal en curso
    */
-  deactivateAllRele(reason = 'Desactivación masiva') {
-    for (let i = 1; i <= 4; i++) {
-      this.controlRele(i, false, reason);
+  extendTimedRun(id, seconds, context = AuditLog.SYSTEM_CONTEXT) {
+    const run = this.findTimedRun(id);
+    seconds = parseTimedSeconds(seconds, 'Extensión');
+
+    if ((run.endsAt - Date.now()) / 1000 + seconds > MAX_TIMED_SECONDS) {
+      throw new RelayError(`El tiempo restante no puede superar ${formatDuration(MAX_TIMED_SECONDS)}`);
     }
+
+    run.endsAt += seconds * 1000;
+    run.duration += seconds;
+    this.scheduleTimedRun(run);
+    this.saveTimedRun(run);
+
+    const described = this.describeTimedRun(run);
+    this.database.saveSystemLog('info',
+      `${described.name}: activación temporal extendida ${formatDuration(seconds)} (quedan ${formatDuration(described.remaining)}) por ${context.actor}`,
+      'GPIOController'
+    );
+    this.emit('timed_run', { action: 'extend', run: described });
+    return described;
+  }
+
+  /**
+   * Activar todos los relés
+   */
+  activateAllRele(reason = 'Activación masiva', context = AuditLog.SYSTEM_CONTEXT) {
+    // Las salidas bloqueadas por un enclavamiento o un límite quedan apagadas (el rechazo ya se registró)
+    this.relays.forEach(relay => {
+      try {
+        this.controlRele(relay.id, true, reason, context);
+      } catch (error) {
+        if (!(error instanceof InterlockError || error instanceof SafetyLimitError)) {
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Desactivar todos los relés
+   */
+  deactivateAllRele(reason = 'Desactivación masiva', context = AuditLog.SYSTEM_CONTEXT) {
+    this.relays.forEach(relay => this.controlRele(relay.id, false, reason, context));
   }
 
   /**
    * Alternar estado de un relé
    */
-  toggleRele(releId, reason = 'Alternancia manual') {
+  toggleRele(releId, reason = 'Alternancia manual', context = AuditLog.SYSTEM_CONTEXT) {
     const currentState = this.getReleState(releId);
     const newState = !currentState;
-    return this.controlRele(releId, newState, reason);
+    return this.controlRele(releId, newState, reason, context);
   }
 
   /**
-   * Ejecutar secuencia de relés
+   * Ejecutar secuencia de relés sin guardar (las secuencias con nombre están en this.sequences)
    */
-  executeReleSequence(sequence, reason = 'Secuencia programada') {
+  executeReleSequence(sequence, reason = 'Secuencia programada', context = AuditLog.SYSTEM_CONTEXT) {
     if (!Array.isArray(sequence)) {
       throw new Error('Secuencia debe ser un array');
     }
@@ -330,7 +1108,11 @@ class GPIOController {
     sequence.forEach((step, index) => {
       setTimeout(() => {
         if (step.releId && typeof step.state === 'boolean') {
-          this.controlRele(step.releId, step.state, `${reason} - Paso ${index + 1}`);
+          try {
+            this.controlRele(step.releId, step.state, `${reason} - Paso ${index + 1}`, context);
+          } catch (error) {
+            console.error(`Paso ${index + 1} de la secuencia rechazado: ${error.message}`);
+          }
         }
       }, step.delay * 1000);
     });
@@ -347,12 +1129,21 @@ class GPIOController {
       architecture: process.arch,
       gpioMode: this.simulationMode ? 'simulation' : 'hardware',
       gpioInitialized: this.isInitialized,
-      releCount: this.releStates.length,
-      relePins: this.simulationMode ? [17, 18, 27, 22] : config.gpio.relePins,
+      releCount: this.relays.length,
+      relePins: this.relays.map(relay => relay.pin),
+      relays: this.getRelays(),
+      interlocks: this.getInterlocks(),
+      limits: this.getLimits(),
       dht11Pin: config.gpio.dht11Pin,
+      sensors: this.sensors.list().map(sensor => ({
+        id: sensor.id,
+        type: sensor.type,
+        name: sensor.name,
+        error: sensor.error
+      })),
       releStates: this.releStates,
       activeLow: config.gpio.releActiveLow,
-      availablePins: this.simulationMode ? [17, 18, 27, 22, 23, 24, 25, 4] : config.gpio.relePins
+      availablePins: this.relays.map(relay => relay.pin)
     };
   }
 
@@ -361,12 +1152,17 @@ class GPIOController {
    */
   cleanup() {
     try {
-      // Desactivar todos los relés
-      this.deactivateAllRele('Limpieza del sistema');
+      // Desactivar todos los relés (conservando lo necesario para recuperarlos al reiniciar)
+      this.shuttingDown = true;
+      this.sequences.cleanup();
+      this.deactivateAllRele(SHUTDOWN_REASON);
+
+      // Liberar sensores
+      this.sensors.cleanup();
       
       if (!this.simulationMode) {
         // Cerrar pines GPIO solo en modo hardware
-        config.gpio.relePins.forEach(pin => {
+        this.relays.forEach(({ pin }) => {
           try {
             rpio.close(pin);
           } catch (error) {
@@ -387,42 +1183,33 @@ class GPIOController {
   /**
    * Verificar estado de conexiones GPIO
    */
-  testGPIOConnections() {
+  async testGPIOConnections() {
     const results = {
       rele: [],
-      dht11: false,
+      sensors: [],
       overall: true
     };
 
     if (this.simulationMode) {
       // Modo simulación - probar funcionalidad simulada
-      for (let i = 0; i < 4; i++) {
+      this.relays.forEach((relay, index) => {
         results.rele.push({
-          releId: i + 1,
-          gpioPin: [17, 18, 27, 22][i],
+          releId: relay.id,
+          gpioPin: relay.pin,
           status: 'SIMULACIÓN',
-          currentState: this.releStates[i],
+          currentState: this.releStates[index],
           mode: 'simulation'
         });
-      }
-      
-      // Probar sensor DHT11 en simulación
-      try {
-        const reading = this.readDHT11();
-        results.dht11 = reading !== null;
-      } catch (error) {
-        results.dht11 = false;
-        results.overall = false;
-      }
+      });
       
     } else {
       // Modo hardware - probar pines físicos
-      config.gpio.relePins.forEach((pin, index) => {
+      this.relays.forEach(({ id, pin }) => {
         try {
           // Leer estado actual del pin
           const currentState = rpio.read(pin);
           results.rele.push({
-            releId: index + 1,
+            releId: id,
             gpioPin: pin,
             status: 'OK',
             currentState: currentState,
@@ -430,7 +1217,7 @@ class GPIOController {
           });
         } catch (error) {
           results.rele.push({
-            releId: index + 1,
+            releId: id,
             gpioPin: pin,
             status: 'ERROR',
             error: error.message,
@@ -439,19 +1226,28 @@ class GPIOController {
           results.overall = false;
         }
       });
+    }
 
-      // Probar sensor DHT11
-      try {
-        const reading = this.readDHT11();
-        results.dht11 = reading !== null;
-      } catch (error) {
-        results.dht11 = false;
+    // Probar sensores registrados
+    const sensors = await this.sensors.readAll();
+    sensors.forEach(sensor => {
+      results.sensors.push({
+        id: sensor.id,
+        type: sensor.type,
+        status: sensor.error ? 'ERROR' : 'OK',
+        values: sensor.values,
+        error: sensor.error
+      });
+      if (sensor.error) {
         results.overall = false;
       }
-    }
+    });
 
     return results;
   }
 }
 
-module.exports = GPIOController; 
\ No newline at end of file
+module.exports = GPIOController;
+module.exports.RelayError = RelayError;
+module.exports.InterlockError = InterlockError;
+module.exports.SafetyLimitError = SafetyLimitError;
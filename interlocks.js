@@ -0,0 +1,176 @@
+/**
+ * Enclavamientos entre Relés
+ * Reglas que impiden encender salidas en combinaciones peligrosas:
+ *   exclusive - nunca dos de las salidas del grupo a la vez (vaciado y llenado)
+ *   requires  - una salida solo enciende si otras están encendidas (dosificadora y recirculación)
+ *   maxActive - máximo N salidas del grupo a la vez (presión de la bomba)
+ * Apagar nunca se bloquea: al apagar una salida requerida se apagan las que dependen de ella
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError, OUTPUT_TYPES } = require('./relays');
+
+const INTERLOCK_TYPES = ['exclusive', 'requires', 'maxActive'];
+
+/**
+ * Comando de relé rechazado por un enclavamiento
+ */
+class InterlockError extends RelayError {
+  constructor(message, rule) {
+    super(message, 409);
+    this.name = 'InterlockError';
+    this.rule = rule;
+  }
+}
+
+function releIdList(value, relays, label) {
+  const list = Array.isArray(value) ? value : [value];
+
+  return list.map(item => {
+    const id = Number(item);
+    if (!Number.isInteger(id) || id < 1 || id > relays.length) {
+      throw new RelayError(`Enclavamiento ${label}: relé inexistente ${item}`);
+    }
+    return id;
+  });
+}
+
+/**
+ * Validar las reglas de config.js contra los relés configurados
+ */
+function normalizeInterlocks(rules = [], relays = []) {
+  if (!Array.isArray(rules)) {
+    throw new RelayError('gpio.interlocks debe ser una lista de reglas');
+  }
+
+  return rules.map((rule, index) => {
+    const label = rule.name || `#${index + 1}`;
+
+    if (!INTERLOCK_TYPES.includes(rule.type)) {
+      throw new RelayError(`Enclavamiento ${label}: tipo desconocido ${rule.type} (${INTERLOCK_TYPES.join(', ')})`);
+    }
+
+    if (rule.type === 'exclusive') {
+      const ids = releIdList(rule.relays, relays, label);
+      if (ids.length < 2) {
+        throw new RelayError(`Enclavamiento ${label}: se necesitan al menos 2 relés`);
+      }
+      return { type: rule.type, name: rule.name || null, relays: ids };
+    }
+
+    if (rule.type === 'requires') {
+      const [relay] = releIdList(rule.relay, relays, label);
+      const requires = releIdList(rule.requires, relays, label);
+      if (requires.includes(relay)) {
+        throw new RelayError(`Enclavamiento ${label}: un relé no puede requerirse a sí mismo`);
+      }
+      return { type: rule.type, name: rule.name || null, relay, requires };
+    }
+
+    const max = Number(rule.max);
+    if (!Number.isInteger(max) || max < 1) {
+      throw new RelayError(`Enclavamiento ${label}: max debe ser un entero mayor que 0`);
+    }
+    if (rule.outputType !== undefined && !OUTPUT_TYPES[rule.outputType]) {
+      throw new RelayError(`Enclavamiento ${label}: tipo de salida desconocido ${rule.outputType}`);
+    }
+    if (rule.outputType === undefined && rule.relays === undefined) {
+      throw new RelayError(`Enclavamiento ${label}: indique relays u outputType`);
+    }
+
+    return {
+      type: rule.type,
+      name: rule.name || null,
+      max,
+      relays: rule.relays === undefined ? null : releIdList(rule.relays, relays, label),
+      outputType: rule.outputType || null
+    };
+  });
+}
+
+/**
+ * Relés de un grupo maxActive (el tipo de salida se evalúa con los datos actuales)
+ */
+function groupMembers(rule, relays) {
+  if (rule.relays) {
+    return rule.relays;
+  }
+  return relays.filter(relay => relay.type === rule.outputType).map(relay => relay.id);
+}
+
+/**
+ * Regla que impide encender un relé con los estados actuales, o null si está permitido
+ * states: estados de los relés (índice = id - 1); relays: relés con nombre y tipo
+ * Devuelve { rule, message }
+ */
+function findViolation(rules, releId, states, relays) {
+  const name = id => relays[id - 1].name;
+  const isOn = id => states[id - 1] === true;
+
+  for (const rule of rules) {
+    if (rule.type === 'exclusive' && rule.relays.includes(releId)) {
+      const conflict = rule.relays.find(id => id !== releId && isOn(id));
+      if (conflict) {
+        return { rule, message: `Enclavamiento: ${name(releId)} no puede encenderse junto con ${name(conflict)}` };
+      }
+    }
+
+    if (rule.type === 'requires' && rule.relay === releId) {
+      const missing = rule.requires.filter(id => !isOn(id));
+      if (missing.length) {
+        return { rule, message: `Enclavamiento: ${name(releId)} requiere ${missing.map(name).join(', ')} encendido` };
+      }
+    }
+
+    if (rule.type === 'maxActive') {
+      const members = groupMembers(rule, relays);
+      if (members.includes(releId)) {
+        const active = members.filter(id => id !== releId && isOn(id));
+        if (active.length >= rule.max) {
+          const group = rule.name || (rule.outputType ? OUTPUT_TYPES[rule.outputType].label : 'el grupo');
+          return {
+            rule,
+            message: `Enclavamiento: máximo ${rule.max} salida(s) encendida(s) a la vez en ${group} (encendidas: ${active.map(name).join(', ')})`
+          };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Relés que dependen (regla requires) de un relé que se apaga
+ */
+function dependentsOf(rules, releId) {
+  return rules
+    .filter(rule => rule.type === 'requires' && rule.requires.includes(releId))
+    .map(rule => rule.relay);
+}
+
+/**
+ * Descripción legible de una regla para la interfaz y la API
+ */
+function describeInterlock(rule, relays) {
+  const name = id => relays[id - 1].name;
+
+  if (rule.type === 'exclusive') {
+    return `Nunca juntas: ${rule.relays.map(name).join(', ')}`;
+  }
+  if (rule.type === 'requires') {
+    return `${name(rule.relay)} requiere ${rule.requires.map(name).join(', ')} encendido`;
+  }
+
+  const group = rule.relays ? rule.relays.map(name).join(', ') : `salidas de tipo ${OUTPUT_TYPES[rule.outputType].label}`;
+  return `Máximo ${rule.max} a la vez: ${group}`;
+}
+
+module.exports = {
+  InterlockError,
+  INTERLOCK_TYPES,
+  normalizeInterlocks,
+  findViolation,
+  dependentsOf,
+  describeInterlock
+};
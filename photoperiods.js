@@ -0,0 +1,245 @@
+/**
+ * Programas de Fotoperiodo por Etapa de Cultivo
+ * Una salida de luz sigue las horas de luz de cada etapa (p. ej. 18/6 durante 21 días
+ * y luego 12/12) y pasa a la siguiente etapa sola, según la fecha de inicio del programa
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError, parseReleId } = require('./relays');
+const { MINUTES_PER_DAY, parseTime, formatTime, weekMinutes } = require('./schedules');
+const { localDate } = require('./solar');
+
+const MAX_STAGES = 20;
+const MAX_STAGE_DAYS = 365;
+const MAX_NAME_LENGTH = 60;
+const MAX_STAGE_NAME_LENGTH = 40;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROGRAM_STATUSES = {
+  pending: 'Por iniciar',
+  active: 'En curso',
+  finished: 'Terminado'
+};
+
+/**
+ * Programa de fotoperiodo mal definido o inexistente
+ */
+class PhotoperiodError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'PhotoperiodError';
+  }
+}
+
+/**
+ * Día (medianoche UTC en milisegundos) de una fecha YYYY-MM-DD
+ */
+function parseDate(value, label) {
+  const match = DATE_PATTERN.exec(String(value || '').trim());
+  const day = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (!match || new Date(day).toISOString().slice(0, 10) !== match[0]) {
+    throw new PhotoperiodError(`${label} inválida: ${value} (use YYYY-MM-DD)`);
+  }
+  return day;
+}
+
+/**
+ * Fecha YYYY-MM-DD a una cantidad de días de otra
+ */
+function addDays(date, days) {
+  return new Date(parseDate(date, 'Fecha') + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Horas con decimales legibles: 18, 13.5
+ */
+function formatHours(hours) {
+  return String(Math.round(hours * 100) / 100);
+}
+
+/**
+ * Validar una etapa { name, days, lightHours }; la última puede no tener días (sigue indefinidamente)
+ */
+function normalizeStage(stage, index, isLast) {
+  const label = `Etapa ${index + 1}`;
+
+  if (!stage || typeof stage !== 'object') {
+    throw new PhotoperiodError(`${label}: debe ser un objeto`);
+  }
+
+  const name = typeof stage.name === 'string' && stage.name.trim() ? stage.name.trim() : label;
+  if (name.length > MAX_STAGE_NAME_LENGTH) {
+    throw new PhotoperiodError(`${label}: el nombre no puede superar ${MAX_STAGE_NAME_LENGTH} caracteres`);
+  }
+
+  const lightHours = Number(stage.lightHours);
+  if (stage.lightHours === '' || stage.lightHours === null || !Number.isFinite(lightHours) || lightHours < 0 || lightHours > 24) {
+    throw new PhotoperiodError(`${label}: horas de luz inválidas ${stage.lightHours} (entre 0 y 24)`);
+  }
+
+  let days = null;
+  if (stage.days !== undefined && stage.days !== null && stage.days !== '') {
+    days = Number(stage.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_STAGE_DAYS) {
+      throw new PhotoperiodError(`${label}: duración inválida ${stage.days} (entre 1 y ${MAX_STAGE_DAYS} días)`);
+    }
+  } else if (!isLast) {
+    throw new PhotoperiodError(`${label}: indique cuántos días dura (solo la última etapa puede seguir indefinidamente)`);
+  }
+
+  return { name, days, lightHours: Math.round(lightHours * 60) / 60 };
+}
+
+/**
+ * Validar un programa { name, releId, startDate, lightsOn, stages, enabled } contra los relés configurados
+ */
+function normalizeProgram(definition, relays) {
+  if (!definition || typeof definition !== 'object') {
+    throw new PhotoperiodError('Se esperaba un programa { name, releId, startDate, lightsOn, stages }');
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new PhotoperiodError(`Nombre de programa inválido: debe tener entre 1 y ${MAX_NAME_LENGTH} caracteres`);
+  }
+
+  let releId;
+  let lightsOn;
+  try {
+    releId = parseReleId(definition.releId, relays);
+    lightsOn = formatTime(parseTime(definition.lightsOn, 'Hora de encendido'));
+  } catch (error) {
+    throw new PhotoperiodError(error.message);
+  }
+
+  parseDate(definition.startDate, 'Fecha de inicio');
+
+  const { stages } = definition;
+  if (!Array.isArray(stages) || !stages.length || stages.length > MAX_STAGES) {
+    throw new PhotoperiodError(`El programa debe tener entre 1 y ${MAX_STAGES} etapas`);
+  }
+
+  return {
+    name,
+    releId,
+    startDate: String(definition.startDate).trim(),
+    lightsOn,
+    stages: stages.map((stage, index) => normalizeStage(stage, index, index === stages.length - 1)),
+    enabled: definition.enabled !== false && definition.enabled !== 0
+  };
+}
+
+/**
+ * Etapa vigente en un día del programa (0 = fecha de inicio)
+ * Devuelve { index, stage, stageDay, endsOn (día del programa en que termina o null) } o null
+ */
+function stageAt(program, day) {
+  if (day < 0) {
+    return null;
+  }
+
+  let start = 0;
+  for (let index = 0; index < program.stages.length; index++) {
+    const stage = program.stages[index];
+    const end = stage.days === null ? Infinity : start + stage.days;
+    if (day < end) {
+      return { index, stage, stageDay: day - start + 1, endsOn: stage.days === null ? null : end };
+    }
+    start = end;
+  }
+  return null;
+}
+
+/**
+ * Día del programa (0 = fecha de inicio) de un instante en la zona horaria indicada
+ */
+function programDay(program, date, timeZone) {
+  const today = localDate(date, timeZone);
+  return Math.round((Date.UTC(today.year, today.month - 1, today.day) - parseDate(program.startDate, 'Fecha de inicio')) / DAY_MS);
+}
+
+/**
+ * Etapa legible: "Vegetativo 18/6 h"
+ */
+function describeStage(stage) {
+  return `${stage.name} ${formatHours(stage.lightHours)}/${formatHours(24 - stage.lightHours)} h`;
+}
+
+/**
+ * Estado de un programa en un instante: etapa vigente, horario de luz y próximo cambio de etapa
+ * nextTransition.stage es null cuando el programa termina en esa fecha
+ */
+function programStatus(program, date = new Date(), timeZone) {
+  const day = programDay(program, date, timeZone);
+  const current = stageAt(program, day);
+  const base = { status: null, day: null, stageIndex: null, stage: null, stageDay: null, lightHours: null, lightsOn: null, lightsOff: null, nextTransition: null };
+
+  if (day < 0) {
+    return {
+      ...base,
+      status: 'pending',
+      statusLabel: PROGRAM_STATUSES.pending,
+      nextTransition: { date: program.startDate, stageIndex: 0, stage: describeStage(program.stages[0]) }
+    };
+  }
+
+  if (!current) {
+    return { ...base, status: 'finished', statusLabel: PROGRAM_STATUSES.finished };
+  }
+
+  const next = program.stages[current.index + 1];
+  return {
+    ...base,
+    status: 'active',
+    statusLabel: PROGRAM_STATUSES.active,
+    day: day + 1,
+    stageIndex: current.index,
+    stage: describeStage(current.stage),
+    stageDay: current.stageDay,
+    lightHours: current.stage.lightHours,
+    lightsOn: current.stage.lightHours > 0 ? program.lightsOn : null,
+    lightsOff: current.stage.lightHours > 0
+      ? formatTime(parseTime(program.lightsOn, 'Hora de encendido') + Math.round(current.stage.lightHours * 60))
+      : null,
+    nextTransition: current.endsOn === null ? null : {
+      date: addDays(program.startDate, current.endsOn),
+      stageIndex: next ? current.index + 1 : null,
+      stage: next ? describeStage(next) : null
+    }
+  };
+}
+
+/**
+ * Si la luz debe estar encendida en un instante y cuántos minutos le quedan
+ * El periodo de luz que empezó ayer (p. ej. 18 h desde las 18:00) usa la etapa de ayer
+ */
+function lightPeriod(program, date = new Date(), timeZone) {
+  const day = programDay(program, date, timeZone);
+  const now = weekMinutes(date, timeZone) % MINUTES_PER_DAY;
+  const lightsOn = parseTime(program.lightsOn, 'Hora de encendido');
+
+  for (const daysAgo of [0, 1]) {
+    const current = stageAt(program, day - daysAgo);
+    if (!current) {
+      continue;
+    }
+    const elapsed = now - lightsOn + daysAgo * MINUTES_PER_DAY;
+    const lightMinutes = Math.round(current.stage.lightHours * 60);
+    if (elapsed >= 0 && elapsed < lightMinutes) {
+      return { on: true, remaining: lightMinutes - elapsed, stage: current.stage };
+    }
+  }
+
+  return { on: false, remaining: 0, stage: null };
+}
+
+module.exports = {
+  PhotoperiodError,
+  PROGRAM_STATUSES,
+  normalizeProgram,
+  describeStage,
+  programStatus,
+  lightPeriod
+};
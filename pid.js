@@ -0,0 +1,516 @@
+/**
+ * Control PID de Salidas de Clima
+ * Un lazo cerrado por salida: el PID calcula un porcentaje de salida a partir de la lectura
+ * de un sensor y el punto de consigna, y el relé lo aplica por tiempo proporcional
+ * (encendido ese porcentaje de cada ventana). Incluye autoajuste por el método del relé
+ * Ing. Daril Díaz - 2024
+ */
+
+const EventEmitter = require('events');
+const AuditLog = require('./audit');
+const { RelayError, parseReleId } = require('./relays');
+const { withCause } = require('./relay_causes');
+
+const MAX_NAME_LENGTH = 60;
+const MIN_CYCLE_SECONDS = 10;
+const MAX_CYCLE_SECONDS = 3600;
+
+// Muestras de consigna, lectura y salida que se conservan por lazo (12 h con ventanas de 1 min)
+const HISTORY_SIZE = 720;
+
+// Periodos de oscilación que mide el autoajuste (el primero se descarta) y tiempo máximo
+const AUTOTUNE_PERIODS = 3;
+const MAX_AUTOTUNE_MS = 8 * 60 * 60 * 1000;
+
+// Sentido del lazo: qué hace la salida con la lectura
+const PID_DIRECTIONS = {
+  raise: 'Sube la lectura (calefactor, humidificador)',
+  lower: 'Baja la lectura (ventilador, deshumidificador)'
+};
+
+const METRIC_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Lazo PID mal definido, inexistente u ocupado
+ */
+class PidError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'PidError';
+  }
+}
+
+function parseNumber(value, label, min = -Infinity, max = Infinity) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number) || number < min || number > max) {
+    const range = Number.isFinite(min) && Number.isFinite(max) ? ` (entre ${min} y ${max})` : min === 0 ? ' (mayor o igual a 0)' : '';
+    throw new PidError(`Valor inválido para ${label}: ${value}${range}`);
+  }
+  return number;
+}
+
+function optional(value, fallback) {
+  return value === undefined || value === null || value === '' ? fallback : value;
+}
+
+/**
+ * Validar un lazo { name, releId, sensorId, metric, direction, setpoint, kp, ki, kd,
+ * outputMin, outputMax, cycleSeconds, minPulseSeconds, enabled } contra los relés configurados
+ * Ganancias: kp en %/unidad, ki en %/(unidad·s) y kd en %·s/unidad
+ */
+function normalizeLoop(definition, relays) {
+  if (!definition || typeof definition !== 'object') {
+    throw new PidError('Se esperaba un lazo { name, releId, metric, setpoint, kp, ki, kd }');
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new PidError(`Nombre de lazo inválido: debe tener entre 1 y ${MAX_NAME_LENGTH} caracteres`);
+  }
+
+  let releId;
+  try {
+    releId = parseReleId(definition.releId, relays);
+  } catch (error) {
+    throw new PidError(error.message);
+  }
+
+  const metric = typeof definition.metric === 'string' ? definition.metric.trim() : '';
+  if (!METRIC_PATTERN.test(metric)) {
+    throw new PidError(`Métrica inválida: ${definition.metric}`);
+  }
+
+  const direction = optional(definition.direction, 'raise');
+  if (!PID_DIRECTIONS[direction]) {
+    throw new PidError(`Sentido inválido: ${definition.direction} (use ${Object.keys(PID_DIRECTIONS).join(' o ')})`);
+  }
+
+  const outputMin = parseNumber(optional(definition.outputMin, 0), 'la salida mínima', 0, 100);
+  const outputMax = parseNumber(optional(definition.outputMax, 100), 'la salida máxima', 0, 100);
+  if (outputMin >= outputMax) {
+    throw new PidError(`La salida mínima (${outputMin} %) debe ser menor que la máxima (${outputMax} %)`);
+  }
+
+  const cycleSeconds = parseNumber(optional(definition.cycleSeconds, 60), 'la ventana', MIN_CYCLE_SECONDS, MAX_CYCLE_SECONDS);
+  if (!Number.isInteger(cycleSeconds)) {
+    throw new PidError(`Ventana inválida: ${definition.cycleSeconds} (segundos enteros)`);
+  }
+  const minPulseSeconds = parseNumber(optional(definition.minPulseSeconds, 0), 'el pulso mínimo', 0, cycleSeconds / 2);
+
+  return {
+    name,
+    releId,
+    sensorId: definition.sensorId ? String(definition.sensorId).trim() : null,
+    metric,
+    direction,
+    setpoint: parseNumber(definition.setpoint, 'la consigna'),
+    kp: parseNumber(optional(definition.kp, 0), 'la ganancia proporcional', 0),
+    ki: parseNumber(optional(definition.ki, 0), 'la ganancia integral', 0),
+    kd: parseNumber(optional(definition.kd, 0), 'la ganancia derivativa', 0),
+    outputMin,
+    outputMax,
+    cycleSeconds,
+    minPulseSeconds,
+    enabled: definition.enabled !== false && definition.enabled !== 0
+  };
+}
+
+/**
+ * Error del lazo con el signo del sentido: positivo cuando hay que encender más
+ */
+function loopError(loop, value) {
+  return loop.direction === 'lower' ? value - loop.setpoint : loop.setpoint - value;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Estado inicial de un lazo: sin integral ni lecturas previas
+ */
+function initialPidState() {
+  return { integral: 0, lastValue: null, lastTime: null, output: 0 };
+}
+
+/**
+ * Avanzar el PID con una lectura
+ * La integral se guarda en % de salida (así un cambio de ki no provoca saltos) y no crece
+ * mientras la salida está saturada en el mismo sentido del error (anti-windup).
+ * La derivada se calcula sobre la lectura y no sobre el error, para que un cambio de
+ * consigna no dé un golpe en la salida.
+ * Devuelve { state, output (%), error, terms: { p, i, d } }
+ */
+function stepPid(state, loop, value, now = Date.now()) {
+  const dt = state.lastTime === null ? loop.cycleSeconds : Math.max((now - state.lastTime) / 1000, 0.001);
+  const error = loopError(loop, value);
+  const sign = loop.direction === 'lower' ? -1 : 1;
+
+  const p = loop.kp * error;
+  const d = state.lastValue === null ? 0 : -sign * loop.kd * (value - state.lastValue) / dt;
+
+  let integral = state.integral + loop.ki * error * dt;
+  const unclamped = p + integral + d;
+  if ((unclamped > loop.outputMax && error > 0) || (unclamped < loop.outputMin && error < 0)) {
+    integral = state.integral;
+  }
+  integral = clamp(integral, loop.outputMin, loop.outputMax);
+
+  const output = clamp(p + integral + d, loop.outputMin, loop.outputMax);
+  return {
+    state: { integral, lastValue: value, lastTime: now, output },
+    output,
+    error,
+    terms: { p, i: integral, d }
+  };
+}
+
+/**
+ * Segundos de encendido en una ventana para un porcentaje de salida
+ * Un pulso más corto que minPulseSeconds no se da, y un apagado más corto tampoco
+ */
+function pulseSeconds(loop, output) {
+  const seconds = Math.round(loop.cycleSeconds * output / 100);
+  if (seconds <= 0 || seconds < loop.minPulseSeconds) {
+    return 0;
+  }
+  if (loop.cycleSeconds - seconds < loop.minPulseSeconds) {
+    return loop.cycleSeconds;
+  }
+  return seconds;
+}
+
+/**
+ * Estado inicial del autoajuste por el método del relé
+ * hysteresis: banda alrededor de la consigna (unidades de la lectura) para no conmutar por ruido
+ */
+function initialAutotuneState(hysteresis, now = Date.now()) {
+  return { hysteresis, startedAt: now, high: null, periodStart: null, periodMax: null, periodMin: null, periods: [] };
+}
+
+/**
+ * Avanzar el autoajuste con una lectura: la salida alterna entre la máxima y la mínima
+ * cada vez que la lectura cruza la consigna, y se mide el periodo y la amplitud de la oscilación.
+ * Con la ganancia última Ku = 4d / (π a) y el periodo Pu se calculan las ganancias de
+ * Ziegler-Nichols: kp = 0,6 Ku, ki = 1,2 Ku / Pu, kd = 0,075 Ku Pu
+ * Devuelve { state, output, done, result: { kp, ki, kd, ku, pu } } o { done, error }
+ */
+function stepAutotune(state, loop, value, now = Date.now()) {
+  if (now - state.startedAt > MAX_AUTOTUNE_MS) {
+    return { state, output: loop.outputMin, done: true, error: 'El autoajuste no logró una oscilación estable en 8 horas' };
+  }
+
+  const error = loopError(loop, value);
+  let high = state.high;
+  if (error > state.hysteresis) {
+    high = true;
+  } else if (error < -state.hysteresis) {
+    high = false;
+  } else if (high === null) {
+    high = error >= 0;
+  }
+
+  const next = { ...state, high, periods: state.periods };
+
+  // Cada paso a la salida máxima cierra un periodo de oscilación
+  if (high && state.high === false) {
+    if (state.periodStart !== null) {
+      next.periods = state.periods.concat({
+        seconds: (now - state.periodStart) / 1000,
+        amplitude: (state.periodMax - state.periodMin) / 2
+      });
+    }
+    next.periodStart = now;
+    next.periodMax = error;
+    next.periodMin = error;
+  } else if (state.periodStart !== null) {
+    next.periodMax = Math.max(state.periodMax, error);
+    next.periodMin = Math.min(state.periodMin, error);
+  }
+
+  const output = high ? loop.outputMax : loop.outputMin;
+  if (next.periods.length < AUTOTUNE_PERIODS) {
+    return { state: next, output, done: false };
+  }
+
+  // El primer periodo parte de un estado arbitrario: se promedian los siguientes
+  const measured = next.periods.slice(1);
+  const pu = measured.reduce((total, period) => total + period.seconds, 0) / measured.length;
+  const amplitude = measured.reduce((total, period) => total + period.amplitude, 0) / measured.length;
+  if (!(amplitude > 0) || !(pu > 0)) {
+    return { state: next, output: loop.outputMin, done: true, error: 'El autoajuste no midió oscilación' };
+  }
+
+  const ku = 4 * ((loop.outputMax - loop.outputMin) / 2) / (Math.PI * amplitude);
+  const round = number => Math.round(number * 10000) / 10000;
+  return {
+    state: next,
+    output: loop.outputMin,
+    done: true,
+    result: { kp: round(0.6 * ku), ki: round(1.2 * ku / pu), kd: round(0.075 * ku * pu), ku: round(ku), pu: round(pu) }
+  };
+}
+
+/**
+ * Eventos emitidos:
+ *   sample   - muestra de un lazo en cada ventana (consigna, lectura y salida)
+ *   autotune - autoajuste terminado, con las ganancias calculadas o el error
+ */
+class PidManager extends EventEmitter {
+  /**
+   * database: instancia de Database (tabla pid_loops)
+   * controller: GPIOController que aplica los pulsos (con enclavamientos y límites de seguridad)
+   */
+  constructor(database, controller) {
+    super();
+    this.database = database;
+    this.controller = controller;
+    this.loops = new Map();
+    this.paused = false;
+  }
+
+  /**
+   * Cargar los lazos habilitados e iniciar sus ventanas
+   */
+  async load() {
+    const loops = await this.database.getPidLoops();
+    loops.filter(loop => loop.enabled).forEach(loop => {
+      this.loops.set(loop.id, { loop, state: initialPidState(), autotune: null, last: null, history: [], timer: null });
+    });
+
+    if (!this.paused) {
+      this.loops.forEach(entry => this.startTimer(entry));
+    }
+    return this.loops.size;
+  }
+
+  /**
+   * Recargar los lazos tras modificarlos
+   * Un lazo que sigue en la misma salida conserva su integral e historial; uno eliminado,
+   * deshabilitado o movido a otra salida apaga la anterior
+   */
+  async reload() {
+    const previous = new Map(this.loops);
+    this.loops.forEach(entry => clearInterval(entry.timer));
+    this.loops.clear();
+    await this.load();
+
+    this.loops.forEach((entry, id) => {
+      const old = previous.get(id);
+      if (old && old.loop.releId === entry.loop.releId) {
+        entry.state = old.state;
+        entry.history = old.history;
+        entry.last = old.last;
+        entry.autotune = old.autotune;
+        previous.delete(id);
+      }
+    });
+
+    previous.forEach(({ loop }) => this.switchOff(loop, `Lazo PID ${loop.name} detenido`));
+  }
+
+  startTimer(entry) {
+    clearInterval(entry.timer);
+    entry.timer = setInterval(() => this.tick(entry), entry.loop.cycleSeconds * 1000);
+    this.tick(entry);
+  }
+
+  /**
+   * Pausar los lazos con el programador (el pulso en curso termina solo)
+   */
+  pause() {
+    this.paused = true;
+    this.loops.forEach(entry => {
+      clearInterval(entry.timer);
+      entry.timer = null;
+    });
+  }
+
+  resume() {
+    this.paused = false;
+    this.loops.forEach(entry => this.startTimer(entry));
+  }
+
+  /**
+   * Detener todos los lazos y olvidar su estado
+   */
+  stop() {
+    this.loops.forEach(entry => clearInterval(entry.timer));
+    this.loops.clear();
+  }
+
+  /**
+   * Una ventana del lazo: leer, calcular la salida y dar el pulso
+   * Sin lectura válida la salida queda apagada en esta ventana
+   */
+  tick(entry, now = Date.now()) {
+    const { loop } = entry;
+    try {
+      const value = this.controller.sensors.getLatest(loop.sensorId, loop.metric);
+      let output = 0;
+      let terms = null;
+
+      if (value !== null && value !== undefined) {
+        if (entry.autotune) {
+          const step = stepAutotune(entry.autotune, loop, value, now);
+          entry.autotune = step.done ? null : step.state;
+          output = step.output;
+          if (step.done) {
+            this.finishAutotune(entry, step);
+          }
+        } else {
+          const step = stepPid(entry.state, loop, value, now);
+          entry.state = step.state;
+          output = step.output;
+          terms = step.terms;
+        }
+      }
+
+      this.applyOutput(loop, output);
+
+      entry.last = {
+        time: new Date(now).toISOString(),
+        setpoint: loop.setpoint,
+        value: value === undefined ? null : value,
+        output: Math.round(output * 10) / 10,
+        terms
+      };
+      entry.history.push(entry.last);
+      if (entry.history.length > HISTORY_SIZE) {
+        entry.history.shift();
+      }
+      this.emit('sample', { id: loop.id, releId: loop.releId, autotune: Boolean(entry.autotune), ...entry.last });
+
+    } catch (error) {
+      console.error(`Error en el lazo PID ${loop.name}:`, error);
+    }
+  }
+
+  /**
+   * Encender la salida el porcentaje de la ventana; a salida completa el pulso se
+   * solapa con la ventana siguiente para que el relé no parpadee entre ventanas
+   */
+  applyOutput(loop, output) {
+    const seconds = pulseSeconds(loop, output);
+    const reason = `Lazo PID ${loop.name}: ${Math.round(output)} %`;
+
+    if (seconds === 0) {
+      this.switchOff(loop, reason);
+      return;
+    }
+
+    const duration = seconds >= loop.cycleSeconds ? loop.cycleSeconds + 5 : seconds;
+    this.controller.activateReleTimed(loop.releId, duration, reason, withCause(AuditLog.PID_CONTEXT, 'pid', loop.id, loop.name));
+  }
+
+  switchOff(loop, reason) {
+    if (this.controller.getReleState(loop.releId)) {
+      this.controller.controlRele(loop.releId, false, reason, withCause(AuditLog.PID_CONTEXT, 'pid', loop.id, loop.name));
+    }
+  }
+
+  /**
+   * Iniciar el autoajuste de un lazo habilitado (el PID queda suspendido mientras dura)
+   */
+  startAutotune(id, hysteresis = 0.5) {
+    const entry = this.getEntry(id);
+    if (entry.autotune) {
+      throw new PidError(`El lazo ${entry.loop.name} ya se está autoajustando`, 409);
+    }
+    const band = parseNumber(hysteresis, 'la banda de histéresis', 0);
+    entry.autotune = initialAutotuneState(band);
+    return this.describe(entry);
+  }
+
+  /**
+   * Cancelar el autoajuste y volver al PID con las ganancias anteriores
+   */
+  cancelAutotune(id) {
+    const entry = this.getEntry(id);
+    if (!entry.autotune) {
+      throw new PidError(`El lazo ${entry.loop.name} no se está autoajustando`, 409);
+    }
+    entry.autotune = null;
+    entry.state = initialPidState();
+    return this.describe(entry);
+  }
+
+  /**
+   * Guardar las ganancias calculadas por el autoajuste
+   */
+  async finishAutotune(entry, { result, error }) {
+    const { loop } = entry;
+    entry.state = initialPidState();
+
+    if (error) {
+      this.database.saveSystemLog('warn', `Autoajuste del lazo PID ${loop.name}: ${error}`, 'PID');
+      this.emit('autotune', { id: loop.id, success: false, error });
+      return;
+    }
+
+    try {
+      const tuned = { ...loop, kp: result.kp, ki: result.ki, kd: result.kd, updatedBy: AuditLog.PID_CONTEXT.actor };
+      await this.database.savePidLoop(tuned);
+      entry.loop = tuned;
+      await new AuditLog(this.database).record(AuditLog.PID_CONTEXT, 'pid.autotune', {
+        target: `pid:${loop.id}`,
+        before: { kp: loop.kp, ki: loop.ki, kd: loop.kd },
+        after: result
+      });
+      this.database.saveSystemLog('info', `Autoajuste del lazo PID ${loop.name}: kp ${result.kp}, ki ${result.ki}, kd ${result.kd}`, 'PID');
+      this.emit('autotune', { id: loop.id, success: true, result });
+    } catch (saveError) {
+      console.error(`Error guardando el autoajuste del lazo ${loop.name}:`, saveError);
+    }
+  }
+
+  getEntry(id) {
+    const entry = this.loops.get(Number(id));
+    if (!entry) {
+      throw new PidError(`Lazo PID activo no encontrado: ${id}`, 404);
+    }
+    return entry;
+  }
+
+  /**
+   * Estado de un lazo: última muestra y avance del autoajuste
+   */
+  describe(entry) {
+    return {
+      id: entry.loop.id,
+      name: entry.loop.name,
+      releId: entry.loop.releId,
+      last: entry.last,
+      autotune: entry.autotune ? {
+        startedAt: new Date(entry.autotune.startedAt).toISOString(),
+        periods: entry.autotune.periods.length,
+        required: AUTOTUNE_PERIODS
+      } : null
+    };
+  }
+
+  /**
+   * Estado de los lazos activos
+   */
+  status() {
+    return [...this.loops.values()].map(entry => this.describe(entry));
+  }
+
+  /**
+   * Muestras recientes de un lazo activo (vacío si no está activo)
+   */
+  history(id) {
+    const entry = this.loops.get(Number(id));
+    return entry ? entry.history.slice() : [];
+  }
+}
+
+module.exports = PidManager;
+module.exports.PidError = PidError;
+module.exports.PID_DIRECTIONS = PID_DIRECTIONS;
+module.exports.normalizeLoop = normalizeLoop;
+module.exports.initialPidState = initialPidState;
+module.exports.stepPid = stepPid;
+module.exports.pulseSeconds = pulseSeconds;
+module.exports.initialAutotuneState = initialAutotuneState;
+module.exports.stepAutotune = stepAutotune;
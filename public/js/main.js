@@ -126,10 +126,10 @@ function initTooltips() {
 function logout() {
     if (confirm('¿Estás seguro de que quieres cerrar sesión?')) {
         showNotification('Cerrando sesión...', 'warning');
-        setTimeout(() => {
-            // Aquí puedes agregar lógica de limpieza de sesión
-            window.location.reload();
-        }, 1500);
+        fetch('/logout', { method: 'POST', headers: { 'Accept': 'application/json' } })
+            .finally(() => {
+                window.location.href = '/login';
+            });
     }
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Causas de los Cambios de Estado de los Relés
+ * Cada cambio guarda qué lo originó (horario, condición, regla, secuencia, usuario,
+ * límite de seguridad...) para responder "¿por qué está encendido este relé?"
+ * Ing. Daril Díaz - 2024
+ */
+
+const CAUSE_TYPES = {
+  schedule: 'Horario',
+  photoperiod: 'Fotoperiodo',
+  condition: 'Condición',
+  rule: 'Regla',
+  sequence: 'Secuencia',
+  pid: 'Control PID',
+  manual: 'Manual',
+  safety: 'Límite de seguridad',
+  interlock: 'Enclavamiento',
+  recovery: 'Recuperación tras reinicio',
+  system: 'Sistema'
+};
+
+// Causa de un comando sin causa explícita según el origen de su contexto de auditoría
+const SOURCE_CAUSES = {
+  web: 'manual',
+  api_token: 'manual',
+  socket: 'manual',
+  scheduler: 'schedule',
+  condition: 'condition',
+  rule: 'rule',
+  pid: 'pid',
+  safety: 'safety',
+  system: 'system'
+};
+
+/**
+ * Contexto de auditoría con la causa concreta del comando (p. ej. qué condición o qué secuencia)
+ * La auditoría sigue usando actor y source; la causa solo se guarda con el cambio de estado
+ */
+function withCause(context, type, id = null, name = null) {
+  return { ...context, cause: { type, id: id === null || id === undefined ? null : Number(id), name } };
+}
+
+/**
+ * Causa de un comando: la indicada con withCause o la que corresponde al origen del contexto
+ */
+function causeOf(context = {}) {
+  const cause = context.cause || { type: SOURCE_CAUSES[context.source] || 'system', id: null, name: null };
+  return { type: cause.type, id: cause.id, name: cause.name, actor: context.actor || null };
+}
+
+/**
+ * Texto de una causa: "Condición: temperature > 28 (hasta 26)", "Manual (admin)"
+ */
+function describeCause(cause) {
+  if (!cause || !cause.type) {
+    return 'Causa no registrada';
+  }
+
+  const label = CAUSE_TYPES[cause.type] || cause.type;
+  if (cause.type === 'manual') {
+    return cause.actor ? `${label} (${cause.actor})` : label;
+  }
+  return cause.name ? `${label}: ${cause.name}` : label;
+}
+
+/**
+ * Misma fuente (tipo e id): una solicitud vigente que es la causa del último cambio
+ */
+function sameCause(a, b) {
+  if (!a || !b || a.type !== b.type) {
+    return false;
+  }
+  return a.id !== null && b.id !== null ? a.id === b.id : a.name === b.name;
+}
+
+/**
+ * Lecturas de una instantánea { sensorId: { metric: valor } } en una línea
+ */
+function describeReadings(readings) {
+  return Object.entries(readings || {})
+    .map(([sensorId, values]) => `${sensorId}: ${Object.entries(values).map(([metric, value]) => `${metric} ${value}`).join(', ')}`)
+    .join(' · ');
+}
+
+/**
+ * Resumen de la explicación de un relé, una línea por dato: estado y causa del último cambio,
+ * lecturas en ese momento y otras fuentes que ahora lo piden encendido
+ */
+function summarizeExplanation({ state, cause, readings, requests }) {
+  const lines = [`${state ? 'Encendido' : 'Apagado'} por ${describeCause(cause)}`];
+  const values = describeReadings(readings);
+  if (values) {
+    lines.push(`Lecturas: ${values}`);
+  }
+  if (requests.length) {
+    lines.push(`${state ? 'También lo piden' : 'Lo piden encendido'}: ${requests.map(request => request.label).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  CAUSE_TYPES,
+  withCause,
+  causeOf,
+  describeCause,
+  sameCause,
+  describeReadings,
+  summarizeExplanation
+};
@@ -0,0 +1,172 @@
+/**
+ * Límites de Seguridad de los Relés
+ * Protección de bombas, compresores y equipos por salida (en segundos):
+ *   maxOnTime       - tiempo máximo encendido de forma continua (se apaga sola al cumplirse)
+ *   minOffTime      - tiempo mínimo apagado entre activaciones
+ *   maxDailyRuntime - tiempo máximo encendido acumulado en el día
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError } = require('./relays');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// max: segundos como máximo (maxOnTime arma un temporizador y setTimeout no admite más de ~24 días)
+const LIMIT_FIELDS = {
+  maxOnTime: { label: 'Máximo encendido continuo', max: SECONDS_PER_DAY },
+  minOffTime: { label: 'Mínimo apagado entre activaciones' },
+  maxDailyRuntime: { label: 'Máximo encendido por día', max: SECONDS_PER_DAY }
+};
+
+/**
+ * Comando de relé rechazado por un límite de seguridad
+ */
+class SafetyLimitError extends RelayError {
+  constructor(message, limit) {
+    super(message, 409);
+    this.name = 'SafetyLimitError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Validar los límites de una salida; los no definidos quedan en null (sin límite)
+ */
+function normalizeLimits(limits = {}, label = 'relé') {
+  if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new RelayError(`Límites de ${label}: deben ser un objeto`);
+  }
+
+  const normalized = {};
+  Object.keys(LIMIT_FIELDS).forEach(field => {
+    const value = limits[field];
+    if (value === undefined || value === null) {
+      normalized[field] = null;
+      return;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new RelayError(`Límites de ${label}: ${field} debe ser un número de segundos mayor que 0`);
+    }
+    if (LIMIT_FIELDS[field].max && seconds > LIMIT_FIELDS[field].max) {
+      throw new RelayError(`Límites de ${label}: ${field} no puede superar ${LIMIT_FIELDS[field].max} segundos`);
+    }
+    normalized[field] = seconds;
+  });
+
+  Object.keys(limits).forEach(field => {
+    if (!LIMIT_FIELDS[field]) {
+      throw new RelayError(`Límites de ${label}: límite desconocido ${field} (${Object.keys(LIMIT_FIELDS).join(', ')})`);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Límites de cada relé: gpio.releLimits para todos, reemplazados campo a campo por los 'limits' de cada relé
+ */
+function normalizeRelayLimits(gpio = {}, relays = []) {
+  const definitions = Array.isArray(gpio.relays) && gpio.relays.length ? gpio.relays : [];
+  const defaults = gpio.releLimits || {};
+
+  return relays.map((relay, index) => {
+    const definition = definitions[index];
+    const own = definition && typeof definition === 'object' ? definition.limits : undefined;
+    return normalizeLimits({ ...defaults, ...(own || {}) }, relay.name);
+  });
+}
+
+/**
+ * Duración legible: "45 s", "5 min", "2 h 30 min"
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+
+  if (total < 60) {
+    return `${total} s`;
+  }
+  if (total < 3600) {
+    return `${Math.round(total / 60)} min`;
+  }
+
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.round((total % 3600) / 60);
+  return minutes ? `${hours} h ${minutes} min` : `${hours} h`;
+}
+
+/**
+ * Descripción de los límites de una salida para la interfaz y la API, o null si no tiene
+ */
+function describeLimits(limits) {
+  const parts = [];
+
+  if (limits.maxOnTime) {
+    parts.push(`máx. ${formatDuration(limits.maxOnTime)} seguidos`);
+  }
+  if (limits.minOffTime) {
+    parts.push(`mín. ${formatDuration(limits.minOffTime)} apagada`);
+  }
+  if (limits.maxDailyRuntime) {
+    parts.push(`máx. ${formatDuration(limits.maxDailyRuntime)} por día`);
+  }
+
+  return parts.length ? parts.join(', ') : null;
+}
+
+/**
+ * Día local (YYYY-MM-DD) al que se suma el tiempo encendido
+ */
+function dayKey(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fecha de un timestamp de SQLite (CURRENT_TIMESTAMP se guarda en UTC)
+ */
+function parseTimestamp(timestamp) {
+  return new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+}
+
+/**
+ * Tiempo encendido y último apagado de cada relé a partir del historial de rele_states
+ * rows: cambios de estado desde el inicio del día, en orden cronológico
+ * Solo suma activaciones terminadas; la activación en curso la cuenta el controlador
+ * Devuelve { [releId]: { seconds, lastOffAt } }
+ */
+function runtimeFromHistory(rows) {
+  const runtime = {};
+
+  rows.forEach(row => {
+    const entry = runtime[row.releId] || (runtime[row.releId] = { seconds: 0, lastOffAt: null, onSince: null });
+    const time = parseTimestamp(row.timestamp).getTime();
+
+    if (row.state) {
+      if (entry.onSince === null) {
+        entry.onSince = time;
+      }
+    } else if (entry.onSince !== null) {
+      entry.seconds += (time - entry.onSince) / 1000;
+      entry.lastOffAt = time;
+      entry.onSince = null;
+    }
+  });
+
+  Object.values(runtime).forEach(entry => delete entry.onSince);
+
+  return runtime;
+}
+
+module.exports = {
+  SafetyLimitError,
+  LIMIT_FIELDS,
+  normalizeLimits,
+  normalizeRelayLimits,
+  formatDuration,
+  describeLimits,
+  dayKey,
+  parseTimestamp,
+  runtimeFromHistory
+};
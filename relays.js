@@ -0,0 +1,209 @@
+/**
+ * Configuración de Relés
+ * Cantidad, pines, nombres y polaridad de las salidas definidas en config.js,
+ * y tipo de dispositivo conectado a cada salida con sus datos propios
+ * Ing. Daril Díaz - 2024
+ */
+
+// Pines GPIO utilizables en el conector de 40 pines (numeración BCM)
+const MIN_GPIO_PIN = 0;
+const MAX_GPIO_PIN = 27;
+
+const MAX_NAME_LENGTH = 60;
+
+// Datos propios que puede declarar cada tipo de dispositivo
+const METADATA_FIELDS = {
+  flowRate: { label: 'Caudal', unit: 'L/min' },
+  wattage: { label: 'Potencia', unit: 'W' }
+};
+
+// Tipos de dispositivo: etiqueta, icono y datos admitidos
+const OUTPUT_TYPES = {
+  valve: { label: 'Válvula', icon: '💧', metadata: ['flowRate'] },
+  pump: { label: 'Bomba', icon: '🚰', metadata: ['flowRate', 'wattage'] },
+  fan: { label: 'Ventilador', icon: '🌀', metadata: ['wattage'] },
+  light: { label: 'Iluminación', icon: '💡', metadata: ['wattage'] },
+  heater: { label: 'Calefactor', icon: '🔥', metadata: ['wattage'] },
+  generic: { label: 'Salida', icon: '🔌', metadata: [] }
+};
+
+// Tipo de las salidas que no lo declaran (el sistema nació para válvulas de riego)
+const DEFAULT_OUTPUT_TYPE = 'valve';
+
+// Qué hacer con cada salida al reiniciar el proceso o volver la energía
+const RESTORE_POLICIES = {
+  off: 'Estado inicial (apagada)',
+  restore: 'Restaurar el último estado',
+  resume: 'Reanudar la activación temporal interrumpida'
+};
+
+/**
+ * Error de configuración o de identificación de un relé
+ */
+class RelayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RelayError';
+    this.status = status;
+  }
+}
+
+/**
+ * Normalizar la configuración de relés
+ * Acepta gpio.relays ([{ pin, name, activeLow, initialState, restorePolicy }]) o, por compatibilidad,
+ * gpio.relePins con la polaridad, el estado inicial y la política de reinicio comunes
+ */
+function normalizeRelays(gpio = {}) {
+  const defaultActiveLow = gpio.releActiveLow !== false;
+  const defaultInitialState = gpio.releInitialState === true;
+  const defaultRestorePolicy = gpio.releRestorePolicy || 'off';
+  const definitions = Array.isArray(gpio.relays) && gpio.relays.length
+    ? gpio.relays
+    : (gpio.relePins || []).map(pin => ({ pin }));
+
+  if (!definitions.length) {
+    throw new RelayError('No hay relés configurados (gpio.relays en config.js)');
+  }
+
+  const usedPins = new Set();
+
+  return definitions.map((definition, index) => {
+    const id = index + 1;
+    const relay = typeof definition === 'number' ? { pin: definition } : (definition || {});
+    const pin = Number(relay.pin);
+
+    if (!Number.isInteger(pin) || pin < MIN_GPIO_PIN || pin > MAX_GPIO_PIN) {
+      throw new RelayError(`Pin GPIO inválido para el relé ${id}: ${relay.pin}`);
+    }
+    if (usedPins.has(pin)) {
+      throw new RelayError(`El GPIO${pin} está asignado a más de un relé`);
+    }
+    usedPins.add(pin);
+
+    const restorePolicy = relay.restorePolicy || defaultRestorePolicy;
+    if (!RESTORE_POLICIES[restorePolicy]) {
+      throw new RelayError(`Política de reinicio desconocida para el relé ${id}: ${restorePolicy} (${Object.keys(RESTORE_POLICIES).join(', ')})`);
+    }
+
+    return {
+      id,
+      pin,
+      ...normalizeOutput({ name: relay.name || `Relé ${id}`, type: relay.type, metadata: relay.metadata }),
+      activeLow: relay.activeLow === undefined ? defaultActiveLow : relay.activeLow !== false,
+      initialState: relay.initialState === undefined ? defaultInitialState : relay.initialState === true,
+      restorePolicy
+    };
+  });
+}
+
+/**
+ * Validar nombre, tipo y datos propios del dispositivo conectado a una salida
+ */
+function normalizeOutput(output = {}) {
+  const name = String(output.name || '').trim();
+  const type = output.type || DEFAULT_OUTPUT_TYPE;
+  const definition = OUTPUT_TYPES[type];
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new RelayError(`El nombre de la salida es obligatorio (máximo ${MAX_NAME_LENGTH} caracteres)`);
+  }
+  if (!definition) {
+    throw new RelayError(`Tipo de salida desconocido: ${type}. Tipos disponibles: ${Object.keys(OUTPUT_TYPES).join(', ')}`);
+  }
+
+  if (output.metadata !== undefined && output.metadata !== null &&
+      (typeof output.metadata !== 'object' || Array.isArray(output.metadata))) {
+    throw new RelayError('Los datos de la salida deben ser un objeto');
+  }
+
+  const metadata = {};
+  Object.entries(output.metadata || {}).forEach(([field, value]) => {
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+    if (!definition.metadata.includes(field)) {
+      throw new RelayError(`El tipo ${type} no admite el dato ${field}`);
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new RelayError(`${METADATA_FIELDS[field].label} inválido: ${value}`);
+    }
+    metadata[field] = number;
+  });
+
+  return { name, type, metadata };
+}
+
+/**
+ * Texto con los datos propios de una salida, por ejemplo "12 L/min · 40 W"
+ */
+function formatMetadata(relay) {
+  return Object.entries(relay.metadata || {})
+    .map(([field, value]) => `${value} ${METADATA_FIELDS[field].unit}`)
+    .join(' · ');
+}
+
+/**
+ * Consumo estimado de una activación según el tipo de dispositivo:
+ * agua entregada por válvulas y bombas (caudal) y energía de los equipos con potencia
+ */
+function estimateUsage(relay, seconds) {
+  const usage = {};
+  const { flowRate, wattage } = relay.metadata || {};
+
+  if (flowRate) {
+    usage.liters = Math.round(flowRate * seconds / 60 * 10) / 10;
+  }
+  if (wattage) {
+    usage.kwh = Math.round(wattage * seconds / 3600) / 1000;
+  }
+
+  return usage;
+}
+
+/**
+ * Descripción de una activación terminada, por ejemplo "5 min, ~60 L"
+ */
+function describeRun(relay, seconds) {
+  const usage = estimateUsage(relay, seconds);
+  const parts = [seconds >= 60 ? `${Math.round(seconds / 60)} min` : `${Math.round(seconds)} s`];
+
+  if (usage.liters !== undefined) {
+    parts.push(`~${usage.liters} L`);
+  }
+  if (usage.kwh !== undefined) {
+    parts.push(`~${usage.kwh} kWh`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Validar un id de relé (número o texto) contra los relés configurados
+ */
+function parseReleId(releId, relays) {
+  const id = Number(releId);
+
+  if (!Number.isInteger(id) || id < 1 || id > relays.length) {
+    throw new RelayError(`ID de relé inválido. Debe ser entre 1 y ${relays.length}`);
+  }
+
+  return id;
+}
+
+module.exports = {
+  RelayError,
+  normalizeRelays,
+  normalizeOutput,
+  parseReleId,
+  formatMetadata,
+  estimateUsage,
+  describeRun,
+  OUTPUT_TYPES,
+  METADATA_FIELDS,
+  DEFAULT_OUTPUT_TYPE,
+  RESTORE_POLICIES,
+  MIN_GPIO_PIN,
+  MAX_GPIO_PIN
+};
@@ -0,0 +1,368 @@
+/**
+ * Motor de Reglas Compuestas
+ * Una regla es un árbol de expresiones (Y / O / NO) que combina lecturas de sensores,
+ * su variación en el tiempo, franjas horarias, días de la semana y el estado de otros relés:
+ * "temperature > 28 Y humidity < 50 Y entre 10:00 y 17:00 -> encender ventilador"
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError, parseReleId } = require('./relays');
+const { MINUTES_PER_DAY, parseTime, formatTime, normalizeDays, describeDays, weekMinutes } = require('./schedules');
+const { advanceTrigger } = require('./conditions');
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DEPTH = 6;
+const MAX_NODES = 40;
+const MAX_CHILDREN = 10;
+const MAX_MINUTES = 24 * 60;
+const MAX_RATE_MINUTES = 180;
+
+const RULE_ACTIONS = {
+  on: 'Encender',
+  off: 'Apagar'
+};
+
+// Tipos de nodo: grupos (and, or, not) y comparaciones (el resto)
+const RULE_NODES = {
+  and: 'Todas (Y)',
+  or: 'Alguna (O)',
+  not: 'Negación (NO)',
+  sensor: 'Lectura de sensor',
+  rate: 'Variación de sensor',
+  time: 'Franja horaria',
+  days: 'Días de la semana',
+  relay: 'Estado de relé'
+};
+
+const RULE_OPERATORS = ['>', '<', '>=', '<='];
+
+const METRIC_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Regla mal definida o inexistente
+ */
+class RuleError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'RuleError';
+  }
+}
+
+function parseNumber(value, label) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    throw new RuleError(`${label} inválido: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Minutos enteros entre 0 y un día (0 = sin espera o sin límite)
+ */
+function parseOptionalMinutes(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MINUTES) {
+    throw new RuleError(`${label} fuera de rango: ${value} (entre 0 y ${MAX_MINUTES} minutos)`);
+  }
+  return minutes;
+}
+
+/**
+ * Sensor opcional, métrica, operador y valor de una comparación
+ */
+function normalizeComparison(node, label) {
+  const metric = typeof node.metric === 'string' ? node.metric.trim() : '';
+  if (!METRIC_PATTERN.test(metric)) {
+    throw new RuleError(`${label}: métrica inválida ${node.metric}`);
+  }
+  if (!RULE_OPERATORS.includes(node.operator)) {
+    throw new RuleError(`${label}: operador inválido ${node.operator} (use ${RULE_OPERATORS.join(', ')})`);
+  }
+  return {
+    sensorId: node.sensorId ? String(node.sensorId).trim() : null,
+    metric,
+    operator: node.operator,
+    value: parseNumber(node.value, `${label}: valor`)
+  };
+}
+
+/**
+ * Validar un nodo y sus hijos; count lleva la cuenta de nodos de todo el árbol
+ */
+function normalizeNode(node, relays, label, depth = 1, count = { nodes: 0 }) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new RuleError(`${label}: se esperaba un nodo { type, ... }`);
+  }
+  if (!RULE_NODES[node.type]) {
+    throw new RuleError(`${label}: tipo de nodo desconocido ${node.type} (use ${Object.keys(RULE_NODES).join(', ')})`);
+  }
+  if (depth > MAX_DEPTH) {
+    throw new RuleError(`${label}: la regla no puede anidar más de ${MAX_DEPTH} niveles`);
+  }
+  count.nodes += 1;
+  if (count.nodes > MAX_NODES) {
+    throw new RuleError(`La regla no puede tener más de ${MAX_NODES} nodos`);
+  }
+
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      if (!Array.isArray(node.children) || !node.children.length || node.children.length > MAX_CHILDREN) {
+        throw new RuleError(`${label}: un grupo debe tener entre 1 y ${MAX_CHILDREN} elementos`);
+      }
+      return {
+        type: node.type,
+        children: node.children.map((child, index) => normalizeNode(child, relays, `${label}.${index + 1}`, depth + 1, count))
+      };
+    }
+
+    case 'not':
+      return { type: 'not', child: normalizeNode(node.child, relays, `${label}.1`, depth + 1, count) };
+
+    case 'sensor':
+      return { type: 'sensor', ...normalizeComparison(node, label) };
+
+    case 'rate': {
+      const minutes = Number(node.minutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_RATE_MINUTES) {
+        throw new RuleError(`${label}: ventana de variación fuera de rango: ${node.minutes} (entre 1 y ${MAX_RATE_MINUTES} minutos)`);
+      }
+      return { type: 'rate', ...normalizeComparison(node, label), minutes };
+    }
+
+    case 'time': {
+      let from;
+      let to;
+      try {
+        from = parseTime(node.from, `${label}: hora de inicio`);
+        to = parseTime(node.to, `${label}: hora de fin`);
+      } catch (error) {
+        throw new RuleError(error.message);
+      }
+      if (from === to) {
+        throw new RuleError(`${label}: la franja horaria no puede empezar y terminar a la misma hora`);
+      }
+      return { type: 'time', from: formatTime(from), to: formatTime(to) };
+    }
+
+    case 'days':
+      try {
+        return { type: 'days', days: normalizeDays(node.days, label) };
+      } catch (error) {
+        throw new RuleError(error.message);
+      }
+
+    case 'relay': {
+      let releId;
+      try {
+        releId = parseReleId(node.releId, relays);
+      } catch (error) {
+        throw new RuleError(`${label}: ${error.message}`);
+      }
+      return { type: 'relay', releId, state: node.state !== false && node.state !== 0 && node.state !== 'off' };
+    }
+  }
+}
+
+/**
+ * Nodos de un tipo dentro de un árbol (p. ej. los sensores que usa una regla)
+ */
+function collectNodes(node, type) {
+  if (!node) {
+    return [];
+  }
+  const own = node.type === type ? [node] : [];
+  if (node.children) {
+    return own.concat(...node.children.map(child => collectNodes(child, type)));
+  }
+  if (node.child) {
+    return own.concat(collectNodes(node.child, type));
+  }
+  return own;
+}
+
+/**
+ * Validar una regla { name, releId, action, when, until, duration, dwellMinutes, cooldownMinutes, enabled }
+ * until es opcional: sin él la regla se libera cuando when deja de cumplirse
+ */
+function normalizeRule(definition, relays) {
+  if (!definition || typeof definition !== 'object') {
+    throw new RuleError('Se esperaba una regla { name, releId, action, when }');
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new RuleError(`Nombre de regla inválido: debe tener entre 1 y ${MAX_NAME_LENGTH} caracteres`);
+  }
+
+  let releId;
+  try {
+    releId = parseReleId(definition.releId, relays);
+  } catch (error) {
+    throw new RuleError(error.message);
+  }
+
+  const action = definition.action === undefined || definition.action === '' ? 'on' : definition.action;
+  if (!RULE_ACTIONS[action]) {
+    throw new RuleError(`Acción inválida: ${definition.action} (use ${Object.keys(RULE_ACTIONS).join(' u ')})`);
+  }
+
+  const when = normalizeNode(definition.when, relays, 'Condición');
+  const until = definition.until === undefined || definition.until === null || definition.until === ''
+    ? null
+    : normalizeNode(definition.until, relays, 'Condición de apagado');
+
+  // Una regla que mira el relé que ella misma controla se encendería y apagaría sola
+  if (collectNodes(when, 'relay').concat(collectNodes(until, 'relay')).some(node => node.releId === releId)) {
+    throw new RuleError('Una regla no puede depender del estado del relé que controla');
+  }
+
+  const duration = parseOptionalMinutes(definition.duration, 'Duración');
+  if (action === 'off' && duration > 0) {
+    throw new RuleError('Una regla que apaga el relé no admite duración');
+  }
+
+  return {
+    name,
+    releId,
+    action,
+    when,
+    until,
+    duration,
+    dwellMinutes: parseOptionalMinutes(definition.dwellMinutes, 'Tiempo de confirmación'),
+    cooldownMinutes: parseOptionalMinutes(definition.cooldownMinutes, 'Espera entre disparos'),
+    enabled: definition.enabled !== false && definition.enabled !== 0
+  };
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+  }
+  return false;
+}
+
+/**
+ * Evaluar un nodo con lógica de tres valores: true, false o null (sin datos suficientes)
+ * ctx: { now (Date), timeZone, reading(sensorId, metric), rate(sensorId, metric, minutes), releState(releId) }
+ * Un grupo Y es falso si algún elemento lo es aunque falten datos de otro; un grupo O, verdadero
+ */
+function evaluateNode(node, ctx) {
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const decisive = node.type === 'or';
+      let unknown = false;
+      for (const child of node.children) {
+        const result = evaluateNode(child, ctx);
+        if (result === decisive) {
+          return decisive;
+        }
+        unknown = unknown || result === null;
+      }
+      return unknown ? null : !decisive;
+    }
+
+    case 'not': {
+      const result = evaluateNode(node.child, ctx);
+      return result === null ? null : !result;
+    }
+
+    case 'sensor': {
+      const value = ctx.reading(node.sensorId, node.metric);
+      return value === null || value === undefined ? null : compare(value, node.operator, node.value);
+    }
+
+    case 'rate': {
+      const change = ctx.rate(node.sensorId, node.metric, node.minutes);
+      return change === null || change === undefined ? null : compare(change, node.operator, node.value);
+    }
+
+    case 'time': {
+      const now = weekMinutes(ctx.now, ctx.timeZone) % MINUTES_PER_DAY;
+      const from = parseTime(node.from, 'Hora de inicio');
+      const to = parseTime(node.to, 'Hora de fin');
+      // Con fin menor que inicio la franja cruza la medianoche
+      return from < to ? now >= from && now < to : now >= from || now < to;
+    }
+
+    case 'days':
+      return node.days.includes(Math.floor(weekMinutes(ctx.now, ctx.timeZone) / MINUTES_PER_DAY));
+
+    case 'relay': {
+      const state = ctx.releState(node.releId);
+      return state === undefined || state === null ? null : Boolean(state) === node.state;
+    }
+  }
+  return null;
+}
+
+/**
+ * Avanzar el estado de una regla (ver advanceTrigger en conditions.js)
+ * Devuelve { state, event, result }, con result el valor de when en este momento
+ */
+function advanceRule(state, rule, ctx) {
+  const result = evaluateNode(rule.when, ctx);
+  const released = rule.until ? evaluateNode(rule.until, ctx) === true : result === false;
+  return { ...advanceTrigger(state, rule, result === true, released, ctx.now.getTime()), result };
+}
+
+/**
+ * Nodo legible: "temperature > 28 Y (humidity < 50 O entre 10:00 y 17:00)"
+ */
+function describeNode(node, relays = []) {
+  const sensor = node.sensorId ? `${node.sensorId}.${node.metric}` : node.metric;
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children
+        .map(child => (child.type === 'and' || child.type === 'or') && child.children.length > 1
+          ? `(${describeNode(child, relays)})`
+          : describeNode(child, relays))
+        .join(node.type === 'and' ? ' Y ' : ' O ');
+    case 'not':
+      return `NO (${describeNode(node.child, relays)})`;
+    case 'sensor':
+      return `${sensor} ${node.operator} ${node.value}`;
+    case 'rate':
+      return `variación de ${sensor} en ${node.minutes} min ${node.operator} ${node.value}`;
+    case 'time':
+      return `entre ${node.from} y ${node.to}`;
+    case 'days':
+      return describeDays(node.days);
+    case 'relay': {
+      const relay = relays[node.releId - 1];
+      return `${relay ? relay.name : `Relé ${node.releId}`} ${node.state ? 'encendido' : 'apagado'}`;
+    }
+  }
+  return '';
+}
+
+/**
+ * Regla legible: "Si temperature > 28 Y humidity < 50 -> Encender Ventilador"
+ */
+function describeRule(rule, relays = []) {
+  const relay = relays[rule.releId - 1];
+  const until = rule.until ? ` hasta que ${describeNode(rule.until, relays)}` : '';
+  return `Si ${describeNode(rule.when, relays)} -> ${RULE_ACTIONS[rule.action]} ${relay ? relay.name : `Relé ${rule.releId}`}${until}`;
+}
+
+module.exports = {
+  RuleError,
+  RULE_ACTIONS,
+  RULE_NODES,
+  RULE_OPERATORS,
+  normalizeNode,
+  normalizeRule,
+  collectNodes,
+  evaluateNode,
+  advanceRule,
+  describeNode,
+  describeRule
+};
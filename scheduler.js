@@ -1,23 +1,51 @@
 /**
  * Sistema de Programación Horaria para Hidroponía
- * Control automático de relés por horarios y condiciones
+ * Control automático de relés por horarios, condiciones y reglas
  * Ing. Daril Díaz - 2024
  */
 
 const cron = require('node-cron');
-const moment = require('moment');
 const config = require('./config');
 const Database = require('./database');
 const GPIOController = require('./gpio_controller');
+const AuditLog = require('./audit');
+const PidManager = require('./pid');
+const {
+  cronExpression,
+  cyclePhase,
+  describeDays,
+  describeStart,
+  describeWindow,
+  solarLocation,
+  solarRuns
+} = require('./schedules');
+const { describeStage, programStatus, lightPeriod } = require('./photoperiods');
+const { conditionMetric, initialConditionState, advanceCondition, describeCondition } = require('./conditions');
+const { collectNodes, advanceRule, describeRule } = require('./rules');
+const { parseReleId } = require('./relays');
+const { withCause, causeOf, describeCause, sameCause, summarizeExplanation } = require('./relay_causes');
+
+// Contextos de auditoría con la condición o regla que causa el comando
+const conditionCause = condition => withCause(AuditLog.CONDITION_CONTEXT, 'condition', condition.id, describeCondition(condition));
+const ruleCause = rule => withCause(AuditLog.RULE_CONTEXT, 'rule', rule.id, rule.name);
+
+// Nombre de un ciclo intermitente en la causa de sus encendidos
+const describeCycle = schedule => `ciclo ${schedule.onMinutes}/${schedule.offMinutes} min (${schedule.time} a ${schedule.endTime})`;
 
 class Scheduler {
-  constructor() {
-    this.database = new Database();
-    this.gpioController = new GPIOController();
+  constructor(database = new Database(), gpioController = new GPIOController(database)) {
+    this.database = database;
+    this.gpioController = gpioController;
+    this.audit = new AuditLog(this.database);
     this.activeSchedules = new Map();
     this.activeConditions = new Map();
+    this.activePhotoperiods = new Map();
+    this.activeRules = new Map();
+    this.pid = new PidManager(this.database, this.gpioController);
     this.scheduledTasks = new Map();
+    this.conditionTimer = null;
     this.isRunning = false;
+    this.paused = false;
     this.init();
   }
 
@@ -26,12 +54,16 @@ class Scheduler {
    */
   async init() {
     try {
-      // Cargar horarios y condiciones activas
+      // Cargar horarios y condiciones activas (al reiniciar se descarta una pausa)
+      this.paused = false;
       await this.loadActiveSchedules();
       await this.loadActiveConditions();
+      await this.loadPhotoperiods();
+      await this.loadRules();
+      await this.pid.load();
       
-      // Iniciar tareas programadas
-      this.startScheduledTasks();
+      // Iniciar tareas de mantenimiento (respaldo y limpieza de logs)
+      this.startMaintenanceTasks();
       
       // Iniciar verificación de condiciones
       this.startConditionChecker();
@@ -83,14 +115,113 @@ class Scheduler {
     }
   }
 
+  /**
+   * Cargar programas de fotoperiodo habilitados desde la base de datos
+   */
+  async loadPhotoperiods() {
+    try {
+      const programs = await this.database.getPhotoperiods();
+      const enabled = programs.filter(program => program.enabled);
+
+      enabled.forEach(program => {
+        this.addPhotoperiod(program);
+      });
+
+      console.log(`${enabled.length} programas de fotoperiodo cargados`);
+
+    } catch (error) {
+      console.error('Error cargando fotoperiodos:', error);
+    }
+  }
+
+  /**
+   * Cargar reglas compuestas habilitadas desde la base de datos
+   */
+  async loadRules() {
+    try {
+      const rules = await this.database.getRules();
+      const enabled = rules.filter(rule => rule.enabled);
+
+      enabled.forEach(rule => {
+        this.activeRules.set(rule.id, { rule, state: initialConditionState(), result: null });
+      });
+
+      console.log(`${enabled.length} reglas cargadas`);
+
+    } catch (error) {
+      console.error('Error cargando reglas:', error);
+    }
+  }
+
+  /**
+   * Recargar las reglas tras modificarlas
+   * Una regla que sigue controlando el mismo relé con la misma acción conserva su estado;
+   * una eliminada, deshabilitada o cambiada mientras mantenía el relé encendido lo apaga
+   */
+  async reloadRules() {
+    const previous = new Map(this.activeRules);
+    this.activeRules.clear();
+    await this.loadRules();
+    this.restoreRules(previous);
+  }
+
+  /**
+   * Pasar el estado de las reglas anteriores (id => entrada) a las recién cargadas
+   * y liberar las que ya no están y mantenían el relé encendido
+   */
+  restoreRules(previous) {
+    this.activeRules.forEach((entry, id) => {
+      const old = previous.get(id);
+      if (old && old.rule.releId === entry.rule.releId && old.rule.action === entry.rule.action) {
+        entry.state = old.state;
+        entry.result = old.result;
+        previous.delete(id);
+      }
+    });
+
+    previous.forEach(({ rule, state }) => {
+      if (state.active) {
+        this.releaseRule(rule);
+      }
+    });
+  }
+
+  /**
+   * Recargar los programas de fotoperiodo tras modificarlos
+   */
+  async reloadPhotoperiods() {
+    this.activePhotoperiods.forEach(({ task }) => task.stop());
+    this.activePhotoperiods.clear();
+    await this.loadPhotoperiods();
+  }
+
+  /**
+   * Recargar los horarios tras modificarlos, sin tocar condiciones ni mantenimiento
+   */
+  async reloadSchedules() {
+    this.activeSchedules.forEach(({ task }) => task.stop());
+    this.activeSchedules.clear();
+    await this.loadActiveSchedules();
+  }
+
   /**
    * Agregar horario programado
+   * Una sola tarea cron por horario, que se dispara en todos sus días
    */
   addSchedule(schedule) {
+    if (schedule.type === 'cycle') {
+      this.addCycle(schedule);
+      return;
+    }
+    if (schedule.anchor && schedule.anchor !== 'clock') {
+      this.addSolarSchedule(schedule);
+      return;
+    }
+
     try {
       const scheduleId = `schedule_${schedule.id}`;
       
-      // Crear expresión cron para el día de la semana
+      // Crear expresión cron para los días de la semana del horario
       const cronExpression = this.createCronExpression(schedule);
       
       // Programar tarea
@@ -108,28 +239,224 @@ class Scheduler {
         cronExpression: cronExpression
       });
       
-      // Iniciar tarea
-      task.start();
+      // Iniciar tarea (salvo con el programador en pausa)
+      if (!this.paused) {
+        task.start();
+      }
       
-      console.log(`Horario ${schedule.id} programado para relé ${schedule.rele_id}`);
+      console.log(`Horario ${schedule.id} programado para ${this.gpioController.getReleName(schedule.releId)}: ${schedule.time} a ${schedule.endTime} (${describeDays(schedule.days)})`);
       
     } catch (error) {
       console.error(`Error agregando horario ${schedule.id}:`, error);
     }
   }
 
+  /**
+   * Agregar ciclo intermitente
+   * Un temporizador despierta en cada cambio de fase; la fase se calcula con la hora,
+   * por lo que al iniciar (o tras un reinicio) el ciclo continúa donde corresponde.
+   * La tarea expone start/stop como las tareas cron
+   */
+  addCycle(schedule) {
+    try {
+      const entry = { schedule, cronExpression: null, phase: null, nextChange: null, timer: null };
+
+      const evaluate = () => {
+        // Un temporizador puede despertar unos milisegundos antes del cambio de fase
+        const now = new Date(Math.max(Date.now(), entry.nextChange || 0));
+        entry.phase = cyclePhase(schedule, now, config.scheduling.timezone);
+        entry.nextChange = now.getTime() + Math.round(entry.phase.remaining * 60 * 1000);
+
+        if (entry.phase.on) {
+          this.executeCycle(schedule, entry.phase);
+        }
+        entry.timer = setTimeout(evaluate, entry.nextChange - Date.now());
+      };
+
+      entry.task = {
+        start: () => {
+          clearTimeout(entry.timer);
+          entry.nextChange = null;
+          evaluate();
+        },
+        stop: () => {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+          entry.phase = null;
+        }
+      };
+
+      this.activeSchedules.set(`schedule_${schedule.id}`, entry);
+
+      if (!this.paused) {
+        entry.task.start();
+      }
+
+      console.log(`Ciclo ${schedule.id} programado para ${this.gpioController.getReleName(schedule.releId)}: ${schedule.onMinutes} min encendido / ${schedule.offMinutes} min apagado de ${schedule.time} a ${schedule.endTime} (${describeDays(schedule.days)})`);
+
+    } catch (error) {
+      console.error(`Error agregando ciclo ${schedule.id}:`, error);
+    }
+  }
+
+  /**
+   * Agregar horario relativo al amanecer, mediodía solar o atardecer
+   * Tras cada inicio se calcula el siguiente con la hora del sol de ese día,
+   * con la ubicación de config.scheduling. La tarea expone start/stop como las tareas cron
+   */
+  addSolarSchedule(schedule) {
+    try {
+      const location = solarLocation(config.scheduling);
+      const entry = { schedule, cronExpression: null, nextRun: null, timer: null };
+
+      const plan = from => {
+        entry.nextRun = solarRuns(schedule, location, from, 8).find(run => run.at > from) || null;
+
+        // Sin ese evento solar en la próxima semana (día o noche polar): volver a calcular mañana
+        const delay = entry.nextRun ? entry.nextRun.at.getTime() - Date.now() : 24 * 60 * 60 * 1000;
+        entry.timer = setTimeout(() => {
+          const run = entry.nextRun;
+          if (run) {
+            this.executeSchedule({ ...schedule, time: run.time, ...describeWindow({ time: run.time, duration: schedule.duration }) });
+          }
+          // Un temporizador puede despertar unos milisegundos antes del inicio
+          plan(new Date(Math.max(Date.now(), run ? run.at.getTime() + 1000 : 0)));
+        }, Math.max(0, delay));
+      };
+
+      entry.task = {
+        start: () => {
+          clearTimeout(entry.timer);
+          plan(new Date());
+        },
+        stop: () => {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+        }
+      };
+
+      this.activeSchedules.set(`schedule_${schedule.id}`, entry);
+
+      if (!this.paused) {
+        entry.task.start();
+      }
+
+      const next = entry.nextRun ? `, próximo inicio ${entry.nextRun.date} ${entry.nextRun.time}` : '';
+      console.log(`Horario ${schedule.id} programado para ${this.gpioController.getReleName(schedule.releId)}: ${describeStart(schedule)} durante ${schedule.duration} min (${describeDays(schedule.days)})${next}`);
+
+    } catch (error) {
+      console.error(`Error agregando horario ${schedule.id}:`, error);
+      this.database.saveSystemLog('error', `Error agregando horario ${schedule.id}: ${error.message}`, 'Scheduler');
+    }
+  }
+
+  /**
+   * Agregar programa de fotoperiodo
+   * Una tarea cron diaria a la hora de encendido; la etapa (y con ella las horas de luz)
+   * se calcula con la fecha, por lo que el programa avanza solo. Al iniciar (o al reanudar
+   * tras una pausa o un reinicio) se enciende la luz si el periodo de luz está en curso
+   */
+  addPhotoperiod(program) {
+    try {
+      const [hours, minutes] = program.lightsOn.split(':').map(Number);
+      const cronTask = cron.schedule(`${minutes} ${hours} * * *`, () => {
+        this.executePhotoperiod(program);
+      }, {
+        scheduled: false,
+        timezone: config.scheduling.timezone
+      });
+
+      const entry = {
+        program,
+        task: {
+          start: () => {
+            cronTask.start();
+            this.executePhotoperiod(program);
+          },
+          stop: () => cronTask.stop()
+        }
+      };
+
+      this.activePhotoperiods.set(`photoperiod_${program.id}`, entry);
+
+      if (!this.paused) {
+        entry.task.start();
+      }
+
+      console.log(`Fotoperiodo ${program.name} programado para ${this.gpioController.getReleName(program.releId)}: encendido a las ${program.lightsOn} desde ${program.startDate}`);
+
+    } catch (error) {
+      console.error(`Error agregando fotoperiodo ${program.id}:`, error);
+    }
+  }
+
+  /**
+   * Encender la luz de un fotoperiodo por lo que resta del periodo de luz de la etapa vigente
+   * Fuera del periodo de luz no se hace nada: la activación temporal apaga la luz sola
+   */
+  executePhotoperiod(program) {
+    try {
+      const period = lightPeriod(program, new Date(), config.scheduling.timezone);
+      if (!period.on) {
+        return;
+      }
+
+      this.gpioController.activateReleTimed(
+        program.releId,
+        Math.max(1, Math.round(period.remaining * 60)),
+        `Fotoperiodo ${program.name} - ${describeStage(period.stage)}`,
+        withCause(AuditLog.SCHEDULER_CONTEXT, 'photoperiod', program.id, program.name)
+      );
+    } catch (error) {
+      console.error(`Error ejecutando fotoperiodo ${program.id}:`, error);
+      this.database.saveSystemLog('error',
+        `Error ejecutando fotoperiodo ${program.name}: ${error.message}`,
+        'Scheduler'
+      );
+    }
+  }
+
+  /**
+   * Etapa vigente, horario de luz y próximo cambio de etapa de los programas cargados
+   */
+  getPhotoperiodStatus(date = new Date()) {
+    return [...this.activePhotoperiods.values()].map(({ program }) => ({
+      id: program.id,
+      name: program.name,
+      releId: program.releId,
+      releName: this.gpioController.getReleName(program.releId),
+      ...programStatus(program, date, config.scheduling.timezone),
+      light: lightPeriod(program, date, config.scheduling.timezone).on
+    }));
+  }
+
+  /**
+   * Encender el relé de un ciclo por lo que resta de la fase encendida
+   * (no se guarda en los logs del sistema: el relé ya registra cada cambio)
+   */
+  executeCycle(schedule, phase) {
+    try {
+      this.gpioController.activateReleTimed(
+        schedule.releId,
+        Math.max(1, Math.round(phase.remaining * 60)),
+        `Ciclo programado - ${schedule.onMinutes} min encendido / ${schedule.offMinutes} min apagado (${schedule.time} a ${schedule.endTime})`,
+        withCause(AuditLog.SCHEDULER_CONTEXT, 'schedule', schedule.id, describeCycle(schedule))
+      );
+    } catch (error) {
+      console.error(`Error ejecutando ciclo ${schedule.id}:`, error);
+      this.database.saveSystemLog('error',
+        `Error ejecutando ciclo ${schedule.id}: ${error.message}`,
+        'Scheduler'
+      );
+    }
+  }
+
   /**
    * Crear expresión cron para un horario
    */
   createCronExpression(schedule) {
-    // Convertir día de la semana (0-6, donde 0 es domingo)
-    const dayOfWeek = schedule.day_of_week;
-    
-    // Extraer hora y minuto del tiempo de inicio
-    const [startHour, startMinute] = schedule.start_time.split(':').map(Number);
-    
-    // Crear expresión cron: segundo minuto hora día mes día_semana
-    return `${startMinute} ${startHour} * * ${dayOfWeek}`;
+    // Crear expresión cron: minuto hora día mes días_semana (0-6, donde 0 es domingo)
+    return cronExpression(schedule);
   }
 
   /**
@@ -137,37 +464,32 @@ class Scheduler {
    */
   async executeSchedule(schedule) {
     try {
-      console.log(`Ejecutando horario ${schedule.id} para relé ${schedule.rele_id}`);
-      
-      // Activar relé
-      this.gpioController.controlRele(
-        schedule.rele_id, 
-        true, 
-        `Horario programado - ${schedule.start_time} a ${schedule.end_time}`
-      );
-      
-      // Programar desactivación
-      const startTime = moment(schedule.start_time, 'HH:mm');
-      const endTime = moment(schedule.end_time, 'HH:mm');
-      let duration = endTime.diff(startTime, 'seconds');
-      
-      // Si la duración es negativa, significa que cruza la medianoche
-      if (duration < 0) {
-        duration += 24 * 60 * 60; // Agregar 24 horas
+      // Horario que dispara una secuencia en lugar de encender un relé
+      if (schedule.sequenceId) {
+        const run = await this.gpioController.sequences.start(schedule.sequenceId, AuditLog.SCHEDULER_CONTEXT);
+        this.database.saveSystemLog('info', `Horario ${schedule.id} ejecutó la secuencia ${run.name}`, 'Scheduler');
+        return;
       }
+
+      console.log(`Ejecutando horario ${schedule.id} para ${this.gpioController.getReleName(schedule.releId)}`);
+      
+      // La duración se cuenta desde el inicio: un horario nocturno se apaga al día siguiente
+      const endTime = schedule.overnight ? `${schedule.endTime} del día siguiente` : schedule.endTime;
+      const startTime = schedule.anchor && schedule.anchor !== 'clock'
+        ? `${describeStart(schedule)} (${schedule.time})`
+        : schedule.time;
       
-      // Programar desactivación
-      setTimeout(() => {
-        this.gpioController.controlRele(
-          schedule.rele_id, 
-          false, 
-          `Fin de horario programado - ${schedule.start_time} a ${schedule.end_time}`
-        );
-      }, duration * 1000);
+      // Activar relé con desactivación automática (se reanuda tras un reinicio según la política del relé)
+      this.gpioController.activateReleTimed(
+        schedule.releId,
+        schedule.duration * 60,
+        `Horario programado - ${startTime} a ${endTime}`,
+        withCause(AuditLog.SCHEDULER_CONTEXT, 'schedule', schedule.id, `${startTime} a ${endTime}`)
+      );
       
       // Guardar log
       this.database.saveSystemLog('info', 
-        `Horario ${schedule.id} ejecutado para relé ${schedule.rele_id}`, 
+        `Horario ${schedule.id} ejecutado para ${this.gpioController.getReleName(schedule.releId)}`, 
         'Scheduler'
       );
       
@@ -181,26 +503,67 @@ class Scheduler {
   }
 
   /**
-   * Agregar condición de activación
+   * Agregar condición de activación con su estado (inactiva hasta que la lectura cruce el umbral)
    */
-  addCondition(condition) {
+  addCondition(condition, state = initialConditionState()) {
     try {
       const conditionId = `condition_${condition.id}`;
       
-      this.activeConditions.set(conditionId, condition);
+      this.activeConditions.set(conditionId, { condition, state, value: null });
       
-      console.log(`Condición ${condition.id} agregada para relé ${condition.rele_id}`);
+      console.log(`Condición ${condition.id} agregada para ${this.gpioController.getReleName(condition.releId)}: ${describeCondition(condition)}`);
       
     } catch (error) {
       console.error(`Error agregando condición ${condition.id}:`, error);
     }
   }
 
+  /**
+   * Recargar las condiciones tras modificarlas
+   * Una condición que sigue existiendo (mismo relé y tipo) conserva su estado; una eliminada
+   * o deshabilitada mientras mantenía el relé encendido lo apaga
+   */
+  async reloadConditions() {
+    const previous = [...this.activeConditions.values()];
+    this.activeConditions.clear();
+    await this.loadActiveConditions();
+    this.restoreConditions(previous);
+  }
+
+  /**
+   * Pasar el estado de las condiciones anteriores a las recién cargadas (por relé y tipo)
+   * y liberar las que ya no están y mantenían el relé encendido
+   */
+  restoreConditions(entries) {
+    const previous = new Map(entries
+      .map(entry => [`${entry.condition.releId}:${entry.condition.type}`, entry]));
+
+    this.activeConditions.forEach(entry => {
+      const key = `${entry.condition.releId}:${entry.condition.type}`;
+      if (previous.has(key)) {
+        entry.state = previous.get(key).state;
+        entry.value = previous.get(key).value;
+        previous.delete(key);
+      }
+    });
+
+    previous.forEach(({ condition, state }) => {
+      if (state.active) {
+        this.releaseCondition(condition, null);
+      }
+    });
+  }
+
   /**
    * Iniciar verificador de condiciones
+   * Es el único que lee y guarda los sensores; en pausa sigue leyendo sin evaluar
    */
   startConditionChecker() {
-    setInterval(() => {
+    this.gpioController.readSensors().catch(error => {
+      console.error('Error en la lectura inicial de sensores:', error);
+    });
+
+    this.conditionTimer = setInterval(() => {
       this.checkConditions();
     }, config.sensors.conditionCheckInterval);
     
@@ -212,19 +575,22 @@ class Scheduler {
    */
   async checkConditions() {
     try {
-      // Leer sensor DHT11
-      const sensorData = this.gpioController.readDHT11();
-      
-      if (!sensorData) {
-        return; // No hay datos del sensor
+      // Leer sensores registrados
+      const sensors = await this.gpioController.readSensors();
+
+      if (this.paused) {
+        return;
       }
       
-      const { temperature, humidity } = sensorData;
-      
-      // Verificar cada condición activa
-      for (const [conditionId, condition] of this.activeConditions) {
-        await this.evaluateCondition(condition, temperature, humidity);
+      // Verificar cada condición activa (solo si hay datos de sensores)
+      if (sensors.some(sensor => !sensor.error)) {
+        for (const entry of this.activeConditions.values()) {
+          await this.evaluateCondition(entry);
+        }
       }
+
+      // Las reglas pueden depender solo de la hora o de otros relés
+      await this.evaluateRules();
       
     } catch (error) {
       console.error('Error verificando condiciones:', error);
@@ -232,45 +598,38 @@ class Scheduler {
   }
 
   /**
-   * Evaluar una condición específica
+   * Métrica que vigila una condición
    */
-  async evaluateCondition(condition, temperature, humidity) {
+  getConditionMetric(condition) {
+    return conditionMetric(condition);
+  }
+
+  /**
+   * Evaluar una condición con la última lectura y actuar solo cuando cambia de estado
+   * Sin sensorId se usa el primer sensor que ofrezca la métrica
+   */
+  async evaluateCondition(entry, now = Date.now()) {
+    const { condition } = entry;
     try {
-      let shouldActivate = false;
-      let currentValue = 0;
-      
-      // Determinar valor actual según tipo de condición
-      if (condition.condition_type === 'temperature') {
-        currentValue = temperature;
-      } else if (condition.condition_type === 'humidity') {
-        currentValue = humidity;
+      if (!condition.operator) {
+        console.warn(`Condición ${condition.id}: tipo desconocido ${condition.type}`);
+        return;
       }
-      
-      // Evaluar condición según operador
-      switch (condition.operator) {
-        case '>':
-          shouldActivate = currentValue > condition.threshold_value;
-          break;
-        case '<':
-          shouldActivate = currentValue < condition.threshold_value;
-          break;
-        case '>=':
-          shouldActivate = currentValue >= condition.threshold_value;
-          break;
-        case '<=':
-          shouldActivate = currentValue <= condition.threshold_value;
-          break;
-        case '==':
-          shouldActivate = Math.abs(currentValue - condition.threshold_value) < 0.5;
-          break;
-        default:
-          console.warn(`Operador desconocido: ${condition.operator}`);
-          return;
+
+      const currentValue = this.gpioController.sensors.getLatest(condition.sensorId, this.getConditionMetric(condition));
+
+      if (currentValue === null) {
+        return; // El sensor no tiene lectura válida de esta métrica
       }
       
-      // Si la condición se cumple, ejecutar acción
-      if (shouldActivate) {
+      const { state, event } = advanceCondition(entry.state, condition, currentValue, now);
+      entry.state = state;
+      entry.value = currentValue;
+
+      if (event === 'trigger') {
         await this.executeCondition(condition, currentValue);
+      } else if (event === 'release') {
+        this.releaseCondition(condition, currentValue);
       }
       
     } catch (error) {
@@ -280,42 +639,34 @@ class Scheduler {
 
   /**
    * Ejecutar acción de condición
+   * Sin duración el relé queda encendido hasta que la lectura vuelva al umbral de apagado
    */
   async executeCondition(condition, currentValue) {
     try {
-      console.log(`Condición ${condition.id} activada: ${condition.condition_type} ${condition.operator} ${condition.threshold_value} (actual: ${currentValue})`);
-      
-      if (condition.action === 'activate') {
-        // Activar relé
-        this.gpioController.controlRele(
-          condition.rele_id,
-          true,
-          `Condición: ${condition.condition_type} ${condition.operator} ${condition.threshold_value}`
-        );
-        
-        // Programar desactivación automática
-        if (condition.duration > 0) {
-          setTimeout(() => {
-            this.gpioController.controlRele(
-              condition.rele_id,
-              false,
-              `Fin de condición: ${condition.condition_type} ${condition.operator} ${condition.threshold_value}`
-            );
-          }, condition.duration * 1000);
+      console.log(`Condición ${condition.id} activada: ${describeCondition(condition)} (actual: ${currentValue})`);
+      
+      if (condition.sequenceId) {
+        // La condición dispara una secuencia (no se repite mientras siga en ejecución)
+        if (this.gpioController.sequences.isRunning(condition.sequenceId)) {
+          return;
         }
-        
-      } else if (condition.action === 'deactivate') {
-        // Desactivar relé
-        this.gpioController.controlRele(
-          condition.rele_id,
-          false,
-          `Condición: ${condition.condition_type} ${condition.operator} ${condition.threshold_value}`
-        );
+        const run = await this.gpioController.sequences.start(condition.sequenceId, AuditLog.CONDITION_CONTEXT);
+        this.database.saveSystemLog('info', `Condición ${condition.id} ejecutó la secuencia ${run.name}`, 'Scheduler');
+        return;
+      }
+
+      const reason = `Condición: ${describeCondition(condition)}`;
+
+      // Activar relé, con desactivación automática si la condición define duración (minutos)
+      if (condition.duration > 0) {
+        this.gpioController.activateReleTimed(condition.releId, condition.duration * 60, reason, conditionCause(condition));
+      } else {
+        this.gpioController.controlRele(condition.releId, true, reason, conditionCause(condition));
       }
       
       // Guardar log
       this.database.saveSystemLog('info', 
-        `Condición ${condition.id} ejecutada para relé ${condition.rele_id}`, 
+        `Condición ${condition.id} ejecutada para ${this.gpioController.getReleName(condition.releId)}`, 
         'Scheduler'
       );
       
@@ -329,9 +680,188 @@ class Scheduler {
   }
 
   /**
-   * Iniciar tareas programadas
+   * La lectura volvió al umbral de apagado: apagar el relé que la condición mantenía encendido
+   * (una activación con duración o una secuencia terminan solas)
+   */
+  releaseCondition(condition, currentValue) {
+    try {
+      if (condition.sequenceId || condition.duration > 0) {
+        return;
+      }
+
+      const current = currentValue === null ? '' : ` (actual: ${currentValue})`;
+      console.log(`Condición ${condition.id} liberada: ${describeCondition(condition)}${current}`);
+
+      this.gpioController.controlRele(
+        condition.releId,
+        false,
+        `Condición liberada: ${describeCondition(condition)}`,
+        conditionCause(condition)
+      );
+    } catch (error) {
+      console.error(`Error liberando condición ${condition.id}:`, error);
+      this.database.saveSystemLog('error',
+        `Error liberando condición ${condition.id}: ${error.message}`,
+        'Scheduler'
+      );
+    }
+  }
+
+  /**
+   * Datos con los que se evalúan las reglas en un instante
+   * La variación de una métrica compara la última lectura con la guardada hace los minutos
+   * de la ventana (la consulta va a la base de datos, así que sobrevive a un reinicio)
+   */
+  async ruleContext(now = new Date()) {
+    const { sensors } = this.gpioController;
+    const rates = new Map();
+    const rateKey = (sensorId, metric, minutes) => `${sensorId || sensors.findMetric(metric)}:${metric}:${minutes}`;
+
+    for (const { rule } of this.activeRules.values()) {
+      for (const node of collectNodes(rule.when, 'rate').concat(collectNodes(rule.until, 'rate'))) {
+        const key = rateKey(node.sensorId, node.metric, node.minutes);
+        const sensorId = node.sensorId || sensors.findMetric(node.metric);
+        if (rates.has(key) || !sensorId) {
+          continue;
+        }
+        const current = sensors.getLatest(sensorId, node.metric);
+        const past = current === null
+          ? null
+          : await this.database.getReadingAt(sensorId, node.metric, new Date(now.getTime() - node.minutes * 60000), node.minutes);
+        rates.set(key, past === null ? null : current - past);
+      }
+    }
+
+    return {
+      now,
+      timeZone: config.scheduling.timezone,
+      reading: (sensorId, metric) => sensors.getLatest(sensorId, metric),
+      rate: (sensorId, metric, minutes) => {
+        const key = rateKey(sensorId, metric, minutes);
+        return rates.has(key) ? rates.get(key) : null;
+      },
+      releState: releId => this.gpioController.getReleState(releId)
+    };
+  }
+
+  /**
+   * Evaluar todas las reglas habilitadas
+   */
+  async evaluateRules(now = new Date()) {
+    if (!this.activeRules.size) {
+      return;
+    }
+
+    try {
+      const ctx = await this.ruleContext(now);
+      this.activeRules.forEach(entry => this.evaluateRule(entry, ctx));
+    } catch (error) {
+      console.error('Error evaluando reglas:', error);
+    }
+  }
+
+  /**
+   * Evaluar una regla y actuar solo cuando cambia de estado
+   * Si faltan lecturas para decidir (resultado null) la regla no cambia de estado
+   */
+  evaluateRule(entry, ctx) {
+    const { rule } = entry;
+    try {
+      const { state, event, result } = advanceRule(entry.state, rule, ctx);
+      entry.state = state;
+      entry.result = result;
+
+      if (event === 'trigger') {
+        this.executeRule(rule);
+      } else if (event === 'release') {
+        this.releaseRule(rule);
+      }
+    } catch (error) {
+      console.error(`Error evaluando regla ${rule.name}:`, error);
+    }
+  }
+
+  /**
+   * Ejecutar la acción de una regla
+   * Encender sin duración deja el relé encendido hasta que la regla se libere
+   */
+  executeRule(rule) {
+    try {
+      console.log(`Regla ${rule.name} activada: ${describeRule(rule, this.gpioController.getRelays())}`);
+      const reason = `Regla ${rule.name}`;
+
+      if (rule.action === 'off') {
+        this.gpioController.controlRele(rule.releId, false, reason, ruleCause(rule));
+      } else if (rule.duration > 0) {
+        this.gpioController.activateReleTimed(rule.releId, rule.duration * 60, reason, ruleCause(rule));
+      } else {
+        this.gpioController.controlRele(rule.releId, true, reason, ruleCause(rule));
+      }
+
+      this.database.saveSystemLog('info',
+        `Regla ${rule.name} ejecutada para ${this.gpioController.getReleName(rule.releId)}`,
+        'Scheduler'
+      );
+    } catch (error) {
+      console.error(`Error ejecutando regla ${rule.name}:`, error);
+      this.database.saveSystemLog('error',
+        `Error ejecutando regla ${rule.name}: ${error.message}`,
+        'Scheduler'
+      );
+    }
+  }
+
+  /**
+   * La regla dejó de cumplirse: apagar el relé que mantenía encendido
+   * (una activación con duración termina sola y una regla que apaga no restaura el relé)
+   */
+  releaseRule(rule) {
+    try {
+      if (rule.action !== 'on' || rule.duration > 0) {
+        return;
+      }
+
+      console.log(`Regla ${rule.name} liberada`);
+      this.gpioController.controlRele(rule.releId, false, `Regla liberada: ${rule.name}`, ruleCause(rule));
+    } catch (error) {
+      console.error(`Error liberando regla ${rule.name}:`, error);
+      this.database.saveSystemLog('error',
+        `Error liberando regla ${rule.name}: ${error.message}`,
+        'Scheduler'
+      );
+    }
+  }
+
+  /**
+   * Reanudar horarios y condiciones pausados con stopScheduledTasks()
    */
   startScheduledTasks() {
+    this.activeSchedules.forEach(({ task }) => task.start());
+    this.activePhotoperiods.forEach(({ task }) => task.start());
+    this.pid.resume();
+    this.paused = false;
+
+    console.log('Horarios y condiciones reanudados');
+    this.database.saveSystemLog('info', 'Horarios y condiciones reanudados', 'Scheduler');
+  }
+
+  /**
+   * Pausar horarios y condiciones (el respaldo y la limpieza de logs siguen activos)
+   */
+  stopScheduledTasks() {
+    this.activeSchedules.forEach(({ task }) => task.stop());
+    this.activePhotoperiods.forEach(({ task }) => task.stop());
+    this.pid.pause();
+    this.paused = true;
+
+    console.log('Horarios y condiciones pausados');
+    this.database.saveSystemLog('info', 'Horarios y condiciones pausados', 'Scheduler');
+  }
+
+  /**
+   * Iniciar tareas de mantenimiento
+   */
+  startMaintenanceTasks() {
     // Tarea de respaldo automático
     if (config.backup.enabled) {
       // Convertir frecuencia de respaldo a expresión cron válida
@@ -379,7 +909,7 @@ class Scheduler {
     logCleanupTask.start();
     this.scheduledTasks.set('logCleanup', logCleanupTask);
     
-    console.log('Tareas programadas iniciadas');
+    console.log('Tareas de mantenimiento iniciadas');
   }
 
   /**
@@ -395,6 +925,10 @@ class Scheduler {
         `Respaldo automático creado: ${backupPath}`, 
         'Scheduler'
       );
+      this.audit.record(AuditLog.SCHEDULER_CONTEXT, 'backup.create', {
+        after: { backupPath },
+        details: 'Respaldo automático'
+      });
       
       console.log(`Respaldo creado: ${backupPath}`);
       
@@ -434,27 +968,169 @@ class Scheduler {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      paused: this.paused,
       activeSchedules: this.activeSchedules.size,
       activeConditions: this.activeConditions.size,
+      conditions: [...this.activeConditions.values()].map(({ condition, state, value }) => ({
+        id: condition.id,
+        releId: condition.releId,
+        type: condition.type,
+        active: state.active,
+        pendingSince: state.pendingSince === null ? null : new Date(state.pendingSince).toISOString(),
+        lastTriggered: state.lastTriggered === null ? null : new Date(state.lastTriggered).toISOString(),
+        value
+      })),
+      activePhotoperiods: this.activePhotoperiods.size,
+      activeRules: this.activeRules.size,
+      rules: [...this.activeRules.values()].map(({ rule, state, result }) => ({
+        id: rule.id,
+        name: rule.name,
+        releId: rule.releId,
+        action: rule.action,
+        active: state.active,
+        result,
+        pendingSince: state.pendingSince === null ? null : new Date(state.pendingSince).toISOString(),
+        lastTriggered: state.lastTriggered === null ? null : new Date(state.lastTriggered).toISOString()
+      })),
+      activePidLoops: this.pid.loops.size,
       scheduledTasks: this.scheduledTasks.size,
+      cycles: [...this.activeSchedules.values()]
+        .filter(({ phase }) => phase)
+        .map(({ schedule, phase, nextChange }) => ({
+          id: schedule.id,
+          releId: schedule.releId,
+          active: phase.active,
+          on: phase.on,
+          nextChange: new Date(nextChange).toISOString()
+        })),
       nextBackup: config.backup.enabled ? `Cada ${config.backup.frequency} horas` : 'Deshabilitado'
     };
   }
 
+  /**
+   * Fuentes que ahora piden encendido un relé, aunque otra lo haya apagado después:
+   * condiciones y reglas activas, ciclos en fase encendida, fotoperiodos en periodo de luz y
+   * lazos PID con salida (salvo con el programador en pausa), secuencias en curso que lo
+   * encendieron y la activación temporal en curso
+   */
+  getReleRequests(releId, now = new Date()) {
+    const requests = [];
+    const add = (cause, detail = null, until = null) => {
+      if (!requests.some(request => sameCause(request, cause))) {
+        requests.push({ type: cause.type, id: cause.id, name: cause.name, actor: cause.actor || null, label: describeCause(cause), detail, until });
+      }
+    };
+
+    if (!this.paused) {
+      this.activeConditions.forEach(({ condition, state, value }) => {
+        if (condition.releId === releId && state.active && !condition.sequenceId) {
+          add(conditionCause(condition).cause, value === null ? null : `Lectura ${value}`);
+        }
+      });
+      this.activeRules.forEach(({ rule, state }) => {
+        if (rule.releId === releId && state.active && rule.action === 'on') {
+          add(ruleCause(rule).cause);
+        }
+      });
+      this.activeSchedules.forEach(({ schedule, phase, nextChange }) => {
+        if (schedule.releId === releId && phase && phase.on) {
+          add({ type: 'schedule', id: schedule.id, name: describeCycle(schedule) }, null, new Date(nextChange).toISOString());
+        }
+      });
+      this.activePhotoperiods.forEach(({ program }) => {
+        if (program.releId === releId && lightPeriod(program, now, config.scheduling.timezone).on) {
+          add({ type: 'photoperiod', id: program.id, name: program.name });
+        }
+      });
+      this.pid.loops.forEach(({ loop, last }) => {
+        if (loop.releId === releId && last && last.output > 0) {
+          add({ type: 'pid', id: loop.id, name: loop.name }, `Salida ${last.output} %`);
+        }
+      });
+    }
+
+    this.gpioController.sequences.runs.forEach(run => {
+      if (run.finishedAt === null && run.turnedOn.has(releId)) {
+        add({ type: 'sequence', id: run.sequenceId, name: run.name }, `Paso ${Math.min(run.step + 1, run.steps.length)}/${run.steps.length}`);
+      }
+    });
+
+    const run = this.gpioController.timedRuns[releId - 1];
+    if (run) {
+      add(causeOf(run.context), run.reason, new Date(run.endsAt).toISOString());
+    }
+
+    return requests;
+  }
+
+  /**
+   * ¿Por qué está encendido (o apagado) un relé? Causa y lecturas del último cambio,
+   * otras fuentes que ahora lo piden encendido y los últimos cambios con su causa
+   */
+  async explainRele(releId, limit = 10) {
+    releId = parseReleId(releId, this.gpioController.relays);
+    const history = await this.database.getReleHistory(releId, limit);
+    const last = history[0] || null;
+    const state = this.gpioController.getReleState(releId);
+    const cause = last ? last.cause : null;
+    const readings = last ? last.readings : {};
+    const requests = this.getReleRequests(releId).filter(request => !sameCause(request, cause));
+    const run = this.gpioController.timedRuns[releId - 1];
+    const labeled = change => (change && change.cause ? { ...change.cause, label: describeCause(change.cause) } : null);
+
+    return {
+      releId,
+      name: this.gpioController.getReleName(releId),
+      state,
+      since: last ? last.timestamp : null,
+      reason: last ? last.reason : null,
+      cause: labeled(last),
+      readings,
+      timedRun: run ? this.gpioController.describeTimedRun(run) : null,
+      requests,
+      summary: summarizeExplanation({ state, cause, readings, requests }),
+      history: history.map(change => ({ ...change, cause: labeled(change) }))
+    };
+  }
+
   /**
    * Detener programador
+   * Apaga los relés que una condición o una regla mantenía encendidos, porque nadie
+   * los liberaría; con release: false se conservan (reinicio y cierre del sistema)
    */
-  stop() {
+  stop({ release = true } = {}) {
     try {
       // Detener todas las tareas cron
       this.scheduledTasks.forEach((task, name) => {
         task.stop();
         console.log(`Tarea ${name} detenida`);
       });
+      this.activeSchedules.forEach(({ task }) => task.stop());
+      this.activePhotoperiods.forEach(({ task }) => task.stop());
+      this.pid.stop();
+      
+      // Detener verificación de condiciones
+      clearInterval(this.conditionTimer);
+      this.conditionTimer = null;
+
+      if (release) {
+        this.activeConditions.forEach(({ condition, state }) => {
+          if (state.active) {
+            this.releaseCondition(condition, null);
+          }
+        });
+        this.activeRules.forEach(({ rule, state }) => {
+          if (state.active) {
+            this.releaseRule(rule);
+          }
+        });
+      }
       
       // Limpiar mapas
       this.activeSchedules.clear();
       this.activeConditions.clear();
+      this.activePhotoperiods.clear();
+      this.activeRules.clear();
       this.scheduledTasks.clear();
       
       this.isRunning = false;
@@ -469,13 +1145,22 @@ class Scheduler {
 
   /**
    * Reiniciar programador
+   * Las condiciones y reglas conservan su estado como al recargarlas
    */
   async restart() {
+    const conditions = [...this.activeConditions.values()];
+    const rules = new Map(this.activeRules);
+
     try {
       console.log('Reiniciando programador...');
       
-      this.stop();
-      await this.init();
+      this.stop({ release: false });
+      try {
+        await this.init();
+      } finally {
+        this.restoreConditions(conditions);
+        this.restoreRules(rules);
+      }
       
       console.log('Programador reiniciado');
       
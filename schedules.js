@@ -0,0 +1,359 @@
+/**
+ * Modelo de Horarios
+ * Hora de inicio, duración en minutos (o hora de fin), días de la semana y habilitado.
+ * Un horario que termina después de la medianoche se apaga al día siguiente.
+ * Los ciclos intermitentes alternan encendido y apagado dentro de esa ventana.
+ * Un horario puede empezar relativo al amanecer, mediodía solar o atardecer
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError, parseReleId } = require('./relays');
+const { SOLAR_EVENTS, sunTimes, localTime, upcomingDates } = require('./solar');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const SCHEDULE_TYPES = {
+  fixed: 'Horario fijo',
+  cycle: 'Ciclo intermitente'
+};
+
+// Referencia de la hora de inicio
+const SCHEDULE_ANCHORS = {
+  clock: 'Hora fija',
+  ...SOLAR_EVENTS
+};
+
+// Desplazamiento máximo respecto del evento solar (minutos)
+const MAX_SOLAR_OFFSET = 12 * 60;
+
+// Índices de node-cron y Date.getDay(): 0 = domingo
+const DAY_NAMES = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Horario mal definido
+ */
+class ScheduleError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'ScheduleError';
+  }
+}
+
+/**
+ * Minutos desde la medianoche de una hora HH:mm
+ */
+function parseTime(value, label) {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    throw new ScheduleError(`${label} inválida: ${value} (use HH:mm, de 00:00 a 23:59)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Hora HH:mm de una cantidad de minutos (pasada la medianoche vuelve a empezar)
+ */
+function formatTime(minutes) {
+  const total = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Minutos enteros entre 1 y un día
+ */
+function parseMinutes(value, label) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MINUTES_PER_DAY) {
+    throw new ScheduleError(`${label} fuera de rango: ${value} (entre 1 y ${MINUTES_PER_DAY} minutos)`);
+  }
+  return minutes;
+}
+
+/**
+ * Días de la semana sin repetir y ordenados (0 = domingo ... 6 = sábado)
+ */
+function normalizeDays(days, label) {
+  if (!Array.isArray(days) || !days.length) {
+    throw new ScheduleError(`${label}: seleccione al menos un día de la semana`);
+  }
+
+  const normalized = new Set();
+  days.forEach(day => {
+    const value = Number(day);
+    if (!Number.isInteger(value) || value < 0 || value > 6) {
+      throw new ScheduleError(`${label}: día de la semana inválido ${day} (0 = domingo ... 6 = sábado)`);
+    }
+    normalized.add(value);
+  });
+
+  return [...normalized].sort((a, b) => a - b);
+}
+
+/**
+ * Validar un horario { type, anchor, time, offsetMinutes, duration | endTime, days, enabled, sequenceId, onMinutes, offMinutes }
+ * Si se indica la duración (minutos) se ignora endTime; una hora de fin menor
+ * o igual a la de inicio cruza la medianoche. En un ciclo, time y duration son
+ * la ventana en la que se alternan onMinutes encendido y offMinutes apagado.
+ * Con anchor sunrise, solarNoon o sunset el inicio es el evento solar de cada día
+ * más offsetMinutes (negativo = antes) y solo se admite la duración
+ */
+function normalizeSchedule(schedule, label = 'Horario') {
+  if (!schedule || typeof schedule !== 'object') {
+    throw new ScheduleError(`${label}: se esperaba un objeto`);
+  }
+
+  const type = schedule.type || 'fixed';
+  if (!SCHEDULE_TYPES[type]) {
+    throw new ScheduleError(`${label}: tipo de horario desconocido ${type} (${Object.keys(SCHEDULE_TYPES).join(', ')})`);
+  }
+
+  const anchor = schedule.anchor || 'clock';
+  if (!SCHEDULE_ANCHORS[anchor]) {
+    throw new ScheduleError(`${label}: referencia de inicio desconocida ${anchor} (${Object.keys(SCHEDULE_ANCHORS).join(', ')})`);
+  }
+
+  let start = null;
+  let offsetMinutes = 0;
+  if (anchor === 'clock') {
+    start = parseTime(schedule.time, `${label}: hora de inicio`);
+  } else {
+    if (type !== 'fixed') {
+      throw new ScheduleError(`${label}: los ciclos intermitentes usan una ventana de hora fija`);
+    }
+    offsetMinutes = Number(schedule.offsetMinutes || 0);
+    if (!Number.isInteger(offsetMinutes) || Math.abs(offsetMinutes) > MAX_SOLAR_OFFSET) {
+      throw new ScheduleError(`${label}: desplazamiento inválido ${schedule.offsetMinutes} (entre -${MAX_SOLAR_OFFSET} y ${MAX_SOLAR_OFFSET} minutos)`);
+    }
+  }
+
+  let duration;
+
+  if (schedule.duration !== undefined && schedule.duration !== null && schedule.duration !== '') {
+    duration = parseMinutes(schedule.duration, `${label}: duración`);
+  } else if (anchor !== 'clock') {
+    throw new ScheduleError(`${label}: un horario relativo al sol se define por su duración en minutos`);
+  } else if (schedule.endTime !== undefined && schedule.endTime !== null && schedule.endTime !== '') {
+    duration = (parseTime(schedule.endTime, `${label}: hora de fin`) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (duration === 0) {
+      throw new ScheduleError(`${label}: la hora de fin debe ser distinta de la de inicio`);
+    }
+  } else {
+    throw new ScheduleError(`${label}: indique la duración en minutos o la hora de fin`);
+  }
+
+  let sequenceId = null;
+  if (schedule.sequenceId) {
+    sequenceId = Number(schedule.sequenceId);
+    if (!Number.isInteger(sequenceId) || sequenceId < 1) {
+      throw new ScheduleError(`${label}: secuencia inválida ${schedule.sequenceId}`);
+    }
+  }
+
+  let onMinutes = null;
+  let offMinutes = null;
+  if (type === 'cycle') {
+    if (sequenceId) {
+      throw new ScheduleError(`${label}: un ciclo intermitente enciende su relé, no ejecuta secuencias`);
+    }
+    onMinutes = parseMinutes(schedule.onMinutes, `${label}: tiempo encendido`);
+    offMinutes = parseMinutes(schedule.offMinutes, `${label}: tiempo apagado`);
+    if (onMinutes > duration) {
+      throw new ScheduleError(`${label}: el tiempo encendido (${onMinutes} min) supera la ventana del ciclo (${duration} min)`);
+    }
+  }
+
+  return {
+    type,
+    anchor,
+    time: start === null ? null : formatTime(start),
+    offsetMinutes,
+    duration,
+    days: normalizeDays(schedule.days, label),
+    enabled: schedule.enabled !== false && schedule.enabled !== 0,
+    sequenceId,
+    onMinutes,
+    offMinutes
+  };
+}
+
+/**
+ * Ubicación para los horarios relativos al sol (config.scheduling)
+ */
+function solarLocation(scheduling) {
+  const latitude = Number(scheduling.latitude);
+  const longitude = Number(scheduling.longitude);
+
+  if (scheduling.latitude === undefined || scheduling.latitude === null || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+    throw new ScheduleError(`Latitud inválida: ${scheduling.latitude} (configure scheduling.latitude entre -90 y 90)`);
+  }
+  if (scheduling.longitude === undefined || scheduling.longitude === null || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    throw new ScheduleError(`Longitud inválida: ${scheduling.longitude} (configure scheduling.longitude entre -180 y 180)`);
+  }
+
+  return { latitude, longitude, timeZone: scheduling.timezone };
+}
+
+/**
+ * Validar los horarios agrupados por relé ({ releId: [horario, ...] })
+ * Los horarios relativos al sol requieren la ubicación de config.scheduling
+ */
+function normalizeScheduleGroups(grouped, relays, scheduling = {}) {
+  const normalized = {};
+
+  Object.keys(grouped).forEach(key => {
+    const releId = parseReleId(key, relays);
+    const list = grouped[key] || [];
+    if (!Array.isArray(list)) {
+      throw new ScheduleError(`Los horarios de ${relays[releId - 1].name} deben ser una lista`);
+    }
+    normalized[releId] = list.map((schedule, index) =>
+      normalizeSchedule(schedule, `Horario ${index + 1} de ${relays[releId - 1].name}`)
+    );
+  });
+
+  if (Object.values(normalized).some(list => list.some(schedule => schedule.anchor !== 'clock'))) {
+    solarLocation(scheduling);
+  }
+
+  return normalized;
+}
+
+/**
+ * Inicio legible: "08:00", "Amanecer", "Atardecer + 30 min", "Amanecer - 15 min"
+ */
+function describeStart(schedule) {
+  if (schedule.anchor === 'clock' || !schedule.anchor) {
+    return schedule.time;
+  }
+  const event = SCHEDULE_ANCHORS[schedule.anchor];
+  if (!schedule.offsetMinutes) {
+    return event;
+  }
+  return `${event} ${schedule.offsetMinutes > 0 ? '+' : '-'} ${Math.abs(schedule.offsetMinutes)} min`;
+}
+
+/**
+ * Inicios de un horario relativo al sol en los próximos días programados
+ * ({ date, weekday, time, at }); los días sin ese evento (noche o día polar) se omiten
+ */
+function solarRuns(schedule, location, from = new Date(), days = 7) {
+  return upcomingDates(from, days, location.timeZone)
+    .filter(({ weekday }) => schedule.days.includes(weekday))
+    .map(({ year, month, day, weekday, date }) => {
+      const event = sunTimes(year, month, day, location.latitude, location.longitude)[schedule.anchor];
+      if (!event) {
+        return null;
+      }
+      const at = new Date(event.getTime() + schedule.offsetMinutes * 60000);
+      return { date, weekday, time: localTime(at, location.timeZone), at };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Hora de fin y si el horario termina al día siguiente
+ */
+function describeWindow({ time, duration }) {
+  if (!time) {
+    // Relativo al sol: la hora de fin cambia cada día
+    return { endTime: null, overnight: false };
+  }
+  const end = parseTime(time, 'Hora de inicio') + duration;
+  return {
+    endTime: formatTime(end),
+    overnight: end > MINUTES_PER_DAY
+  };
+}
+
+/**
+ * Días legibles: "Todos los días", "Lun, Mié, Vie" (de lunes a domingo)
+ */
+function describeDays(days) {
+  if (days.length === 7) {
+    return 'Todos los días';
+  }
+  return [...days].sort((a, b) => (a + 6) % 7 - (b + 6) % 7).map(day => DAY_NAMES[day]).join(', ');
+}
+
+/**
+ * Minutos transcurridos desde el domingo 00:00 en la zona horaria indicada
+ */
+function weekMinutes(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return WEEKDAY_INDEX[parts.weekday] * MINUTES_PER_DAY +
+    Number(parts.hour) * 60 + Number(parts.minute) + (Number(parts.second) + date.getMilliseconds() / 1000) / 60;
+}
+
+/**
+ * Fase de un ciclo intermitente en un instante dado
+ * La fase se cuenta desde el inicio de la ventana, así que solo depende de la hora:
+ * tras un reinicio el ciclo continúa en la fase correcta.
+ * Devuelve { active (dentro de la ventana), on, remaining (minutos hasta el próximo cambio) }
+ */
+function cyclePhase(schedule, date = new Date(), timeZone) {
+  const now = weekMinutes(date, timeZone);
+  const start = parseTime(schedule.time, 'Hora de inicio');
+  const period = schedule.onMinutes + schedule.offMinutes;
+
+  for (const day of schedule.days) {
+    const elapsed = (now - (day * MINUTES_PER_DAY + start) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+    if (elapsed < schedule.duration) {
+      const position = elapsed % period;
+      const on = position < schedule.onMinutes;
+      const untilChange = on ? schedule.onMinutes - position : period - position;
+      return { active: true, on, remaining: Math.min(untilChange, schedule.duration - elapsed) };
+    }
+  }
+
+  // Fuera de la ventana: esperar el próximo inicio
+  const remaining = Math.min(...schedule.days.map(day =>
+    (day * MINUTES_PER_DAY + start - now + MINUTES_PER_WEEK) % MINUTES_PER_WEEK
+  ));
+  return { active: false, on: false, remaining };
+}
+
+/**
+ * Expresión cron de un horario: una sola tarea para todos sus días
+ */
+function cronExpression({ time, days }) {
+  const start = parseTime(time, 'Hora de inicio');
+  const weekDays = days.length === 7 ? '*' : days.join(',');
+  return `${start % 60} ${Math.floor(start / 60)} * * ${weekDays}`;
+}
+
+module.exports = {
+  ScheduleError,
+  SCHEDULE_TYPES,
+  SCHEDULE_ANCHORS,
+  MINUTES_PER_DAY,
+  DAY_NAMES,
+  parseTime,
+  formatTime,
+  normalizeDays,
+  normalizeSchedule,
+  normalizeScheduleGroups,
+  solarLocation,
+  solarRuns,
+  describeStart,
+  describeWindow,
+  describeDays,
+  cyclePhase,
+  weekMinutes,
+  cronExpression
+};
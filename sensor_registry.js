@@ -0,0 +1,418 @@
+/**
+ * Registro de Sensores
+ * Drivers intercambiables: cada sensor declara id, tipo, métricas con unidad y función de lectura
+ * Ing. Daril Díaz - 2024
+ *
+ * Un driver es un objeto con:
+ *   label    - descripción para la interfaz
+ *   metrics  - { metrica: { label, unit } }
+ *   defaults - opciones por defecto de la definición (opcional)
+ *   validate - (definición) => lanza error si las opciones no son válidas (opcional)
+ *   create   - (definición, registro) => instancia con read() que devuelve { metrica: valor }
+ *              (síncrono o Promise) y opcionalmente getInfo() y cleanup()
+ */
+
+const DHT11Sensor = require('./dht11_sensor');
+const DS18B20Sensor = require('./ds18b20_sensor');
+const ADS1115 = require('./ads1115');
+const WaterQualityProbe = require('./water_quality');
+const config = require('./config');
+
+const SENSOR_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Una lectura más antigua que esto se considera ausente (sensor caído); la usan
+// las condiciones, las reglas, los lazos PID y la simulación con datos históricos
+const READING_MAX_AGE_MINUTES = 15;
+
+class SensorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SensorError';
+    this.status = status;
+  }
+}
+
+// Validar número de pin GPIO (numeración BCM)
+function validateGpioPin(definition) {
+  const pin = Number(definition.pin);
+  if (!Number.isInteger(pin) || pin < 0 || pin > 27) {
+    throw new SensorError(`Pin GPIO inválido para el sensor ${definition.id}`);
+  }
+}
+
+// Drivers disponibles, por tipo
+const drivers = new Map();
+
+/**
+ * Driver para sensores DHT11 / DHT22 (temperatura y humedad ambiente)
+ */
+function dhtDriver(model) {
+  return {
+    label: `${model} (temperatura y humedad)`,
+    metrics: {
+      temperature: { label: 'Temperatura', unit: '°C' },
+      humidity: { label: 'Humedad', unit: '%' }
+    },
+    defaults: { pin: config.gpio.dht11Pin },
+    validate: validateGpioPin,
+    create: (definition) => new DHT11Sensor(Number(definition.pin), {
+      type: model,
+      retries: definition.retries
+    })
+  };
+}
+
+drivers.set('dht11', dhtDriver('DHT11'));
+drivers.set('dht22', dhtDriver('DHT22'));
+
+/**
+ * Driver para sondas DS18B20 (temperatura de la solución nutritiva)
+ * Cada sonda se registra como un sensor con su dirección 1-Wire
+ */
+drivers.set('ds18b20', {
+  label: 'DS18B20 (temperatura del agua)',
+  metrics: {
+    water_temperature: { label: 'Temperatura del agua', unit: '°C' }
+  },
+  defaults: { address: null },
+  validate: (definition) => {
+    if (definition.address && !DS18B20Sensor.PROBE_PATTERN.test(definition.address)) {
+      throw new SensorError(`Dirección 1-Wire inválida para el sensor ${definition.id}`);
+    }
+  },
+  create: (definition) => new DS18B20Sensor(definition.address, {
+    devicesPath: config.sensors.w1DevicesPath
+  })
+});
+
+/**
+ * Validar canal, dirección y rango de una sonda conectada a un ADS1115
+ */
+function validateAdcProbe(definition) {
+  const channel = Number(definition.channel);
+  if (!Number.isInteger(channel) || channel < 0 || channel > 3) {
+    throw new SensorError(`Canal del ADS1115 inválido para el sensor ${definition.id} (0-3)`);
+  }
+
+  const address = Number(definition.address);
+  if (!Number.isInteger(address) || address < 0x48 || address > 0x4b) {
+    throw new SensorError(`Dirección I2C inválida para el sensor ${definition.id} (0x48-0x4B)`);
+  }
+
+  if (ADS1115.GAINS[definition.gain] === undefined) {
+    throw new SensorError(`Rango del ADS1115 inválido para el sensor ${definition.id}`);
+  }
+
+  if (definition.temperatureSensor && !SENSOR_ID_PATTERN.test(definition.temperatureSensor)) {
+    throw new SensorError(`Sensor de temperatura inválido para el sensor ${definition.id}`);
+  }
+}
+
+/**
+ * Temperatura de la solución para compensar una sonda
+ * Con temperatureSensor se usa ese sensor (agua o, en su defecto, ambiente);
+ * sin él, la primera sonda de temperatura del agua registrada
+ */
+function solutionTemperature(registry, sensorId) {
+  return () => {
+    if (!registry) {
+      return null;
+    }
+    if (sensorId) {
+      const water = registry.getLatest(sensorId, 'water_temperature');
+      return water !== null ? water : registry.getLatest(sensorId, 'temperature');
+    }
+    return registry.getLatest(null, 'water_temperature');
+  };
+}
+
+/**
+ * Driver para sondas analógicas de pH y EC conectadas a un canal del ADS1115
+ * La calibración se aplica después con setCalibration() (ver calibration.js)
+ */
+function adcProbeDriver(kind, label, metrics) {
+  return {
+    label,
+    metrics,
+    defaults: { channel: kind === 'ph' ? 0 : 1, address: ADS1115.DEFAULT_ADDRESS, gain: 4.096, samples: 5, temperatureSensor: null },
+    validate: validateAdcProbe,
+    create: (definition, registry) => new WaterQualityProbe(kind, {
+      adc: ADS1115.shared(ADS1115.getDefaultBus(), Number(definition.address)),
+      channel: Number(definition.channel),
+      gain: Number(definition.gain),
+      samples: parseInt(definition.samples) || 5,
+      tdsFactor: Number(definition.tdsFactor) || undefined,
+      temperatureSource: solutionTemperature(registry, definition.temperatureSensor)
+    })
+  };
+}
+
+drivers.set('ph', adcProbeDriver('ph', 'pH (ADS1115)', {
+  ph: { label: 'pH', unit: 'pH' }
+}));
+
+drivers.set('ec', adcProbeDriver('ec', 'Conductividad EC (ADS1115)', {
+  ec: { label: 'Conductividad', unit: 'mS/cm' },
+  tds: { label: 'Sólidos disueltos', unit: 'ppm' }
+}));
+
+class SensorRegistry {
+  constructor() {
+    this.sensors = new Map();
+  }
+
+  /**
+   * Registrar un tipo de sensor adicional
+   */
+  static registerDriver(type, driver) {
+    if (!driver || typeof driver.create !== 'function' || !driver.metrics) {
+      throw new Error(`Driver de sensor inválido: ${type}`);
+    }
+    drivers.set(type, driver);
+  }
+
+  /**
+   * Tipos de sensor disponibles
+   */
+  static getDrivers() {
+    return Array.from(drivers.entries()).map(([type, driver]) => ({
+      type,
+      label: driver.label,
+      metrics: driver.metrics
+    }));
+  }
+
+  /**
+   * Normalizar y validar la definición de un sensor
+   */
+  static normalizeDefinition(definition = {}) {
+    const id = String(definition.id || '').trim().toLowerCase();
+    if (!SENSOR_ID_PATTERN.test(id)) {
+      throw new SensorError('El id del sensor debe tener 1-32 caracteres: letras minúsculas, números, "-" o "_"');
+    }
+
+    const type = String(definition.type || '').trim().toLowerCase();
+    const driver = drivers.get(type);
+    if (!driver) {
+      throw new SensorError(`Tipo de sensor desconocido: ${definition.type}`);
+    }
+
+    const normalized = {
+      ...driver.defaults,
+      ...definition,
+      id,
+      type,
+      name: String(definition.name || id).trim().slice(0, 64),
+      enabled: definition.enabled !== false && definition.enabled !== 0
+    };
+
+    if (driver.validate) {
+      driver.validate(normalized);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Agregar (o reemplazar) un sensor
+   */
+  add(definition) {
+    const normalized = SensorRegistry.normalizeDefinition(definition);
+    const driver = drivers.get(normalized.type);
+
+    if (this.sensors.has(normalized.id)) {
+      this.remove(normalized.id);
+    }
+
+    this.sensors.set(normalized.id, {
+      definition: normalized,
+      driver,
+      instance: driver.create(normalized, this),
+      lastValues: null,
+      lastReadTime: null,
+      lastError: null
+    });
+
+    return this.describe(normalized.id);
+  }
+
+  /**
+   * Quitar un sensor y liberar sus recursos
+   */
+  remove(id) {
+    const entry = this.sensors.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    if (entry.instance && typeof entry.instance.cleanup === 'function') {
+      entry.instance.cleanup();
+    }
+
+    return this.sensors.delete(id);
+  }
+
+  has(id) {
+    return this.sensors.has(id);
+  }
+
+  /**
+   * Instancia del driver de un sensor (para operaciones propias del tipo, como calibrar)
+   */
+  getInstance(id) {
+    const entry = this.sensors.get(id);
+    return entry ? entry.instance : null;
+  }
+
+  /**
+   * Descripción pública de un sensor (sin la instancia del driver)
+   */
+  describe(id) {
+    const entry = this.sensors.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      id,
+      name: entry.definition.name,
+      type: entry.definition.type,
+      definition: entry.definition,
+      metrics: Object.entries(entry.driver.metrics).map(([metric, meta]) => ({
+        metric,
+        label: meta.label,
+        unit: meta.unit
+      })),
+      values: entry.lastValues ? { ...entry.lastValues } : null,
+      timestamp: entry.lastReadTime,
+      error: entry.lastError
+    };
+  }
+
+  /**
+   * Listar sensores registrados
+   */
+  list() {
+    return Array.from(this.sensors.keys()).map(id => this.describe(id));
+  }
+
+  /**
+   * Leer un sensor; solo se conservan las métricas declaradas por su driver
+   */
+  async read(id) {
+    const entry = this.sensors.get(id);
+    if (!entry) {
+      throw new SensorError(`Sensor no registrado: ${id}`, 404);
+    }
+
+    try {
+      const raw = await entry.instance.read();
+      const values = {};
+
+      Object.keys(entry.driver.metrics).forEach(metric => {
+        const value = raw ? Number(raw[metric]) : NaN;
+        if (Number.isFinite(value)) {
+          values[metric] = value;
+        }
+      });
+
+      if (Object.keys(values).length === 0) {
+        throw new Error('El sensor no devolvió valores');
+      }
+
+      entry.lastValues = values;
+      entry.lastReadTime = new Date().toISOString();
+      entry.lastError = null;
+      return values;
+
+    } catch (error) {
+      entry.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Leer todos los sensores; los errores se informan por sensor sin interrumpir al resto
+   */
+  async readAll() {
+    const results = [];
+
+    for (const id of this.sensors.keys()) {
+      try {
+        await this.read(id);
+      } catch (error) {
+        // El error queda registrado en la descripción del sensor
+      }
+      results.push(this.describe(id));
+    }
+
+    return results;
+  }
+
+  /**
+   * Primer sensor que ofrece una métrica
+   */
+  findMetric(metric) {
+    for (const [id, entry] of this.sensors) {
+      if (entry.driver.metrics[metric]) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Valores vigentes de un sensor: null si la última lectura falló o tiene más
+   * de READING_MAX_AGE_MINUTES, para no actuar sobre un valor congelado
+   */
+  freshValues(entry, now = Date.now()) {
+    if (!entry || !entry.lastValues || entry.lastError || !entry.lastReadTime) {
+      return null;
+    }
+    const age = now - new Date(entry.lastReadTime).getTime();
+    return age <= READING_MAX_AGE_MINUTES * 60 * 1000 ? entry.lastValues : null;
+  }
+
+  /**
+   * Último valor leído de una métrica (null si el sensor falla o la lectura es antigua)
+   * Si no se indica sensor se usa el primero que ofrezca la métrica
+   */
+  getLatest(sensorId, metric) {
+    const id = sensorId || this.findMetric(metric);
+    const values = id ? this.freshValues(this.sensors.get(id)) : null;
+
+    if (!values || values[metric] === undefined) {
+      return null;
+    }
+
+    return values[metric];
+  }
+
+  /**
+   * Últimos valores vigentes de todos los sensores { sensorId: { metric: valor } }
+   * (se guardan con cada cambio de estado de un relé)
+   */
+  snapshot() {
+    const values = {};
+    this.sensors.forEach((entry, id) => {
+      if (this.freshValues(entry)) {
+        values[id] = { ...entry.lastValues };
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Liberar todos los sensores
+   */
+  cleanup() {
+    for (const id of Array.from(this.sensors.keys())) {
+      this.remove(id);
+    }
+  }
+}
+
+module.exports = SensorRegistry;
+module.exports.SensorError = SensorError;
+module.exports.READING_MAX_AGE_MINUTES = READING_MAX_AGE_MINUTES;
+module.exports.validateGpioPin = validateGpioPin;
@@ -0,0 +1,516 @@
+/**
+ * Secuencias de Relés (recetas)
+ * Pasos guardados con nombre, p. ej. "Ciclo de lavado": abrir vaciado, esperar 5 min,
+ * cerrar vaciado, abrir llenado... Se ejecutan, pausan y abortan desde la API
+ * o los disparan los horarios y condiciones del programador
+ * Ing. Daril Díaz - 2024
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const AuditLog = require('./audit');
+const { RelayError, parseReleId } = require('./relays');
+const { formatDuration } = require('./relay_limits');
+const { withCause } = require('./relay_causes');
+
+// Tipos de paso
+const STEP_TYPES = {
+  rele: 'Encender o apagar una salida',
+  wait: 'Esperar'
+};
+
+const MAX_STEPS = 50;
+const MAX_WAIT_SECONDS = 24 * 60 * 60;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Ejecuciones terminadas que se conservan para consultarlas
+const FINISHED_RUNS_KEPT = 20;
+
+const RUN_STATUSES = {
+  running: 'En ejecución',
+  paused: 'En pausa',
+  finished: 'Terminada',
+  aborted: 'Abortada',
+  failed: 'Fallida'
+};
+
+/**
+ * Error de definición o de ejecución de una secuencia
+ */
+class SequenceError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'SequenceError';
+  }
+}
+
+/**
+ * Validar un paso: { type: 'rele', releId, state } o { type: 'wait', seconds }
+ */
+function normalizeStep(step, index, relays) {
+  const label = `Paso ${index + 1}`;
+
+  if (!step || typeof step !== 'object') {
+    throw new SequenceError(`${label}: debe ser un objeto`);
+  }
+
+  if (step.type === 'rele') {
+    let releId;
+    try {
+      releId = parseReleId(step.releId, relays);
+    } catch (error) {
+      throw new SequenceError(`${label}: ${error.message}`);
+    }
+    if (typeof step.state !== 'boolean') {
+      throw new SequenceError(`${label}: state debe ser true (encender) o false (apagar)`);
+    }
+    return { type: 'rele', releId, state: step.state };
+  }
+
+  if (step.type === 'wait') {
+    const seconds = Number(step.seconds);
+    if (!Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_WAIT_SECONDS) {
+      throw new SequenceError(`${label}: la espera debe ser entre 1 y ${MAX_WAIT_SECONDS} segundos`);
+    }
+    return { type: 'wait', seconds };
+  }
+
+  throw new SequenceError(`${label}: tipo de paso desconocido ${step.type} (${Object.keys(STEP_TYPES).join(', ')})`);
+}
+
+/**
+ * Validar una secuencia { name, description, steps } contra los relés configurados
+ */
+function normalizeSequence(definition, relays) {
+  if (!definition || typeof definition !== 'object') {
+    throw new SequenceError('Se esperaba una secuencia { name, description, steps }');
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new SequenceError(`Nombre de secuencia inválido: debe tener entre 1 y ${MAX_NAME_LENGTH} caracteres`);
+  }
+
+  const description = definition.description === undefined || definition.description === null
+    ? ''
+    : String(definition.description).trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new SequenceError(`La descripción no puede superar ${MAX_DESCRIPTION_LENGTH} caracteres`);
+  }
+
+  const { steps } = definition;
+  if (!Array.isArray(steps) || !steps.length || steps.length > MAX_STEPS) {
+    throw new SequenceError(`La secuencia debe tener entre 1 y ${MAX_STEPS} pasos`);
+  }
+
+  const normalized = steps.map((step, index) => normalizeStep(step, index, relays));
+  if (!normalized.some(step => step.type === 'rele')) {
+    throw new SequenceError('La secuencia debe cambiar al menos una salida');
+  }
+
+  return { name, description, steps: normalized };
+}
+
+/**
+ * Descripción de un paso: "Encender Vaciado", "Esperar 5 min"
+ */
+function describeStep(step, relays) {
+  if (step.type === 'wait') {
+    return `Esperar ${formatDuration(step.seconds)}`;
+  }
+
+  const relay = relays[step.releId - 1];
+  return `${step.state ? 'Encender' : 'Apagar'} ${relay ? relay.name : `Relé ${step.releId}`}`;
+}
+
+/**
+ * Duración total de las esperas de una secuencia en segundos
+ */
+function sequenceDuration(steps) {
+  return steps.reduce((total, step) => total + (step.type === 'wait' ? step.seconds : 0), 0);
+}
+
+/**
+ * Contexto de los comandos de una ejecución: quien la inició, con la secuencia como causa
+ */
+function sequenceCause(run) {
+  return withCause(run.context, 'sequence', run.sequenceId, run.name);
+}
+
+/**
+ * Eventos emitidos:
+ *   progress - ejecución iniciada, con un paso cumplido, pausada, reanudada o terminada
+ */
+class SequenceManager extends EventEmitter {
+  /**
+   * database: instancia de Database (tabla sequences)
+   * controller: GPIOController que ejecuta los pasos (con enclavamientos y límites de seguridad)
+   */
+  constructor(database, controller) {
+    super();
+    this.database = database;
+    this.controller = controller;
+    this.runs = new Map();
+  }
+
+  /**
+   * Secuencia con la descripción de cada paso y su duración total
+   */
+  describeSequence(sequence) {
+    return {
+      ...sequence,
+      steps: sequence.steps.map(step => ({ ...step, description: describeStep(step, this.controller.relays) })),
+      duration: sequenceDuration(sequence.steps)
+    };
+  }
+
+  /**
+   * Secuencias guardadas
+   */
+  async list() {
+    const sequences = await this.database.getSequences();
+    return sequences.map(sequence => this.describeSequence(sequence));
+  }
+
+  /**
+   * Secuencia guardada por id (404 si no existe)
+   */
+  async get(id) {
+    const sequence = await this.database.getSequence(Number(id));
+    if (!sequence) {
+      throw new SequenceError(`Secuencia no encontrada: ${id}`, 404);
+    }
+    return this.describeSequence(sequence);
+  }
+
+  /**
+   * Crear (id null) o reemplazar una secuencia
+   */
+  async save(id, definition, updatedBy = null) {
+    const sequence = normalizeSequence(definition, this.controller.relays);
+    if (id !== null) {
+      await this.get(id);
+    }
+
+    let savedId;
+    try {
+      savedId = await this.database.saveSequence({ id: id === null ? null : Number(id), ...sequence, updatedBy });
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new SequenceError(`Ya existe una secuencia llamada ${sequence.name}`, 409);
+      }
+      throw error;
+    }
+
+    return this.get(savedId);
+  }
+
+  /**
+   * Eliminar una secuencia que no esté en ejecución ni la usen horarios o condiciones
+   */
+  async delete(id) {
+    const sequence = await this.get(id);
+
+    if (this.isRunning(sequence.id)) {
+      throw new SequenceError(`La secuencia ${sequence.name} está en ejecución`, 409);
+    }
+
+    const uses = await this.database.countSequenceUses(sequence.id);
+    if (uses.schedules || uses.conditions) {
+      throw new SequenceError(
+        `La secuencia ${sequence.name} está en uso por ${uses.schedules} horario(s) y ${uses.conditions} condición(es)`,
+        409
+      );
+    }
+
+    await this.database.deleteSequence(sequence.id);
+    return sequence;
+  }
+
+  /**
+   * Ejecución en curso (o en pausa) de una secuencia
+   */
+  activeRunOf(sequenceId) {
+    return [...this.runs.values()].find(run =>
+      run.sequenceId === Number(sequenceId) && (run.status === 'running' || run.status === 'paused')
+    ) || null;
+  }
+
+  isRunning(sequenceId) {
+    return Boolean(this.activeRunOf(sequenceId));
+  }
+
+  /**
+   * Ejecutar una secuencia guardada; una misma secuencia no corre dos veces a la vez
+   * Los pasos de salida se ejecutan al instante y las esperas con un temporizador
+   */
+  async start(id, context = AuditLog.SYSTEM_CONTEXT) {
+    const sequence = await this.get(id);
+
+    if (this.isRunning(sequence.id)) {
+      throw new SequenceError(`La secuencia ${sequence.name} ya está en ejecución`, 409);
+    }
+
+    const run = {
+      id: crypto.randomBytes(6).toString('hex'),
+      sequenceId: sequence.id,
+      name: sequence.name,
+      steps: sequence.steps,
+      status: 'running',
+      step: 0, // Paso en curso (o cantidad de pasos cumplidos)
+      context,
+      startedAt: Date.now(),
+      finishedAt: null,
+      waitEndsAt: null,
+      remainingMs: null, // Espera pendiente mientras está en pausa
+      timer: null,
+      error: null,
+      turnedOn: new Set() // Salidas encendidas por esta ejecución (se apagan al abortar)
+    };
+
+    this.runs.set(run.id, run);
+    this.log('info', `Secuencia "${run.name}" iniciada por ${context.actor} (${run.steps.length} pasos)`);
+    this.emit('progress', this.describeRun(run));
+    this.advance(run);
+
+    return this.describeRun(run);
+  }
+
+  /**
+   * Ejecutar pasos hasta la próxima espera o el final
+   */
+  advance(run) {
+    while (run.status === 'running' && run.step < run.steps.length) {
+      const step = run.steps[run.step];
+
+      if (step.type === 'wait') {
+        this.wait(run, step.seconds * 1000);
+        return;
+      }
+
+      const wasOn = this.controller.getReleState(step.releId);
+      let applied;
+      try {
+        applied = this.controller.controlRele(
+          step.releId,
+          step.state,
+          `Secuencia ${run.name} - Paso ${run.step + 1}/${run.steps.length}`,
+          sequenceCause(run)
+        );
+      } catch (error) {
+        this.end(run, 'failed', `Paso ${run.step + 1} rechazado: ${error.message}`);
+        return;
+      }
+
+      if (!applied) {
+        this.end(run, 'failed', `Paso ${run.step + 1}: no se pudo controlar ${this.controller.getReleName(step.releId)}`);
+        return;
+      }
+
+      if (step.state && !wasOn) {
+        run.turnedOn.add(step.releId);
+      } else if (!step.state) {
+        run.turnedOn.delete(step.releId);
+      }
+
+      run.step++;
+      this.emit('progress', this.describeRun(run));
+    }
+
+    if (run.status === 'running') {
+      this.end(run, 'finished');
+    }
+  }
+
+  /**
+   * Esperar y continuar con el paso siguiente
+   */
+  wait(run, ms) {
+    run.waitEndsAt = Date.now() + ms;
+    run.timer = setTimeout(() => {
+      run.timer = null;
+      run.waitEndsAt = null;
+      run.step++;
+      this.advance(run);
+    }, ms);
+
+    this.emit('progress', this.describeRun(run));
+  }
+
+  /**
+   * Pausar la espera en curso; las salidas quedan como están
+   */
+  pause(runId, context = AuditLog.SYSTEM_CONTEXT) {
+    const run = this.findRun(runId);
+    if (run.status !== 'running') {
+      throw new SequenceError(`La secuencia ${run.name} no está en ejecución`, 409);
+    }
+
+    clearTimeout(run.timer);
+    run.timer = null;
+    run.remainingMs = Math.max(0, run.waitEndsAt - Date.now());
+    run.waitEndsAt = null;
+    run.status = 'paused';
+
+    this.log('info', `Secuencia "${run.name}" pausada por ${context.actor}`);
+    this.emit('progress', this.describeRun(run));
+    return this.describeRun(run);
+  }
+
+  /**
+   * Reanudar una ejecución en pausa con la espera que le quedaba
+   */
+  resume(runId, context = AuditLog.SYSTEM_CONTEXT) {
+    const run = this.findRun(runId);
+    if (run.status !== 'paused') {
+      throw new SequenceError(`La secuencia ${run.name} no está en pausa`, 409);
+    }
+
+    run.status = 'running';
+    this.log('info', `Secuencia "${run.name}" reanudada por ${context.actor}`);
+    this.wait(run, run.remainingMs);
+    run.remainingMs = null;
+    return this.describeRun(run);
+  }
+
+  /**
+   * Abortar una ejecución y apagar las salidas que encendió
+   */
+  abort(runId, context = AuditLog.SYSTEM_CONTEXT) {
+    const run = this.findRun(runId);
+    if (run.status !== 'running' && run.status !== 'paused') {
+      throw new SequenceError(`La secuencia ${run.name} ya terminó`, 409);
+    }
+
+    this.end(run, 'aborted', `Abortada por ${context.actor}`, context);
+    return this.describeRun(run);
+  }
+
+  /**
+   * Terminar una ejecución; si no terminó bien se apagan las salidas que encendió
+   * (por la propia secuencia, o por quien la abortó)
+   */
+  end(run, status, error = null, context = sequenceCause(run)) {
+    clearTimeout(run.timer);
+    run.timer = null;
+    run.waitEndsAt = null;
+    run.remainingMs = null;
+    run.status = status;
+    run.error = error;
+    run.finishedAt = Date.now();
+
+    if (status !== 'finished') {
+      run.turnedOn.forEach(releId => {
+        if (!this.controller.getReleState(releId)) {
+          return;
+        }
+        try {
+          this.controller.controlRele(releId, false, `Secuencia ${run.name} - ${RUN_STATUSES[status]}`, context);
+        } catch (shutdownError) {
+          console.error(`No se pudo apagar ${this.controller.getReleName(releId)} al terminar la secuencia:`, shutdownError);
+        }
+      });
+    }
+    run.turnedOn.clear();
+
+    if (status === 'finished') {
+      this.log('info', `Secuencia "${run.name}" terminada`);
+    } else {
+      this.log('warn', `Secuencia "${run.name}" ${RUN_STATUSES[status].toLowerCase()}: ${error}`);
+    }
+
+    this.pruneRuns();
+    this.emit('progress', this.describeRun(run));
+  }
+
+  /**
+   * Conservar solo las últimas ejecuciones terminadas
+   */
+  pruneRuns() {
+    const finished = [...this.runs.values()].filter(run => run.finishedAt !== null);
+    finished.slice(0, Math.max(0, finished.length - FINISHED_RUNS_KEPT)).forEach(run => this.runs.delete(run.id));
+  }
+
+  /**
+   * Datos públicos de una ejecución con el avance y la espera restante en segundos
+   */
+  describeRun(run) {
+    const total = run.steps.length;
+    const current = run.step < total ? run.steps[run.step] : null;
+    let remaining = null;
+
+    if (run.waitEndsAt !== null) {
+      remaining = Math.max(0, Math.ceil((run.waitEndsAt - Date.now()) / 1000));
+    } else if (run.remainingMs !== null) {
+      remaining = Math.ceil(run.remainingMs / 1000);
+    }
+
+    return {
+      id: run.id,
+      sequenceId: run.sequenceId,
+      name: run.name,
+      status: run.status,
+      statusLabel: RUN_STATUSES[run.status],
+      step: Math.min(run.step + 1, total),
+      totalSteps: total,
+      stepDescription: current && run.finishedAt === null ? describeStep(current, this.controller.relays) : null,
+      progress: Math.round((run.status === 'finished' ? total : run.step) / total * 100),
+      remaining,
+      error: run.error,
+      startedAt: new Date(run.startedAt).toISOString(),
+      finishedAt: run.finishedAt ? new Date(run.finishedAt).toISOString() : null,
+      actor: run.context.actor,
+      source: run.context.source
+    };
+  }
+
+  /**
+   * Ejecuciones en curso y recientes
+   */
+  getRuns() {
+    return [...this.runs.values()].map(run => this.describeRun(run));
+  }
+
+  /**
+   * Ejecución por id (404 si no existe o ya se descartó)
+   */
+  findRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new SequenceError(`Ejecución de secuencia no encontrada: ${runId}`, 404);
+    }
+    return run;
+  }
+
+  getRun(runId) {
+    return this.describeRun(this.findRun(runId));
+  }
+
+  /**
+   * Detener los temporizadores al cerrar (el controlador apaga todas las salidas)
+   */
+  cleanup() {
+    this.runs.forEach(run => {
+      if (run.status === 'running' || run.status === 'paused') {
+        clearTimeout(run.timer);
+        run.timer = null;
+        run.status = 'aborted';
+        run.error = 'Sistema detenido';
+        run.finishedAt = Date.now();
+      }
+    });
+  }
+
+  log(level, message) {
+    console.log(message);
+    this.database.saveSystemLog(level, message, 'SequenceManager');
+  }
+}
+
+module.exports = SequenceManager;
+module.exports.SequenceError = SequenceError;
+module.exports.STEP_TYPES = STEP_TYPES;
+module.exports.RUN_STATUSES = RUN_STATUSES;
+module.exports.normalizeSequence = normalizeSequence;
+module.exports.describeStep = describeStep;
@@ -0,0 +1,341 @@
+/**
+ * Simulación de Condiciones y Reglas con Datos Históricos
+ * Repite un rango de lecturas guardadas minuto a minuto por el mismo evaluador de
+ * condiciones y reglas (histéresis, confirmación, espera y duración) sobre relés virtuales,
+ * con los enclavamientos configurados, sin tocar el controlador GPIO
+ * Ing. Daril Díaz - 2024
+ */
+
+const { RelayError } = require('./relays');
+const { conditionMetric, initialConditionState, advanceCondition, describeCondition } = require('./conditions');
+const { advanceRule } = require('./rules');
+const { findViolation, dependentsOf } = require('./interlocks');
+const { READING_MAX_AGE_MINUTES } = require('./sensor_registry');
+
+const MINUTE = 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+const MAX_STEP_MINUTES = 60;
+
+// Minutos de lecturas previas al rango para la primera variación (ventana máxima de una regla)
+const LOOKBACK_MINUTES = 180 + READING_MAX_AGE_MINUTES;
+
+// Cambios y conflictos que se devuelven como máximo (los totales se calculan con todos)
+const MAX_EVENTS = 1000;
+
+/**
+ * Rango o fuentes de simulación inválidos
+ */
+class SimulationError extends RelayError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'SimulationError';
+  }
+}
+
+function parseInstant(value, label) {
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new SimulationError(`${label} inválida: ${value} (use una fecha ISO 8601, p. ej. 2024-06-01 o 2024-06-01T06:00:00Z)`);
+  }
+  return date;
+}
+
+/**
+ * Validar el rango { start, end, stepMinutes } (hasta 31 días, paso de 1 a 60 minutos)
+ */
+function normalizeRange({ start, end, stepMinutes } = {}) {
+  const from = parseInstant(start, 'Fecha de inicio');
+  const to = parseInstant(end, 'Fecha de fin');
+  if (to <= from) {
+    throw new SimulationError('La fecha de fin debe ser posterior a la de inicio');
+  }
+  if (to - from > MAX_RANGE_DAYS * 24 * 60 * MINUTE) {
+    throw new SimulationError(`El rango no puede superar ${MAX_RANGE_DAYS} días`);
+  }
+
+  const step = stepMinutes === undefined || stepMinutes === null || stepMinutes === '' ? 1 : Number(stepMinutes);
+  if (!Number.isInteger(step) || step < 1 || step > MAX_STEP_MINUTES) {
+    throw new SimulationError(`Paso inválido: ${stepMinutes} (entre 1 y ${MAX_STEP_MINUTES} minutos)`);
+  }
+
+  return { start: from, end: to, stepMinutes: step };
+}
+
+/**
+ * Lecturas guardadas ordenadas por sensor y métrica, para consultar el valor vigente en un instante
+ */
+class ReadingHistory {
+  /**
+   * rows: filas de readings { sensor_id, metric, value, timestamp } en orden cronológico
+   * sensorIds: orden de los sensores registrados (el primero que ofrezca una métrica es el
+   * que usan las condiciones sin sensorId)
+   */
+  constructor(rows, sensorIds = []) {
+    this.series = new Map();
+    rows.forEach(row => {
+      const key = `${row.sensor_id}:${row.metric}`;
+      if (!this.series.has(key)) {
+        this.series.set(key, { times: [], values: [] });
+      }
+      const series = this.series.get(key);
+      series.times.push(Date.parse(`${String(row.timestamp).replace(' ', 'T')}Z`));
+      series.values.push(row.value);
+    });
+
+    const recorded = [...this.series.keys()].map(key => key.slice(0, key.lastIndexOf(':')));
+    this.sensorIds = [...new Set(sensorIds.concat(recorded))];
+    this.size = rows.length;
+  }
+
+  /**
+   * Sensor de una métrica cuando la condición o regla no lo indica
+   */
+  findMetric(metric) {
+    return this.sensorIds.find(id => this.series.has(`${id}:${metric}`)) || null;
+  }
+
+  /**
+   * Última lectura en o antes de un instante, sin ir más atrás de maxAgeMinutes (null si no hay)
+   */
+  valueAt(sensorId, metric, time, maxAgeMinutes = READING_MAX_AGE_MINUTES) {
+    const series = this.series.get(`${sensorId || this.findMetric(metric)}:${metric}`);
+    if (!series) {
+      return null;
+    }
+
+    // Búsqueda binaria de la última lectura con time <= instante
+    let low = 0;
+    let high = series.times.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (series.times[middle] <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return found >= 0 && time - series.times[found] <= maxAgeMinutes * MINUTE ? series.values[found] : null;
+  }
+}
+
+/**
+ * Simular condiciones y reglas sobre relés virtuales que empiezan apagados
+ * options: { relays, interlocks, conditions, rules, history (ReadingHistory), range, timeZone }
+ * Devuelve los cambios de relés que habrían ocurrido, el tiempo encendido por relé, los disparos
+ * por condición o regla y los conflictos (encendidos rechazados por un enclavamiento y apagados
+ * de un relé que otra fuente mantenía encendido)
+ */
+function simulate({ relays, interlocks = [], conditions = [], rules = [], history, range, timeZone }) {
+  const states = relays.map(() => false);
+  const endsAt = relays.map(() => null);
+  const holders = relays.map(() => new Map());
+  const totals = relays.map(relay => ({ releId: relay.id, name: relay.name, onMinutes: 0, activations: 0 }));
+  const changes = [];
+  const conflicts = [];
+  const notes = [];
+  let changeCount = 0;
+  let conflictCount = 0;
+  let now = range.start.getTime();
+
+  const sources = conditions.map(condition => ({
+    kind: 'condition',
+    id: condition.id || null,
+    key: `condition:${condition.releId}:${condition.type}`,
+    name: describeCondition(condition),
+    label: `Condición ${describeCondition(condition)}`,
+    releId: condition.releId,
+    item: condition,
+    state: initialConditionState(),
+    triggers: 0,
+    releases: 0
+  })).concat(rules.map(rule => ({
+    kind: 'rule',
+    id: rule.id || null,
+    key: `rule:${rule.id || rule.name}`,
+    name: rule.name,
+    label: `Regla ${rule.name}`,
+    releId: rule.releId,
+    item: rule,
+    state: initialConditionState(),
+    triggers: 0,
+    releases: 0
+  })));
+
+  if (!history.size) {
+    notes.push('No hay lecturas guardadas en el rango: ninguna condición o regla de sensores puede dispararse');
+  }
+  sources.filter(source => source.kind === 'condition' && source.item.sequenceId).forEach(source => {
+    notes.push(`La condición ${source.name} de ${relays[source.releId - 1].name} dispara la secuencia ${source.item.sequenceId}: se cuentan sus disparos pero no se simulan sus pasos`);
+  });
+
+  const recordChange = (releId, state, source, reason, value = null) => {
+    changeCount++;
+    if (changes.length < MAX_EVENTS) {
+      changes.push({
+        time: new Date(now).toISOString(),
+        releId,
+        name: relays[releId - 1].name,
+        state,
+        source: source ? source.kind : 'timer',
+        sourceName: source ? source.name : null,
+        reason,
+        value
+      });
+    }
+  };
+
+  const recordConflict = (type, releId, message) => {
+    conflictCount++;
+    if (conflicts.length < MAX_EVENTS) {
+      conflicts.push({ time: new Date(now).toISOString(), type, releId, name: relays[releId - 1].name, message });
+    }
+  };
+
+  // Apagar un relé y los que lo requieren (como controlRele y releaseDependents)
+  const switchOff = (releId, source, reason, value = null) => {
+    const index = releId - 1;
+    if (!states[index]) {
+      return;
+    }
+
+    const others = [...holders[index].entries()].filter(([key]) => !source || key !== source.key).map(([, name]) => name);
+    if (source && others.length) {
+      recordConflict('override', releId, `${source.label} apagó ${relays[index].name}, que mantenía encendido ${others.join(', ')}`);
+    }
+
+    states[index] = false;
+    endsAt[index] = null;
+    holders[index].clear();
+    recordChange(releId, false, source, reason, value);
+
+    dependentsOf(interlocks, releId)
+      .filter(dependent => states[dependent - 1])
+      .forEach(dependent => switchOff(dependent, source, `Enclavamiento: ${relays[index].name} apagado`));
+  };
+
+  // Encender un relé, por una duración en minutos o hasta que se libere
+  const switchOn = (releId, source, reason, duration, value = null) => {
+    const index = releId - 1;
+    if (!states[index]) {
+      const violation = findViolation(interlocks, releId, states, relays);
+      if (violation) {
+        recordConflict('interlock', releId, `${source.label}: ${violation.message}`);
+        return;
+      }
+      states[index] = true;
+      totals[index].activations++;
+      recordChange(releId, true, source, reason, value);
+    }
+
+    if (duration > 0) {
+      endsAt[index] = now + duration * MINUTE;
+    }
+    holders[index].set(source.key, source.label);
+  };
+
+  const context = {
+    timeZone,
+    reading: (sensorId, metric) => history.valueAt(sensorId, metric, now),
+    rate: (sensorId, metric, minutes) => {
+      const current = history.valueAt(sensorId, metric, now);
+      const past = current === null ? null : history.valueAt(sensorId, metric, now - minutes * MINUTE, minutes);
+      return past === null ? null : current - past;
+    },
+    releState: releId => states[releId - 1] === true
+  };
+
+  const step = range.stepMinutes * MINUTE;
+  const end = range.end.getTime();
+  let steps = 0;
+
+  for (; now < end; now += step) {
+    steps++;
+
+    // Activaciones temporales que terminan en este paso
+    endsAt.forEach((time, index) => {
+      if (time !== null && time <= now) {
+        switchOff(index + 1, null, 'Fin de activación temporal');
+      }
+    });
+
+    // Mismo orden que el programador: primero las condiciones, después las reglas
+    context.now = new Date(now);
+    sources.forEach(source => {
+      if (source.kind === 'condition') {
+        const condition = source.item;
+        const value = history.valueAt(condition.sensorId, conditionMetric(condition), now);
+        if (value === null) {
+          return;
+        }
+        const { state, event } = advanceCondition(source.state, condition, value, now);
+        source.state = state;
+        if (event === 'trigger') {
+          source.triggers++;
+          if (!condition.sequenceId) {
+            switchOn(condition.releId, source, `Condición: ${source.name}`, condition.duration, value);
+          }
+        } else if (event === 'release') {
+          source.releases++;
+          if (!condition.sequenceId && !condition.duration) {
+            switchOff(condition.releId, source, `Condición liberada: ${source.name}`, value);
+          }
+        }
+        return;
+      }
+
+      const rule = source.item;
+      const { state, event } = advanceRule(source.state, rule, context);
+      source.state = state;
+      if (event === 'trigger') {
+        source.triggers++;
+        if (rule.action === 'off') {
+          switchOff(rule.releId, source, `Regla ${rule.name}`);
+        } else {
+          switchOn(rule.releId, source, `Regla ${rule.name}`, rule.duration);
+        }
+      } else if (event === 'release') {
+        source.releases++;
+        if (rule.action === 'on' && !rule.duration) {
+          switchOff(rule.releId, source, `Regla liberada: ${rule.name}`);
+        }
+      }
+    });
+
+    // Tiempo encendido hasta el paso siguiente (el último paso se recorta al fin del rango)
+    const elapsed = Math.min(step, end - now) / MINUTE;
+    states.forEach((state, index) => {
+      if (state) {
+        totals[index].onMinutes += elapsed;
+      }
+    });
+  }
+
+  return {
+    range: {
+      start: range.start.toISOString(),
+      end: range.end.toISOString(),
+      stepMinutes: range.stepMinutes,
+      steps
+    },
+    readings: history.size,
+    relays: totals.map(total => ({ ...total, onMinutes: Math.round(total.onMinutes * 10) / 10 })),
+    sources: sources.map(({ kind, id, name, releId, triggers, releases }) => ({ kind, id, name, releId, triggers, releases })),
+    changes,
+    totalChanges: changeCount,
+    conflicts,
+    totalConflicts: conflictCount,
+    truncated: changeCount > changes.length || conflictCount > conflicts.length,
+    notes
+  };
+}
+
+module.exports = {
+  SimulationError,
+  LOOKBACK_MINUTES,
+  normalizeRange,
+  ReadingHistory,
+  simulate
+};
@@ -0,0 +1,138 @@
+/**
+ * Cálculo Solar sin Conexión
+ * Amanecer, mediodía solar y atardecer a partir de latitud y longitud
+ * (ecuaciones de la NOAA, precisión de uno o dos minutos)
+ * Ing. Daril Díaz - 2024
+ */
+
+const SOLAR_EVENTS = {
+  sunrise: 'Amanecer',
+  solarNoon: 'Mediodía solar',
+  sunset: 'Atardecer'
+};
+
+// Altura del sol al amanecer y atardecer: refracción atmosférica y radio del disco solar
+const HORIZON_ZENITH = 90.833;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Día del año (1 = 1 de enero) de una fecha del calendario
+ */
+function dayOfYear(year, month, day) {
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000) + 1;
+}
+
+/**
+ * Amanecer, mediodía solar y atardecer de una fecha del calendario local
+ * Devuelve instantes (Date); amanecer y atardecer son null durante el día o la noche polar
+ */
+function sunTimes(year, month, day, latitude, longitude) {
+  const daysInYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+  const gamma = 2 * Math.PI / daysInYear * (dayOfYear(year, month, day) - 1);
+
+  // Ecuación del tiempo (minutos) y declinación solar (radianes)
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  // Minutos desde la medianoche UTC de la fecha (pueden ser negativos o pasar de 1440)
+  const midnight = Date.UTC(year, month - 1, day);
+  const at = minutes => new Date(midnight + Math.round(minutes * 60000));
+  const noon = 720 - 4 * longitude - equationOfTime;
+
+  const latitudeRad = toRadians(latitude);
+  const cosHourAngle = Math.cos(toRadians(HORIZON_ZENITH)) / (Math.cos(latitudeRad) * Math.cos(declination)) -
+    Math.tan(latitudeRad) * Math.tan(declination);
+
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return { sunrise: null, solarNoon: at(noon), sunset: null };
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  return {
+    sunrise: at(noon - 4 * hourAngle),
+    solarNoon: at(noon),
+    sunset: at(noon + 4 * hourAngle)
+  };
+}
+
+/**
+ * Fecha del calendario y día de la semana de un instante en una zona horaria
+ */
+function localDate(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * Hora HH:mm de un instante en una zona horaria
+ */
+function localTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+}
+
+/**
+ * Fechas del calendario local a partir de hoy ({ year, month, day, weekday, date: 'YYYY-MM-DD' })
+ */
+function upcomingDates(from, days, timeZone) {
+  const today = localDate(from, timeZone);
+  return Array.from({ length: days }, (_, offset) => {
+    const calendar = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    return {
+      year: calendar.getUTCFullYear(),
+      month: calendar.getUTCMonth() + 1,
+      day: calendar.getUTCDate(),
+      weekday: calendar.getUTCDay(),
+      date: calendar.toISOString().slice(0, 10)
+    };
+  });
+}
+
+/**
+ * Tabla de amanecer, mediodía solar y atardecer (HH:mm locales) para los próximos días
+ */
+function solarTable({ latitude, longitude, timeZone }, from = new Date(), days = 7) {
+  return upcomingDates(from, days, timeZone).map(({ year, month, day, weekday, date }) => {
+    const times = sunTimes(year, month, day, latitude, longitude);
+    const entry = { date, weekday };
+    Object.keys(SOLAR_EVENTS).forEach(event => {
+      entry[event] = times[event] ? localTime(times[event], timeZone) : null;
+    });
+    return entry;
+  });
+}
+
+module.exports = {
+  SOLAR_EVENTS,
+  sunTimes,
+  localDate,
+  localTime,
+  upcomingDates,
+  solarTable
+};
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Auditoría
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const Database = require('./database.js');
+const AuditLog = require('./audit.js');
+const GPIOController = require('./gpio_controller.js');
+const { flush } = require('./test_helpers.js');
+
+console.log('🧾 Probando Auditoría del Sistema...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+async function testAudit() {
+    const database = new Database(':memory:');
+    await database.ready;
+    const audit = new AuditLog(database);
+
+    // Prueba 1: Registro de acciones
+    logStep('1', 'Verificando registro de acciones...');
+
+    const webContext = { actor: 'operador', userId: 2, source: 'web', ip: '192.168.1.20' };
+
+    await runTest('Registrar acción con valores antes/después', async () => {
+        const id = await audit.record(webContext, 'schedules.update', {
+            before: { 1: [] },
+            after: { 1: [{ time: '06:00', duration: 15 }] }
+        });
+        const { entries } = await audit.query({ action: 'schedules.update' });
+        return id && entries.length === 1 && entries[0].actor === 'operador' &&
+               entries[0].ipAddress === '192.168.1.20' &&
+               entries[0].after[1][0].time === '06:00' && entries[0].before[1].length === 0;
+    });
+
+    await runTest('Contexto desde petición con token de API', async () => {
+        const req = {
+            user: { id: 3, username: 'script' },
+            apiToken: { label: 'Controlador' },
+            ip: '10.0.0.5'
+        };
+        const context = AuditLog.fromRequest(req);
+        await audit.record(context, 'backup.create', { after: { backupPath: 'backups/x.db' } });
+        const { entries } = await audit.query({ source: 'api_token' });
+        return entries.length === 1 && entries[0].actor === 'script' &&
+               entries[0].details.includes('Controlador');
+    });
+
+    await runTest('Origen desconocido se registra como system', async () => {
+        await audit.record({ actor: 'x', source: 'otro' }, 'scheduler.restart');
+        const { entries } = await audit.query({ action: 'scheduler.restart' });
+        return entries[0].source === 'system';
+    });
+
+    // Prueba 2: Comandos de relés
+    logStep('2', 'Verificando auditoría de comandos de relés...');
+
+    const gpioController = new GPIOController(database);
+
+    await runTest('Comando de relé registra estado anterior y nuevo', async () => {
+        gpioController.controlRele(3, true, 'Riego manual', { ...webContext, source: 'socket' });
+        await flush(database);
+        const { entries } = await audit.query({ target: 'rele:3' });
+        return entries.length === 1 && entries[0].source === 'socket' &&
+               entries[0].before.state === false && entries[0].after.state === true &&
+               entries[0].details === 'Riego manual';
+    });
+
+    await runTest('Comando automático registrado como programador', async () => {
+        gpioController.controlRele(3, false, 'Fin de horario', AuditLog.SCHEDULER_CONTEXT);
+        await flush(database);
+        const { entries, total } = await audit.query({ target: 'rele:3', source: 'scheduler' });
+        return total === 1 && entries[0].actor === 'Programador' && entries[0].after.state === false;
+    });
+
+    // Prueba 3: Filtros
+    logStep('3', 'Verificando filtros de consulta...');
+
+    await runTest('Filtro por prefijo de acción y actor', async () => {
+        const byPrefix = await audit.query({ action: 'rele.' });
+        const byActor = await audit.query({ actor: 'operador' });
+        return byPrefix.total === 2 && byActor.total === 2;
+    });
+
+    await runTest('Filtro por rango de fechas', async () => {
+        const future = await audit.query({ from: new Date(Date.now() + 3600000).toISOString() });
+        const past = await audit.query({ to: new Date(Date.now() + 3600000).toISOString() });
+        return future.total === 0 && past.total > 0;
+    });
+
+    await runTest('Paginación con limit y offset', async () => {
+        const all = await audit.query({});
+        const page = await audit.query({ limit: 2, offset: 1 });
+        return page.entries.length === 2 && page.total === all.total &&
+               page.entries[0].id === all.entries[1].id;
+    });
+
+    // Prueba 4: Horarios y condiciones
+    logStep('4', 'Verificando lectura de horarios y condiciones para valores antes/después...');
+
+    await runTest('Guardar y leer horarios', async () => {
+        await database.saveSchedules({ 1: [{ time: '06:00', duration: 15, days: [1, 3, 5], enabled: true }] });
+        const schedules = await database.getSchedules();
+        return schedules[1].length === 1 && schedules[1][0].days.length === 3 && schedules[2].length === 0;
+    });
+
+    await runTest('Guardar y leer condiciones', async () => {
+        await database.saveConditions({ 1: { tempMax: 28, tempTime: 30 }, 4: { tempMin: 15 } });
+        const conditions = await database.getConditions();
+        return conditions[1].tempMax.value === 28 && conditions[4].tempMin.value === 15;
+    });
+
+    database.close();
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE AUDITORÍA', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testAudit();
+}
+
+module.exports = { testAudit };
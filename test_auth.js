@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Autenticación
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Database = require('./database.js');
+const AuthManager = require('./auth.js');
+const config = require('./config.js');
+const totp = require('./totp.js');
+
+console.log('🔐 Probando Autenticación del Sistema...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+// Base de datos con la tabla users anterior a los roles y los usuarios indicados
+function createLegacyUsers(file, usernames) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file);
+        db.serialize(() => {
+            db.run(`CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                first_name TEXT,
+                last_name TEXT,
+                email TEXT,
+                phone TEXT,
+                bio TEXT,
+                timezone TEXT,
+                language TEXT DEFAULT 'es',
+                failed_attempts INTEGER DEFAULT 0,
+                locked_until INTEGER DEFAULT 0,
+                last_login DATETIME,
+                password_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            usernames.forEach(username => db.run('INSERT INTO users (username, password_hash) VALUES (?, ?)', [username, 'x']));
+            db.close(err => (err ? reject(err) : resolve()));
+        });
+    });
+}
+
+// Roles de cada usuario tras abrir una base de datos anterior a los roles
+async function upgradedRoles(usernames) {
+    const file = path.join(os.tmpdir(), `hidro_roles_${process.pid}_${Date.now()}.db`);
+    await createLegacyUsers(file, usernames);
+
+    const upgraded = new Database(file);
+    await upgraded.ready;
+    const roles = {};
+    (await upgraded.getUsers()).forEach(user => { roles[user.username] = user.role; });
+    upgraded.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.rmSync(file, { force: true });
+    return roles;
+}
+
+async function testAuth() {
+    const database = new Database(':memory:');
+    const auth = new AuthManager(database);
+    await database.ready;
+
+    // Prueba 1: Hash de contraseñas
+    logStep('1', 'Verificando hash de contraseñas...');
+
+    await runTest('Hash no contiene la contraseña en claro', async () => {
+        const hash = await auth.hashPassword('secreto123');
+        return hash.startsWith('scrypt$') && !hash.includes('secreto123');
+    });
+
+    await runTest('Verificación de contraseña correcta e incorrecta', async () => {
+        const hash = await auth.hashPassword('secreto123');
+        return await auth.verifyPassword('secreto123', hash) &&
+               !(await auth.verifyPassword('otra-clave', hash));
+    });
+
+    // Prueba 2: Inicio de sesión
+    logStep('2', 'Verificando inicio de sesión...');
+
+    await auth.createUser({ username: 'operador', password: 'secreto123' });
+
+    let token = null;
+
+    await runTest('Login con credenciales válidas', async () => {
+        const result = await auth.login('operador', 'secreto123', { ip: '127.0.0.1' });
+        token = result.token;
+        return token && result.user.username === 'operador' && !result.user.password_hash;
+    });
+
+    await runTest('Sesión válida tras el login', async () => {
+        const session = await auth.validateSession(token);
+        return session && session.user.username === 'operador';
+    });
+
+    await runTest('Login con contraseña incorrecta rechazado', async () => {
+        try {
+            await auth.login('operador', 'incorrecta');
+            return false;
+        } catch (error) {
+            return error instanceof AuthManager.AuthError && error.status === 401;
+        }
+    });
+
+    // Prueba 3: Expiración y cierre de sesión
+    logStep('3', 'Verificando expiración de sesiones...');
+
+    await runTest('Sesión expirada por inactividad', async () => {
+        const expired = await auth.login('operador', 'secreto123');
+        const session = await database.getSessionByTokenHash(auth.hashToken(expired.token));
+        await database.touchSession(session.id, Date.now() - config.security.sessionTimeout - 1000);
+        return (await auth.validateSession(expired.token)) === null;
+    });
+
+    await runTest('Logout revoca la sesión', async () => {
+        await auth.logout(token);
+        return (await auth.validateSession(token)) === null;
+    });
+
+    await runTest('Un socket conectado pierde la sesión al cerrarla', async () => {
+        const login = await auth.login('operador', 'secreto123');
+        const socket = { handshake: { headers: { cookie: `${config.security.sessionCookieName}=${login.token}` }, auth: {} } };
+        const connected = await auth.revalidateSocket(socket) && socket.user.username === 'operador';
+        await auth.logout(login.token);
+        return connected && !(await auth.revalidateSocket(socket));
+    });
+
+    // Prueba 4: Bloqueo por intentos fallidos
+    logStep('4', 'Verificando bloqueo por intentos fallidos...');
+
+    await runTest(`Bloqueo tras ${config.security.maxLoginAttempts} intentos fallidos`, async () => {
+        await auth.createUser({ username: 'bloqueado', password: 'secreto123' });
+
+        let lastError = null;
+        for (let i = 0; i < config.security.maxLoginAttempts; i++) {
+            try {
+                await auth.login('bloqueado', 'incorrecta');
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        const user = await database.getUserByUsername('bloqueado');
+        return lastError.status === 423 && user.locked_until > Date.now();
+    });
+
+    await runTest('Cuenta bloqueada rechaza la contraseña correcta', async () => {
+        try {
+            await auth.login('bloqueado', 'secreto123');
+            return false;
+        } catch (error) {
+            return error.status === 423;
+        }
+    });
+
+    // Prueba 5: Cambio de contraseña
+    logStep('5', 'Verificando cambio de contraseña...');
+
+    await runTest('Cambio de contraseña con la actual correcta', async () => {
+        const user = await database.getUserByUsername('operador');
+        await auth.changePassword(user.id, 'secreto123', 'nueva-clave-456');
+        const result = await auth.login('operador', 'nueva-clave-456');
+        return result.token !== null;
+    });
+
+    await runTest('Contraseña corta rechazada', async () => {
+        const user = await database.getUserByUsername('operador');
+        try {
+            await auth.changePassword(user.id, 'nueva-clave-456', 'corta');
+            return false;
+        } catch (error) {
+            return error.status === 400;
+        }
+    });
+
+    // Prueba 6: Roles y permisos
+    logStep('6', 'Verificando roles y permisos...');
+
+    await runTest('Jerarquía de roles viewer < operator < admin', async () => {
+        const viewer = { role: 'viewer' };
+        const operator = { role: 'operator' };
+        const admin = { role: 'admin' };
+        return !auth.hasRole(viewer, 'operator') &&
+               auth.hasRole(operator, 'operator') && !auth.hasRole(operator, 'admin') &&
+               auth.hasRole(admin, 'operator') && auth.hasRole(admin, 'admin') &&
+               !auth.hasRole(null, 'viewer');
+    });
+
+    await runTest('Rol inválido rechazado', async () => {
+        try {
+            await auth.createUser({ username: 'intruso', password: 'secreto123', role: 'root' });
+            return false;
+        } catch (error) {
+            return error.status === 400;
+        }
+    });
+
+    await runTest('No se puede quitar el último administrador', async () => {
+        const adminId = await auth.createUser({ username: 'jefe', password: 'secreto123', role: 'admin' });
+        try {
+            await auth.updateUserRole(adminId, 'viewer');
+            return false;
+        } catch (error) {
+            return error.status === 400;
+        }
+    });
+
+    await runTest('Al agregar los roles se promueve al administrador por defecto', async () => {
+        const roles = await upgradedRoles(['operador', config.security.defaultAdmin, 'invitado']);
+        return roles[config.security.defaultAdmin] === 'admin' && roles.operador === 'viewer' && roles.invitado === 'viewer';
+    });
+
+    await runTest('Sin administrador por defecto se promueve al usuario más antiguo', async () => {
+        const roles = await upgradedRoles(['fundador', 'invitado']);
+        return roles.fundador === 'admin' && roles.invitado === 'viewer';
+    });
+
+    await runTest('Middleware requireRole responde 403 a un viewer', async () => {
+        let status = null;
+        const req = { user: { role: 'viewer' }, path: '/api/rele/control' };
+        const res = {
+            status(code) { status = code; return this; },
+            json() { return this; }
+        };
+        auth.requireRole('operator')(req, res, () => { status = 200; });
+        return status === 403;
+    });
+
+    // Prueba 7: TOTP (RFC 6238)
+    logStep('7', 'Verificando generación de códigos TOTP...');
+
+    await runTest('Vector de prueba RFC 6238 (T=59s)', async () => {
+        const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+        return totp.generateHOTP(secret, totp.getTimeStep(59000), 8) === '94287082' &&
+               totp.generateTOTP(secret, 59000) === '287082';
+    });
+
+    await runTest('Base32 ida y vuelta', async () => {
+        const secret = totp.generateSecret();
+        return totp.base32Encode(totp.base32Decode(secret)) === secret && secret.length === 32;
+    });
+
+    await runTest('Tolerancia de ±1 paso de tiempo', async () => {
+        const secret = totp.generateSecret();
+        const now = Date.now();
+        const previous = totp.generateTOTP(secret, now - 30000);
+        const old = totp.generateTOTP(secret, now - 90000);
+        return totp.verifyTOTP(secret, previous, now) !== null &&
+               totp.verifyTOTP(secret, old, now) === null;
+    });
+
+    // Prueba 8: Autenticación en dos pasos
+    logStep('8', 'Verificando autenticación en dos pasos...');
+
+    await auth.createUser({ username: 'doble', password: 'secreto123' });
+    const mfaUser = await database.getUserByUsername('doble');
+    let recoveryCodes = [];
+    let secret = null;
+
+    await runTest('Activación requiere código válido', async () => {
+        const setup = await auth.setupTwoFactor(mfaUser.id);
+        secret = setup.secret;
+        try {
+            await auth.enableTwoFactor(mfaUser.id, '000000');
+            return false;
+        } catch (error) {
+            return error.status === 400 && setup.qrCode.startsWith('data:image/png;base64,') &&
+                   setup.uri.startsWith('otpauth://totp/');
+        }
+    });
+
+    await runTest('Activación con el primer código genera códigos de recuperación', async () => {
+        // Usar el código del paso anterior para que el login pueda usar el actual
+        recoveryCodes = await auth.enableTwoFactor(mfaUser.id, totp.generateTOTP(secret, Date.now() - 30000));
+        const status = await auth.getTwoFactorStatus(mfaUser.id);
+        return status.enabled && recoveryCodes.length === config.security.recoveryCodeCount &&
+               status.recoveryCodesRemaining === recoveryCodes.length;
+    });
+
+    await runTest('Login con 2FA devuelve sesión pendiente no válida', async () => {
+        const result = await auth.login('doble', 'secreto123');
+        return result.mfaRequired && (await auth.validateSession(result.token)) === null &&
+               (await auth.getPendingChallenge(result.token)) !== null;
+    });
+
+    await runTest('Segundo paso con código TOTP completa el login', async () => {
+        const pending = await auth.login('doble', 'secreto123');
+        const result = await auth.completeTwoFactor(pending.token, totp.generateTOTP(secret));
+        const session = await auth.validateSession(result.token);
+        return result.method === 'totp' && session && session.user.username === 'doble' &&
+               (await auth.getPendingChallenge(pending.token)) === null;
+    });
+
+    await runTest('Código TOTP reutilizado rechazado', async () => {
+        const pending = await auth.login('doble', 'secreto123');
+        try {
+            await auth.completeTwoFactor(pending.token, totp.generateTOTP(secret));
+            return false;
+        } catch (error) {
+            return error.status === 401;
+        }
+    });
+
+    await runTest('Código de recuperación de un solo uso', async () => {
+        const first = await auth.login('doble', 'secreto123');
+        const result = await auth.completeTwoFactor(first.token, recoveryCodes[0].toLowerCase());
+
+        const second = await auth.login('doble', 'secreto123');
+        try {
+            await auth.completeTwoFactor(second.token, recoveryCodes[0]);
+            return false;
+        } catch (error) {
+            const status = await auth.getTwoFactorStatus(mfaUser.id);
+            return result.method === 'recovery' &&
+                   status.recoveryCodesRemaining === recoveryCodes.length - 1;
+        }
+    });
+
+    await runTest('Desafío 2FA expirado rechazado', async () => {
+        const pending = await auth.login('doble', 'secreto123');
+        const session = await database.getSessionByTokenHash(auth.hashToken(pending.token));
+        await database.touchSession(session.id, Date.now() - config.security.twoFactorChallengeTimeout - 1000);
+        return (await auth.getPendingChallenge(pending.token)) === null;
+    });
+
+    await runTest('Desactivar 2FA requiere contraseña y código', async () => {
+        try {
+            await auth.disableTwoFactor(mfaUser.id, 'incorrecta', recoveryCodes[1]);
+            return false;
+        } catch (error) {
+            await auth.disableTwoFactor(mfaUser.id, 'secreto123', recoveryCodes[1]);
+            const result = await auth.login('doble', 'secreto123');
+            return error.status === 400 && !result.mfaRequired;
+        }
+    });
+
+    // Prueba 9: Tokens de API
+    logStep('9', 'Verificando tokens de API...');
+
+    const tokenOwner = await database.getUserById(
+        await auth.createUser({ username: 'script', password: 'secreto123', role: 'operator' })
+    );
+    let apiToken = null;
+
+    await runTest('Crear token con alcances y validar', async () => {
+        apiToken = await auth.createApiToken(tokenOwner.id, 'Controlador', ['sensors:read', 'relays:control']);
+        const result = await auth.validateApiToken(apiToken.token, { ip: '10.0.0.5' });
+        const stored = await database.getApiTokenByHash(auth.hashToken(apiToken.token));
+        return result.user.username === 'script' && result.apiToken.scopes.length === 2 &&
+               !stored.token_hash.includes(apiToken.token);
+    });
+
+    await runTest('Último uso registrado en el listado', async () => {
+        const tokens = await auth.getApiTokens(tokenOwner.id);
+        return tokens.length === 1 && tokens[0].label === 'Controlador' &&
+               tokens[0].lastUsed !== null && tokens[0].lastIp === '10.0.0.5';
+    });
+
+    await runTest('Alcance superior al rol del usuario rechazado', async () => {
+        try {
+            await auth.createApiToken(tokenOwner.id, 'Admin', ['system:admin']);
+            return false;
+        } catch (error) {
+            return error.status === 403;
+        }
+    });
+
+    await runTest('Middleware limita las rutas según el alcance', async () => {
+        const rules = [
+            ['GET', '/api/sensors/current', 'sensors:read'],
+            ['POST', '/api/backup', 'system:admin']
+        ];
+        const check = (method, path, token) => {
+            let status = 200;
+            const req = { method, path, apiToken: token };
+            const res = {
+                status(code) { status = code; return this; },
+                json() { return this; }
+            };
+            auth.requireTokenScope(rules)(req, res, () => {});
+            return status;
+        };
+        const scoped = { scopes: ['sensors:read'] };
+        return check('GET', '/api/sensors/current', scoped) === 200 &&
+               check('POST', '/api/backup', scoped) === 403 &&
+               check('GET', '/api/users', scoped) === 403 &&
+               check('GET', '/api/users', undefined) === 200;
+    });
+
+    await runTest('Token revocado deja de ser válido', async () => {
+        await auth.revokeApiToken(tokenOwner.id, apiToken.id);
+        const socket = { handshake: { headers: {}, auth: { token: apiToken.token } } };
+        return (await auth.validateApiToken(apiToken.token)) === null &&
+               (await auth.getApiTokens(tokenOwner.id)).length === 0 &&
+               !(await auth.revalidateSocket(socket));
+    });
+
+    await runTest('Cabecera Authorization: Bearer', async () => {
+        return auth.getBearerToken('Bearer hid_abc123') === 'hid_abc123' &&
+               auth.getBearerToken('Basic dXNlcjpwYXNz') === null;
+    });
+
+    database.close();
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE AUTENTICACIÓN', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testAuth();
+}
+
+module.exports = { testAuth };
@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Condiciones
+ * Umbrales de encendido y apagado (histéresis), tiempo de confirmación,
+ * espera entre disparos y estado por condición en el programador
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { normalizeRelays } = require('./relays.js');
+const {
+    ConditionError,
+    parseConditionType,
+    conditionType,
+    normalizeCondition,
+    normalizeConditionGroups,
+    initialConditionState,
+    advanceCondition,
+    describeCondition
+} = require('./conditions.js');
+const { wait, flush, expectError } = require('./test_helpers.js');
+
+console.log('🌡️ Probando Condiciones...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectConditionError = (action, text) => expectError(action, ConditionError, { text });
+
+const RELAYS = [
+    { pin: 5, name: 'Ventilador', type: 'fan' },
+    { pin: 6, name: 'Humidificador', type: 'generic' }
+];
+
+const MINUTE = 60 * 1000;
+
+// Aplicar una serie de lecturas [minuto, valor] y devolver los eventos con su minuto
+function replay(condition, readings) {
+    let state = initialConditionState();
+    const events = [];
+    readings.forEach(([minute, value]) => {
+        const result = advanceCondition(state, condition, value, minute * MINUTE);
+        state = result.state;
+        if (result.event) {
+            events.push(`${minute}:${result.event}`);
+        }
+    });
+    return { state, events };
+}
+
+async function testConditions() {
+    const relays = normalizeRelays({ relays: RELAYS });
+
+    // Prueba 1: Modelo de condición
+    logStep('1', 'Verificando el modelo de condición...');
+
+    await runTest('Tipos de condición con métrica y operador', () => {
+        const temp = parseConditionType('tempMax');
+        const ph = parseConditionType('phMin');
+        return temp.metric === 'temperature' && temp.operator === '>' &&
+            ph.metric === 'ph' && ph.operator === '<' && parseConditionType('temperature') === null &&
+            conditionType('temperature', '>') === 'tempMax' && conditionType('humidity', '<') === 'humidityMin';
+    });
+
+    await runTest('Umbral solo, sin histéresis ni esperas', () => {
+        const condition = normalizeCondition('tempMax', 28);
+        return condition.value === 28 && condition.offValue === 28 && condition.duration === 0 &&
+            condition.dwellMinutes === 0 && condition.cooldownMinutes === 0 && condition.enabled === true &&
+            condition.sensorId === null && condition.sequenceId === null;
+    });
+
+    await runTest('Condición completa con umbral de apagado', () => {
+        const condition = normalizeCondition('humidityMin', {
+            value: '40', offValue: 55, duration: 5, dwellMinutes: 2, cooldownMinutes: 10, sensorId: 'dht11', enabled: false
+        });
+        return condition.metric === 'humidity' && condition.operator === '<' && condition.value === 40 &&
+            condition.offValue === 55 && condition.duration === 5 && condition.dwellMinutes === 2 &&
+            condition.cooldownMinutes === 10 && condition.sensorId === 'dht11' && condition.enabled === false &&
+            describeCondition(condition) === 'humidity < 40 (hasta 55)';
+    });
+
+    await runTest('Rechazar condiciones inválidas', () => {
+        return expectConditionError(() => normalizeCondition('temperature', 28), 'tipo de condición desconocido') &&
+            expectConditionError(() => normalizeCondition('tempMax', { value: 'x' }), 'umbral inválido') &&
+            expectConditionError(() => normalizeCondition('tempMax', { value: 28, offValue: 30 }), 'menor o igual') &&
+            expectConditionError(() => normalizeCondition('humidityMin', { value: 40, offValue: 35 }), 'mayor o igual') &&
+            expectConditionError(() => normalizeCondition('tempMax', { value: 28, dwellMinutes: -1 }), 'tiempo de confirmación fuera de rango') &&
+            expectConditionError(() => normalizeCondition('tempMax', { value: 28, cooldownMinutes: 1.5 }), 'espera entre disparos fuera de rango');
+    });
+
+    await runTest('Formato anterior con duración y secuencia del relé', () => {
+        const grouped = normalizeConditionGroups({ 1: { tempMax: 30, tempTime: 20, sequenceId: 4 }, 2: { humidityMin: { value: 40 } } }, relays);
+        return grouped[1].tempMax.duration === 20 && grouped[1].tempMax.sequenceId === 4 &&
+            grouped[2].humidityMin.duration === 0 && Object.keys(grouped[1]).length === 1 &&
+            expectConditionError(() => normalizeConditionGroups({ 1: [] }, relays), 'deben ser un objeto');
+    });
+
+    // Prueba 2: Estado de la condición
+    logStep('2', 'Verificando histéresis, confirmación y espera...');
+
+    const fan = normalizeCondition('tempMax', { value: 28, offValue: 26 });
+
+    await runTest('Lecturas repetidas sobre el umbral disparan una sola vez', () => {
+        const { state, events } = replay(fan, [[0, 29], [1, 30], [2, 29.5], [3, 31]]);
+        return events.join(',') === '0:trigger' && state.active === true;
+    });
+
+    await runTest('Histéresis: sigue encendido entre los dos umbrales', () => {
+        const { state, events } = replay(fan, [[0, 29], [1, 27.9], [2, 27], [3, 28.5], [4, 26], [5, 27], [6, 28.1]]);
+        return events.join(',') === '0:trigger,4:release,6:trigger' && state.active === true;
+    });
+
+    await runTest('Sin histéresis se libera al volver al umbral', () => {
+        const { events } = replay(normalizeCondition('tempMax', 28), [[0, 28.5], [1, 28], [2, 28.2]]);
+        return events.join(',') === '0:trigger,1:release,2:trigger';
+    });
+
+    await runTest('Confirmación: el cruce debe sostenerse', () => {
+        const dwell = normalizeCondition('tempMax', { value: 28, offValue: 26, dwellMinutes: 3 });
+        const { events } = replay(dwell, [[0, 29], [2, 29], [3, 27], [4, 29], [6, 29], [7, 29], [8, 25], [10, 25], [11, 25]]);
+        return events.join(',') === '7:trigger,11:release';
+    });
+
+    await runTest('Espera mínima entre disparos', () => {
+        const cooldown = normalizeCondition('humidityMin', { value: 40, cooldownMinutes: 10 });
+        const { events } = replay(cooldown, [[0, 35], [2, 45], [3, 35], [9, 35], [10, 35], [11, 45]]);
+        return events.join(',') === '0:trigger,2:release,10:trigger,11:release';
+    });
+
+    await runTest('Con duración fija vuelve a dispararse si la condición persiste', () => {
+        const pulse = normalizeCondition('humidityMin', { value: 40, duration: 5, cooldownMinutes: 15 });
+        const { events } = replay(pulse, [[0, 35], [4, 35], [5, 35], [10, 35], [15, 35]]);
+        return events.join(',') === '0:trigger,5:expire,15:trigger';
+    });
+
+    const originalRelays = config.gpio.relays;
+    config.gpio.relays = RELAYS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    // Prueba 3: Base de datos
+    logStep('3', 'Verificando condiciones guardadas...');
+
+    await runTest('Condiciones agrupadas por relé y tipo con sus umbrales', async () => {
+        await database.saveConditions(normalizeConditionGroups({
+            1: { tempMax: { value: 28, offValue: 26, dwellMinutes: 2, cooldownMinutes: 5 } },
+            2: { humidityMin: { value: 40, offValue: 55, duration: 3, enabled: false } }
+        }, relays));
+        const conditions = await database.getConditions(RELAYS.length);
+        const tempMax = conditions[1].tempMax;
+        return tempMax.offValue === 26 && tempMax.dwellMinutes === 2 && tempMax.cooldownMinutes === 5 &&
+            tempMax.operator === '>' && tempMax.metric === 'temperature' &&
+            conditions[2].humidityMin.enabled === false && conditions[2].humidityMin.duration === 3;
+    });
+
+    await runTest('Condiciones activas con relé y operador', async () => {
+        const active = await database.getActiveConditions();
+        return active.length === 1 && active[0].releId === 1 && active[0].type === 'tempMax' && active[0].operator === '>';
+    });
+
+    await runTest('Filas anteriores sin umbral de apagado usan el de encendido', async () => {
+        await new Promise(resolve => database.db.run(
+            "INSERT INTO conditions (releId, condition_type, value, duration, enabled) VALUES (2, 'humidityMin', 45, 15, 1)",
+            resolve
+        ));
+        const [, legacy] = await database.getActiveConditions();
+        return legacy.type === 'humidityMin' && legacy.operator === '<' && legacy.metric === 'humidity' &&
+            legacy.offValue === 45 && legacy.dwellMinutes === 0 && legacy.duration === 15;
+    });
+
+    await runTest('Guardar rechaza condiciones inválidas sin borrar las actuales', async () => {
+        let rejected = false;
+        try {
+            await database.saveConditions({ 1: { tempMax: { value: 28, offValue: 30 } } });
+        } catch (error) {
+            rejected = error instanceof ConditionError;
+        }
+        return rejected && (await database.getActiveConditions()).length === 2;
+    });
+
+    // Prueba 4: Programador
+    logStep('4', 'Verificando condiciones en el programador...');
+
+    await database.saveConditions({ 1: { tempMax: { value: 28, offValue: 26, dwellMinutes: 2 } } });
+
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const scheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    let reading = 25;
+    controller.sensors.getLatest = () => reading;
+    const [entry] = [...scheduler.activeConditions.values()];
+    const start = Date.now();
+    const evaluate = async (value, minute) => {
+        reading = value;
+        await scheduler.evaluateCondition(entry, start + minute * MINUTE);
+    };
+
+    await runTest('No actúa hasta sostener el cruce', async () => {
+        await evaluate(29, 0);
+        await evaluate(29, 1);
+        const status = scheduler.getStatus().conditions[0];
+        return controller.getReleState(1) === false && status.active === false && status.pendingSince !== null && status.value === 29;
+    });
+
+    await runTest('Enciende una sola vez sin acumular temporizadores', async () => {
+        await evaluate(29, 2);
+        await evaluate(30, 3);
+        await evaluate(29, 4);
+        const triggers = (await database.getSystemLogs(100)).filter(log => log.message.includes(`Condición ${entry.condition.id} ejecutada`));
+        return controller.getReleState(1) === true && controller.timedRuns[0] === null && triggers.length === 1 &&
+            scheduler.getStatus().conditions[0].active === true;
+    });
+
+    await runTest('Sigue encendido dentro de la histéresis y se apaga al umbral de apagado', async () => {
+        await evaluate(27, 5);
+        await evaluate(27, 8);
+        const held = controller.getReleState(1) === true;
+        await evaluate(25.5, 9);
+        await evaluate(25.5, 11);
+        return held && controller.getReleState(1) === false && scheduler.getStatus().conditions[0].active === false;
+    });
+
+    await runTest('Recargar conserva el estado y apaga lo que mantenía una condición eliminada', async () => {
+        await evaluate(29, 12);
+        await evaluate(29, 14);
+        const active = controller.getReleState(1) === true;
+        await scheduler.reloadConditions();
+        const kept = [...scheduler.activeConditions.values()][0].state.active === true;
+        await database.saveConditions({});
+        await scheduler.reloadConditions();
+        return active && kept && scheduler.activeConditions.size === 0 && controller.getReleState(1) === false;
+    });
+
+    await runTest('Reiniciar conserva el estado y detener apaga lo que mantenía una condición', async () => {
+        await database.saveConditions({ 1: { tempMax: { value: 28, offValue: 26, dwellMinutes: 2 } } });
+        await scheduler.reloadConditions();
+        const [current] = [...scheduler.activeConditions.values()];
+        reading = 29;
+        await scheduler.evaluateCondition(current, start + 20 * MINUTE);
+        await scheduler.evaluateCondition(current, start + 22 * MINUTE);
+        const active = controller.getReleState(1) === true;
+
+        await scheduler.restart();
+        const kept = [...scheduler.activeConditions.values()][0].state.active === true && controller.getReleState(1) === true;
+
+        scheduler.stop();
+        await flush(database);
+        return active && kept && controller.getReleState(1) === false;
+    });
+
+    scheduler.stop();
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE CONDICIONES', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testConditions();
+}
+
+module.exports = { testConditions };
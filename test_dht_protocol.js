@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba del Protocolo DHT11 / DHT22
+ * Decodificación de tramas de pulsos sin hardware
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const {
+    DHTError,
+    decodePulses,
+    verifyChecksum,
+    parseFrame,
+    decodeReading
+} = require('./dht_protocol.js');
+const DHT11Sensor = require('./dht11_sensor.js');
+
+console.log('🌡️  Probando Protocolo DHT11 / DHT22...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+/**
+ * Generar el tren de pulsos que produce el sensor para una trama
+ * Incluye la espera tras liberar la línea, la respuesta, los 40 bits y
+ * una variación determinista de ±4µs como la de una captura real
+ */
+function pulseTrain(bytes) {
+    let seed = bytes.reduce((sum, byte) => sum + byte, 7);
+    const jitter = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return (seed % 9) - 4;
+    };
+
+    const pulses = [
+        { level: 1, duration: 30 + jitter() },
+        { level: 0, duration: 80 + jitter() },
+        { level: 1, duration: 80 + jitter() }
+    ];
+
+    for (const byte of bytes) {
+        for (let bit = 7; bit >= 0; bit--) {
+            pulses.push({ level: 0, duration: 50 + jitter() });
+            pulses.push({ level: 1, duration: ((byte >> bit) & 1 ? 70 : 27) + jitter() });
+        }
+    }
+
+    pulses.push({ level: 0, duration: 50 + jitter() });
+    return pulses;
+}
+
+/**
+ * E/S de pines que reproduce capturas grabadas en orden
+ */
+class ReplayPinIO {
+    constructor(captures) {
+        this.captures = captures.slice();
+        this.startSignals = [];
+        this.sleeps = [];
+        this.opened = false;
+    }
+
+    open() {
+        this.opened = true;
+    }
+
+    sendStartSignal(pin, lowMs) {
+        this.startSignals.push(lowMs);
+    }
+
+    capturePulses() {
+        return this.captures.shift() || [];
+    }
+
+    sleep(ms) {
+        this.sleeps.push(ms);
+    }
+
+    close() {
+        this.opened = false;
+    }
+}
+
+function expectError(fn, code) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return error instanceof DHTError && error.code === code;
+    }
+}
+
+// Tramas de referencia
+const DHT11_FRAME = [55, 0, 24, 3, 82];           // 55.0%, 24.3°C
+const DHT22_FRAME = [0x02, 0x8c, 0x80, 0x65, 0x73]; // 65.2%, -10.1°C
+
+async function testDHTProtocol() {
+    // Prueba 1: Decodificación de tramas
+    logStep('1', 'Verificando decodificación de tramas...');
+
+    await runTest('Decodificar 40 bits de un tren de pulsos', () => {
+        const bytes = decodePulses(pulseTrain(DHT11_FRAME));
+        return JSON.stringify(bytes) === JSON.stringify(DHT11_FRAME);
+    });
+
+    await runTest('Ignorar pulsos previos a la respuesta del sensor', () => {
+        const pulses = [{ level: 0, duration: 12 }, { level: 1, duration: 5 }, ...pulseTrain(DHT11_FRAME)];
+        return JSON.stringify(decodePulses(pulses)) === JSON.stringify(DHT11_FRAME);
+    });
+
+    await runTest('Verificar checksum', () => {
+        return verifyChecksum(DHT11_FRAME) && !verifyChecksum([55, 0, 24, 3, 83]);
+    });
+
+    await runTest('Checksum con desbordamiento de 8 bits', () => {
+        return verifyChecksum(DHT22_FRAME);
+    });
+
+    // Prueba 2: Conversión de valores
+    logStep('2', 'Verificando conversión de valores...');
+
+    await runTest('DHT11: humedad y temperatura con decimal', () => {
+        const reading = decodeReading(pulseTrain(DHT11_FRAME), 'DHT11');
+        return reading.humidity === 55 && reading.temperature === 24.3;
+    });
+
+    await runTest('DHT11: temperatura negativa (bit de signo)', () => {
+        const reading = parseFrame([40, 0, 2, 0x85, 0], 'DHT11');
+        return reading.temperature === -2.5;
+    });
+
+    await runTest('DHT22: valores de 16 bits con temperatura negativa', () => {
+        const reading = decodeReading(pulseTrain(DHT22_FRAME), 'DHT22');
+        return reading.humidity === 65.2 && reading.temperature === -10.1;
+    });
+
+    await runTest('Rechazar tipo de sensor desconocido', () => {
+        return expectError(() => parseFrame(DHT11_FRAME, 'DHT99'), 'UNSUPPORTED_TYPE');
+    });
+
+    // Prueba 3: Errores de comunicación
+    logStep('3', 'Verificando errores de comunicación...');
+
+    await runTest('Sin respuesta del sensor', () => {
+        return expectError(() => decodePulses([]), 'NO_RESPONSE') &&
+            expectError(() => decodePulses([{ level: 1, duration: 200 }]), 'NO_RESPONSE');
+    });
+
+    await runTest('Trama incompleta', () => {
+        const pulses = pulseTrain(DHT11_FRAME).slice(0, 60);
+        return expectError(() => decodePulses(pulses), 'INCOMPLETE_FRAME');
+    });
+
+    await runTest('Bit alterado produce error de checksum', () => {
+        const pulses = pulseTrain(DHT11_FRAME);
+        // Convertir el último bit de humedad (0) en 1
+        pulses[3 + 15 * 2 + 1].duration = 72;
+        return expectError(() => decodeReading(pulses, 'DHT11'), 'CHECKSUM');
+    });
+
+    // Prueba 4: Lectura completa con E/S de pines simulada
+    logStep('4', 'Verificando lectura del sensor con capturas grabadas...');
+
+    await runTest('Lectura correcta en el primer intento', () => {
+        const pinIO = new ReplayPinIO([pulseTrain(DHT11_FRAME)]);
+        const sensor = new DHT11Sensor(17, { type: 'DHT11', pinIO });
+        const reading = sensor.read();
+
+        return pinIO.opened && !sensor.simulationMode &&
+            reading.temperature === 24.3 && reading.humidity === 55 &&
+            pinIO.startSignals[0] === 18 && sensor.lastAttempts === 1;
+    });
+
+    await runTest('Reintento tras error de checksum', () => {
+        const corrupted = pulseTrain(DHT22_FRAME);
+        corrupted[3 + 2 * 2 + 1].duration = 70;
+
+        const pinIO = new ReplayPinIO([corrupted, pulseTrain(DHT22_FRAME)]);
+        const sensor = new DHT11Sensor(17, { type: 'DHT22', pinIO });
+        const reading = sensor.read();
+
+        return reading.temperature === -10.1 && sensor.lastAttempts === 2 &&
+            pinIO.startSignals.length === 2 && pinIO.startSignals[0] === 1 &&
+            pinIO.sleeps.length === 1 && pinIO.sleeps[0] === 2000;
+    });
+
+    await runTest('Error reportado tras agotar los intentos', () => {
+        const pinIO = new ReplayPinIO([]);
+        const sensor = new DHT11Sensor(17, { pinIO, retries: 2 });
+
+        try {
+            sensor.read();
+            return false;
+        } catch (error) {
+            const info = sensor.getInfo();
+            return error.code === 'NO_RESPONSE' && /2 intento/.test(error.message) &&
+                info.lastError.code === 'NO_RESPONSE' && info.errorCount === 1 &&
+                pinIO.startSignals.length === 2;
+        }
+    });
+
+    await runTest('Sin valores inventados tras un fallo', () => {
+        const pinIO = new ReplayPinIO([pulseTrain(DHT11_FRAME), []]);
+        const sensor = new DHT11Sensor(17, { pinIO, retries: 1 });
+        sensor.read();
+        sensor.lastReadTime = 0; // permitir una nueva lectura inmediata
+
+        try {
+            sensor.read();
+            return false;
+        } catch (error) {
+            return error.code === 'NO_RESPONSE';
+        }
+    });
+
+    await runTest('Liberar el pin al limpiar', () => {
+        const pinIO = new ReplayPinIO([]);
+        const sensor = new DHT11Sensor(17, { pinIO });
+        sensor.cleanup();
+        return !pinIO.opened;
+    });
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DEL PROTOCOLO DHT', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testDHTProtocol();
+}
+
+module.exports = { testDHTProtocol };
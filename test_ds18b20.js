@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba del Sensor DS18B20
+ * Lectura 1-Wire contra directorios de prueba (sin hardware)
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config.js');
+const DS18B20Sensor = require('./ds18b20_sensor.js');
+const SensorRegistry = require('./sensor_registry.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+
+const { DS18B20Error, parseW1Slave, discoverProbes, readProbe } = DS18B20Sensor;
+
+console.log('🌊 Probando Sensor DS18B20...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+async function expectError(fn, code) {
+    try {
+        await fn();
+        return false;
+    } catch (error) {
+        return error instanceof DS18B20Error && error.code === code;
+    }
+}
+
+// Contenidos de w1_slave tal como los entrega el módulo w1-therm
+function w1Slave(milliDegrees, crcOk = true) {
+    return `72 01 4b 46 7f ff 0e 10 57 : crc=57 ${crcOk ? 'YES' : 'NO'}\n` +
+        `72 01 4b 46 7f ff 0e 10 57 t=${milliDegrees}\n`;
+}
+
+const PROBE_TANK = '28-0316a2794cff';
+const PROBE_RETURN = '28-00000b1c8e4a';
+
+/**
+ * Crear un directorio con la estructura de /sys/bus/w1/devices
+ */
+function createFixture(probes) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hidro_w1_'));
+    fs.mkdirSync(path.join(dir, 'w1_bus_master1'));
+    fs.mkdirSync(path.join(dir, '00-400000000000'));
+
+    Object.entries(probes).forEach(([address, content]) => {
+        fs.mkdirSync(path.join(dir, address));
+        fs.writeFileSync(path.join(dir, address, 'w1_slave'), content);
+    });
+
+    return dir;
+}
+
+async function testDS18B20() {
+    const fixtures = [];
+    const fixture = createFixture({
+        [PROBE_TANK]: w1Slave(21437),
+        [PROBE_RETURN]: w1Slave(19062)
+    });
+    fixtures.push(fixture);
+
+    // Prueba 1: Interpretación de w1_slave
+    logStep('1', 'Verificando interpretación de w1_slave...');
+
+    await runTest('Temperatura en milésimas de grado', () => {
+        return parseW1Slave(w1Slave(23125)) === 23.1 && parseW1Slave(w1Slave(-1312)) === -1.3;
+    });
+
+    await runTest('Rechazar lectura con CRC inválido', () => {
+        return expectError(() => parseW1Slave(w1Slave(23125, false)), 'CRC');
+    });
+
+    await runTest('Rechazar valor de reinicio de 85°C', () => {
+        return expectError(() => parseW1Slave(w1Slave(85000)), 'POWER_ON_RESET');
+    });
+
+    await runTest('Rechazar contenido sin formato w1-therm', async () => {
+        return await expectError(() => parseW1Slave(''), 'FORMAT') &&
+            await expectError(() => parseW1Slave('72 01 : crc=57 YES\n72 01 sin valor'), 'FORMAT');
+    });
+
+    // Prueba 2: Descubrimiento de sondas
+    logStep('2', 'Verificando descubrimiento de sondas...');
+
+    await runTest('Detectar solo sondas de temperatura', () => {
+        return discoverProbes(fixture).join(',') === [PROBE_RETURN, PROBE_TANK].join(',');
+    });
+
+    await runTest('Directorio inexistente sin sondas', () => {
+        return discoverProbes(path.join(fixture, 'no-existe')).length === 0;
+    });
+
+    await runTest('Leer sonda por dirección', async () => {
+        return await readProbe(PROBE_TANK, fixture) === 21.4 &&
+            await expectError(() => readProbe('28-ffffffffffff', fixture), 'NOT_FOUND');
+    });
+
+    // Prueba 3: Sensor
+    logStep('3', 'Verificando sensor DS18B20...');
+
+    await runTest('Leer sonda asignada', async () => {
+        const sensor = new DS18B20Sensor(PROBE_RETURN, { devicesPath: fixture });
+        const reading = await sensor.read();
+        return !sensor.simulationMode && reading.water_temperature === 19.1;
+    });
+
+    await runTest('Sin dirección se usa la primera sonda', async () => {
+        const sensor = new DS18B20Sensor(null, { devicesPath: fixture });
+        const reading = await sensor.read();
+        return reading.water_temperature === 19.1;
+    });
+
+    await runTest('Error reportado sin sondas conectadas', async () => {
+        const empty = createFixture({});
+        fixtures.push(empty);
+        const sensor = new DS18B20Sensor(null, { devicesPath: empty });
+        const failed = await expectError(() => sensor.read(), 'NO_PROBES');
+        return failed && sensor.getInfo().lastError.code === 'NO_PROBES';
+    });
+
+    await runTest('Modo simulación sin bus 1-Wire', async () => {
+        const sensor = new DS18B20Sensor(null, { devicesPath: path.join(fixture, 'no-existe') });
+        const reading = await sensor.read();
+        return sensor.simulationMode && reading.water_temperature > 15 && reading.water_temperature < 25;
+    });
+
+    // Prueba 4: Registro de sensores
+    logStep('4', 'Verificando sondas en el registro de sensores...');
+
+    const originalPath = config.sensors.w1DevicesPath;
+    config.sensors.w1DevicesPath = fixture;
+
+    await runTest('Rechazar dirección 1-Wire inválida', () => {
+        try {
+            SensorRegistry.normalizeDefinition({ id: 'agua', type: 'ds18b20', address: 'sonda-1' });
+            return false;
+        } catch (error) {
+            return error instanceof SensorRegistry.SensorError;
+        }
+    });
+
+    await runTest('Varias sondas con nombres propios', async () => {
+        const registry = new SensorRegistry();
+        registry.add({ id: 'tanque', type: 'ds18b20', name: 'Tanque', address: PROBE_TANK });
+        registry.add({ id: 'retorno', type: 'ds18b20', name: 'Retorno', address: PROBE_RETURN });
+
+        const results = await registry.readAll();
+        return results.map(s => `${s.name}=${s.values.water_temperature}`).join(',') === 'Tanque=21.4,Retorno=19.1';
+    });
+
+    await runTest('Lecturas guardadas junto a las del DHT11', async () => {
+        const database = new Database(':memory:');
+        await database.ready;
+        const controller = new GPIOController(database);
+        await controller.sensorsReady;
+
+        await controller.saveSensor({ id: 'tanque', type: 'ds18b20', name: 'Tanque', address: PROBE_TANK });
+        await controller.readSensors();
+
+        const water = await database.getRecentReadings({ sensorId: 'tanque', metric: 'water_temperature' }, 1);
+        const ambient = await database.getRecentReadings({ sensorId: 'dht11' }, 2);
+        const latest = controller.sensors.getLatest(null, 'water_temperature');
+
+        controller.sensors.cleanup();
+        database.close();
+
+        return water[0].value === 21.4 && ambient.length === 2 && latest === 21.4;
+    });
+
+    config.sensors.w1DevicesPath = originalPath;
+    fixtures.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DEL SENSOR DS18B20', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testDS18B20();
+}
+
+module.exports = { testDS18B20 };
@@ -0,0 +1,50 @@
+/**
+ * Utilidades Compartidas de las Pruebas
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Esperar a que se completen las escrituras asíncronas en la base de datos
+function flush(database) {
+    return new Promise(resolve => database.db.get('SELECT 1', () => resolve()));
+}
+
+/**
+ * fn lanza un error de la clase indicada con ese estado HTTP y el texto en el mensaje
+ * (status: null no comprueba el estado)
+ */
+function expectError(fn, ErrorClass, { status = 400, text = '' } = {}) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return matches(error, ErrorClass, status, text);
+    }
+}
+
+/**
+ * Igual que expectError para funciones asíncronas
+ */
+async function expectAsyncError(fn, ErrorClass, { status = 400, text = '' } = {}) {
+    try {
+        await fn();
+        return false;
+    } catch (error) {
+        return matches(error, ErrorClass, status, text);
+    }
+}
+
+function matches(error, ErrorClass, status, text) {
+    return error instanceof ErrorClass && (status === null || error.status === status) && error.message.includes(text);
+}
+
+module.exports = {
+    wait,
+    flush,
+    expectError,
+    expectAsyncError
+};
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Enclavamientos entre Relés
+ * Exclusión mutua, dependencias y máximo de salidas encendidas
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const AuditLog = require('./audit.js');
+const GPIOController = require('./gpio_controller.js');
+const { RelayError } = require('./relays.js');
+const { InterlockError, normalizeInterlocks, findViolation, dependentsOf } = require('./interlocks.js');
+const { wait, expectError } = require('./test_helpers.js');
+
+console.log('🔒 Probando Enclavamientos de Relés...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+// Invernadero de prueba: llenado, vaciado, dosificadora, recirculación y dos válvulas de riego
+const RELAYS = [
+    { pin: 5, name: 'Llenado', type: 'valve' },
+    { pin: 6, name: 'Vaciado', type: 'valve' },
+    { pin: 13, name: 'Dosificadora', type: 'pump' },
+    { pin: 19, name: 'Recirculación', type: 'pump' },
+    { pin: 20, name: 'Riego A', type: 'valve' },
+    { pin: 21, name: 'Riego B', type: 'valve' }
+];
+
+const INTERLOCKS = [
+    { type: 'exclusive', name: 'Llenado/Vaciado', relays: [1, 2] },
+    { type: 'requires', relay: 3, requires: 4 },
+    { type: 'maxActive', name: 'Presión de bomba', outputType: 'valve', max: 2 }
+];
+
+async function testInterlocks() {
+    const relays = RELAYS.map((relay, index) => ({ ...relay, id: index + 1, metadata: {} }));
+    const rules = normalizeInterlocks(INTERLOCKS, relays);
+    const states = on => relays.map(relay => on.includes(relay.id));
+
+    // Prueba 1: Validación de reglas
+    logStep('1', 'Verificando validación de reglas...');
+
+    await runTest('Rechazar reglas mal definidas', () => {
+        return expectError(() => normalizeInterlocks([{ type: 'never' }], relays), RelayError, { text: 'never' }) &&
+            expectError(() => normalizeInterlocks([{ type: 'exclusive', relays: [1, 9] }], relays), RelayError, { text: '9' }) &&
+            expectError(() => normalizeInterlocks([{ type: 'exclusive', relays: [1] }], relays), RelayError) &&
+            expectError(() => normalizeInterlocks([{ type: 'requires', relay: 3, requires: [3] }], relays), RelayError) &&
+            expectError(() => normalizeInterlocks([{ type: 'maxActive', relays: [1, 2], max: 0 }], relays), RelayError) &&
+            expectError(() => normalizeInterlocks([{ type: 'maxActive', max: 1 }], relays), RelayError) &&
+            expectError(() => normalizeInterlocks({ type: 'exclusive' }, relays), RelayError);
+    });
+
+    // Prueba 2: Evaluación de reglas
+    logStep('2', 'Verificando evaluación de reglas...');
+
+    await runTest('Nunca llenado y vaciado juntos', () => {
+        const violation = findViolation(rules, 2, states([1]), relays);
+        return violation && violation.rule.type === 'exclusive' && violation.message.includes('Llenado') &&
+            findViolation(rules, 2, states([]), relays) === null;
+    });
+
+    await runTest('Dosificadora requiere recirculación', () => {
+        const violation = findViolation(rules, 3, states([]), relays);
+        return violation && violation.message.includes('Recirculación') &&
+            findViolation(rules, 3, states([4]), relays) === null &&
+            dependentsOf(rules, 4).join(',') === '3';
+    });
+
+    await runTest('Máximo de válvulas abiertas por tipo de salida', () => {
+        return findViolation(rules, 6, states([1, 5]), relays).rule.type === 'maxActive' &&
+            findViolation(rules, 6, states([5]), relays) === null &&
+            findViolation(rules, 4, states([1, 5]), relays) === null;
+    });
+
+    // Prueba 3: Controlador
+    logStep('3', 'Verificando enclavamientos en el controlador...');
+
+    const originalRelays = config.gpio.relays;
+    const originalInterlocks = config.gpio.interlocks;
+    config.gpio.relays = RELAYS;
+    config.gpio.interlocks = INTERLOCKS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+    const controller = new GPIOController(database);
+    await controller.sensorsReady;
+
+    await runTest('Configuración inválida detiene el controlador', () => {
+        config.gpio.interlocks = [{ type: 'exclusive', relays: [1, 7] }];
+        const failed = expectError(() => new GPIOController(database), RelayError, { text: '7' });
+        config.gpio.interlocks = INTERLOCKS;
+        return failed;
+    });
+
+    await runTest('Comando rechazado con error 409 sin cambiar el estado', () => {
+        controller.controlRele(1, true, 'Llenar tanque');
+        let rejected = null;
+        try {
+            controller.controlRele(2, true, 'Vaciar tanque');
+        } catch (error) {
+            rejected = error;
+        }
+        return rejected instanceof InterlockError && rejected.status === 409 &&
+            controller.getReleState(2) === false && controller.getReleState(1) === true;
+    });
+
+    await runTest('Rechazo registrado en logs y auditoría', async () => {
+        await wait(50);
+        const logs = await database.getSystemLogs(20, 'warn');
+        const audit = await new AuditLog(database).query({ action: 'rele.rejected' });
+        return logs.some(entry => entry.message.startsWith('Comando rechazado: Vaciado ON')) &&
+            audit.total === 1 && audit.entries[0].target === 'rele:2';
+    });
+
+    await runTest('Apagar nunca se bloquea y libera la regla', () => {
+        controller.controlRele(1, false, 'Fin de llenado');
+        return controller.controlRele(2, true, 'Vaciar tanque') && controller.getReleState(2) === true;
+    });
+
+    await runTest('Alternar y activación temporal respetan las reglas', () => {
+        return expectError(() => controller.toggleRele(1), InterlockError, { status: 409 }) &&
+            expectError(() => controller.activateReleTimed(1, 60), InterlockError, { status: 409 }) &&
+            controller.getReleState(1) === false;
+    });
+
+    await runTest('Apagar la recirculación apaga la dosificadora', () => {
+        const blocked = expectError(() => controller.controlRele(3, true), InterlockError, { status: 409, text: 'Recirculación' });
+        controller.controlRele(4, true, 'Recirculación');
+        controller.controlRele(3, true, 'Dosificar');
+        controller.controlRele(4, false, 'Fin de recirculación');
+        return blocked && controller.getReleState(3) === false;
+    });
+
+    await runTest('Activación masiva omite las salidas bloqueadas', () => {
+        controller.deactivateAllRele('Reinicio');
+        controller.activateAllRele('Prueba');
+        const on = controller.getAllReleStates().filter(relay => relay.state).map(relay => relay.releId);
+        controller.deactivateAllRele('Reinicio');
+        // Vaciado por exclusión, dosificadora antes que la recirculación y Riego B por el máximo
+        return on.join(',') === '1,4,5';
+    });
+
+    await runTest('Secuencia con paso rechazado no interrumpe el proceso', async () => {
+        controller.executeReleSequence([
+            { releId: 1, state: true, delay: 0 },
+            { releId: 2, state: true, delay: 0.01 },
+            { releId: 1, state: false, delay: 0.02 }
+        ], 'Secuencia de prueba');
+        await wait(100);
+        return controller.getReleState(1) === false && controller.getReleState(2) === false;
+    });
+
+    await runTest('El tipo de salida actualizado entra en el grupo', async () => {
+        await controller.saveOutput(4, { type: 'valve' });
+        controller.controlRele(5, true, 'Riego');
+        controller.controlRele(6, true, 'Riego');
+        const blocked = expectError(() => controller.controlRele(4, true), InterlockError, { status: 409, text: 'Presión de bomba' });
+        controller.deactivateAllRele('Reinicio');
+        return blocked;
+    });
+
+    await runTest('Reglas descritas en la información del sistema', () => {
+        const interlocks = controller.getSystemInfo().interlocks;
+        return interlocks.length === 3 && interlocks[0].description === 'Nunca juntas: Llenado, Vaciado' &&
+            interlocks[1].description === 'Dosificadora requiere Recirculación encendido';
+    });
+
+    controller.sensors.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.gpio.interlocks = originalInterlocks;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE ENCLAVAMIENTOS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testInterlocks();
+}
+
+module.exports = { testInterlocks };
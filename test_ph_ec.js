@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Sondas de pH y EC
+ * ADS1115 sobre un bus I2C simulado, conversiones y calibración guiada
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const ADS1115 = require('./ads1115.js');
+const WaterQualityProbe = require('./water_quality.js');
+const SensorRegistry = require('./sensor_registry.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+
+const { ADS1115Error, SimulatedI2CBus, REGISTER, buildConfig, rawToVoltage } = ADS1115;
+const {
+    CalibrationError,
+    fitPhCalibration,
+    fitEcCalibration,
+    voltageToPh,
+    voltageToEc,
+    ecToTds
+} = WaterQualityProbe;
+
+console.log('🧪 Probando Sondas de pH y EC...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+async function expectError(fn, ErrorClass, check = () => true) {
+    try {
+        await fn();
+        return false;
+    } catch (error) {
+        return error instanceof ErrorClass && check(error);
+    }
+}
+
+const noSleep = () => Promise.resolve();
+
+/**
+ * Bus simulado que registra las escrituras y responde de forma asíncrona
+ */
+class RecordingBus extends SimulatedI2CBus {
+    constructor(voltages) {
+        super(voltages);
+        this.writes = [];
+    }
+
+    async writeRegister(address, register, value) {
+        this.writes.push({ address, register, value });
+        await new Promise(resolve => setImmediate(resolve));
+        super.writeRegister(address, register, value);
+    }
+
+    async readRegister(address, register) {
+        await new Promise(resolve => setImmediate(resolve));
+        return super.readRegister(address, register);
+    }
+}
+
+const close = (a, b, tolerance = 0.001) => Math.abs(a - b) <= tolerance;
+
+// Sonda de pH de prueba: voltaje y temperatura controlados por la prueba
+let probeVoltage = 1.5;
+let solutionTemperature = null;
+const testBus = new SimulatedI2CBus({ 2: () => probeVoltage });
+
+SensorRegistry.registerDriver('test_ph', {
+    label: 'pH de prueba (bus simulado)',
+    metrics: { ph: { label: 'pH', unit: 'pH' } },
+    create: () => new WaterQualityProbe('ph', {
+        adc: new ADS1115(testBus, { sleep: noSleep }),
+        channel: 2,
+        samples: 2,
+        temperatureSource: () => solutionTemperature
+    })
+});
+
+// Sonda de temperatura del agua de prueba
+SensorRegistry.registerDriver('test_water', {
+    label: 'Agua de prueba',
+    metrics: { water_temperature: { label: 'Temperatura del agua', unit: '°C' } },
+    create: () => ({ read: () => ({ water_temperature: 21.5 }) })
+});
+
+async function testPhEc() {
+    // Prueba 1: ADS1115
+    logStep('1', 'Verificando el convertidor ADS1115...');
+
+    await runTest('Registro de configuración por canal y rango', () => {
+        return buildConfig(0, 4.096, 128) === 0xC383 &&
+            buildConfig(3, 4.096, 128) === 0xF383 &&
+            buildConfig(1, 2.048, 860) === 0xD5E3;
+    });
+
+    await runTest('Conversión en complemento a dos', () => {
+        return rawToVoltage(0x4000, 4.096) === 2.048 &&
+            rawToVoltage(0x8000, 4.096) === -4.096 &&
+            close(rawToVoltage(0x7fff, 6.144), 6.1438);
+    });
+
+    await runTest('Lectura de un canal por el bus', async () => {
+        const bus = new RecordingBus({ 1: 1.2345 });
+        const adc = new ADS1115(bus, { address: 0x49, sleep: noSleep });
+        const voltage = await adc.readVoltage(1);
+        const [write] = bus.writes;
+
+        return close(voltage, 1.2345, 0.0002) && write.address === 0x49 &&
+            write.register === REGISTER.CONFIG && write.value === buildConfig(1, 4.096, 128);
+    });
+
+    await runTest('Conversiones concurrentes serializadas', async () => {
+        const bus = new RecordingBus({ 0: 0.5, 3: 3.0 });
+        const adc = new ADS1115(bus, { sleep: noSleep });
+        const [a, b] = await Promise.all([adc.readVoltage(0), adc.readVoltage(3)]);
+        return close(a, 0.5, 0.0002) && close(b, 3.0, 0.0002);
+    });
+
+    await runTest('Error si la conversión no termina', () => {
+        const stuckBus = {
+            writeRegister: () => {},
+            readRegister: () => 0
+        };
+        const adc = new ADS1115(stuckBus, { sleep: noSleep });
+        return expectError(() => adc.readVoltage(0), ADS1115Error, error => error.code === 'TIMEOUT');
+    });
+
+    await runTest('Rechazar canal inválido', () => {
+        return expectError(() => buildConfig(4), ADS1115Error, error => error.code === 'INVALID_CHANNEL');
+    });
+
+    // Prueba 2: pH
+    logStep('2', 'Verificando conversión y calibración de pH...');
+
+    const phCalibration = fitPhCalibration([
+        { value: 7, voltage: 1.5, temperature: 25 },
+        { value: 4, voltage: 2.03, temperature: 25 },
+        { value: 10, voltage: 0.98, temperature: 25 }
+    ]);
+
+    await runTest('Calibración de tres buffers por tramos', () => {
+        return voltageToPh(1.5, phCalibration) === 7 &&
+            voltageToPh(2.03, phCalibration) === 4 &&
+            voltageToPh(1.24, phCalibration) === 8.5 &&
+            voltageToPh(1.765, phCalibration) === 5.5;
+    });
+
+    await runTest('Pendiente por tramo en mV/pH', () => {
+        return phCalibration.slopes.join(',') === '-173.33,-176.67' && phCalibration.temperature === 25;
+    });
+
+    await runTest('Compensación de temperatura (Nernst)', () => {
+        // pH 4 a 25°C: a 35°C la pendiente crece y el mismo voltaje indica un pH más cercano a 7
+        return voltageToPh(2.03, phCalibration, 35) === 4.1 &&
+            voltageToPh(1.5, phCalibration, 35) === 7 &&
+            voltageToPh(2.03, phCalibration, 25) === 4;
+    });
+
+    await runTest('Rechazar calibraciones de pH inválidas', async () => {
+        return await expectError(() => fitPhCalibration([{ value: 7, voltage: 1.5 }]), CalibrationError) &&
+            await expectError(() => fitPhCalibration([{ value: 7, voltage: 1.5 }, { value: 7, voltage: 1.6 }]), CalibrationError) &&
+            await expectError(() => fitPhCalibration([{ value: 7, voltage: 1.5 }, { value: 4, voltage: 1.501 }]), CalibrationError) &&
+            await expectError(() => fitPhCalibration([
+                { value: 4, voltage: 2.0 }, { value: 7, voltage: 1.5 }, { value: 10, voltage: 1.8 }
+            ]), CalibrationError);
+    });
+
+    // Prueba 3: EC
+    logStep('3', 'Verificando conversión y calibración de EC...');
+
+    await runTest('Un punto de referencia a 25°C', () => {
+        const calibration = fitEcCalibration([{ value: 1.413, voltage: 1.0, temperature: 25 }]);
+        return calibration.slope === 1.413 && calibration.intercept === 0 &&
+            voltageToEc(1.0, calibration, 25) === 1.413 && ecToTds(1.413) === 707;
+    });
+
+    await runTest('Referencia medida a otra temperatura', () => {
+        // A 20°C la solución de 1413 µS/cm conduce un 10% menos
+        const calibration = fitEcCalibration([{ value: 1.413, voltage: 0.9, temperature: 20 }]);
+        return close(calibration.slope, 1.413) &&
+            voltageToEc(0.9, calibration, 20) === 1.413 &&
+            voltageToEc(1.0, calibration, 30) === 1.285;
+    });
+
+    await runTest('Dos soluciones por mínimos cuadrados', () => {
+        const calibration = fitEcCalibration([
+            { value: 1.413, voltage: 0.5 },
+            { value: 12.88, voltage: 4.5 }
+        ]);
+        return close(calibration.slope, 2.86675) && close(calibration.intercept, -0.020375) &&
+            voltageToEc(0.5, calibration) === 1.413 && voltageToEc(0, calibration) === 0;
+    });
+
+    await runTest('Rechazar pendiente negativa', () => {
+        return expectError(() => fitEcCalibration([
+            { value: 1.413, voltage: 2.0 }, { value: 12.88, voltage: 1.0 }
+        ]), CalibrationError);
+    });
+
+    // Prueba 4: Sondas
+    logStep('4', 'Verificando lectura de sondas...');
+
+    await runTest('Sonda de EC con TDS y compensación', async () => {
+        const adc = new ADS1115(new SimulatedI2CBus({ 1: 1.0 }), { sleep: noSleep });
+        const probe = new WaterQualityProbe('ec', { adc, channel: 1, temperatureSource: () => 25 });
+        probe.setCalibration(fitEcCalibration([{ value: 1.413, voltage: 1.0 }]));
+
+        const values = await probe.read();
+        return close(values.ec, 1.413, 0.002) && close(values.tds, 707, 1) &&
+            probe.getInfo().calibrated && probe.getInfo().lastTemperature === 25;
+    });
+
+    await runTest('Validar canal y dirección del ADS1115', async () => {
+        return await expectError(() => SensorRegistry.normalizeDefinition({ id: 'ph', type: 'ph', channel: 4 }), SensorRegistry.SensorError) &&
+            await expectError(() => SensorRegistry.normalizeDefinition({ id: 'ph', type: 'ph', address: 0x50 }), SensorRegistry.SensorError) &&
+            SensorRegistry.normalizeDefinition({ id: 'ec', type: 'ec', address: '0x49' }).channel === 1;
+    });
+
+    await runTest('Temperatura de compensación desde la sonda del agua', async () => {
+        const registry = new SensorRegistry();
+        registry.add({ id: 'agua', type: 'test_water' });
+        registry.add({ id: 'ph', type: 'ph', temperatureSensor: 'agua' });
+        registry.add({ id: 'ec', type: 'ec' });
+
+        const before = registry.getInstance('ph').getTemperature();
+        await registry.read('agua');
+
+        return before === null &&
+            registry.getInstance('ph').getTemperature() === 21.5 &&
+            registry.getInstance('ec').getTemperature() === 21.5;
+    });
+
+    // Prueba 5: Calibración guiada
+    logStep('5', 'Verificando calibración guiada...');
+
+    const database = new Database(':memory:');
+    await database.ready;
+    const controller = new GPIOController(database);
+    await controller.sensorsReady;
+    await controller.saveSensor({ id: 'ph', type: 'test_ph', name: 'pH Tanque' });
+    const calibration = controller.calibration;
+
+    await runTest('Sensores sin calibración o sin sesión', async () => {
+        return await expectError(() => calibration.start('dht11'), CalibrationError, error => error.status === 400) &&
+            await expectError(() => calibration.start('nada'), CalibrationError, error => error.status === 404) &&
+            await expectError(() => calibration.capturePoint('ph', 7), CalibrationError, error => error.status === 409);
+    });
+
+    await runTest('Capturar buffers y guardar coeficientes', async () => {
+        const session = calibration.start('ph', 'admin');
+        solutionTemperature = 22;
+
+        probeVoltage = 1.52;
+        await calibration.capturePoint('ph', 7);
+        probeVoltage = 2.04;
+        await calibration.capturePoint('ph', 4);
+        probeVoltage = 1.0;
+        await calibration.capturePoint('ph', 10);
+        probeVoltage = 1.5; // repetir el buffer 7 reemplaza el punto
+        await calibration.capturePoint('ph', 7);
+
+        const saved = await calibration.finish('ph', 'admin');
+        const stored = await database.getLatestCalibration('ph');
+        const probe = controller.sensors.getInstance('ph');
+
+        return session.steps.map(step => step.reference).join(',') === '7,4,10' &&
+            saved.points.length === 3 && stored.createdBy === 'admin' &&
+            stored.coefficients.temperature === 22 && probe.calibrated && !calibration.sessions.has('ph');
+    });
+
+    await runTest('Lectura calibrada con temperatura de la solución', async () => {
+        probeVoltage = 2.04;
+        solutionTemperature = 22;
+        await controller.readSensors();
+        const [reading] = await database.getRecentReadings({ sensorId: 'ph' }, 1);
+        return reading.value === 4;
+    });
+
+    await runTest('Faltan puntos para finalizar', () => {
+        calibration.start('ph');
+        return expectError(() => calibration.finish('ph'), CalibrationError, error => /al menos 2/.test(error.message));
+    });
+
+    await runTest('Calibración guardada se aplica al volver a registrar la sonda', async () => {
+        calibration.cancel('ph');
+        await controller.saveSensor({ id: 'ph', type: 'test_ph', name: 'pH Renombrado' });
+        const status = await calibration.getStatus('ph');
+        return status.calibrated && status.calibration.points.length === 3 &&
+            close(status.voltage, 2.04, 0.0002) && status.session === null;
+    });
+
+    await runTest('Restablecer valores nominales', async () => {
+        await calibration.reset('ph', 'admin');
+        const history = await database.getCalibrationHistory('ph');
+        const reapplied = await calibration.applyStored('ph');
+        return !controller.sensors.getInstance('ph').calibrated && !reapplied &&
+            history.length === 2 && history[0].coefficients === null;
+    });
+
+    controller.sensors.cleanup();
+    database.close();
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE SONDAS DE pH Y EC', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testPhEc();
+}
+
+module.exports = { testPhEc };
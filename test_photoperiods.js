@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Fotoperiodos
+ * Etapas de cultivo con horas de luz, avance automático por fecha,
+ * periodos de luz que cruzan la medianoche y programas en el programador
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { normalizeRelays } = require('./relays.js');
+const { formatTime } = require('./schedules.js');
+const {
+    PhotoperiodError,
+    normalizeProgram,
+    describeStage,
+    programStatus,
+    lightPeriod
+} = require('./photoperiods.js');
+const { wait, flush, expectError } = require('./test_helpers.js');
+
+console.log('💡 Probando Fotoperiodos...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectPhotoperiodError = (action, text) => expectError(action, PhotoperiodError, { text });
+
+const RELAYS = [
+    { pin: 5, name: 'Riego', type: 'valve' },
+    { pin: 6, name: 'Luz', type: 'light' }
+];
+
+// 18/6 durante 21 días y luego 12/12 sin fin, con la luz a las 06:00
+const GROW = {
+    name: 'Tomate',
+    releId: 2,
+    startDate: '2024-03-01',
+    lightsOn: '6:00',
+    stages: [
+        { name: 'Vegetativo', days: 21, lightHours: 18 },
+        { name: 'Floración', lightHours: '12' }
+    ]
+};
+
+async function testPhotoperiods() {
+    const relays = normalizeRelays({ relays: RELAYS });
+
+    // Prueba 1: Modelo de programa
+    logStep('1', 'Verificando el modelo de programa...');
+
+    await runTest('Programa normalizado', () => {
+        const program = normalizeProgram(GROW, relays);
+        return program.name === 'Tomate' && program.releId === 2 && program.lightsOn === '06:00' &&
+            program.stages.length === 2 && program.stages[1].days === null && program.stages[1].lightHours === 12 &&
+            program.enabled === true;
+    });
+
+    await runTest('Etapas sin nombre numeradas y horas con decimales', () => {
+        const program = normalizeProgram({ ...GROW, stages: [{ days: 7, lightHours: 13.5 }] }, relays);
+        return program.stages[0].name === 'Etapa 1' && describeStage(program.stages[0]) === 'Etapa 1 13.5/10.5 h';
+    });
+
+    await runTest('Rechazar programas inválidos', () => {
+        return expectPhotoperiodError(() => normalizeProgram({ ...GROW, name: ' ' }, relays), 'Nombre de programa') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, releId: 9 }, relays), 'ID de relé inválido') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, lightsOn: '25:00' }, relays), 'HH:mm') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, startDate: '2024-02-30' }, relays), 'Fecha de inicio inválida') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, stages: [] }, relays), 'entre 1 y') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, stages: [{ lightHours: 18 }, { days: 7, lightHours: 12 }] }, relays), 'solo la última etapa') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, stages: [{ days: 7, lightHours: 25 }] }, relays), 'horas de luz inválidas') &&
+            expectPhotoperiodError(() => normalizeProgram({ ...GROW, stages: [{ days: 0, lightHours: 12 }] }, relays), 'duración inválida');
+    });
+
+    const grow = normalizeProgram(GROW, relays);
+
+    // Prueba 2: Avance de etapas por fecha
+    logStep('2', 'Verificando el avance de etapas...');
+
+    await runTest('Programa por iniciar antes de la fecha de inicio', () => {
+        const status = programStatus(grow, new Date('2024-02-28T12:00:00Z'), 'UTC');
+        return status.status === 'pending' && status.stage === null &&
+            status.nextTransition.date === '2024-03-01' && status.nextTransition.stage === 'Vegetativo 18/6 h';
+    });
+
+    await runTest('Primera etapa con horario de luz y próximo cambio', () => {
+        const status = programStatus(grow, new Date('2024-03-01T12:00:00Z'), 'UTC');
+        return status.status === 'active' && status.day === 1 && status.stageIndex === 0 &&
+            status.stage === 'Vegetativo 18/6 h' && status.stageDay === 1 &&
+            status.lightsOn === '06:00' && status.lightsOff === '00:00' &&
+            status.nextTransition.date === '2024-03-22' && status.nextTransition.stage === 'Floración 12/12 h';
+    });
+
+    await runTest('Cambio de etapa automático al cumplirse los días', () => {
+        const last = programStatus(grow, new Date('2024-03-21T12:00:00Z'), 'UTC');
+        const next = programStatus(grow, new Date('2024-03-22T12:00:00Z'), 'UTC');
+        return last.stageIndex === 0 && last.stageDay === 21 &&
+            next.stageIndex === 1 && next.stageDay === 1 && next.day === 22 && next.lightsOff === '18:00' &&
+            next.nextTransition === null;
+    });
+
+    await runTest('Fecha local según la zona horaria', () => {
+        // 2024-03-22 02:00 UTC sigue siendo 21 de marzo en Santo Domingo
+        return programStatus(grow, new Date('2024-03-22T02:00:00Z'), 'America/Santo_Domingo').stageIndex === 0;
+    });
+
+    await runTest('Programa terminado tras su última etapa', () => {
+        const program = normalizeProgram({ ...GROW, stages: [{ days: 10, lightHours: 16 }] }, relays);
+        const running = programStatus(program, new Date('2024-03-10T12:00:00Z'), 'UTC');
+        const finished = programStatus(program, new Date('2024-03-11T12:00:00Z'), 'UTC');
+        return running.nextTransition.date === '2024-03-11' && running.nextTransition.stage === null &&
+            finished.status === 'finished' && finished.statusLabel === 'Terminado' && finished.stage === null;
+    });
+
+    // Prueba 3: Periodo de luz
+    logStep('3', 'Verificando el periodo de luz...');
+
+    await runTest('Luz encendida con los minutos restantes', () => {
+        const period = lightPeriod(grow, new Date('2024-03-05T23:00:00Z'), 'UTC');
+        return period.on === true && period.remaining === 60 && period.stage.name === 'Vegetativo';
+    });
+
+    await runTest('Oscuridad fuera del periodo de luz', () => {
+        const night = lightPeriod(grow, new Date('2024-03-05T03:00:00Z'), 'UTC');
+        const bloom = lightPeriod(grow, new Date('2024-03-25T19:00:00Z'), 'UTC');
+        return night.on === false && night.remaining === 0 && bloom.on === false;
+    });
+
+    await runTest('Periodo que cruza la medianoche usa la etapa del día en que empezó', () => {
+        // Luz a las 18:00: el último día vegetativo (18 h) sigue encendido a las 03:00 del primer día de floración
+        const evening = normalizeProgram({ ...GROW, lightsOn: '18:00' }, relays);
+        const period = lightPeriod(evening, new Date('2024-03-22T03:00:00Z'), 'UTC');
+        const bloom = lightPeriod(evening, new Date('2024-03-23T07:00:00Z'), 'UTC');
+        return period.on === true && period.remaining === 540 && period.stage.name === 'Vegetativo' && bloom.on === false;
+    });
+
+    await runTest('Sin luz antes de la fecha de inicio', () => {
+        return lightPeriod(grow, new Date('2024-02-29T12:00:00Z'), 'UTC').on === false;
+    });
+
+    const originalRelays = config.gpio.relays;
+    const originalTimezone = config.scheduling.timezone;
+    config.gpio.relays = RELAYS;
+    config.scheduling.timezone = 'UTC';
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    // Prueba 4: Base de datos
+    logStep('4', 'Verificando programas guardados...');
+
+    const id = await database.savePhotoperiod({ ...grow, updatedBy: 'admin' });
+
+    await runTest('Programa guardado con sus etapas', async () => {
+        const program = await database.getPhotoperiod(id);
+        return program.name === 'Tomate' && program.stages.length === 2 && program.stages[1].days === null &&
+            program.enabled === true && program.updatedBy === 'admin';
+    });
+
+    await runTest('Programa actualizado y nombre único', async () => {
+        await database.savePhotoperiod({ ...grow, id, lightsOn: '05:00', enabled: false });
+        const program = await database.getPhotoperiod(id);
+        let duplicate = false;
+        try {
+            await database.savePhotoperiod({ ...grow });
+        } catch (error) {
+            duplicate = String(error.message).includes('UNIQUE');
+        }
+        return program.lightsOn === '05:00' && program.enabled === false && duplicate;
+    });
+
+    await runTest('Programa eliminado', async () => {
+        const deleted = await database.deletePhotoperiod(id);
+        return deleted === true && await database.getPhotoperiod(id) === null &&
+            (await database.deletePhotoperiod(id)) === false;
+    });
+
+    // Prueba 5: Programador
+    logStep('5', 'Verificando fotoperiodos en el programador...');
+
+    // Programa que encendió la luz hace una hora (18 h de luz), iniciado hace dos días
+    const now = new Date();
+    const started = new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const lightsOn = formatTime(now.getUTCHours() * 60 + now.getUTCMinutes() - 60);
+    await database.savePhotoperiod({ ...grow, startDate: started, lightsOn });
+    await database.savePhotoperiod({ ...grow, name: 'Lechuga', releId: 1, startDate: started, lightsOn, enabled: false });
+
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const scheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    await runTest('Solo se cargan los programas habilitados', () => {
+        return scheduler.activePhotoperiods.size === 1 && scheduler.getStatus().activePhotoperiods === 1;
+    });
+
+    await runTest('Luz encendida al iniciar dentro del periodo de luz', () => {
+        const run = controller.timedRuns[1];
+        return controller.getReleState(2) === true && controller.getReleState(1) === false &&
+            run.reason === 'Fotoperiodo Tomate - Vegetativo 18/6 h' &&
+            run.duration <= 17 * 60 * 60 && run.duration >= 17 * 60 * 60 - 60;
+    });
+
+    await runTest('Estado con etapa, luz y próximo cambio', () => {
+        const [status] = scheduler.getPhotoperiodStatus();
+        return status.name === 'Tomate' && status.releName === 'Luz' && status.status === 'active' &&
+            status.day === 3 && status.stage === 'Vegetativo 18/6 h' && status.light === true &&
+            status.nextTransition.stage === 'Floración 12/12 h';
+    });
+
+    await runTest('Pausa y reanudación del programador', async () => {
+        controller.controlRele(2, false, 'Apagado manual');
+        scheduler.stopScheduledTasks();
+        const paused = controller.getReleState(2) === false;
+        scheduler.startScheduledTasks();
+        return paused && controller.getReleState(2) === true;
+    });
+
+    await runTest('Programas recargados tras modificarlos', async () => {
+        const programs = await database.getPhotoperiods();
+        await database.deletePhotoperiod(programs.find(program => program.name === 'Tomate').id);
+        await scheduler.reloadPhotoperiods();
+        return scheduler.activePhotoperiods.size === 0 && scheduler.getPhotoperiodStatus().length === 0;
+    });
+
+    scheduler.stop();
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.scheduling.timezone = originalTimezone;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE FOTOPERIODOS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testPhotoperiods();
+}
+
+module.exports = { testPhotoperiods };
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Control PID
+ * Validación de lazos, cálculo del PID con anti-windup, pulsos de tiempo proporcional,
+ * autoajuste por el método del relé y ejecución de lazos en el programador
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { normalizeRelays } = require('./relays.js');
+const {
+    PidError,
+    normalizeLoop,
+    initialPidState,
+    stepPid,
+    pulseSeconds,
+    initialAutotuneState,
+    stepAutotune
+} = require('./pid.js');
+const { wait, flush, expectError } = require('./test_helpers.js');
+
+console.log('🎛️ Probando Control PID...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectPidError = (action, text) => expectError(action, PidError, { text });
+
+const RELAYS = [
+    { pin: 5, name: 'Calefactor', type: 'generic' },
+    { pin: 6, name: 'Humidificador', type: 'generic' },
+    { pin: 13, name: 'Ventilador', type: 'fan' }
+];
+
+const SECOND = 1000;
+const START = Date.UTC(2024, 5, 5, 12, 0, 0);
+
+// Calefactor a 24 °C con ventana de 60 s
+const HEATER = {
+    name: 'Calefacción',
+    releId: 1,
+    metric: 'temperature',
+    setpoint: 24,
+    kp: 20,
+    ki: 0.1,
+    kd: 0
+};
+
+async function testPid() {
+    const relays = normalizeRelays({ relays: RELAYS });
+    const heater = normalizeLoop(HEATER, relays);
+
+    // Prueba 1: Modelo de lazo
+    logStep('1', 'Verificando el modelo de lazo...');
+
+    await runTest('Lazo con valores por defecto', () => {
+        return heater.direction === 'raise' && heater.sensorId === null && heater.outputMin === 0 && heater.outputMax === 100 &&
+            heater.cycleSeconds === 60 && heater.minPulseSeconds === 0 && heater.enabled === true && heater.kd === 0;
+    });
+
+    await runTest('Rechazar lazos inválidos', () => {
+        return expectPidError(() => normalizeLoop({ ...HEATER, name: ' ' }, relays), 'Nombre de lazo inválido') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, releId: 9 }, relays), 'ID de relé inválido') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, metric: '1temp' }, relays), 'Métrica inválida') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, direction: 'up' }, relays), 'Sentido inválido') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, setpoint: '' }, relays), 'para la consigna') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, kp: -1 }, relays), 'ganancia proporcional: -1') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, outputMin: 60, outputMax: 40 }, relays), 'salida mínima') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, cycleSeconds: 5 }, relays), 'para la ventana: 5 (entre 10 y 3600)') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, cycleSeconds: 30.5 }, relays), 'segundos enteros') &&
+            expectPidError(() => normalizeLoop({ ...HEATER, minPulseSeconds: 40 }, relays), 'pulso mínimo: 40 (entre 0 y 30)');
+    });
+
+    // Prueba 2: Cálculo del PID
+    logStep('2', 'Verificando el cálculo del PID...');
+
+    await runTest('Proporcional e integral según el error', () => {
+        const first = stepPid(initialPidState(), heater, 23, START);
+        const second = stepPid(first.state, heater, 23, START + 60 * SECOND);
+        // Error 1 °C: P = 20 %, la integral suma 0,1 % por segundo durante cada ventana de 60 s
+        return first.terms.p === 20 && Math.abs(first.terms.i - 6) < 1e-9 && Math.abs(first.output - 26) < 1e-9 &&
+            Math.abs(second.terms.i - 12) < 1e-9 && Math.abs(second.output - 32) < 1e-9;
+    });
+
+    await runTest('Anti-windup: la integral no crece con la salida saturada', () => {
+        let state = initialPidState();
+        let step;
+        for (let minute = 0; minute < 30; minute++) {
+            step = stepPid(state, heater, 15, START + minute * 60 * SECOND);
+            state = step.state;
+        }
+        const saturated = step.output === 100 && state.integral < 100;
+        // Al pasar la consigna la salida baja enseguida en vez de esperar a vaciar la integral
+        const recovered = stepPid(state, heater, 25, START + 31 * 60 * SECOND);
+        return saturated && recovered.output < 100 && recovered.output >= 0;
+    });
+
+    await runTest('Sentido inverso y salida limitada', () => {
+        const fan = normalizeLoop({ ...HEATER, releId: 3, direction: 'lower', ki: 0, outputMin: 10, outputMax: 80 }, relays);
+        const hot = stepPid(initialPidState(), fan, 30, START);
+        const cold = stepPid(initialPidState(), fan, 20, START);
+        const near = stepPid(initialPidState(), fan, 24.5, START);
+        // La integral parte de la salida mínima: 0,5 °C sobre la consigna da 10 % + 10 %
+        return hot.output === 80 && cold.output === 10 && near.output === 20 && near.error === 0.5;
+    });
+
+    await runTest('Derivada sobre la lectura: un cambio de consigna no da golpe', () => {
+        const damped = normalizeLoop({ ...HEATER, ki: 0, kd: 60 }, relays);
+        const first = stepPid(initialPidState(), damped, 23, START);
+        const rising = stepPid(first.state, damped, 23.5, START + 60 * SECOND);
+        const moved = stepPid(first.state, { ...damped, setpoint: 26 }, 23, START + 60 * SECOND);
+        // Sube 0,5 °C en 60 s: D = -60 * 0,5 / 60 = -0,5 %
+        return first.terms.d === 0 && Math.abs(rising.terms.d + 0.5) < 1e-9 && moved.terms.d === 0 && moved.output === 60;
+    });
+
+    await runTest('Pulsos de tiempo proporcional con pulso mínimo', () => {
+        const loop = { ...heater, minPulseSeconds: 5 };
+        return pulseSeconds(loop, 50) === 30 && pulseSeconds(loop, 5) === 0 && pulseSeconds(loop, 0) === 0 &&
+            pulseSeconds(loop, 95) === 60 && pulseSeconds(loop, 100) === 60 && pulseSeconds(heater, 1) === 1;
+    });
+
+    // Prueba 3: Autoajuste
+    logStep('3', 'Verificando el autoajuste por el método del relé...');
+
+    // Planta simple: calienta 0,3 °C por minuto con la salida alta y se enfría 0,2 °C con la baja,
+    // con un minuto de retardo
+    function simulateAutotune(loop, minutes) {
+        let state = initialAutotuneState(0.2, START);
+        let temperature = 23;
+        let previousOutput = loop.outputMax;
+        for (let minute = 0; minute < minutes; minute++) {
+            temperature += previousOutput > 50 ? 0.3 : -0.2;
+            const step = stepAutotune(state, loop, temperature, START + minute * 60 * SECOND);
+            if (step.done) {
+                return { ...step, minute };
+            }
+            state = step.state;
+            previousOutput = step.output;
+        }
+        return { done: false, state };
+    }
+
+    await runTest('La salida alterna al cruzar la consigna con histéresis', () => {
+        const low = stepAutotune(initialAutotuneState(0.5, START), heater, 23, START);
+        const band = stepAutotune(low.state, heater, 24.3, START + 60 * SECOND);
+        const high = stepAutotune(band.state, heater, 24.6, START + 120 * SECOND);
+        return low.output === 100 && band.output === 100 && high.output === 0 && !high.done;
+    });
+
+    await runTest('Ganancias calculadas tras tres periodos', () => {
+        const result = simulateAutotune(heater, 200);
+        return result.done && !result.error && result.result.ku > 0 && result.result.pu >= 5 * 60 &&
+            result.result.kp === Math.round(0.6 * result.result.ku * 10000) / 10000 && result.result.ki > 0 && result.result.kd > 0;
+    });
+
+    await runTest('El autoajuste se abandona tras 8 horas sin oscilación', () => {
+        const state = initialAutotuneState(0.5, START);
+        const step = stepAutotune(state, heater, 10, START + 9 * 60 * 60 * SECOND);
+        return step.done && step.output === 0 && step.error.includes('8 horas');
+    });
+
+    const originalRelays = config.gpio.relays;
+    config.gpio.relays = RELAYS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    // Prueba 4: Base de datos
+    logStep('4', 'Verificando lazos guardados...');
+
+    await runTest('Guardar y leer un lazo', async () => {
+        const id = await database.savePidLoop({ ...heater, updatedBy: 'admin' });
+        const saved = await database.getPidLoop(id);
+        return saved.name === heater.name && saved.setpoint === 24 && saved.kp === 20 && saved.ki === 0.1 &&
+            saved.direction === 'raise' && saved.enabled === true && saved.updatedBy === 'admin';
+    });
+
+    await runTest('Un solo lazo por salida', async () => {
+        let rejected = false;
+        try {
+            await database.savePidLoop({ ...heater, name: 'Otro calefactor' });
+        } catch (error) {
+            rejected = String(error.message).includes('pid_loops.releId');
+        }
+        await database.savePidLoop(normalizeLoop({ ...HEATER, name: 'Ventilación', releId: 3, direction: 'lower', cycleSeconds: 30 }, relays));
+        await database.savePidLoop(normalizeLoop({ ...HEATER, name: 'Humedad', releId: 2, metric: 'humidity', enabled: false }, relays));
+        return rejected && (await database.getPidLoops()).length === 3;
+    });
+
+    // Prueba 5: Programador
+    logStep('5', 'Verificando lazos en el programador...');
+
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const scheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    const readings = {};
+    controller.sensors.getLatest = (sensorId, metric) => (readings[metric] === undefined ? null : readings[metric]);
+    const loopEntry = name => [...scheduler.pid.loops.values()].find(entry => entry.loop.name === name);
+    const samples = [];
+    scheduler.pid.on('sample', sample => samples.push(sample));
+
+    await runTest('Lazos habilitados cargados en el programador', () => {
+        return scheduler.pid.loops.size === 2 && scheduler.getStatus().activePidLoops === 2 && !loopEntry('Humedad');
+    });
+
+    await runTest('El pulso enciende la salida la parte proporcional de la ventana', async () => {
+        readings.temperature = 23;
+        scheduler.pid.tick(loopEntry('Calefacción'), START);
+        await flush(database);
+        const [run] = controller.getTimedRuns().filter(timed => timed.releId === 1);
+        const [sample] = samples.slice(-1);
+        return controller.getReleState(1) === true && run && run.duration === 16 &&
+            sample.output === 26 && sample.value === 23 && sample.setpoint === 24;
+    });
+
+    await runTest('A salida completa el pulso se solapa con la ventana siguiente', async () => {
+        readings.temperature = 30;
+        scheduler.pid.tick(loopEntry('Ventilación'), START);
+        await flush(database);
+        const [run] = controller.getTimedRuns().filter(timed => timed.releId === 3);
+        return controller.getReleState(3) === true && run.duration === 35;
+    });
+
+    await runTest('Sin demanda o sin lectura la salida se apaga', async () => {
+        readings.temperature = 20;
+        scheduler.pid.tick(loopEntry('Ventilación'), START + 30 * SECOND);
+        delete readings.temperature;
+        scheduler.pid.tick(loopEntry('Calefacción'), START + 60 * SECOND);
+        await flush(database);
+        const history = scheduler.pid.history(loopEntry('Calefacción').loop.id);
+        return controller.getReleState(3) === false && controller.getReleState(1) === false &&
+            history.length === 3 && history[2].value === null && history[2].output === 0;
+    });
+
+    await runTest('Los pulsos quedan en la auditoría del control PID', async () => {
+        await flush(database);
+        const { entries } = await scheduler.audit.query({ source: 'pid', target: 'rele:1' });
+        return entries.length >= 2 && entries.every(entry => entry.actor === 'Control PID');
+    });
+
+    await runTest('Autoajuste: inicio, duplicado rechazado y cancelación', () => {
+        const id = loopEntry('Calefacción').loop.id;
+        const started = scheduler.pid.startAutotune(id, 0.3);
+        let duplicate = false;
+        try {
+            scheduler.pid.startAutotune(id);
+        } catch (error) {
+            duplicate = error instanceof PidError && error.status === 409;
+        }
+        const cancelled = scheduler.pid.cancelAutotune(id);
+        let missing = false;
+        try {
+            scheduler.pid.startAutotune(999);
+        } catch (error) {
+            missing = error.status === 404;
+        }
+        return started.autotune.required === 3 && duplicate && cancelled.autotune === null && missing;
+    });
+
+    await runTest('El autoajuste terminado guarda las ganancias', async () => {
+        const entry = loopEntry('Calefacción');
+        const events = [];
+        scheduler.pid.once('autotune', event => events.push(event));
+        await scheduler.pid.finishAutotune(entry, { result: { kp: 12.5, ki: 0.05, kd: 30, ku: 20.8333, pu: 600 } });
+        await flush(database);
+        const saved = await database.getPidLoop(entry.loop.id);
+        const { entries } = await scheduler.audit.query({ source: 'pid', target: `pid:${entry.loop.id}` });
+        return saved.kp === 12.5 && saved.ki === 0.05 && saved.kd === 30 && saved.updatedBy === 'Control PID' &&
+            entry.loop.kp === 12.5 && events[0].success === true && entries[0].action === 'pid.autotune';
+    });
+
+    await runTest('Pausar y reanudar con el programador', () => {
+        scheduler.stopScheduledTasks();
+        const paused = [...scheduler.pid.loops.values()].every(entry => entry.timer === null);
+        scheduler.startScheduledTasks();
+        return paused && [...scheduler.pid.loops.values()].every(entry => entry.timer !== null);
+    });
+
+    await runTest('Recargar conserva el estado y apaga la salida de un lazo eliminado', async () => {
+        readings.temperature = 30;
+        const fan = loopEntry('Ventilación');
+        scheduler.pid.tick(fan, START + 60 * SECOND);
+        const active = controller.getReleState(3) === true;
+        const integral = loopEntry('Calefacción').state.integral;
+        await database.deletePidLoop(fan.loop.id);
+        await scheduler.pid.reload();
+        await flush(database);
+        return active && scheduler.pid.loops.size === 1 && controller.getReleState(3) === false &&
+            loopEntry('Calefacción').state.integral === integral && scheduler.pid.history(loopEntry('Calefacción').loop.id).length >= 3;
+    });
+
+    scheduler.stop();
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE CONTROL PID', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testPid();
+}
+
+module.exports = { testPid };
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Causas de los Cambios de Relés
+ * Causa guardada con cada cambio de estado (horario, condición, regla, secuencia, usuario,
+ * límite o enclavamiento), lecturas de ese momento y fuentes que piden el relé encendido
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const AuditLog = require('./audit.js');
+const { RelayError, normalizeRelays } = require('./relays.js');
+const { normalizeRule } = require('./rules.js');
+const {
+    CAUSE_TYPES,
+    withCause,
+    causeOf,
+    describeCause,
+    sameCause,
+    summarizeExplanation
+} = require('./relay_causes.js');
+const { wait, flush } = require('./test_helpers.js');
+
+console.log('🔎 Probando Causas de los Cambios de Relés...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const RELAYS = [
+    { pin: 5, name: 'Ventilador', type: 'fan' },
+    { pin: 6, name: 'Bomba', type: 'pump' },
+    { pin: 13, name: 'Extractor', type: 'fan' }
+];
+
+// El extractor solo funciona con la bomba encendida
+const INTERLOCKS = [
+    { type: 'requires', relay: 3, requires: 2 }
+];
+
+const ADMIN_CONTEXT = { actor: 'admin', source: 'web' };
+
+async function testRelayCauses() {
+    // Prueba 1: Causas
+    logStep('1', 'Verificando causas y su descripción...');
+
+    await runTest('Causa explícita y causa según el origen del contexto', () => {
+        const explicit = causeOf(withCause(AuditLog.CONDITION_CONTEXT, 'condition', '4', 'temperature > 28'));
+        return explicit.type === 'condition' && explicit.id === 4 && explicit.name === 'temperature > 28' &&
+            explicit.actor === 'Condiciones' &&
+            causeOf(ADMIN_CONTEXT).type === 'manual' && causeOf(ADMIN_CONTEXT).actor === 'admin' &&
+            causeOf(AuditLog.SCHEDULER_CONTEXT).type === 'schedule' &&
+            causeOf(AuditLog.SAFETY_CONTEXT).type === 'safety' &&
+            causeOf({}).type === 'system';
+    });
+
+    await runTest('Texto de cada causa', () => {
+        return describeCause({ type: 'condition', id: 4, name: 'temperature > 28' }) === 'Condición: temperature > 28' &&
+            describeCause({ type: 'manual', id: null, name: null, actor: 'admin' }) === 'Manual (admin)' &&
+            describeCause({ type: 'safety', id: null, name: null }) === CAUSE_TYPES.safety &&
+            describeCause(null) === 'Causa no registrada';
+    });
+
+    await runTest('Misma fuente por tipo e id, o por nombre sin id', () => {
+        return sameCause({ type: 'rule', id: 2, name: 'A' }, { type: 'rule', id: 2, name: 'B' }) &&
+            !sameCause({ type: 'rule', id: 2 }, { type: 'rule', id: 3 }) &&
+            !sameCause({ type: 'rule', id: 2 }, { type: 'condition', id: 2 }) &&
+            sameCause({ type: 'manual', id: null, name: null, actor: 'admin' }, { type: 'manual', id: null, name: null }) &&
+            !sameCause({ type: 'rule', id: 2 }, null);
+    });
+
+    await runTest('Resumen con lecturas y otras fuentes', () => {
+        const summary = summarizeExplanation({
+            state: true,
+            cause: { type: 'condition', id: 4, name: 'temperature > 28' },
+            readings: { ambiente: { temperature: 30, humidity: 45 } },
+            requests: [{ label: 'Regla: Ventilación de mediodía' }]
+        });
+        const off = summarizeExplanation({ state: false, cause: null, readings: {}, requests: [] });
+        return summary === 'Encendido por Condición: temperature > 28\nLecturas: ambiente: temperature 30, humidity 45\n' +
+            'También lo piden: Regla: Ventilación de mediodía' && off === 'Apagado por Causa no registrada';
+    });
+
+    // Prueba 2: Historial en la base de datos
+    logStep('2', 'Verificando el historial de cambios...');
+
+    const historyDatabase = new Database(':memory:');
+    await historyDatabase.ready;
+
+    await runTest('Guardar la causa y las lecturas con el cambio', async () => {
+        const cause = causeOf(withCause(AuditLog.RULE_CONTEXT, 'rule', 7, 'Ventilación'));
+        await historyDatabase.saveReleState(1, true, 'Regla Ventilación', cause, { ambiente: { temperature: 31 } });
+        const [change] = await historyDatabase.getReleHistory(1);
+        return change.state === true && change.reason === 'Regla Ventilación' && change.cause.type === 'rule' &&
+            change.cause.id === 7 && change.cause.name === 'Ventilación' && change.cause.actor === 'Reglas' &&
+            change.readings.ambiente.temperature === 31;
+    });
+
+    await runTest('Los comandos repetidos no cuentan como cambio', async () => {
+        await historyDatabase.saveReleState(1, true, 'Repetido', causeOf(ADMIN_CONTEXT));
+        await historyDatabase.saveReleState(1, false, 'Apagado', causeOf(ADMIN_CONTEXT));
+        await historyDatabase.saveReleState(1, false, 'Repetido');
+        const history = await historyDatabase.getReleHistory(1);
+        const limited = await historyDatabase.getReleHistory(1, 1);
+        return history.length === 2 && history[0].reason === 'Apagado' && history[0].cause.type === 'manual' &&
+            history[1].reason === 'Regla Ventilación' && limited.length === 1 && limited[0].reason === 'Apagado';
+    });
+
+    await runTest('Cambios guardados antes de registrar causas', async () => {
+        await historyDatabase.saveReleState(2, true, 'Control manual');
+        const [change] = await historyDatabase.getReleHistory(2);
+        return change.cause === null && JSON.stringify(change.readings) === '{}' && change.state === true;
+    });
+
+    historyDatabase.close();
+
+    // Prueba 3: Explicación de cada relé
+    logStep('3', 'Verificando la explicación de cada relé...');
+
+    const originalRelays = config.gpio.relays;
+    const originalInterlocks = config.gpio.interlocks;
+    const originalTimezone = config.scheduling.timezone;
+    config.gpio.relays = RELAYS;
+    config.gpio.interlocks = INTERLOCKS;
+    config.scheduling.timezone = 'UTC';
+
+    const database = new Database(':memory:');
+    await database.ready;
+    await database.saveConditions({ 1: { tempMax: { value: 28, offValue: 26 } } });
+    await database.saveRule(normalizeRule({
+        name: 'Ventilación de mediodía',
+        releId: 1,
+        when: { type: 'sensor', metric: 'temperature', operator: '>', value: 29 }
+    }, normalizeRelays({ relays: RELAYS })));
+
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const scheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    let temperature = 25;
+    controller.sensors.getLatest = () => temperature;
+    controller.sensors.snapshot = () => ({ ambiente: { temperature } });
+    const [entry] = [...scheduler.activeConditions.values()];
+    const explain = async releId => {
+        await flush(database);
+        return scheduler.explainRele(releId);
+    };
+
+    await runTest('Un cambio manual guarda el usuario como causa', async () => {
+        controller.controlRele(2, true, 'Prueba', ADMIN_CONTEXT);
+        const explanation = await explain(2);
+        return explanation.state === true && explanation.cause.type === 'manual' && explanation.cause.label === 'Manual (admin)' &&
+            explanation.reason === 'Prueba' && explanation.readings.ambiente.temperature === 25 &&
+            explanation.requests.length === 0 && explanation.history.length === 2 && explanation.since !== null;
+    });
+
+    await runTest('La condición que encendió el relé y la regla que también lo pide', async () => {
+        temperature = 30;
+        await scheduler.evaluateCondition(entry, Date.now());
+        await scheduler.evaluateRules(new Date());
+        const explanation = await explain(1);
+        const [request] = explanation.requests;
+        return explanation.state === true && explanation.cause.type === 'condition' &&
+            explanation.cause.id === entry.condition.id && explanation.readings.ambiente.temperature === 30 &&
+            explanation.requests.length === 1 && request.type === 'rule' && request.label === 'Regla: Ventilación de mediodía' &&
+            explanation.summary.startsWith('Encendido por Condición: temperature > 28 (hasta 26)') &&
+            explanation.summary.endsWith('También lo piden: Regla: Ventilación de mediodía') &&
+            explanation.history.length === 2;
+    });
+
+    await runTest('Un comando repetido se audita sin guardar otro cambio', async () => {
+        const countRows = () => new Promise((resolve, reject) => {
+            database.db.get('SELECT COUNT(*) AS total FROM rele_states WHERE releId = 1', (err, row) => (err ? reject(err) : resolve(row.total)));
+        });
+        const before = await countRows();
+        const audited = (await scheduler.audit.query({ target: 'rele:1' })).entries.length;
+
+        controller.controlRele(1, true, 'Repetido', ADMIN_CONTEXT);
+        const explanation = await explain(1);
+        const after = await countRows();
+        const { entries } = await scheduler.audit.query({ target: 'rele:1' });
+
+        return after === before && entries.length === audited + 1 &&
+            explanation.cause.type === 'condition' && explanation.reason !== 'Repetido';
+    });
+
+    await runTest('Apagado a mano mientras la condición y la regla lo piden', async () => {
+        controller.controlRele(1, false, 'Mantenimiento', ADMIN_CONTEXT);
+        const explanation = await explain(1);
+        return explanation.state === false && explanation.cause.type === 'manual' &&
+            explanation.requests.map(request => request.type).join(',') === 'condition,rule' &&
+            explanation.requests[0].detail === 'Lectura 30' &&
+            explanation.summary.includes('Lo piden encendido: Condición: temperature > 28 (hasta 26), Regla: Ventilación de mediodía');
+    });
+
+    await runTest('El enclavamiento apaga la salida dependiente con su causa', async () => {
+        controller.controlRele(3, true, 'Prueba', ADMIN_CONTEXT);
+        controller.controlRele(2, false, 'Prueba', ADMIN_CONTEXT);
+        const explanation = await explain(3);
+        return explanation.state === false && explanation.cause.type === 'interlock' && explanation.cause.id === 2 &&
+            explanation.cause.label === 'Enclavamiento: Bomba apagado' && explanation.cause.actor === 'admin';
+    });
+
+    await runTest('Una secuencia es la causa mientras corre y quien la aborta apaga el relé', async () => {
+        const sequence = await controller.sequences.save(null, {
+            name: 'Riego',
+            steps: [{ type: 'rele', releId: 2, state: true }, { type: 'wait', seconds: 30 }]
+        });
+        const run = await controller.sequences.start(sequence.id, AuditLog.SCHEDULER_CONTEXT);
+        const running = await explain(2);
+        const [request] = scheduler.getReleRequests(2);
+        controller.sequences.abort(run.id, ADMIN_CONTEXT);
+        const aborted = await explain(2);
+        return running.state === true && running.cause.type === 'sequence' && running.cause.label === 'Secuencia: Riego' &&
+            running.cause.actor === 'Programador' && running.requests.length === 0 &&
+            request.type === 'sequence' && request.detail === 'Paso 2/2' &&
+            aborted.state === false && aborted.cause.type === 'manual' && scheduler.getReleRequests(2).length === 0;
+    });
+
+    await runTest('La activación temporal en curso aparece con su fin', async () => {
+        controller.activateReleTimed(2, 60, 'Riego manual', ADMIN_CONTEXT);
+        const explanation = await explain(2);
+        const [request] = scheduler.getReleRequests(2);
+        controller.controlRele(2, false, 'Prueba', ADMIN_CONTEXT);
+        return explanation.timedRun !== null && explanation.timedRun.remaining > 0 && explanation.cause.type === 'manual' &&
+            request.type === 'manual' && request.detail === 'Riego manual' && request.until === explanation.timedRun.endsAt;
+    });
+
+    await runTest('Con el programador en pausa las condiciones no piden el relé', async () => {
+        scheduler.stopScheduledTasks();
+        const paused = scheduler.getReleRequests(1).length;
+        scheduler.startScheduledTasks();
+        return paused === 0 && scheduler.getReleRequests(1).length === 2;
+    });
+
+    await runTest('Relé inexistente', async () => {
+        try {
+            await scheduler.explainRele(9);
+            return false;
+        } catch (error) {
+            return error instanceof RelayError && error.status === 400;
+        }
+    });
+
+    scheduler.stop();
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.gpio.interlocks = originalInterlocks;
+    config.scheduling.timezone = originalTimezone;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE CAUSAS DE RELÉS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testRelayCauses();
+}
+
+module.exports = { testRelayCauses };
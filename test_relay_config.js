@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de la Configuración de Relés
+ * Cantidad, pines, nombres, polaridad y tipo de dispositivo de las salidas
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const rpio = require('rpio');
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const { RelayError, normalizeRelays, normalizeOutput, parseReleId, estimateUsage, describeRun } = require('./relays.js');
+const { expectError, expectAsyncError } = require('./test_helpers.js');
+
+console.log('🔌 Probando Configuración de Relés...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectRelayError = (fn, text) => expectError(fn, RelayError, { text });
+
+// Placa de 8 canales: GPIO5..GPIO12 con el último relé activo en alto
+const EIGHT_CHANNELS = [5, 6, 7, 8, 9, 10, 11, 12].map((pin, index) => ({
+    pin,
+    name: `Zona ${index + 1}`,
+    ...(index === 7 ? { activeLow: false } : {})
+}));
+
+async function testRelayConfig() {
+    // Prueba 1: Normalización de la configuración
+    logStep('1', 'Verificando normalización de la configuración...');
+
+    await runTest('Relés con nombre, polaridad y estado inicial', () => {
+        const relays = normalizeRelays({
+            relays: [{ pin: 2, name: 'Bomba' }, { pin: 3, activeLow: false, initialState: true }],
+            releActiveLow: true,
+            releInitialState: false
+        });
+        return relays.length === 2 &&
+            relays[0].id === 1 && relays[0].name === 'Bomba' && relays[0].activeLow && !relays[0].initialState &&
+            relays[1].id === 2 && relays[1].name === 'Relé 2' && !relays[1].activeLow && relays[1].initialState;
+    });
+
+    await runTest('Compatibilidad con relePins', () => {
+        const relays = normalizeRelays({ relePins: [2, 3, 4], releActiveLow: false });
+        return relays.map(relay => relay.pin).join(',') === '2,3,4' && relays.every(relay => !relay.activeLow);
+    });
+
+    await runTest('Rechazar pines inválidos o repetidos', () => {
+        return expectRelayError(() => normalizeRelays({ relays: [{ pin: 40 }] }), 'relé 1') &&
+            expectRelayError(() => normalizeRelays({ relays: [{ pin: 'x' }] })) &&
+            expectRelayError(() => normalizeRelays({ relays: [{ pin: 5 }, { pin: 5 }] }), 'GPIO5') &&
+            expectRelayError(() => normalizeRelays({ relays: [] }));
+    });
+
+    await runTest('Validar ids de relé según la cantidad configurada', () => {
+        const relays = normalizeRelays({ relays: EIGHT_CHANNELS });
+        return parseReleId('8', relays) === 8 &&
+            expectRelayError(() => parseReleId(0, relays), 'entre 1 y 8') &&
+            expectRelayError(() => parseReleId(9, relays), 'entre 1 y 8') &&
+            expectRelayError(() => parseReleId(1.5, relays));
+    });
+
+    // Prueba 2: Controlador con 8 relés
+    logStep('2', 'Verificando controlador con una placa de 8 canales...');
+
+    const originalRelays = config.gpio.relays;
+    config.gpio.relays = EIGHT_CHANNELS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+    const controller = new GPIOController(database);
+    await controller.sensorsReady;
+
+    await runTest('Estados, pines y nombres de los 8 relés', () => {
+        const states = controller.getAllReleStates();
+        return states.length === 8 &&
+            states[7].releId === 8 && states[7].name === 'Zona 8' && states[7].gpioPin === 12 &&
+            !states[7].activeLow && states[0].activeLow;
+    });
+
+    await runTest('Controlar el relé 8 y rechazar el 9', () => {
+        const controlled = controller.controlRele('8', true, 'Prueba');
+        return controlled && controller.getReleState(8) === true &&
+            expectRelayError(() => controller.controlRele(9, true), 'entre 1 y 8') &&
+            expectRelayError(() => controller.getReleState(0));
+    });
+
+    await runTest('Activar y desactivar todos los relés', () => {
+        controller.activateAllRele('Prueba');
+        const allOn = controller.getAllReleStates().every(relay => relay.state);
+        controller.deactivateAllRele('Prueba');
+        return allOn && controller.getAllReleStates().every(relay => !relay.state);
+    });
+
+    await runTest('Información del sistema con la cantidad configurada', () => {
+        const info = controller.getSystemInfo();
+        return info.releCount === 8 && info.relePins.join(',') === '5,6,7,8,9,10,11,12' &&
+            info.relays[2].name === 'Zona 3';
+    });
+
+    await runTest('Nivel del pin según la polaridad de cada relé', () => {
+        const [activeLow, activeHigh] = [controller.relays[0], controller.relays[7]];
+        return controller.pinLevel(activeLow, true) === rpio.LOW &&
+            controller.pinLevel(activeLow, false) === rpio.HIGH &&
+            controller.pinLevel(activeHigh, true) === rpio.HIGH &&
+            controller.pinLevel(activeHigh, false) === rpio.LOW;
+    });
+
+    // Prueba 3: Horarios y condiciones agrupados por relé
+    logStep('3', 'Verificando agrupación de horarios y condiciones...');
+
+    await runTest('Horarios agrupados para los 8 relés', async () => {
+        await database.saveSchedules({
+            2: [{ time: '07:00', duration: 10, days: [1], enabled: true }],
+            8: [{ time: '18:30', duration: 5, days: [0, 6], enabled: true }]
+        });
+        const schedules = await database.getSchedules(8);
+        return Object.keys(schedules).length === 8 &&
+            schedules[8][0].time === '18:30' && schedules[2].length === 1 && schedules[5].length === 0;
+    });
+
+    await runTest('Relés fuera de la configuración no se agrupan', async () => {
+        const schedules = await database.getSchedules(4);
+        return Object.keys(schedules).length === 4 && schedules[8] === undefined;
+    });
+
+    await runTest('Condiciones agrupadas para los 8 relés', async () => {
+        await database.saveConditions({ 7: { tempMax: 30 } });
+        const conditions = await database.getConditions(8);
+        return Object.keys(conditions).length === 8 && conditions[7].tempMax.value === 30;
+    });
+
+    await runTest('Cantidad por defecto tomada de config.js', async () => {
+        const schedules = await database.getSchedules();
+        return Object.keys(schedules).length === 8;
+    });
+
+    // Prueba 4: Salidas con nombre, tipo y datos
+    logStep('4', 'Verificando salidas con nombre, tipo y datos...');
+
+    await runTest('Validar tipo y datos de la salida', () => {
+        const pump = normalizeOutput({ name: ' Bomba principal ', type: 'pump', metadata: { flowRate: '12', wattage: 40 } });
+        return pump.name === 'Bomba principal' && pump.metadata.flowRate === 12 &&
+            normalizeOutput({ name: 'Riego' }).type === 'valve' &&
+            expectRelayError(() => normalizeOutput({ name: 'X', type: 'motor' }), 'motor') &&
+            expectRelayError(() => normalizeOutput({ name: 'Luz', type: 'light', metadata: { flowRate: 5 } }), 'flowRate') &&
+            expectRelayError(() => normalizeOutput({ name: 'Calefactor', type: 'heater', metadata: { wattage: -100 } })) &&
+            expectRelayError(() => normalizeOutput({ name: '', type: 'fan' }));
+    });
+
+    await runTest('Consumo estimado según el tipo de dispositivo', () => {
+        const pump = { type: 'pump', metadata: { flowRate: 12 } };
+        const light = { type: 'light', metadata: { wattage: 600 } };
+        return estimateUsage(pump, 300).liters === 60 && estimateUsage(pump, 300).kwh === undefined &&
+            estimateUsage(light, 3600).kwh === 0.6 &&
+            describeRun(pump, 300) === '5 min, ~60 L' && describeRun({ metadata: {} }, 42) === '42 s';
+    });
+
+    await runTest('Guardar salida y mostrarla en estado e información del sistema', async () => {
+        await controller.saveOutput(2, { name: 'Bomba principal', type: 'pump', metadata: { flowRate: 12 } }, 'admin');
+        const state = controller.getAllReleStates()[1];
+        const info = controller.getSystemInfo().relays[1];
+        return state.name === 'Bomba principal' && state.type === 'pump' && state.metadata.flowRate === 12 &&
+            info.type === 'pump' && controller.getReleName(2) === 'Bomba principal';
+    });
+
+    await runTest('Logs con el nombre de la salida', async () => {
+        controller.controlRele(2, true, 'Prueba de nombre');
+        controller.controlRele(2, false, 'Prueba de nombre');
+        await database.saveSystemLog('info', 'Fin de prueba', 'Test');
+        const messages = (await database.getSystemLogs(20)).map(entry => entry.message);
+        return messages.some(message => message.startsWith('Bomba principal ON')) &&
+            messages.some(message => /^Bomba principal OFF \(\d+ s, ~\d+(\.\d+)? L\)/.test(message));
+    });
+
+    await runTest('Cambiar de tipo descarta los datos del tipo anterior', async () => {
+        const output = await controller.saveOutput(3, { type: 'light' });
+        return output.type === 'light' && output.name === 'Zona 3' && Object.keys(output.metadata).length === 0 &&
+            await expectAsyncError(() => controller.saveOutput(3, { metadata: { flowRate: 3 } }), RelayError);
+    });
+
+    await runTest('Salidas guardadas se cargan al reiniciar', async () => {
+        const restarted = new GPIOController(database);
+        await restarted.outputsReady;
+        restarted.sensors.cleanup();
+        return restarted.getReleName(2) === 'Bomba principal' && restarted.relays[2].type === 'light';
+    });
+
+    await runTest('Restablecer la salida de config.js', async () => {
+        const output = await controller.resetOutput(2);
+        const stored = await database.getOutputs();
+        return output.name === 'Zona 2' && output.type === 'valve' &&
+            stored.length === 1 && stored[0].releId === 3;
+    });
+
+    controller.sensors.cleanup();
+    database.close();
+    config.gpio.relays = originalRelays;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE CONFIGURACIÓN DE RELÉS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testRelayConfig();
+}
+
+module.exports = { testRelayConfig };
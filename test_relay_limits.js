@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Límites de Seguridad de los Relés
+ * Máximo encendido continuo, mínimo apagado entre activaciones y máximo diario
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const AuditLog = require('./audit.js');
+const GPIOController = require('./gpio_controller.js');
+const { RelayError } = require('./relays.js');
+const {
+    SafetyLimitError,
+    normalizeLimits,
+    normalizeRelayLimits,
+    formatDuration,
+    describeLimits,
+    runtimeFromHistory
+} = require('./relay_limits.js');
+const { wait, expectError } = require('./test_helpers.js');
+
+console.log('⏱️ Probando Límites de Seguridad de Relés...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+// Timestamp de SQLite (UTC) de hace unos segundos
+function secondsAgo(seconds) {
+    return new Date(Date.now() - seconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Límites de fracciones de segundo para que la prueba sea rápida
+const RELAYS = [
+    { pin: 5, name: 'Bomba', type: 'pump', limits: { maxOnTime: 0.2 } },
+    { pin: 6, name: 'Compresor', type: 'generic', limits: { minOffTime: 0.3 } },
+    { pin: 13, name: 'Calefactor', type: 'heater', limits: { maxDailyRuntime: 0.4 } },
+    { pin: 19, name: 'Riego', type: 'valve' }
+];
+
+async function testRelayLimits() {
+    // Prueba 1: Validación de límites
+    logStep('1', 'Verificando validación de límites...');
+
+    await runTest('Rechazar límites mal definidos', () => {
+        return expectError(() => normalizeLimits({ maxOnTime: 0 }), RelayError, { text: 'maxOnTime' }) &&
+            expectError(() => normalizeLimits({ minOffTime: 'x' }), RelayError, { text: 'minOffTime' }) &&
+            expectError(() => normalizeLimits({ maxRuntime: 10 }), RelayError, { text: 'maxRuntime' }) &&
+            expectError(() => normalizeLimits({ maxDailyRuntime: 90000 }), RelayError, { text: 'maxDailyRuntime' }) &&
+            expectError(() => normalizeLimits([]), RelayError);
+    });
+
+    await runTest('Máximo encendido continuo de hasta un día', () => {
+        return normalizeLimits({ maxOnTime: 86400 }).maxOnTime === 86400 &&
+            expectError(() => normalizeLimits({ maxOnTime: 86401 }), RelayError, { text: 'maxOnTime no puede superar 86400' }) &&
+            expectError(() => normalizeLimits({ maxOnTime: 3000000 }), RelayError, { text: 'maxOnTime' });
+    });
+
+    await runTest('Límites comunes reemplazados por los de cada relé', () => {
+        const relays = [{ name: 'A' }, { name: 'B' }];
+        const limits = normalizeRelayLimits({
+            relays: [{ pin: 2 }, { pin: 3, limits: { minOffTime: 60 } }],
+            releLimits: { maxOnTime: 1800, minOffTime: 300 }
+        }, relays);
+        return limits[0].maxOnTime === 1800 && limits[0].minOffTime === 300 && limits[0].maxDailyRuntime === null &&
+            limits[1].maxOnTime === 1800 && limits[1].minOffTime === 60 &&
+            normalizeRelayLimits({ relePins: [2] }, [{ name: 'A' }])[0].maxOnTime === null;
+    });
+
+    await runTest('Descripción legible de los límites', () => {
+        return formatDuration(45) === '45 s' && formatDuration(300) === '5 min' && formatDuration(9000) === '2 h 30 min' &&
+            describeLimits({ maxOnTime: 1800, minOffTime: 300, maxDailyRuntime: 7200 }) ===
+                'máx. 30 min seguidos, mín. 5 min apagada, máx. 2 h por día' &&
+            describeLimits({ maxOnTime: null, minOffTime: null, maxDailyRuntime: null }) === null;
+    });
+
+    await runTest('Tiempo encendido calculado del historial', () => {
+        const runtime = runtimeFromHistory([
+            { releId: 1, state: 1, timestamp: '2024-05-01 10:00:00' },
+            { releId: 1, state: 0, timestamp: '2024-05-01 10:05:00' },
+            { releId: 2, state: 0, timestamp: '2024-05-01 10:06:00' },
+            { releId: 1, state: 1, timestamp: '2024-05-01 11:00:00' },
+            { releId: 1, state: 1, timestamp: '2024-05-01 11:01:00' },
+            { releId: 1, state: 0, timestamp: '2024-05-01 11:10:00' },
+            { releId: 1, state: 1, timestamp: '2024-05-01 12:00:00' }
+        ]);
+        return runtime[1].seconds === 900 &&
+            runtime[1].lastOffAt === new Date('2024-05-01T11:10:00Z').getTime() &&
+            runtime[2].seconds === 0 && runtime[2].lastOffAt === null;
+    });
+
+    // Prueba 2: Controlador
+    logStep('2', 'Verificando límites en el controlador...');
+
+    const originalRelays = config.gpio.relays;
+    const originalLimits = config.gpio.releLimits;
+    config.gpio.relays = RELAYS;
+    config.gpio.releLimits = {};
+
+    const database = new Database(':memory:');
+    await database.ready;
+    const controller = new GPIOController(database);
+    await controller.runtimeReady;
+
+    const shutoffs = [];
+    controller.on('safety_shutoff', event => shutoffs.push(event));
+
+    await runTest('Configuración inválida detiene el controlador', () => {
+        config.gpio.releLimits = { maxOnTime: -5 };
+        const failed = expectError(() => new GPIOController(database), RelayError, { text: 'maxOnTime' });
+        config.gpio.releLimits = {};
+        return failed;
+    });
+
+    await runTest('Apagado automático al cumplir el máximo continuo', async () => {
+        controller.controlRele(1, true, 'Llenar tanque');
+        await wait(50);
+        const stillOn = controller.getReleState(1) === true;
+        await wait(300);
+        return stillOn && controller.getReleState(1) === false &&
+            shutoffs.length === 1 && shutoffs[0].releId === 1 && shutoffs[0].limit === 'maxOnTime' &&
+            shutoffs[0].message.includes('Bomba');
+    });
+
+    await runTest('Apagado automático registrado en logs y auditoría', async () => {
+        await wait(50);
+        const logs = await database.getSystemLogs(20, 'warn');
+        const audit = await new AuditLog(database).query({ source: 'safety' });
+        return logs.some(entry => entry.message.startsWith('Límite de seguridad: Bomba apagada')) &&
+            audit.total === 1 && audit.entries[0].target === 'rele:1' && audit.entries[0].after.state === false;
+    });
+
+    await runTest('Apagar a mano cancela el apagado automático', async () => {
+        controller.controlRele(1, true, 'Llenar tanque');
+        controller.controlRele(1, false, 'Tanque lleno');
+        controller.controlRele(1, true, 'Llenar otra vez');
+        await wait(120);
+        controller.controlRele(1, false, 'Tanque lleno');
+        await wait(150);
+        return shutoffs.length === 1;
+    });
+
+    await runTest('Mínimo apagado entre activaciones con error 409', async () => {
+        controller.controlRele(2, true, 'Enfriar');
+        controller.controlRele(2, false, 'Fin');
+        let rejected = null;
+        try {
+            controller.controlRele(2, true, 'Enfriar otra vez');
+        } catch (error) {
+            rejected = error;
+        }
+        const limits = controller.getLimits()[1];
+        await wait(350);
+        return rejected instanceof SafetyLimitError && rejected.status === 409 && rejected.limit === 'minOffTime' &&
+            limits.offRemaining > 0 && controller.getReleState(2) === false &&
+            controller.controlRele(2, true, 'Enfriar otra vez') && controller.getReleState(2) === true;
+    });
+
+    await runTest('Rechazo registrado en logs y auditoría', async () => {
+        controller.controlRele(2, false, 'Fin');
+        await wait(50);
+        const logs = await database.getSystemLogs(50, 'warn');
+        const audit = await new AuditLog(database).query({ action: 'rele.rejected' });
+        return logs.some(entry => entry.message.startsWith('Comando rechazado: Compresor ON - Límite de seguridad')) &&
+            audit.total === 1 && audit.entries[0].target === 'rele:2';
+    });
+
+    await runTest('Máximo diario apaga la salida y bloquea el encendido', async () => {
+        controller.controlRele(3, true, 'Calentar');
+        await wait(250);
+        controller.controlRele(3, false, 'Temperatura alcanzada');
+        controller.controlRele(3, true, 'Calentar');
+        await wait(300);
+        const stopped = controller.getReleState(3) === false &&
+            shutoffs.some(event => event.releId === 3 && event.limit === 'maxDailyRuntime');
+        const blocked = expectError(() => controller.controlRele(3, true), SafetyLimitError, { status: 409, text: 'máximo diario' });
+        return stopped && blocked && controller.getLimits()[2].remainingToday === 0;
+    });
+
+    await runTest('Alternar, activación temporal y masiva respetan los límites', () => {
+        const toggled = expectError(() => controller.toggleRele(3), SafetyLimitError, { status: 409 });
+        const timed = expectError(() => controller.activateReleTimed(3, 60), SafetyLimitError, { status: 409 });
+        controller.activateAllRele('Prueba');
+        const on = controller.getAllReleStates().filter(relay => relay.state).map(relay => relay.releId);
+        controller.deactivateAllRele('Reinicio');
+        return toggled && timed && on.join(',') === '1,2,4';
+    });
+
+    await runTest('Límites en la información del sistema', () => {
+        const limits = controller.getSystemInfo().limits;
+        return limits.length === 4 && limits[0].limits.maxOnTime === 0.2 &&
+            limits[3].description === null && limits[3].remainingToday === null;
+    });
+
+    controller.sensors.cleanup();
+    await wait(350);
+
+    // Prueba 3: Reinicio del sistema
+    logStep('3', 'Verificando límites después de un reinicio...');
+
+    config.gpio.relays = RELAYS.map(relay => ({ ...relay, limits: { maxDailyRuntime: 3600, minOffTime: 600 } }));
+    const restartedDatabase = new Database(':memory:');
+    await restartedDatabase.ready;
+    await new Promise(resolve => restartedDatabase.db.run(
+        'INSERT INTO rele_states (releId, state, reason, timestamp) VALUES (4, 1, ?, ?), (4, 0, ?, ?)',
+        ['Riego', secondsAgo(120), 'Fin de riego', secondsAgo(60)],
+        resolve
+    ));
+    const restarted = new GPIOController(restartedDatabase);
+    await restarted.runtimeReady;
+
+    await runTest('Tiempo encendido de hoy cargado del historial', () => {
+        const limits = restarted.getLimits()[3];
+        return Math.round(restarted.getRuntimeToday(4)) === 60 && limits.remainingToday === 3540;
+    });
+
+    await runTest('Mínimo apagado cuenta desde el último apagado registrado', () => {
+        return expectError(() => restarted.controlRele(4, true, 'Riego'), SafetyLimitError, { status: 409, text: 'debe permanecer apagada' }) &&
+            restarted.controlRele(1, true, 'Bomba') && restarted.controlRele(1, false, 'Bomba');
+    });
+
+    restarted.sensors.cleanup();
+    await wait(50);
+    database.close();
+    restartedDatabase.close();
+    config.gpio.relays = originalRelays;
+    config.gpio.releLimits = originalLimits;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE LÍMITES DE SEGURIDAD', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testRelayLimits();
+}
+
+module.exports = { testRelayLimits };
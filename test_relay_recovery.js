@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Recuperación de Relés tras un Reinicio
+ * Políticas por relé: estado inicial, último estado y reanudar activaciones temporales
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const AuditLog = require('./audit.js');
+const GPIOController = require('./gpio_controller.js');
+const { RelayError, normalizeRelays } = require('./relays.js');
+const { wait, flush } = require('./test_helpers.js');
+
+console.log('🔁 Probando Recuperación de Relés tras un Reinicio...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+// Simular un corte de energía: el proceso muere sin apagar nada ni borrar lo pendiente
+function crash(controller) {
+    controller.timedRuns.forEach(run => run && clearTimeout(run.timer));
+    controller.limitTimers.forEach(timer => clearTimeout(timer));
+    controller.sensors.cleanup();
+}
+
+async function restart(database) {
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    return controller;
+}
+
+// El riego requiere la bomba encendida: al recuperar, la bomba se enciende primero
+const RELAYS = [
+    { pin: 5, name: 'Riego', type: 'valve', restorePolicy: 'resume' },
+    { pin: 6, name: 'Bomba', type: 'pump', restorePolicy: 'restore' },
+    { pin: 13, name: 'Luz', type: 'light' },
+    { pin: 19, name: 'Ventilador', type: 'fan', restorePolicy: 'restore' },
+    { pin: 20, name: 'Extractor', type: 'fan', restorePolicy: 'resume' }
+];
+
+const INTERLOCKS = [
+    { type: 'requires', relay: 1, requires: 2 }
+];
+
+async function testRelayRecovery() {
+    // Prueba 1: Configuración
+    logStep('1', 'Verificando políticas de reinicio...');
+
+    await runTest('Política por relé con valor común por defecto', () => {
+        const relays = normalizeRelays({
+            relays: [{ pin: 2 }, { pin: 3, restorePolicy: 'resume' }],
+            releRestorePolicy: 'restore'
+        });
+        return relays[0].restorePolicy === 'restore' && relays[1].restorePolicy === 'resume' &&
+            normalizeRelays({ relePins: [2] })[0].restorePolicy === 'off';
+    });
+
+    await runTest('Rechazar políticas desconocidas', () => {
+        try {
+            normalizeRelays({ relays: [{ pin: 2, restorePolicy: 'sometimes' }] });
+            return false;
+        } catch (error) {
+            return error instanceof RelayError && error.message.includes('sometimes');
+        }
+    });
+
+    const originalRelays = config.gpio.relays;
+    const originalInterlocks = config.gpio.interlocks;
+    config.gpio.relays = RELAYS;
+    config.gpio.interlocks = INTERLOCKS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    // Prueba 2: Activaciones temporales guardadas
+    logStep('2', 'Verificando activaciones temporales pendientes...');
+
+    const first = await restart(database);
+    first.controlRele(2, true, 'Recirculación');
+    first.activateReleTimed(1, 60, 'Riego de prueba', AuditLog.SCHEDULER_CONTEXT);
+    first.activateReleTimed(3, 60, 'Luz de prueba');
+    first.controlRele(4, true, 'Ventilar');
+    first.controlRele(4, false, 'Fin de ventilación');
+    first.controlRele(5, true, 'Extraer');
+    const riegoEndsAt = first.timedRuns[0].endsAt;
+
+    await runTest('Desactivaciones pendientes guardadas en la base de datos', async () => {
+        await flush(database);
+        const runs = await database.getTimedRuns();
+        return runs.length === 2 && runs[0].releId === 1 && runs[0].endsAt === riegoEndsAt &&
+            runs[0].duration === 60 && runs[0].source === 'scheduler' && runs[1].releId === 3;
+    });
+
+    // Prueba 3: Corte de energía
+    logStep('3', 'Verificando recuperación tras un corte de energía...');
+
+    crash(first);
+    await flush(database);
+    const second = await restart(database);
+
+    await runTest('Reanudar la activación temporal hasta su fin previsto', () => {
+        const run = second.timedRuns[0];
+        return second.getReleState(1) === true && run && run.endsAt === riegoEndsAt &&
+            run.context.source === 'scheduler' && run.reason === 'Riego de prueba';
+    });
+
+    await runTest('Restaurar el último estado antes que las salidas que lo requieren', async () => {
+        await flush(database);
+        const rejected = await new AuditLog(database).query({ action: 'rele.rejected' });
+        return second.getReleState(2) === true && second.getReleState(4) === false && rejected.total === 0;
+    });
+
+    await runTest('Estado inicial descarta la activación pendiente', async () => {
+        await flush(database);
+        const runs = await database.getTimedRuns();
+        return second.getReleState(3) === false && second.timedRuns[2] === null &&
+            runs.map(run => run.releId).join(',') === '1';
+    });
+
+    await runTest('Reanudar no enciende salidas sin activación temporal', () => {
+        return second.getReleState(5) === false;
+    });
+
+    await runTest('Recuperación registrada en los logs', async () => {
+        await flush(database);
+        const messages = (await database.getSystemLogs(50)).map(entry => entry.message);
+        return messages.some(message => message.includes('Recuperación tras reinicio: Riego de prueba (quedan 1 min)')) &&
+            messages.some(message => message.includes('Recuperación tras reinicio: último estado encendido'));
+    });
+
+    await runTest('Apagar a mano cancela la activación pendiente', async () => {
+        second.controlRele(1, false, 'Riego suficiente');
+        await flush(database);
+        return second.timedRuns[0] === null && (await database.getTimedRuns()).length === 0;
+    });
+
+    // Prueba 4: Cierre ordenado
+    logStep('4', 'Verificando recuperación tras un cierre ordenado...');
+
+    second.activateReleTimed(1, 120, 'Riego largo');
+    second.cleanup();
+    await flush(database);
+    const third = await restart(database);
+
+    await runTest('El apagado al cerrar no cuenta como último estado', async () => {
+        const runs = await database.getTimedRuns();
+        return third.getReleState(1) === true && third.getReleState(2) === true &&
+            runs.length === 1 && runs[0].reason === 'Riego largo';
+    });
+
+    // Prueba 5: Activación vencida
+    logStep('5', 'Verificando activaciones vencidas durante el corte...');
+
+    crash(third);
+    await database.saveTimedRun({ releId: 1, reason: 'Riego vencido', duration: 60, endsAt: Date.now() - 1000 });
+    const fourth = await restart(database);
+
+    await runTest('Activación vencida queda apagada y se descarta', async () => {
+        await flush(database);
+        return fourth.getReleState(1) === false && fourth.getReleState(2) === true &&
+            (await database.getTimedRuns()).length === 0;
+    });
+
+    fourth.deactivateAllRele('Fin de prueba');
+    fourth.sensors.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.gpio.interlocks = originalInterlocks;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE RECUPERACIÓN DE RELÉS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testRelayRecovery();
+}
+
+module.exports = { testRelayRecovery };
@@ -77,8 +77,8 @@ async function testRelays() {
             log('   📊 Estado inicial:', 'blue');
             for (let i = 0; i < initialStates.length; i++) {
                 const state = initialStates[i];
-                const status = state.active ? '🟢 ACTIVO' : '🔴 INACTIVO';
-                log(`      Relé ${i + 1}: ${status}`, state.active ? 'green' : 'red');
+                const status = state.state ? '🟢 ACTIVO' : '🔴 INACTIVO';
+                log(`      Relé ${state.releId} (${state.name}) - GPIO${state.gpioPin}: ${status}`, state.state ? 'green' : 'red');
             }
         } catch (error) {
             log(`   ❌ Error obteniendo estados: ${error.message}`, 'red');
@@ -88,7 +88,8 @@ async function testRelays() {
         log('\n[6] Probando control de relés...', 'cyan');
         log('   ⚠️  ADVERTENCIA: En modo simulación, los relés no se activarán físicamente', 'yellow');
         
-        for (let releId = 1; releId <= 4; releId++) {
+        const releCount = controller.relays.length;
+        for (let releId = 1; releId <= releCount; releId++) {
             try {
                 log(`\n   🔌 Probando Relé ${releId}:`, 'cyan');
                 
@@ -107,7 +108,7 @@ async function testRelays() {
                 const states = controller.getAllReleStates();
                 const currentState = states[releId - 1];
                 
-                if (currentState && currentState.active) {
+                if (currentState && currentState.state) {
                     log(`      ✅ Estado confirmado: ACTIVO`, 'green');
                 } else {
                     log(`      ⚠️  Estado no confirmado`, 'yellow');
@@ -124,7 +125,7 @@ async function testRelays() {
                 }
                 
                 // Esperar entre relés
-                if (releId < 4) {
+                if (releId < releCount) {
                     log(`      ⏳ Esperando 1 segundo...`, 'yellow');
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
@@ -138,26 +139,22 @@ async function testRelays() {
         log('\n[7] Probando control múltiple...', 'cyan');
         try {
             log('   🔄 Activando todos los relés...', 'yellow');
-            for (let i = 1; i <= 4; i++) {
-                controller.controlRele(i, true, 'Prueba múltiple');
-            }
+            controller.activateAllRele('Prueba múltiple');
             
             await new Promise(resolve => setTimeout(resolve, 2000));
             
             const allActiveStates = controller.getAllReleStates();
-            const activeCount = allActiveStates.filter(state => state.active).length;
-            log(`   📊 Relés activos: ${activeCount}/4`, 'blue');
+            const activeCount = allActiveStates.filter(state => state.state).length;
+            log(`   📊 Relés activos: ${activeCount}/${releCount}`, 'blue');
             
             log('   🔄 Desactivando todos los relés...', 'yellow');
-            for (let i = 1; i <= 4; i++) {
-                controller.controlRele(i, false, 'Prueba múltiple');
-            }
+            controller.deactivateAllRele('Prueba múltiple');
             
             await new Promise(resolve => setTimeout(resolve, 1000));
             
             const allInactiveStates = controller.getAllReleStates();
-            const inactiveCount = allInactiveStates.filter(state => !state.active).length;
-            log(`   📊 Relés inactivos: ${inactiveCount}/4`, 'blue');
+            const inactiveCount = allInactiveStates.filter(state => !state.state).length;
+            log(`   📊 Relés inactivos: ${inactiveCount}/${releCount}`, 'blue');
             
         } catch (error) {
             log(`   ❌ Error en control múltiple: ${error.message}`, 'red');
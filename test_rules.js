@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Reglas Compuestas
+ * Validación del árbol de expresiones, evaluación con lógica de tres valores,
+ * variación de lecturas guardadas y ejecución de reglas en el programador
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { normalizeRelays } = require('./relays.js');
+const {
+    RuleError,
+    normalizeRule,
+    collectNodes,
+    evaluateNode,
+    advanceRule,
+    describeRule
+} = require('./rules.js');
+const { initialConditionState } = require('./conditions.js');
+const { wait, flush, expectError } = require('./test_helpers.js');
+
+console.log('🧩 Probando Reglas Compuestas...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectRuleError = (action, text) => expectError(action, RuleError, { text });
+
+const RELAYS = [
+    { pin: 5, name: 'Ventilador', type: 'fan' },
+    { pin: 6, name: 'Bomba', type: 'pump' },
+    { pin: 13, name: 'Calefactor', type: 'generic' }
+];
+
+const MINUTE = 60 * 1000;
+
+// Miércoles 5 de junio de 2024 a las 12:00 UTC
+const NOON = new Date('2024-06-05T12:00:00Z');
+
+// "temperature > 28 Y humidity < 50 Y entre 10:00 y 17:00 -> encender ventilador"
+const FAN_RULE = {
+    name: 'Ventilación de mediodía',
+    releId: 1,
+    when: {
+        type: 'and',
+        children: [
+            { type: 'sensor', metric: 'temperature', operator: '>', value: 28 },
+            { type: 'sensor', metric: 'humidity', operator: '<', value: 50 },
+            { type: 'time', from: '10:00', to: '17:00' }
+        ]
+    }
+};
+
+// Contexto de evaluación con lecturas, variaciones y estados fijos
+function context(now, { readings = {}, rates = {}, states = {} } = {}) {
+    return {
+        now,
+        timeZone: 'UTC',
+        reading: (sensorId, metric) => (readings[metric] === undefined ? null : readings[metric]),
+        rate: (sensorId, metric, minutes) => (rates[`${metric}:${minutes}`] === undefined ? null : rates[`${metric}:${minutes}`]),
+        releState: releId => states[releId]
+    };
+}
+
+async function testRules() {
+    const relays = normalizeRelays({ relays: RELAYS });
+
+    // Prueba 1: Modelo de regla
+    logStep('1', 'Verificando el modelo de regla...');
+
+    await runTest('Regla con valores por defecto', () => {
+        const rule = normalizeRule(FAN_RULE, relays);
+        return rule.action === 'on' && rule.until === null && rule.duration === 0 && rule.dwellMinutes === 0 &&
+            rule.enabled === true && rule.when.children.length === 3 && rule.when.children[0].sensorId === null;
+    });
+
+    await runTest('Nodos normalizados: horas, días sin repetir y estado de relé', () => {
+        const rule = normalizeRule({
+            name: 'Riego de noche',
+            releId: 2,
+            action: 'on',
+            when: {
+                type: 'or',
+                children: [
+                    { type: 'time', from: '6:05', to: '7:00' },
+                    { type: 'days', days: [6, '0', 6] },
+                    { type: 'not', child: { type: 'relay', releId: '3', state: 'off' } }
+                ]
+            }
+        }, relays);
+        const [time, days, not] = rule.when.children;
+        return time.from === '06:05' && days.days.join(',') === '0,6' && not.child.releId === 3 && not.child.state === false;
+    });
+
+    await runTest('Rechazar reglas inválidas', () => {
+        const withWhen = when => ({ name: 'X', releId: 1, when });
+        let deep = { type: 'sensor', metric: 'temperature', operator: '>', value: 1 };
+        for (let level = 0; level < 6; level++) {
+            deep = { type: 'and', children: [deep] };
+        }
+        return expectRuleError(() => normalizeRule({ releId: 1, when: FAN_RULE.when }, relays), 'Nombre') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'xor' }), relays), 'tipo de nodo desconocido') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'and', children: [] }), relays), 'entre 1 y') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'sensor', metric: 'temperature', operator: '=', value: 1 }), relays), 'operador') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'sensor', metric: 'temperature', operator: '>', value: '' }), relays), 'valor') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'time', from: '10:00', to: '10:00' }), relays), 'misma hora') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'rate', metric: 'ph', operator: '>', value: 1, minutes: 500 }), relays), 'ventana') &&
+            expectRuleError(() => normalizeRule(withWhen({ type: 'days', days: [] }), relays), 'al menos un día') &&
+            expectRuleError(() => normalizeRule(withWhen(deep), relays), 'niveles') &&
+            expectRuleError(() => normalizeRule({ ...FAN_RULE, releId: 9 }, relays), 'relé');
+    });
+
+    await runTest('Una regla no depende del relé que controla ni apaga con duración', () => {
+        return expectRuleError(() => normalizeRule({
+            name: 'Bucle',
+            releId: 1,
+            when: { type: 'relay', releId: 1, state: true }
+        }, relays), 'relé que controla') &&
+            expectRuleError(() => normalizeRule({ ...FAN_RULE, action: 'off', duration: 5 }, relays), 'duración');
+    });
+
+    await runTest('Nodos de un tipo y descripción legible', () => {
+        const rule = normalizeRule({
+            ...FAN_RULE,
+            until: { type: 'rate', sensorId: 'ambiente', metric: 'temperature', operator: '<', value: -1, minutes: 15 }
+        }, relays);
+        return collectNodes(rule.when, 'sensor').length === 2 && collectNodes(rule.until, 'rate').length === 1 &&
+            describeRule(rule, relays) === 'Si temperature > 28 Y humidity < 50 Y entre 10:00 y 17:00 -> Encender Ventilador' +
+                ' hasta que variación de ambiente.temperature en 15 min < -1';
+    });
+
+    // Prueba 2: Evaluación
+    logStep('2', 'Verificando la evaluación de expresiones...');
+
+    const fan = normalizeRule(FAN_RULE, relays);
+
+    await runTest('Sensores y franja horaria combinados con Y', () => {
+        const hot = { readings: { temperature: 30, humidity: 40 } };
+        return evaluateNode(fan.when, context(NOON, hot)) === true &&
+            evaluateNode(fan.when, context(new Date('2024-06-05T18:00:00Z'), hot)) === false &&
+            evaluateNode(fan.when, context(NOON, { readings: { temperature: 30, humidity: 60 } })) === false;
+    });
+
+    await runTest('Sin lectura el resultado es desconocido salvo que otro elemento decida', () => {
+        const night = new Date('2024-06-05T22:00:00Z');
+        const any = { type: 'or', children: [{ type: 'sensor', metric: 'ph', operator: '<', value: 5.5 }, { type: 'time', from: '10:00', to: '17:00' }] };
+        return evaluateNode(fan.when, context(NOON, { readings: { temperature: 30 } })) === null &&
+            evaluateNode(fan.when, context(night, { readings: { temperature: 30 } })) === false &&
+            evaluateNode(any, context(NOON)) === true &&
+            evaluateNode(any, context(night)) === null &&
+            evaluateNode({ type: 'not', child: any }, context(night)) === null;
+    });
+
+    await runTest('Franja que cruza la medianoche y días de la semana', () => {
+        const night = { type: 'time', from: '22:00', to: '06:00' };
+        const weekend = { type: 'days', days: [0, 6] };
+        return evaluateNode(night, context(new Date('2024-06-05T23:30:00Z'))) === true &&
+            evaluateNode(night, context(new Date('2024-06-06T05:59:00Z'))) === true &&
+            evaluateNode(night, context(new Date('2024-06-06T06:00:00Z'))) === false &&
+            evaluateNode(weekend, context(NOON)) === false &&
+            evaluateNode(weekend, context(new Date('2024-06-08T12:00:00Z'))) === true;
+    });
+
+    await runTest('Estado de otro relé y variación de una lectura', () => {
+        const pumpOff = { type: 'relay', releId: 2, state: false };
+        const rising = { type: 'rate', metric: 'temperature', operator: '>=', value: 2, minutes: 30 };
+        return evaluateNode(pumpOff, context(NOON, { states: { 2: false } })) === true &&
+            evaluateNode(pumpOff, context(NOON, { states: { 2: true } })) === false &&
+            evaluateNode(rising, context(NOON, { rates: { 'temperature:30': 2.5 } })) === true &&
+            evaluateNode(rising, context(NOON, { rates: { 'temperature:30': 1 } })) === false &&
+            evaluateNode(rising, context(NOON)) === null;
+    });
+
+    await runTest('Confirmación y condición de apagado propia', () => {
+        const rule = normalizeRule({
+            ...FAN_RULE,
+            dwellMinutes: 2,
+            until: { type: 'sensor', metric: 'temperature', operator: '<', value: 25 }
+        }, relays);
+        const at = (minute, readings) => context(new Date(NOON.getTime() + minute * MINUTE), { readings });
+        const events = [];
+        let state = initialConditionState();
+        [[0, 30], [1, 30], [2, 30], [3, 27], [4, 24], [5, 24], [6, 24]].forEach(([minute, temperature]) => {
+            const result = advanceRule(state, rule, at(minute, { temperature, humidity: 40 }));
+            state = result.state;
+            if (result.event) {
+                events.push(`${minute}:${result.event}`);
+            }
+        });
+        return events.join(',') === '2:trigger,6:release';
+    });
+
+    const originalRelays = config.gpio.relays;
+    const originalTimezone = config.scheduling.timezone;
+    config.gpio.relays = RELAYS;
+    config.scheduling.timezone = 'UTC';
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    // Prueba 3: Base de datos
+    logStep('3', 'Verificando reglas guardadas...');
+
+    await runTest('Guardar y leer una regla con su expresión', async () => {
+        const id = await database.saveRule({ ...fan, updatedBy: 'admin' });
+        const saved = await database.getRule(id);
+        return saved.name === fan.name && saved.action === 'on' && saved.until === null &&
+            JSON.stringify(saved.when) === JSON.stringify(fan.when) && saved.enabled === true && saved.updatedBy === 'admin';
+    });
+
+    await runTest('Actualizar y rechazar nombres repetidos', async () => {
+        const [saved] = await database.getRules();
+        await database.saveRule({ ...saved, dwellMinutes: 3, enabled: false });
+        let rejected = false;
+        try {
+            await database.saveRule({ ...fan, releId: 2 });
+        } catch (error) {
+            rejected = String(error.message).includes('UNIQUE');
+        }
+        const updated = await database.getRule(saved.id);
+        return rejected && updated.dwellMinutes === 3 && updated.enabled === false && (await database.getRules()).length === 1;
+    });
+
+    await runTest('Lectura guardada en una ventana de tiempo', async () => {
+        const stamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+        await new Promise(resolve => database.db.run(
+            'INSERT INTO readings (sensor_id, metric, value, timestamp) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+            ['ambiente', 'temperature', 20, stamp(new Date(NOON.getTime() - 40 * MINUTE)),
+                'ambiente', 'temperature', 21, stamp(new Date(NOON.getTime() - 31 * MINUTE))],
+            resolve
+        ));
+        const past = new Date(NOON.getTime() - 30 * MINUTE);
+        return await database.getReadingAt('ambiente', 'temperature', past, 30) === 21 &&
+            await database.getReadingAt('ambiente', 'temperature', past, 0) === null &&
+            await database.getReadingAt('ambiente', 'humidity', past, 30) === null;
+    });
+
+    // Prueba 4: Programador
+    logStep('4', 'Verificando reglas en el programador...');
+
+    const [stored] = await database.getRules();
+    await database.saveRule({ ...stored, dwellMinutes: 0, enabled: true });
+    await database.saveRule(normalizeRule({
+        name: 'Calor en aumento',
+        releId: 3,
+        action: 'off',
+        when: { type: 'rate', sensorId: 'ambiente', metric: 'temperature', operator: '>=', value: 2, minutes: 30 }
+    }, relays));
+
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const scheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    const readings = { temperature: 22, humidity: 40 };
+    controller.sensors.getLatest = (sensorId, metric) => (readings[metric] === undefined ? null : readings[metric]);
+    const evaluate = async (minute, values = {}) => {
+        Object.assign(readings, values);
+        await scheduler.evaluateRules(new Date(NOON.getTime() + minute * MINUTE));
+    };
+    const ruleStatus = name => scheduler.getStatus().rules.find(rule => rule.name === name);
+
+    await runTest('Reglas habilitadas cargadas con su estado', async () => {
+        return scheduler.activeRules.size === 2 && ruleStatus(fan.name).active === false && ruleStatus(fan.name).result === null;
+    });
+
+    await runTest('Enciende cuando se cumple toda la expresión', async () => {
+        await evaluate(0);
+        const idle = controller.getReleState(1) === false && ruleStatus(fan.name).result === false;
+        await evaluate(1, { temperature: 30 });
+        await flush(database);
+        const { entries } = await scheduler.audit.query({ source: 'rule', target: 'rele:1' });
+        return idle && controller.getReleState(1) === true && ruleStatus(fan.name).active === true &&
+            entries.length === 1 && entries[0].actor === 'Reglas';
+    });
+
+    await runTest('Se libera y apaga cuando deja de cumplirse', async () => {
+        await evaluate(2, { humidity: 55 });
+        return controller.getReleState(1) === false && ruleStatus(fan.name).active === false;
+    });
+
+    await runTest('La variación se calcula con la lectura guardada', async () => {
+        controller.controlRele(3, true, 'Prueba');
+        await evaluate(3, { temperature: 22 });
+        const steady = controller.getReleState(3) === true;
+        await evaluate(4, { temperature: 23.5 });
+        return steady && controller.getReleState(3) === false && ruleStatus('Calor en aumento').active === true;
+    });
+
+    await runTest('Recargar apaga lo que mantenía una regla eliminada', async () => {
+        await evaluate(5, { temperature: 30, humidity: 40 });
+        const active = controller.getReleState(1) === true;
+        await scheduler.reloadRules();
+        const kept = ruleStatus(fan.name).active === true;
+        await database.deleteRule(stored.id);
+        await scheduler.reloadRules();
+        return active && kept && scheduler.activeRules.size === 1 && controller.getReleState(1) === false;
+    });
+
+    await runTest('Reiniciar conserva el estado y detener apaga lo que mantenía una regla', async () => {
+        await database.saveRule(normalizeRule({ ...FAN_RULE, dwellMinutes: 0 }, relays));
+        await scheduler.reloadRules();
+        await evaluate(6, { temperature: 30, humidity: 40 });
+        const active = controller.getReleState(1) === true;
+
+        await scheduler.restart();
+        const kept = ruleStatus(fan.name).active === true && controller.getReleState(1) === true;
+
+        scheduler.stop();
+        await flush(database);
+        return active && kept && controller.getReleState(1) === false;
+    });
+
+    scheduler.stop();
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.scheduling.timezone = originalTimezone;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE REGLAS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testRules();
+}
+
+module.exports = { testRules };
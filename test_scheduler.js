@@ -196,14 +196,14 @@ runTest('Creación de expresión cron para horario', () => {
         if (scheduler) {
             const testSchedule = {
                 id: 1,
-                rele_id: 1,
-                day_of_week: 1, // Lunes
-                start_time: '08:00',
-                end_time: '18:00'
+                releId: 1,
+                time: '08:00',
+                duration: 600, // Hasta las 18:00
+                days: [1, 3, 5] // Lunes, miércoles y viernes
             };
             
             const cronExpression = scheduler.createCronExpression(testSchedule);
-            return cronExpression && cronExpression.includes('0 8 * * 1');
+            return cronExpression === '0 8 * * 1,3,5';
         }
         return false;
     } catch (error) {
@@ -219,11 +219,12 @@ runTest('Agregar condición de activación', () => {
         if (scheduler) {
             const testCondition = {
                 id: 1,
-                rele_id: 1,
-                condition_type: 'temperature',
+                releId: 1,
+                type: 'tempMax',
+                metric: 'temperature',
                 operator: '>',
                 value: 25,
-                action: 'activate'
+                offValue: 23
             };
             
             scheduler.addCondition(testCondition);
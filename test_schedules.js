@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Horarios
+ * Hora de inicio, duración u hora de fin, días de la semana, horarios nocturnos,
+ * una tarea cron por horario, ciclos intermitentes y horarios relativos al sol
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { normalizeRelays } = require('./relays.js');
+const {
+    ScheduleError,
+    normalizeSchedule,
+    normalizeScheduleGroups,
+    describeWindow,
+    describeDays,
+    describeStart,
+    cyclePhase,
+    solarLocation,
+    solarRuns,
+    cronExpression
+} = require('./schedules.js');
+const { sunTimes, localTime, solarTable } = require('./solar.js');
+const { wait, flush, expectError } = require('./test_helpers.js');
+
+console.log('⏰ Probando Horarios...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectScheduleError = (action, text) => expectError(action, ScheduleError, { text });
+
+const RELAYS = [
+    { pin: 5, name: 'Riego', type: 'valve' },
+    { pin: 6, name: 'Luz', type: 'light' }
+];
+
+async function testSchedules() {
+    // Prueba 1: Modelo de horario
+    logStep('1', 'Verificando el modelo de horario...');
+
+    await runTest('Horario por duración', () => {
+        const schedule = normalizeSchedule({ time: '6:30', duration: '45', days: [5, 1, 3, 1] });
+        return schedule.time === '06:30' && schedule.duration === 45 &&
+            schedule.days.join(',') === '1,3,5' && schedule.enabled === true && schedule.sequenceId === null;
+    });
+
+    await runTest('Horario por hora de fin', () => {
+        const schedule = normalizeSchedule({ time: '08:00', endTime: '18:15', days: [1], enabled: false });
+        return schedule.duration === 615 && schedule.enabled === false;
+    });
+
+    await runTest('Hora de fin anterior al inicio cruza la medianoche', () => {
+        const schedule = normalizeSchedule({ time: '22:00', endTime: '06:00', days: [5] });
+        const window = describeWindow(schedule);
+        return schedule.duration === 480 && window.endTime === '06:00' && window.overnight === true &&
+            describeWindow({ time: '08:00', duration: 60 }).overnight === false;
+    });
+
+    await runTest('La duración tiene prioridad sobre la hora de fin', () => {
+        return normalizeSchedule({ time: '08:00', duration: 30, endTime: '12:00', days: [1] }).duration === 30;
+    });
+
+    await runTest('Rechazar horarios inválidos', () => {
+        return expectScheduleError(() => normalizeSchedule({ time: '25:00', duration: 10, days: [1] }), 'HH:mm') &&
+            expectScheduleError(() => normalizeSchedule({ time: '08:00', duration: 0, days: [1] }), 'duración fuera de rango') &&
+            expectScheduleError(() => normalizeSchedule({ time: '08:00', days: [1] }), 'hora de fin') &&
+            expectScheduleError(() => normalizeSchedule({ time: '08:00', endTime: '08:00', days: [1] }), 'distinta') &&
+            expectScheduleError(() => normalizeSchedule({ time: '08:00', duration: 10, days: [] }), 'al menos un día') &&
+            expectScheduleError(() => normalizeSchedule({ time: '08:00', duration: 10, days: [7] }), 'día de la semana inválido');
+    });
+
+    await runTest('Horarios agrupados solo para relés configurados', () => {
+        const relays = normalizeRelays({ relays: RELAYS });
+        const grouped = normalizeScheduleGroups({ 2: [{ time: '07:00', duration: 5, days: [0] }] }, relays);
+        try {
+            normalizeScheduleGroups({ 3: [] }, relays);
+            return false;
+        } catch (error) {
+            return grouped[2][0].time === '07:00' && error.status === 400;
+        }
+    });
+
+    // Prueba 2: Expresiones cron
+    logStep('2', 'Verificando expresiones cron...');
+
+    await runTest('Una expresión cron para todos los días del horario', () => {
+        return cronExpression({ time: '06:05', days: [1, 3, 5] }) === '5 6 * * 1,3,5' &&
+            cronExpression({ time: '22:00', days: [0, 1, 2, 3, 4, 5, 6] }) === '0 22 * * *';
+    });
+
+    await runTest('Días legibles de lunes a domingo', () => {
+        return describeDays([0, 1, 6]) === 'Lun, Sáb, Dom' && describeDays([0, 1, 2, 3, 4, 5, 6]) === 'Todos los días';
+    });
+
+    // Prueba 3: Ciclos intermitentes
+    logStep('3', 'Verificando ciclos intermitentes...');
+
+    // 15 min encendido / 45 min apagado los lunes de 06:00 a 20:00 (1 de enero de 2024 fue lunes)
+    const daylight = normalizeSchedule({ type: 'cycle', time: '06:00', endTime: '20:00', days: [1], onMinutes: 15, offMinutes: 45 });
+    const at = (time) => new Date(`2024-01-01T${time}:00Z`);
+
+    await runTest('Ciclo con ventana, encendido y apagado', () => {
+        return daylight.type === 'cycle' && daylight.duration === 840 &&
+            daylight.onMinutes === 15 && daylight.offMinutes === 45 &&
+            normalizeSchedule({ time: '06:00', duration: 10, days: [1] }).type === 'fixed';
+    });
+
+    await runTest('Rechazar ciclos inválidos', () => {
+        return expectScheduleError(() => normalizeSchedule({ type: 'cycle', time: '06:00', duration: 60, days: [1], onMinutes: 15 }), 'tiempo apagado') &&
+            expectScheduleError(() => normalizeSchedule({ type: 'cycle', time: '06:00', duration: 10, days: [1], onMinutes: 15, offMinutes: 5 }), 'supera la ventana') &&
+            expectScheduleError(() => normalizeSchedule({ type: 'cycle', time: '06:00', duration: 60, days: [1], onMinutes: 5, offMinutes: 5, sequenceId: 1 }), 'no ejecuta secuencias') &&
+            expectScheduleError(() => normalizeSchedule({ type: 'pulse', time: '06:00', duration: 60, days: [1] }), 'tipo de horario desconocido');
+    });
+
+    await runTest('Fase según el tiempo transcurrido desde el inicio de la ventana', () => {
+        const on = cyclePhase(daylight, at('06:10'), 'UTC');
+        const off = cyclePhase(daylight, at('06:20'), 'UTC');
+        const lastOn = cyclePhase(daylight, at('19:05'), 'UTC');
+        const lastOff = cyclePhase(daylight, at('19:50'), 'UTC');
+        return on.on && on.remaining === 5 && !off.on && off.active && off.remaining === 40 &&
+            lastOn.on && lastOn.remaining === 10 && !lastOff.on && lastOff.remaining === 10;
+    });
+
+    await runTest('Fuera de la ventana espera el próximo día programado', () => {
+        const phase = cyclePhase(daylight, at('21:00'), 'UTC');
+        return !phase.active && !phase.on && phase.remaining === 7 * 24 * 60 - 15 * 60;
+    });
+
+    await runTest('Ventana nocturna y zona horaria del sistema', () => {
+        const night = normalizeSchedule({ type: 'cycle', time: '22:00', endTime: '02:00', days: [1], onMinutes: 30, offMinutes: 30 });
+        // 10:10 UTC son las 06:10 en Santo Domingo (UTC-4)
+        return cyclePhase(night, new Date('2024-01-02T01:10:00Z'), 'UTC').on &&
+            !cyclePhase(night, new Date('2024-01-02T01:40:00Z'), 'UTC').on &&
+            cyclePhase(daylight, new Date('2024-01-01T10:10:00Z'), 'America/Santo_Domingo').on;
+    });
+
+    // Prueba 4: Horarios relativos al sol
+    logStep('4', 'Verificando horarios relativos al sol...');
+
+    const santoDomingo = { latitude: 18.4861, longitude: -69.9312, timeZone: 'America/Santo_Domingo' };
+
+    await runTest('Amanecer, mediodía solar y atardecer sin conexión', () => {
+        const times = sunTimes(2024, 6, 21, santoDomingo.latitude, santoDomingo.longitude);
+        const local = event => localTime(times[event], santoDomingo.timeZone);
+        const sydney = sunTimes(2024, 12, 21, -33.87, 151.21);
+        return local('sunrise') === '06:03' && local('solarNoon') === '12:41' && local('sunset') === '19:18' &&
+            localTime(sydney.sunrise, 'Australia/Sydney') === '05:40';
+    });
+
+    await runTest('Sin amanecer ni atardecer durante el día polar', () => {
+        const times = sunTimes(2024, 6, 21, 78, 15);
+        return times.sunrise === null && times.sunset === null && times.solarNoon instanceof Date;
+    });
+
+    await runTest('Tabla de la próxima semana en la zona horaria local', () => {
+        const table = solarTable(santoDomingo, new Date('2024-01-01T03:00:00Z'));
+        // A las 23:00 del 31 de diciembre en Santo Domingo la semana empieza ese día
+        return table.length === 7 && table[0].date === '2023-12-31' && table[0].weekday === 0 &&
+            table[1].sunrise === '07:11' && table[1].sunset === '18:13';
+    });
+
+    const dusk = normalizeSchedule({ anchor: 'sunset', offsetMinutes: -30, duration: 120, days: [1, 3] });
+
+    await runTest('Horario relativo al atardecer', () => {
+        return dusk.anchor === 'sunset' && dusk.time === null && dusk.offsetMinutes === -30 &&
+            dusk.duration === 120 && describeStart(dusk) === 'Atardecer - 30 min' &&
+            describeStart(normalizeSchedule({ anchor: 'sunrise', duration: 10, days: [1] })) === 'Amanecer' &&
+            normalizeSchedule({ time: '08:00', duration: 10, days: [1] }).anchor === 'clock';
+    });
+
+    await runTest('Rechazar horarios solares inválidos', () => {
+        return expectScheduleError(() => normalizeSchedule({ anchor: 'sunset', endTime: '22:00', days: [1] }), 'duración') &&
+            expectScheduleError(() => normalizeSchedule({ anchor: 'sunset', offsetMinutes: 800, duration: 10, days: [1] }), 'desplazamiento inválido') &&
+            expectScheduleError(() => normalizeSchedule({ anchor: 'moonrise', duration: 10, days: [1] }), 'referencia de inicio desconocida') &&
+            expectScheduleError(() => normalizeSchedule({ type: 'cycle', anchor: 'sunrise', duration: 600, days: [1], onMinutes: 5, offMinutes: 5 }), 'hora fija');
+    });
+
+    await runTest('Los horarios solares requieren la ubicación configurada', () => {
+        const relays = normalizeRelays({ relays: RELAYS });
+        const solar = { 1: [{ anchor: 'sunrise', duration: 10, days: [1] }] };
+        return expectScheduleError(() => normalizeScheduleGroups(solar, relays, { timezone: 'UTC' }), 'scheduling.latitude') &&
+            expectScheduleError(() => solarLocation({ latitude: 18, longitude: 200 }), 'Longitud inválida') &&
+            normalizeScheduleGroups(solar, relays, { latitude: 18, longitude: -70, timezone: 'UTC' })[1][0].anchor === 'sunrise';
+    });
+
+    await runTest('Inicios resueltos para los días programados de la semana', () => {
+        const runs = solarRuns(dusk, santoDomingo, new Date('2024-01-01T12:00:00Z'));
+        return runs.length === 2 && runs[0].date === '2024-01-01' && runs[0].time === '17:43' &&
+            runs[1].date === '2024-01-03' && runs[1].at.toISOString().startsWith('2024-01-03T21:4');
+    });
+
+    const originalRelays = config.gpio.relays;
+    const originalTimezone = config.scheduling.timezone;
+    config.gpio.relays = RELAYS;
+    config.scheduling.timezone = 'UTC';
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    // Prueba 5: Base de datos
+    logStep('5', 'Verificando horarios guardados...');
+
+    await database.saveSchedules({
+        1: [
+            normalizeSchedule({ time: '22:00', endTime: '02:00', days: [1, 2, 3, 4, 5] }),
+            normalizeSchedule({ time: '12:00', duration: 15, days: [0, 6], enabled: false })
+        ],
+        2: [normalizeSchedule({ time: '06:00', duration: 720, days: [0, 1, 2, 3, 4, 5, 6] })]
+    });
+
+    await runTest('Horarios agrupados con hora de fin y cruce de medianoche', async () => {
+        const schedules = await database.getSchedules(RELAYS.length);
+        const [noon, night] = schedules[1];
+        return noon.time === '12:00' && noon.enabled === false && night.time === '22:00' &&
+            night.endTime === '02:00' && night.overnight === true && schedules[2][0].endTime === '18:00';
+    });
+
+    await runTest('Horarios activos con días como lista', async () => {
+        const active = await database.getActiveSchedules();
+        return active.length === 2 && active[0].releId === 1 && active[0].days.join(',') === '1,2,3,4,5' &&
+            active[1].releId === 2 && active[1].enabled === true;
+    });
+
+    // Prueba 6: Programador
+    logStep('6', 'Verificando el programador...');
+
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const scheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    await runTest('Una tarea cron por horario habilitado', () => {
+        const tasks = [...scheduler.activeSchedules.values()];
+        return tasks.length === 2 && tasks[0].cronExpression === '0 22 * * 1,2,3,4,5' &&
+            tasks[1].cronExpression === '0 6 * * *';
+    });
+
+    await runTest('Horario nocturno se apaga al día siguiente', async () => {
+        const [night] = await database.getActiveSchedules();
+        await scheduler.executeSchedule(night);
+        const run = controller.timedRuns[0];
+        return controller.getReleState(1) === true && run.duration === 240 * 60 &&
+            run.reason === 'Horario programado - 22:00 a 02:00 del día siguiente';
+    });
+
+    await runTest('Pausar y reanudar horarios y condiciones', () => {
+        scheduler.stopScheduledTasks();
+        const paused = scheduler.getStatus().paused;
+        scheduler.startScheduledTasks();
+        return paused === true && scheduler.getStatus().paused === false && scheduler.getStatus().isRunning;
+    });
+
+    await runTest('Recargar horarios tras modificarlos', async () => {
+        await database.saveSchedules({ 2: [normalizeSchedule({ time: '07:30', duration: 60, days: [2, 4] })] });
+        await scheduler.reloadSchedules();
+        const tasks = [...scheduler.activeSchedules.values()];
+        return tasks.length === 1 && tasks[0].cronExpression === '30 7 * * 2,4' && tasks[0].schedule.releId === 2;
+    });
+
+    await runTest('Detener el programador detiene el verificador de condiciones', () => {
+        scheduler.stop();
+        return scheduler.conditionTimer === null && scheduler.activeSchedules.size === 0 && !scheduler.isRunning;
+    });
+
+    // Prueba 7: Ciclos en el programador
+    logStep('7', 'Verificando ciclos intermitentes en el programador...');
+
+    // Riego siempre en fase encendida; Luz en un día que no es hoy
+    const otherDay = (new Date().getUTCDay() + 3) % 7;
+    await database.saveSchedules({
+        1: [normalizeSchedule({ type: 'cycle', time: '00:00', duration: 1440, days: [0, 1, 2, 3, 4, 5, 6], onMinutes: 1440, offMinutes: 30 })],
+        2: [normalizeSchedule({ type: 'cycle', time: '00:00', duration: 1440, days: [otherDay], onMinutes: 15, offMinutes: 45 })]
+    });
+    controller.deactivateAllRele('Inicio de prueba de ciclos');
+    const cycles = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    await runTest('Al iniciar, el ciclo enciende el relé por lo que resta de la fase', () => {
+        const run = controller.timedRuns[0];
+        const phase = cyclePhase((cycles.activeSchedules.values().next().value).schedule, new Date(), 'UTC');
+        return controller.getReleState(1) === true && controller.getReleState(2) === false &&
+            run.reason.startsWith('Ciclo programado - 1440 min encendido / 30 min apagado') &&
+            Math.abs(run.duration - phase.remaining * 60) < 2;
+    });
+
+    await runTest('Estado del programador con la fase de cada ciclo', () => {
+        const status = cycles.getStatus().cycles;
+        return status.length === 2 && status[0].on === true && status[1].active === false &&
+            new Date(status[1].nextChange).getUTCDay() === otherDay;
+    });
+
+    await runTest('Tras un reinicio el ciclo continúa en la fase correcta', async () => {
+        cycles.stop();
+        controller.controlRele(1, false, 'Corte simulado');
+        await cycles.init();
+        return controller.getReleState(1) === true && cycles.getStatus().cycles.length === 2;
+    });
+
+    await runTest('En pausa el ciclo no enciende su relé', async () => {
+        cycles.stopScheduledTasks();
+        controller.controlRele(1, false, 'Apagado manual');
+        await cycles.reloadSchedules();
+        const paused = controller.getReleState(1) === false && cycles.getStatus().cycles.length === 0;
+        cycles.startScheduledTasks();
+        return paused && controller.getReleState(1) === true;
+    });
+
+    cycles.stop();
+
+    // Prueba 8: Horarios solares en el programador
+    logStep('8', 'Verificando horarios solares en el programador...');
+
+    await database.saveSchedules({ 2: [dusk] });
+    const solarScheduler = new Scheduler(database, controller);
+    await flush(database);
+    await wait(50);
+
+    await runTest('Próximo inicio calculado con la hora del sol de ese día', async () => {
+        const [entry] = [...solarScheduler.activeSchedules.values()];
+        const expected = solarRuns(entry.schedule, solarLocation(config.scheduling), new Date(), 8)
+            .find(run => run.at > new Date());
+        return entry.cronExpression === null && entry.nextRun.at.getTime() === expected.at.getTime() &&
+            [1, 3].includes(entry.nextRun.weekday) && entry.timer !== null;
+    });
+
+    await runTest('Horario solar ejecutado con la hora resuelta', async () => {
+        const [entry] = [...solarScheduler.activeSchedules.values()];
+        await solarScheduler.executeSchedule({ ...entry.schedule, time: '17:43', ...describeWindow({ time: '17:43', duration: 120 }) });
+        return controller.getReleState(2) === true &&
+            controller.timedRuns[1].reason === 'Horario programado - Atardecer - 30 min (17:43) a 19:43';
+    });
+
+    solarScheduler.stop();
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.scheduling.timezone = originalTimezone;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE HORARIOS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testSchedules();
+}
+
+module.exports = { testSchedules };
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba del Registro de Sensores
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Database = require('./database.js');
+const SensorRegistry = require('./sensor_registry.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { expectError } = require('./test_helpers.js');
+
+console.log('📡 Probando Registro de Sensores...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectSensorError = fn => expectError(fn, SensorRegistry.SensorError);
+
+// Driver de prueba: devuelve los valores que se le indiquen
+let fakeValues = { ph: 6.1, extra: 99 };
+SensorRegistry.registerDriver('fake_ph', {
+    label: 'pH de prueba',
+    metrics: { ph: { label: 'pH', unit: 'pH' } },
+    create: () => ({ read: async () => fakeValues })
+});
+
+SensorRegistry.registerDriver('fake_broken', {
+    label: 'Sensor averiado',
+    metrics: { level: { label: 'Nivel', unit: '%' } },
+    create: () => ({ read: () => { throw new Error('sin respuesta'); } })
+});
+
+// Crear base de datos con lecturas en la tabla original sensor_readings
+function createLegacyDatabase(file) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file);
+        db.serialize(() => {
+            db.run(`CREATE TABLE sensor_readings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                temperature REAL NOT NULL,
+                humidity REAL NOT NULL,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            db.run("INSERT INTO sensor_readings (temperature, humidity, timestamp) VALUES (21.5, 60, '2024-05-01 10:00:00')");
+            db.run("INSERT INTO sensor_readings (temperature, humidity, timestamp) VALUES (22.5, 58, '2024-05-01 10:01:00')");
+            db.close(err => (err ? reject(err) : resolve()));
+        });
+    });
+}
+
+async function testSensors() {
+    // Prueba 1: Registro y validación
+    logStep('1', 'Verificando registro y validación de sensores...');
+
+    await runTest('Drivers DHT11 y DHT22 disponibles', () => {
+        const types = SensorRegistry.getDrivers().map(driver => driver.type);
+        return types.includes('dht11') && types.includes('dht22') && types.includes('fake_ph');
+    });
+
+    await runTest('Rechazar id, tipo o pin inválidos', () => {
+        return expectSensorError(() => SensorRegistry.normalizeDefinition({ id: 'Con Espacios', type: 'dht11' })) &&
+            expectSensorError(() => SensorRegistry.normalizeDefinition({ id: 'x', type: 'desconocido' })) &&
+            expectSensorError(() => SensorRegistry.normalizeDefinition({ id: 'x', type: 'dht22', pin: 40 }));
+    });
+
+    await runTest('Aplicar opciones por defecto del driver', () => {
+        const definition = SensorRegistry.normalizeDefinition({ id: 'AMB', type: 'DHT22' });
+        return definition.id === 'amb' && definition.type === 'dht22' && definition.pin === 17 && definition.enabled;
+    });
+
+    // Prueba 2: Lectura de sensores
+    logStep('2', 'Verificando lectura de sensores...');
+
+    const registry = new SensorRegistry();
+    registry.add({ id: 'ph', type: 'fake_ph', name: 'pH Tanque' });
+    registry.add({ id: 'nivel', type: 'fake_broken', name: 'Nivel' });
+
+    await runTest('Solo se conservan las métricas declaradas', async () => {
+        const values = await registry.read('ph');
+        return values.ph === 6.1 && values.extra === undefined;
+    });
+
+    await runTest('Un sensor con error no interrumpe al resto', async () => {
+        const results = await registry.readAll();
+        const ph = results.find(sensor => sensor.id === 'ph');
+        const nivel = results.find(sensor => sensor.id === 'nivel');
+        return ph.values.ph === 6.1 && !ph.error && nivel.error === 'sin respuesta' && nivel.values === null;
+    });
+
+    await runTest('Último valor por sensor o por métrica', () => {
+        return registry.getLatest('ph', 'ph') === 6.1 &&
+            registry.getLatest(null, 'ph') === 6.1 &&
+            registry.getLatest(null, 'humidity') === null &&
+            registry.findMetric('level') === 'nivel';
+    });
+
+    await runTest('Sin valor si la última lectura falló o es antigua', async () => {
+        fakeValues = null;
+        await registry.readAll();
+        const failed = registry.getLatest('ph', 'ph') === null && registry.describe('ph').values.ph === 6.1 &&
+            !registry.snapshot().ph;
+
+        fakeValues = { ph: 6.1, extra: 99 };
+        await registry.read('ph');
+        const recovered = registry.getLatest('ph', 'ph') === 6.1;
+
+        const entry = registry.sensors.get('ph');
+        entry.lastReadTime = new Date(Date.now() - (SensorRegistry.READING_MAX_AGE_MINUTES + 1) * 60 * 1000).toISOString();
+        const stale = registry.getLatest(null, 'ph') === null;
+
+        await registry.read('ph');
+        return failed && recovered && stale;
+    });
+
+    await runTest('Reemplazar y quitar sensores', () => {
+        registry.add({ id: 'ph', type: 'fake_ph', name: 'pH Renombrado' });
+        const renamed = registry.describe('ph').name === 'pH Renombrado' && registry.describe('ph').values === null;
+        return renamed && registry.remove('nivel') && !registry.has('nivel') && registry.list().length === 1;
+    });
+
+    // Prueba 3: Base de datos
+    logStep('3', 'Verificando lecturas por sensor y métrica...');
+
+    const database = new Database(':memory:');
+    await database.ready;
+
+    await runTest('Guardar y filtrar lecturas', async () => {
+        await database.saveReadings('ph', { ph: 6.2 });
+        await database.saveReadings('dht11', { temperature: 23.4, humidity: 61 });
+
+        const all = await database.getRecentReadings({}, 10);
+        const ph = await database.getRecentReadings({ sensorId: 'ph' }, 10);
+        const temperature = await database.getRecentReadings({ metric: 'temperature' }, 10);
+
+        return all.length === 3 && ph.length === 1 && ph[0].value === 6.2 &&
+            temperature.length === 1 && temperature[0].sensor_id === 'dht11';
+    });
+
+    await runTest('Guardar, leer y eliminar definiciones de sensores', async () => {
+        await database.saveSensorDefinition({ id: 'agua', type: 'fake_ph', name: 'Agua', enabled: true, channel: 2 });
+        const [stored] = await database.getSensorDefinitions();
+        const deleted = await database.deleteSensorDefinition('agua');
+        const remaining = await database.getSensorDefinitions();
+
+        return stored.id === 'agua' && stored.channel === 2 && stored.enabled === true &&
+            deleted && remaining.length === 0;
+    });
+
+    const legacyFile = path.join(os.tmpdir(), `hidro_legacy_${process.pid}.db`);
+    await runTest('Migrar lecturas de sensor_readings', async () => {
+        await createLegacyDatabase(legacyFile);
+        const legacy = new Database(legacyFile);
+        await legacy.ready;
+
+        const readings = await legacy.getReadingsByDateRange({ sensorId: 'dht11' });
+        legacy.close();
+
+        return readings.length === 4 &&
+            readings.filter(r => r.metric === 'temperature').map(r => r.value).join(',') === '21.5,22.5' &&
+            readings.filter(r => r.metric === 'humidity').map(r => r.value).join(',') === '60,58';
+    });
+    fs.rmSync(legacyFile, { force: true });
+
+    // Prueba 4: Integración con el controlador
+    logStep('4', 'Verificando sensores en el controlador GPIO...');
+
+    const controller = new GPIOController(database);
+    await controller.sensorsReady;
+
+    await runTest('Sensor de config.js registrado', () => {
+        const sensor = controller.sensors.describe('dht11');
+        return sensor && sensor.metrics.map(m => m.metric).join(',') === 'temperature,humidity';
+    });
+
+    await runTest('Agregar sensor desde la base de datos y leer todos', async () => {
+        await controller.saveSensor({ id: 'ph', type: 'fake_ph', name: 'pH' });
+        fakeValues = { ph: 5.8 };
+
+        const results = await controller.readSensors();
+        const snapshot = controller.getAmbientSnapshot(results);
+        const stored = await database.getRecentReadings({ sensorId: 'ph' }, 1);
+
+        return results.length === 2 && snapshot.temperature !== undefined &&
+            snapshot.humidity !== undefined && stored[0].value === 5.8;
+    });
+
+    await runTest('Últimas lecturas sin volver a leer ni guardar', async () => {
+        fakeValues = { ph: 9.9 };
+        const before = (await database.getRecentReadings({ sensorId: 'ph' }, 10)).length;
+
+        const cached = controller.getSensorReadings();
+        const ph = cached.find(sensor => sensor.id === 'ph');
+        const after = (await database.getRecentReadings({ sensorId: 'ph' }, 10)).length;
+
+        return cached.length === 2 && ph.values.ph === 5.8 && after === before;
+    });
+
+    await runTest('Deshabilitar y eliminar sensores', async () => {
+        await controller.saveSensor({ id: 'ph', type: 'fake_ph', name: 'pH', enabled: false });
+        const disabled = !controller.sensors.has('ph');
+
+        let configProtected = false;
+        try {
+            await controller.deleteSensor('dht11');
+        } catch (error) {
+            configProtected = error.status === 409;
+        }
+
+        const deleted = await controller.deleteSensor('ph');
+        return disabled && configProtected && deleted;
+    });
+
+    // Prueba 5: Condiciones
+    logStep('5', 'Verificando métricas de condiciones...');
+
+    await runTest('Condiciones anteriores se asignan a temperatura y humedad', () => {
+        const metricOf = condition => Scheduler.prototype.getConditionMetric(condition);
+        return metricOf({ condition_type: 'tempMax' }) === 'temperature' &&
+            metricOf({ condition_type: 'humidityMin' }) === 'humidity' &&
+            metricOf({ condition_type: 'temperature' }) === 'temperature' &&
+            metricOf({ condition_type: 'ph', sensor_id: 'ph', metric: 'ph' }) === 'ph';
+    });
+
+    controller.sensors.cleanup();
+    database.close();
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE SENSORES', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testSensors();
+}
+
+module.exports = { testSensors };
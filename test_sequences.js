@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Secuencias de Relés
+ * Recetas guardadas, ejecución paso a paso, pausa, aborto y disparo desde el programador
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const AuditLog = require('./audit.js');
+const GPIOController = require('./gpio_controller.js');
+const Scheduler = require('./scheduler.js');
+const { SequenceError, normalizeSequence, describeStep } = require('./sequences.js');
+const { wait, flush, expectAsyncError } = require('./test_helpers.js');
+
+console.log('🔁 Probando Secuencias de Relés...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectSequenceError = (fn, status) => expectAsyncError(fn, SequenceError, { status });
+
+const RELAYS = [
+    { pin: 5, name: 'Vaciado', type: 'valve' },
+    { pin: 6, name: 'Llenado', type: 'valve' },
+    { pin: 13, name: 'Recirculación', type: 'pump' },
+    { pin: 19, name: 'Dosificadora', type: 'pump' }
+];
+
+// Nunca llenar y vaciar a la vez
+const INTERLOCKS = [
+    { type: 'exclusive', name: 'Llenado/Vaciado', relays: [1, 2] }
+];
+
+const FLUSH_CYCLE = {
+    name: 'Ciclo de lavado',
+    description: 'Vaciar, esperar y volver a llenar',
+    steps: [
+        { type: 'rele', releId: 1, state: true },
+        { type: 'wait', seconds: 0.2 },
+        { type: 'rele', releId: 1, state: false },
+        { type: 'rele', releId: 2, state: true },
+        { type: 'wait', seconds: 0.2 },
+        { type: 'rele', releId: 2, state: false }
+    ]
+};
+
+async function testSequences() {
+    const relays = RELAYS.map((relay, index) => ({ ...relay, id: index + 1 }));
+
+    // Prueba 1: Validación
+    logStep('1', 'Verificando validación de secuencias...');
+
+    await runTest('Normalizar pasos de salida y de espera', () => {
+        const sequence = normalizeSequence({ ...FLUSH_CYCLE, name: '  Ciclo de lavado ' }, relays);
+        return sequence.name === 'Ciclo de lavado' && sequence.steps.length === 6 &&
+            describeStep(sequence.steps[0], relays) === 'Encender Vaciado' &&
+            describeStep({ type: 'wait', seconds: 300 }, relays) === 'Esperar 5 min';
+    });
+
+    await runTest('Rechazar secuencias mal definidas', async () => {
+        const invalid = [
+            { name: '', steps: FLUSH_CYCLE.steps },
+            { name: 'Sin pasos', steps: [] },
+            { name: 'Solo espera', steps: [{ type: 'wait', seconds: 10 }] },
+            { name: 'Relé inexistente', steps: [{ type: 'rele', releId: 9, state: true }] },
+            { name: 'Sin estado', steps: [{ type: 'rele', releId: 1, state: 'on' }] },
+            { name: 'Espera larga', steps: [{ type: 'rele', releId: 1, state: true }, { type: 'wait', seconds: 90000 }] },
+            { name: 'Tipo desconocido', steps: [{ type: 'dose', releId: 1 }] }
+        ];
+        for (const definition of invalid) {
+            if (!await expectSequenceError(() => normalizeSequence(definition, relays))) {
+                return false;
+            }
+        }
+        return true;
+    });
+
+    const originalRelays = config.gpio.relays;
+    const originalInterlocks = config.gpio.interlocks;
+    config.gpio.relays = RELAYS;
+    config.gpio.interlocks = INTERLOCKS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+    const sequences = controller.sequences;
+
+    const events = [];
+    sequences.on('progress', run => events.push(run));
+
+    // Prueba 2: Secuencias guardadas
+    logStep('2', 'Verificando secuencias guardadas...');
+
+    let flushCycle;
+    await runTest('Crear y listar una secuencia', async () => {
+        flushCycle = await sequences.save(null, FLUSH_CYCLE, 'admin');
+        const list = await sequences.list();
+        return flushCycle.id > 0 && list.length === 1 && list[0].duration === 0.4 &&
+            list[0].steps[3].description === 'Encender Llenado' && list[0].updatedBy === 'admin';
+    });
+
+    await runTest('Nombre repetido y secuencia inexistente', async () => {
+        return await expectSequenceError(() => sequences.save(null, FLUSH_CYCLE), 409) &&
+            await expectSequenceError(() => sequences.get(99), 404) &&
+            await expectSequenceError(() => sequences.save(99, FLUSH_CYCLE), 404);
+    });
+
+    await runTest('Modificar una secuencia', async () => {
+        const updated = await sequences.save(flushCycle.id, { ...FLUSH_CYCLE, description: 'Lavado semanal' });
+        return updated.id === flushCycle.id && updated.description === 'Lavado semanal' &&
+            (await sequences.list()).length === 1;
+    });
+
+    // Prueba 3: Ejecución
+    logStep('3', 'Verificando ejecución paso a paso...');
+
+    await runTest('Ejecutar la secuencia completa', async () => {
+        events.length = 0;
+        const run = await sequences.start(flushCycle.id, AuditLog.SCHEDULER_CONTEXT);
+        const started = run.status === 'running' && run.step === 2 && run.remaining === 1 &&
+            controller.getReleState(1) === true && controller.getReleState(2) === false;
+        await wait(300);
+        const filling = controller.getReleState(1) === false && controller.getReleState(2) === true;
+        await wait(300);
+        const finished = sequences.getRun(run.id);
+        return started && filling && controller.getReleState(2) === false &&
+            finished.status === 'finished' && finished.progress === 100 && finished.source === 'scheduler' &&
+            events[events.length - 1].status === 'finished';
+    });
+
+    await runTest('Una secuencia no corre dos veces a la vez', async () => {
+        const run = await sequences.start(flushCycle.id);
+        const rejected = await expectSequenceError(() => sequences.start(flushCycle.id), 409);
+        sequences.abort(run.id);
+        return rejected;
+    });
+
+    await runTest('Pausar congela la espera y reanudar continúa', async () => {
+        const run = await sequences.start(flushCycle.id);
+        const paused = sequences.pause(run.id);
+        await wait(300);
+        const stillWaiting = controller.getReleState(1) === true && sequences.getRun(run.id).step === 2;
+        const resumed = sequences.resume(run.id);
+        await wait(700);
+        return paused.status === 'paused' && paused.remaining !== null && stillWaiting &&
+            resumed.status === 'running' && sequences.getRun(run.id).status === 'finished' &&
+            await expectSequenceError(() => sequences.pause(run.id), 409);
+    });
+
+    await runTest('Abortar apaga solo las salidas que encendió la secuencia', async () => {
+        const sequence = await sequences.save(null, {
+            name: 'Recirculación con dosis',
+            steps: [
+                { type: 'rele', releId: 3, state: true },
+                { type: 'rele', releId: 4, state: true },
+                { type: 'wait', seconds: 60 },
+                { type: 'rele', releId: 4, state: false }
+            ]
+        });
+        controller.controlRele(3, true, 'Recirculación manual');
+        const run = await sequences.start(sequence.id);
+        const aborted = sequences.abort(run.id, AuditLog.SYSTEM_CONTEXT);
+        const result = aborted.status === 'aborted' && controller.getReleState(4) === false &&
+            controller.getReleState(3) === true;
+        controller.controlRele(3, false, 'Fin de recirculación');
+        return result;
+    });
+
+    await runTest('Paso rechazado por un enclavamiento detiene la secuencia', async () => {
+        const sequence = await sequences.save(null, {
+            name: 'Llenado y vaciado',
+            steps: [
+                { type: 'rele', releId: 3, state: true },
+                { type: 'rele', releId: 2, state: true },
+                { type: 'rele', releId: 1, state: true }
+            ]
+        });
+        const run = await sequences.start(sequence.id);
+        return run.status === 'failed' && run.error.includes('Paso 3 rechazado: Enclavamiento') &&
+            controller.getReleState(1) === false && controller.getReleState(2) === false &&
+            controller.getReleState(3) === false;
+    });
+
+    // Prueba 4: Disparo desde el programador
+    logStep('4', 'Verificando disparo desde horarios y condiciones...');
+
+    await runTest('Condición que ejecuta una secuencia en lugar del relé', async () => {
+        events.length = 0;
+        const scheduler = { gpioController: controller, database };
+        const condition = { id: 1, releId: 3, type: 'tempMax', metric: 'temperature', operator: '>', value: 30, offValue: 30, sequenceId: flushCycle.id };
+        await Scheduler.prototype.executeCondition.call(scheduler, condition, 32);
+        await Scheduler.prototype.executeCondition.call(scheduler, condition, 33);
+        const starts = events.filter(run => run.step === 1 && run.status === 'running');
+        const running = controller.getReleState(1) === true && controller.getReleState(3) === false;
+        await wait(600);
+        return running && starts.length === 1 && starts[0].source === 'condition';
+    });
+
+    await runTest('Horarios y condiciones guardan la secuencia a disparar', async () => {
+        await database.saveSchedules({ 1: [{ time: '06:00', duration: 10, days: [1], enabled: true, sequenceId: flushCycle.id }] });
+        await database.saveConditions({ 3: { tempMax: 30, sequenceId: flushCycle.id } });
+        const schedules = await database.getSchedules(RELAYS.length);
+        const conditions = await database.getConditions(RELAYS.length);
+        return schedules[1][0].sequenceId === flushCycle.id && conditions[3].tempMax.sequenceId === flushCycle.id;
+    });
+
+    await runTest('No se elimina una secuencia en uso', async () => {
+        const inUse = await expectSequenceError(() => sequences.delete(flushCycle.id), 409);
+        await database.saveSchedules({});
+        await database.saveConditions({});
+        const deleted = await sequences.delete(flushCycle.id);
+        return inUse && deleted.name === 'Ciclo de lavado' &&
+            await expectSequenceError(() => sequences.get(flushCycle.id), 404);
+    });
+
+    await runTest('Ejecuciones registradas en los logs', async () => {
+        await flush(database);
+        const messages = (await database.getSystemLogs(100)).map(entry => entry.message);
+        return messages.some(message => message.includes('Secuencia "Ciclo de lavado" iniciada por Programador')) &&
+            messages.some(message => message.includes('Secuencia "Recirculación con dosis" abortada: Abortada por Sistema')) &&
+            messages.some(message => message.includes('Secuencia Llenado y vaciado - Fallida'));
+    });
+
+    controller.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+    config.gpio.interlocks = originalInterlocks;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE SECUENCIAS DE RELÉS', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testSequences();
+}
+
+module.exports = { testSequences };
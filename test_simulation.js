@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Simulación con Datos Históricos
+ * Validación del rango, consulta de lecturas guardadas y repetición de condiciones y
+ * reglas sobre relés virtuales (histéresis, duración, enclavamientos y conflictos)
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const Database = require('./database.js');
+const { normalizeRelays } = require('./relays.js');
+const { normalizeInterlocks } = require('./interlocks.js');
+const { normalizeCondition } = require('./conditions.js');
+const { normalizeRule } = require('./rules.js');
+const {
+    SimulationError,
+    LOOKBACK_MINUTES,
+    normalizeRange,
+    ReadingHistory,
+    simulate
+} = require('./simulation.js');
+const { expectError } = require('./test_helpers.js');
+
+console.log('🧪 Probando Simulación con Datos Históricos...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectSimulationError = (action, text) => expectError(action, SimulationError, { text });
+
+const RELAYS = [
+    { pin: 5, name: 'Ventilador', type: 'fan' },
+    { pin: 6, name: 'Extractor', type: 'fan' },
+    { pin: 13, name: 'Bomba', type: 'pump' }
+];
+
+const MINUTE = 60 * 1000;
+
+// Miércoles 5 de junio de 2024 a las 12:00 UTC
+const NOON = Date.UTC(2024, 5, 5, 12, 0, 0);
+
+// Fila de readings a una cantidad de minutos del mediodía
+function row(minute, metric, value, sensorId = 'ambiente') {
+    return {
+        sensor_id: sensorId,
+        metric,
+        value,
+        timestamp: new Date(NOON + minute * MINUTE).toISOString().replace('T', ' ').slice(0, 19)
+    };
+}
+
+// Temperatura minuto a minuto: sube de 25 a 30 °C en 10 minutos, se mantiene y baja a 24 °C
+function temperatureRows() {
+    const values = [25, 26, 27, 28, 29, 30, 30, 30, 30, 30, 29, 28, 27, 26, 25, 24, 24, 24, 24, 24];
+    return values.map((value, minute) => row(minute, 'temperature', value));
+}
+
+function range(minutes, stepMinutes = 1) {
+    return normalizeRange({
+        start: new Date(NOON).toISOString(),
+        end: new Date(NOON + minutes * MINUTE).toISOString(),
+        stepMinutes
+    });
+}
+
+async function testSimulation() {
+    const relays = normalizeRelays({ relays: RELAYS });
+    const history = new ReadingHistory(temperatureRows(), ['ambiente']);
+    const heat = { ...normalizeCondition('tempMax', { value: 28, offValue: 26 }), id: 1, releId: 1 };
+    const run = options => simulate({ relays, history, range: range(20), timeZone: 'UTC', ...options });
+
+    // Prueba 1: Rango
+    logStep('1', 'Verificando el rango de simulación...');
+
+    await runTest('Rango con paso por defecto', () => {
+        const parsed = normalizeRange({ start: '2024-06-01', end: '2024-06-08' });
+        return parsed.stepMinutes === 1 && parsed.start.toISOString() === '2024-06-01T00:00:00.000Z' &&
+            parsed.end - parsed.start === 7 * 24 * 60 * MINUTE && LOOKBACK_MINUTES >= 180;
+    });
+
+    await runTest('Rechazar rangos inválidos', () => {
+        return expectSimulationError(() => normalizeRange({ start: 'ayer', end: '2024-06-08' }), 'Fecha de inicio inválida') &&
+            expectSimulationError(() => normalizeRange({ start: '2024-06-08', end: '2024-06-01' }), 'posterior') &&
+            expectSimulationError(() => normalizeRange({ start: '2024-01-01', end: '2024-03-01' }), '31 días') &&
+            expectSimulationError(() => normalizeRange({ start: '2024-06-01', end: '2024-06-02', stepMinutes: 90 }), 'Paso inválido');
+    });
+
+    // Prueba 2: Lecturas guardadas
+    logStep('2', 'Verificando la consulta de lecturas guardadas...');
+
+    await runTest('Lectura vigente en un instante y lecturas antiguas descartadas', () => {
+        return history.valueAt('ambiente', 'temperature', NOON + 3.5 * MINUTE) === 28 &&
+            history.valueAt(null, 'temperature', NOON + 5 * MINUTE) === 30 &&
+            history.valueAt('ambiente', 'temperature', NOON - MINUTE) === null &&
+            history.valueAt('ambiente', 'temperature', NOON + 40 * MINUTE) === null &&
+            history.valueAt('ambiente', 'humidity', NOON) === null;
+    });
+
+    await runTest('Sin sensorId se usa el primer sensor registrado con la métrica', () => {
+        const rows = [row(0, 'temperature', 20, 'invernadero'), row(0, 'temperature', 30, 'exterior')];
+        const ordered = new ReadingHistory(rows, ['exterior', 'invernadero']);
+        return ordered.findMetric('temperature') === 'exterior' && ordered.valueAt(null, 'temperature', NOON) === 30 &&
+            new ReadingHistory(rows).findMetric('temperature') === 'invernadero';
+    });
+
+    // Prueba 3: Condiciones
+    logStep('3', 'Verificando condiciones simuladas...');
+
+    await runTest('Histéresis: enciende sobre 28 °C y apaga al volver a 26 °C', () => {
+        const result = run({ conditions: [heat] });
+        const [on, off] = result.changes;
+        return result.changes.length === 2 && on.state === true && on.time === new Date(NOON + 4 * MINUTE).toISOString() &&
+            on.value === 29 && off.state === false && off.time === new Date(NOON + 13 * MINUTE).toISOString() &&
+            result.relays[0].onMinutes === 9 && result.relays[0].activations === 1 &&
+            result.sources[0].triggers === 1 && result.sources[0].releases === 1 && result.range.steps === 20;
+    });
+
+    await runTest('Duración fija: se apaga al terminar y vuelve a dispararse', () => {
+        const timed = { ...heat, duration: 3 };
+        const result = run({ conditions: [timed] });
+        const states = result.changes.map(change => `${change.state ? 'on' : 'off'}:${change.source}`).join(',');
+        return states === 'on:condition,off:timer,on:condition,off:timer' && result.relays[0].onMinutes === 6;
+    });
+
+    await runTest('Confirmación y paso de varios minutos', () => {
+        const confirmed = run({ conditions: [{ ...heat, dwellMinutes: 2 }] });
+        const coarse = simulate({ relays, history, range: range(20, 5), timeZone: 'UTC', conditions: [heat] });
+        return confirmed.changes[0].time === new Date(NOON + 6 * MINUTE).toISOString() &&
+            coarse.range.steps === 4 && coarse.changes[0].time === new Date(NOON + 5 * MINUTE).toISOString() &&
+            coarse.relays[0].onMinutes === 10;
+    });
+
+    await runTest('Una condición que dispara una secuencia solo cuenta sus disparos', () => {
+        const result = run({ conditions: [{ ...heat, sequenceId: 4 }] });
+        return result.changes.length === 0 && result.sources[0].triggers === 1 && result.notes[0].includes('secuencia 4');
+    });
+
+    // Prueba 4: Reglas, enclavamientos y conflictos
+    logStep('4', 'Verificando reglas, enclavamientos y conflictos...');
+
+    const extractor = normalizeRule({
+        name: 'Extractor por subida',
+        releId: 2,
+        when: { type: 'rate', metric: 'temperature', operator: '>=', value: 2, minutes: 2 }
+    }, relays);
+
+    await runTest('Regla con variación de la lectura y estado de otro relé', () => {
+        const follower = normalizeRule({ name: 'Bomba con ventilador', releId: 3, when: { type: 'relay', releId: 1, state: true } }, relays);
+        const result = run({ conditions: [heat], rules: [extractor, follower] });
+        const pump = result.relays[2];
+        const fan = result.relays[1];
+        // La subida de 2 °C en 2 minutos se cumple de 12:02 a 12:06
+        return fan.activations === 1 && fan.onMinutes === 4 && pump.activations === 1 && pump.onMinutes === 9 &&
+            result.sources.find(source => source.name === follower.name).triggers === 1;
+    });
+
+    await runTest('Un enclavamiento rechaza el encendido y queda como conflicto', () => {
+        const interlocks = normalizeInterlocks([{ type: 'exclusive', relays: [1, 2] }], relays);
+        const result = run({ conditions: [heat], rules: [extractor], interlocks });
+        // El extractor se enciende primero (12:02), así que la condición del ventilador se rechaza
+        return result.relays[0].activations === 0 && result.relays[1].activations === 1 && result.totalConflicts === 1 &&
+            result.conflicts[0].type === 'interlock' && result.conflicts[0].releId === 1 &&
+            result.conflicts[0].message === 'Condición temperature > 28 (hasta 26): Enclavamiento: Ventilador no puede encenderse junto con Extractor';
+    });
+
+    await runTest('Apagar lo que mantiene otra fuente queda como conflicto', () => {
+        const stop = normalizeRule({
+            name: 'Corte por calor',
+            releId: 1,
+            action: 'off',
+            when: { type: 'sensor', metric: 'temperature', operator: '>=', value: 30 }
+        }, relays);
+        const result = run({ conditions: [heat], rules: [stop] });
+        const [conflict] = result.conflicts;
+        return conflict.type === 'override' && conflict.message.includes('Corte por calor') &&
+            conflict.message.includes('temperature > 28') && result.changes[1].state === false && result.changes[1].source === 'rule';
+    });
+
+    await runTest('Los cambios se limitan sin perder los totales', () => {
+        const rows = [];
+        for (let minute = 0; minute < 2400; minute++) {
+            rows.push(row(minute, 'temperature', minute % 2 ? 30 : 20));
+        }
+        const flapping = { ...heat, offValue: 28 };
+        const result = simulate({
+            relays,
+            history: new ReadingHistory(rows),
+            range: range(2400),
+            timeZone: 'UTC',
+            conditions: [flapping]
+        });
+        // 1200 encendidos y 1199 apagados (el último minuto queda encendido)
+        return result.totalChanges === 2399 && result.changes.length === 1000 && result.truncated === true &&
+            result.relays[0].onMinutes === 1200;
+    });
+
+    // Prueba 5: Lecturas de la base de datos
+    logStep('5', 'Verificando lecturas de la base de datos...');
+
+    await runTest('Simular con las lecturas guardadas en readings', async () => {
+        const database = new Database(':memory:');
+        await database.ready;
+        await new Promise(resolve => database.db.serialize(() => {
+            const stmt = database.db.prepare('INSERT INTO readings (sensor_id, metric, value, timestamp) VALUES (?, ?, ?, ?)');
+            temperatureRows().forEach(reading => stmt.run([reading.sensor_id, reading.metric, reading.value, reading.timestamp]));
+            stmt.finalize(resolve);
+        }));
+        const rows = await database.getReadingsByDateRange({ startDate: '2024-06-05 11:00:00', endDate: '2024-06-05 12:20:00' });
+        database.close();
+        const result = run({ conditions: [heat], history: new ReadingHistory(rows) });
+        return rows.length === 20 && result.readings === 20 && result.relays[0].onMinutes === 9;
+    });
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE SIMULACIÓN', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testSimulation();
+}
+
+module.exports = { testSimulation };
@@ -97,7 +97,28 @@ const requiredFiles = [
     'database.js',
     'gpio_controller.js',
     'scheduler.js',
-    'dht11_sensor.js'
+    'dht11_sensor.js',
+    'dht_protocol.js',
+    'sensor_registry.js',
+    'ds18b20_sensor.js',
+    'ads1115.js',
+    'water_quality.js',
+    'calibration.js',
+    'relays.js',
+    'interlocks.js',
+    'relay_limits.js',
+    'sequences.js',
+    'schedules.js',
+    'solar.js',
+    'photoperiods.js',
+    'conditions.js',
+    'rules.js',
+    'pid.js',
+    'simulation.js',
+    'relay_causes.js',
+    'auth.js',
+    'totp.js',
+    'audit.js'
 ];
 
 requiredFiles.forEach(file => {
@@ -283,7 +304,7 @@ runTest('Configuración del servidor', () => {
 runTest('Configuración GPIO', () => {
     try {
         const config = require('./config.js');
-        return config.gpio && config.gpio.relePins && config.gpio.dht11Pin;
+        return config.gpio && Array.isArray(config.gpio.relays) && config.gpio.relays.length > 0 && config.gpio.dht11Pin;
     } catch (error) {
         return false;
     }
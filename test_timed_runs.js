@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Script de Prueba de Activaciones Temporales
+ * Seguimiento, extensión, cancelación y comandos superpuestos
+ * Sistema de Hidroponía Automatizado
+ * Ing. Daril Díaz - 2024
+ */
+
+const config = require('./config.js');
+const Database = require('./database.js');
+const AuditLog = require('./audit.js');
+const GPIOController = require('./gpio_controller.js');
+const { RelayError } = require('./relays.js');
+const { wait, flush, expectError } = require('./test_helpers.js');
+
+console.log('⏳ Probando Activaciones Temporales...\n');
+
+// Colores para la consola
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logStep(step, message) {
+    log(`\n[${step}] ${message}`, 'cyan');
+}
+
+function logSuccess(message) {
+    log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+    log(`❌ ${message}`, 'red');
+}
+
+// Contador de pruebas
+let testsPassed = 0;
+let testsTotal = 0;
+
+async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+        const result = await testFunction();
+        if (result) {
+            logSuccess(`${testName} - PASÓ`);
+            testsPassed++;
+        } else {
+            logError(`${testName} - FALLÓ`);
+        }
+    } catch (error) {
+        logError(`${testName} - ERROR: ${error.message}`);
+    }
+}
+
+const expectRelayError = (fn, status) => expectError(fn, RelayError, { status });
+
+const RELAYS = [
+    { pin: 5, name: 'Riego A', type: 'valve', metadata: { flowRate: 12 } },
+    { pin: 6, name: 'Riego B', type: 'valve' },
+    { pin: 13, name: 'Bomba', type: 'pump' }
+];
+
+async function testTimedRuns() {
+    const originalRelays = config.gpio.relays;
+    config.gpio.relays = RELAYS;
+
+    const database = new Database(':memory:');
+    await database.ready;
+    const controller = new GPIOController(database);
+    await controller.recoveryReady;
+
+    const events = [];
+    controller.on('timed_run', event => events.push(event));
+    const actions = () => events.map(event => event.action).join(',');
+
+    // Prueba 1: Seguimiento
+    logStep('1', 'Verificando seguimiento de activaciones temporales...');
+
+    await runTest('Activación temporal con id y tiempo restante', async () => {
+        const run = controller.activateReleTimed(1, 600, 'Riego de prueba', AuditLog.SCHEDULER_CONTEXT);
+        await flush(database);
+        const stored = await database.getTimedRuns();
+        const listed = controller.getTimedRuns();
+        return typeof run.id === 'string' && run.releId === 1 && run.name === 'Riego A' &&
+            run.remaining === 600 && run.source === 'scheduler' &&
+            listed.length === 1 && listed[0].id === run.id && controller.getTimedRun(run.id).reason === 'Riego de prueba' &&
+            stored[0].id === run.id && stored[0].startedAt === Date.parse(run.startedAt) && actions() === 'start';
+    });
+
+    await runTest('Duración inválida rechazada sin encender', () => {
+        return expectRelayError(() => controller.activateReleTimed(2, 0)) &&
+            expectRelayError(() => controller.activateReleTimed(2, 'x')) &&
+            expectRelayError(() => controller.activateReleTimed(2, 90000)) &&
+            controller.getReleState(2) === false;
+    });
+
+    await runTest('Apagado automático al terminar', async () => {
+        events.length = 0;
+        controller.activateReleTimed(2, 0.2, 'Riego corto');
+        await wait(350);
+        return controller.getReleState(2) === false && controller.getTimedRuns().length === 1 &&
+            actions() === 'start,finish' && (await database.getTimedRuns()).length === 1;
+    });
+
+    // Prueba 2: Extender y cancelar
+    logStep('2', 'Verificando extensión y cancelación...');
+
+    await runTest('Extender una activación en curso', async () => {
+        events.length = 0;
+        const run = controller.activateReleTimed(2, 0.3, 'Riego extendido');
+        const extended = controller.extendTimedRun(run.id, 0.3, AuditLog.SYSTEM_CONTEXT);
+        await wait(450);
+        const stillOn = controller.getReleState(2) === true;
+        await wait(350);
+        return extended.duration === 1 && stillOn && controller.getReleState(2) === false &&
+            actions() === 'start,extend,finish';
+    });
+
+    await runTest('Extensión inválida, excesiva o de una activación inexistente', () => {
+        const [run] = controller.getTimedRuns();
+        return expectRelayError(() => controller.extendTimedRun(run.id, -60)) &&
+            expectRelayError(() => controller.extendTimedRun(run.id, 86000)) &&
+            expectRelayError(() => controller.extendTimedRun('no-existe', 60), 404);
+    });
+
+    await runTest('Cancelar apaga la salida y descarta la activación', async () => {
+        events.length = 0;
+        const [run] = controller.getTimedRuns();
+        const cancelled = controller.cancelTimedRun(run.id, AuditLog.SYSTEM_CONTEXT);
+        await flush(database);
+        const logs = await database.getSystemLogs(10);
+        return cancelled.id === run.id && controller.getReleState(1) === false &&
+            expectRelayError(() => controller.getTimedRun(run.id), 404) &&
+            (await database.getTimedRuns()).length === 0 && actions() === 'cancel' &&
+            logs.some(entry => entry.message.includes('Riego de prueba - Cancelada'));
+    });
+
+    // Prueba 3: Comandos superpuestos
+    logStep('3', 'Verificando comandos superpuestos...');
+
+    await runTest('Nueva activación temporal reemplaza a la anterior', async () => {
+        events.length = 0;
+        const first = controller.activateReleTimed(3, 0.2, 'Bomba corta');
+        const second = controller.activateReleTimed(3, 600, 'Bomba larga');
+        await wait(350);
+        const runs = controller.getTimedRuns();
+        return controller.getReleState(3) === true && runs.length === 1 && runs[0].id === second.id &&
+            second.id !== first.id && actions() === 'start,replace,start';
+    });
+
+    await runTest('Apagar a mano cancela el temporizador pendiente', async () => {
+        controller.activateReleTimed(1, 0.2, 'Riego corto');
+        controller.controlRele(1, false, 'Apagado manual');
+        controller.controlRele(1, true, 'Encendido manual');
+        await wait(350);
+        return controller.getReleState(1) === true && !controller.getTimedRuns().some(run => run.releId === 1);
+    });
+
+    await runTest('Encender a mano no interrumpe la activación en curso', () => {
+        const [run] = controller.getTimedRuns();
+        controller.controlRele(3, true, 'Encendido manual');
+        return controller.getTimedRuns()[0].id === run.id;
+    });
+
+    controller.deactivateAllRele('Fin de prueba');
+    controller.sensors.cleanup();
+    await wait(50);
+    database.close();
+    config.gpio.relays = originalRelays;
+
+    // Resumen de pruebas
+    console.log('\n' + '='.repeat(60));
+    log('\n📊 RESUMEN DE PRUEBAS DE ACTIVACIONES TEMPORALES', 'cyan');
+    log(`Total de pruebas: ${testsTotal}`, 'bright');
+    log(`Pruebas exitosas: ${testsPassed}`, 'green');
+    log(`Pruebas fallidas: ${testsTotal - testsPassed}`, 'red');
+
+    console.log('\n' + '='.repeat(60));
+    log('\n🌱 Sistema de Hidroponía Automatizado - Ing. Daril Díaz © 2024', 'magenta');
+
+    if (testsPassed !== testsTotal) {
+        process.exitCode = 1;
+    }
+}
+
+// Ejecutar prueba
+if (require.main === module) {
+    testTimedRuns();
+}
+
+module.exports = { testTimedRuns };
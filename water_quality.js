@@ -0,0 +1,360 @@
+/**
+ * Sondas de Calidad del Agua: pH y Conductividad Eléctrica (EC)
+ * Conversión de voltaje, ajuste de calibración y compensación por temperatura
+ * Ing. Daril Díaz - 2024
+ *
+ * pH: calibración por tramos entre los buffers medidos (4, 7, 10). La pendiente
+ *     del electrodo varía con la temperatura absoluta (ecuación de Nernst), por
+ *     lo que la desviación respecto del punto isopotencial (pH 7) se escala por
+ *     (Tcal + 273.15) / (T + 273.15).
+ * EC: recta voltaje → conductividad ajustada con una o más soluciones de
+ *     referencia (valores a 25°C). La lectura se lleva a 25°C con un coeficiente
+ *     lineal de 2%/°C.
+ */
+
+const KELVIN = 273.15;
+const REFERENCE_TEMPERATURE = 25; // °C
+const EC_TEMPERATURE_COEFFICIENT = 0.02; // 2% por °C
+const NEUTRAL_PH = 7;
+
+// Buffers y soluciones de referencia habituales (orden sugerido de calibración)
+const PH_BUFFERS = [7.0, 4.0, 10.0];
+const EC_REFERENCES = [1.413, 12.88]; // mS/cm a 25°C
+
+// Pendiente mínima aceptable del electrodo de pH (mV/pH); el ideal sin amplificar es 59.16
+const MIN_PH_SLOPE = 20;
+
+// Factor de conversión EC → TDS (escala 500: ppm = µS/cm × 0.5)
+const DEFAULT_TDS_FACTOR = 0.5;
+
+/**
+ * Error de calibración o de conversión
+ */
+class CalibrationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CalibrationError';
+    this.status = status;
+  }
+}
+
+function isTemperature(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Normalizar los puntos de calibración: [{ voltage, value, temperature }]
+ */
+function normalizePoints(points) {
+  if (!Array.isArray(points)) {
+    throw new CalibrationError('Los puntos de calibración deben ser una lista');
+  }
+
+  return points.map(point => {
+    const voltage = Number(point.voltage);
+    const value = Number(point.value);
+    if (!Number.isFinite(voltage) || !Number.isFinite(value)) {
+      throw new CalibrationError('Cada punto de calibración necesita voltaje y valor de referencia');
+    }
+
+    const temperature = isTemperature(point.temperature) ? point.temperature : REFERENCE_TEMPERATURE;
+    return { voltage, value, temperature };
+  });
+}
+
+function averageTemperature(points) {
+  return round(points.reduce((sum, point) => sum + point.temperature, 0) / points.length, 1);
+}
+
+/**
+ * Ajustar la calibración de pH a partir de 2 o 3 buffers
+ * Devuelve { kind, points (ordenados por voltaje), temperature, slopes (mV/pH por tramo) }
+ */
+function fitPhCalibration(rawPoints) {
+  const points = normalizePoints(rawPoints);
+
+  if (points.length < 2) {
+    throw new CalibrationError('La calibración de pH necesita al menos 2 buffers');
+  }
+
+  const values = points.map(point => point.value);
+  if (new Set(values).size !== values.length) {
+    throw new CalibrationError('Cada buffer de pH debe medirse una sola vez');
+  }
+
+  const sorted = points.slice().sort((a, b) => a.voltage - b.voltage);
+  const slopes = [];
+
+  for (let i = 1; i < sorted.length; i++) {
+    const deltaVoltage = sorted[i].voltage - sorted[i - 1].voltage;
+    const deltaPh = sorted[i].value - sorted[i - 1].value;
+
+    if (deltaVoltage === 0) {
+      throw new CalibrationError('Dos buffers distintos dieron el mismo voltaje; verifique la sonda');
+    }
+    slopes.push(deltaVoltage * 1000 / deltaPh);
+  }
+
+  // La respuesta del electrodo debe ser monótona: todos los tramos con el mismo signo
+  if (!slopes.every(slope => Math.sign(slope) === Math.sign(slopes[0]))) {
+    throw new CalibrationError('Los voltajes no siguen el orden de los buffers; repita la medición');
+  }
+
+  if (slopes.some(slope => Math.abs(slope) < MIN_PH_SLOPE)) {
+    throw new CalibrationError('La sonda casi no responde entre buffers; límpiela o reemplácela');
+  }
+
+  return {
+    kind: 'ph',
+    points: sorted.map(point => ({ voltage: point.voltage, value: point.value })),
+    temperature: averageTemperature(points),
+    slopes: slopes.map(slope => round(slope, 2))
+  };
+}
+
+/**
+ * Convertir voltaje a pH con la calibración y la temperatura de la solución
+ */
+function voltageToPh(voltage, calibration, temperature = null) {
+  const points = calibration.points;
+
+  // Tramo que contiene el voltaje (o el extremo más cercano para extrapolar)
+  let i = 0;
+  while (i < points.length - 2 && voltage > points[i + 1].voltage) {
+    i++;
+  }
+
+  const a = points[i];
+  const b = points[i + 1];
+  let ph = a.value + (voltage - a.voltage) * (b.value - a.value) / (b.voltage - a.voltage);
+
+  if (isTemperature(temperature)) {
+    const calibrationTemperature = isTemperature(calibration.temperature) ? calibration.temperature : REFERENCE_TEMPERATURE;
+    ph = NEUTRAL_PH + (ph - NEUTRAL_PH) * (calibrationTemperature + KELVIN) / (temperature + KELVIN);
+  }
+
+  return round(ph, 2);
+}
+
+/**
+ * Factor de compensación de conductividad respecto de 25°C
+ */
+function ecTemperatureFactor(temperature) {
+  return 1 + EC_TEMPERATURE_COEFFICIENT * (temperature - REFERENCE_TEMPERATURE);
+}
+
+/**
+ * Ajustar la calibración de EC con una o más soluciones de referencia
+ * Con un punto la recta pasa por el origen; con más se ajusta por mínimos cuadrados
+ * Devuelve { kind, slope (mS/cm por V), intercept, temperature, points }
+ */
+function fitEcCalibration(rawPoints) {
+  const points = normalizePoints(rawPoints);
+
+  if (points.length < 1) {
+    throw new CalibrationError('La calibración de EC necesita al menos una solución de referencia');
+  }
+
+  // Conductividad real de cada solución a la temperatura en que se midió
+  const samples = points.map(point => ({
+    voltage: point.voltage,
+    conductivity: point.value * ecTemperatureFactor(point.temperature)
+  }));
+
+  let slope;
+  let intercept = 0;
+
+  if (samples.length === 1) {
+    if (samples[0].voltage <= 0) {
+      throw new CalibrationError('La sonda de EC dio un voltaje nulo en la solución de referencia');
+    }
+    slope = samples[0].conductivity / samples[0].voltage;
+  } else {
+    const n = samples.length;
+    const meanVoltage = samples.reduce((sum, s) => sum + s.voltage, 0) / n;
+    const meanConductivity = samples.reduce((sum, s) => sum + s.conductivity, 0) / n;
+    const covariance = samples.reduce((sum, s) => sum + (s.voltage - meanVoltage) * (s.conductivity - meanConductivity), 0);
+    const variance = samples.reduce((sum, s) => sum + Math.pow(s.voltage - meanVoltage, 2), 0);
+
+    if (variance === 0) {
+      throw new CalibrationError('Las soluciones de referencia dieron el mismo voltaje; verifique la sonda');
+    }
+
+    slope = covariance / variance;
+    intercept = meanConductivity - slope * meanVoltage;
+  }
+
+  if (!(slope > 0)) {
+    throw new CalibrationError('La conductividad debe aumentar con el voltaje; repita la medición');
+  }
+
+  return {
+    kind: 'ec',
+    slope: round(slope, 6),
+    intercept: round(intercept, 6),
+    temperature: averageTemperature(points),
+    points: points.map(point => ({ voltage: point.voltage, value: point.value }))
+  };
+}
+
+/**
+ * Convertir voltaje a EC (mS/cm a 25°C)
+ */
+function voltageToEc(voltage, calibration, temperature = null) {
+  let ec = calibration.slope * voltage + (calibration.intercept || 0);
+
+  if (isTemperature(temperature)) {
+    ec = ec / ecTemperatureFactor(temperature);
+  }
+
+  return round(Math.max(ec, 0), 3);
+}
+
+/**
+ * Sólidos disueltos totales (ppm) a partir de EC en mS/cm
+ */
+function ecToTds(ec, factor = DEFAULT_TDS_FACTOR) {
+  return Math.round(ec * 1000 * factor);
+}
+
+/**
+ * Ajustar una calibración según el tipo de sonda
+ */
+function fitCalibration(kind, points) {
+  if (kind === 'ph') {
+    return fitPhCalibration(points);
+  }
+  if (kind === 'ec') {
+    return fitEcCalibration(points);
+  }
+  throw new CalibrationError(`Tipo de sonda sin calibración: ${kind}`);
+}
+
+// Calibraciones nominales hasta que se calibre la sonda
+// pH: placa analógica típica (1.500V en pH 7, 2.032V en pH 4 a 25°C)
+const DEFAULT_CALIBRATIONS = {
+  ph: fitPhCalibration([
+    { voltage: 1.5, value: 7 },
+    { voltage: 2.032, value: 4 }
+  ]),
+  ec: { kind: 'ec', slope: 1, intercept: 0, temperature: REFERENCE_TEMPERATURE, points: [] }
+};
+
+class WaterQualityProbe {
+  /**
+   * kind: 'ph' o 'ec'
+   * options.adc: instancia de ADS1115 (o compatible con readAverage)
+   * options.channel: canal del ADC (0-3)
+   * options.gain: rango del ADC en voltios
+   * options.samples: conversiones promediadas por lectura
+   * options.tdsFactor: factor EC → TDS (solo EC)
+   * options.temperatureSource: () => temperatura de la solución en °C o null
+   */
+  constructor(kind, options = {}) {
+    if (!DEFAULT_CALIBRATIONS[kind]) {
+      throw new CalibrationError(`Tipo de sonda desconocido: ${kind}`);
+    }
+
+    this.kind = kind;
+    this.adc = options.adc;
+    this.channel = options.channel === undefined ? 0 : options.channel;
+    this.gain = options.gain || 4.096;
+    this.samples = options.samples || 5;
+    this.tdsFactor = options.tdsFactor || DEFAULT_TDS_FACTOR;
+    this.temperatureSource = options.temperatureSource || (() => null);
+    this.calibration = DEFAULT_CALIBRATIONS[kind];
+    this.calibrated = false;
+    this.lastVoltage = null;
+    this.lastTemperature = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Aplicar coeficientes de calibración (null vuelve a los nominales)
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration || DEFAULT_CALIBRATIONS[this.kind];
+    this.calibrated = Boolean(calibration);
+  }
+
+  /**
+   * Temperatura de la solución para compensar, o null si no hay lectura
+   */
+  getTemperature() {
+    const temperature = this.temperatureSource();
+    return isTemperature(temperature) ? temperature : null;
+  }
+
+  /**
+   * Voltaje promedio de la sonda
+   */
+  async readVoltage(samples = this.samples) {
+    const voltage = await this.adc.readAverage(this.channel, samples, this.gain);
+    this.lastVoltage = round(voltage, 4);
+    return voltage;
+  }
+
+  /**
+   * Convertir un voltaje con la calibración actual
+   */
+  convert(voltage, temperature) {
+    if (this.kind === 'ph') {
+      return { ph: voltageToPh(voltage, this.calibration, temperature) };
+    }
+
+    const ec = voltageToEc(voltage, this.calibration, temperature);
+    return { ec, tds: ecToTds(ec, this.tdsFactor) };
+  }
+
+  /**
+   * Leer la sonda compensando por temperatura
+   */
+  async read() {
+    try {
+      const voltage = await this.readVoltage();
+      this.lastTemperature = this.getTemperature();
+      const values = this.convert(voltage, this.lastTemperature);
+      this.lastError = null;
+      return values;
+
+    } catch (error) {
+      this.lastError = { code: error.code || 'UNKNOWN', message: error.message, time: Date.now() };
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener información de la sonda
+   */
+  getInfo() {
+    return {
+      kind: this.kind,
+      channel: this.channel,
+      address: this.adc ? this.adc.address : null,
+      calibrated: this.calibrated,
+      calibration: this.calibration,
+      lastVoltage: this.lastVoltage,
+      lastTemperature: this.lastTemperature,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = WaterQualityProbe;
+module.exports.CalibrationError = CalibrationError;
+module.exports.PH_BUFFERS = PH_BUFFERS;
+module.exports.EC_REFERENCES = EC_REFERENCES;
+module.exports.EC_TEMPERATURE_COEFFICIENT = EC_TEMPERATURE_COEFFICIENT;
+module.exports.DEFAULT_TDS_FACTOR = DEFAULT_TDS_FACTOR;
+module.exports.DEFAULT_CALIBRATIONS = DEFAULT_CALIBRATIONS;
+module.exports.fitPhCalibration = fitPhCalibration;
+module.exports.fitEcCalibration = fitEcCalibration;
+module.exports.fitCalibration = fitCalibration;
+module.exports.voltageToPh = voltageToPh;
+module.exports.voltageToEc = voltageToEc;
+module.exports.ecToTds = ecToTds;